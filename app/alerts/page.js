@@ -0,0 +1,579 @@
+'use client';
+
+import { useState, useEffect, Suspense } from 'react';
+import { useSearchParams } from 'next/navigation';
+import { useRequireAuth } from '@/hooks/useAuth';
+import DashboardLayout from '@/components/Dashboard/DashboardLayout';
+import { BellRing } from 'lucide-react';
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import Select from '@/components/ui/Select';
+import Input from '@/components/ui/Input';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import Badge from '@/components/ui/Badge';
+import { formatDate, formatRelativeTime, formatDuration } from '@/utils/formatters';
+import { ALERT_RULE_TYPE_OPTIONS } from '@/utils/constants';
+
+const STATE_BADGES = {
+  ok: { variant: 'success', label: 'OK' },
+  pending: { variant: 'warning', label: 'Pending' },
+  firing: { variant: 'danger', label: 'Firing' },
+};
+
+const EMPTY_RULE = {
+  name: '',
+  type: 'pattern_p99',
+  profileId: '',
+  threshold: 1000,
+  windowSeconds: 300,
+  forSeconds: 0,
+  debounceSeconds: 0,
+  patternHash: '',
+  database: '',
+  table: '',
+  webhooks: [],
+  fileSink: true,
+  enabled: true,
+};
+
+function getRuleType(type) {
+  return ALERT_RULE_TYPE_OPTIONS.find((option) => option.value === type) || ALERT_RULE_TYPE_OPTIONS[0];
+}
+
+function describeCondition(rule) {
+  const type = getRuleType(rule.type);
+  const parts = [`${type.label} > ${rule.threshold} ${type.unit}`];
+  if (type.windowed) parts.push(`over ${formatDuration(rule.windowSeconds * 1000)}`);
+  if (rule.forSeconds > 0) parts.push(`for ${formatDuration(rule.forSeconds * 1000)}`);
+  return parts.join(' ');
+}
+
+function describeScope(rule) {
+  if (rule.type === 'pattern_p99') return `pattern ${rule.patternHash}`;
+  if (rule.database && rule.table) return `${rule.database}.${rule.table}`;
+  return rule.database || 'all tables';
+}
+
+function AlertsContent() {
+  const searchParams = useSearchParams();
+  const { isAuthenticated, isLoading: authLoading } = useRequireAuth();
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [data, setData] = useState(null);
+  const [profiles, setProfiles] = useState([]);
+  const [defaultProfileId, setDefaultProfileId] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [evaluating, setEvaluating] = useState(false);
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      fetchAlerts();
+      fetchProfiles();
+    }
+  }, [isAuthenticated]);
+
+  // Arriving from a query pattern: start a p99 rule for it
+  useEffect(() => {
+    const patternHash = searchParams.get('pattern_hash');
+    if (patternHash) {
+      setEditing({ ...EMPTY_RULE, profileId: defaultProfileId, patternHash, name: `p99 of pattern ${patternHash}` });
+    }
+  }, [searchParams]);
+
+  const fetchAlerts = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch('/api/clickhouse/alerts');
+      const result = await response.json();
+
+      if (response.ok) {
+        setData(result);
+        setError(null);
+      } else {
+        setError(result.error);
+      }
+    } catch (error) {
+      console.error('Error fetching alert rules:', error);
+      setError(error.message || 'Failed to fetch alert rules');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchProfiles = async () => {
+    try {
+      const response = await fetch('/api/clickhouse/profiles');
+      const result = await response.json();
+      if (response.ok) {
+        // Rules can only be managed on the profile this session connected with
+        const profileId = result.activeProfileId || '';
+        setProfiles(result.profiles.filter((profile) => profile.id === profileId));
+        setDefaultProfileId(profileId);
+        // A rule prefilled from the URL may have opened before profiles loaded
+        setEditing((current) => current && !current.profileId ? { ...current, profileId } : current);
+      }
+    } catch (error) {
+      console.error('Error fetching connection profiles:', error);
+    }
+  };
+
+  const handleEvaluate = async () => {
+    try {
+      setEvaluating(true);
+      const response = await fetch('/api/clickhouse/alerts/evaluate', { method: 'POST' });
+      const result = await response.json();
+      if (!response.ok) {
+        setError(result.error);
+      }
+    } catch (error) {
+      console.error('Error evaluating alert rules:', error);
+      setError(error.message || 'Failed to evaluate alert rules');
+    } finally {
+      setEvaluating(false);
+      fetchAlerts();
+    }
+  };
+
+  const updateRule = async (rule, changes) => {
+    const response = await fetch(`/api/clickhouse/alerts/${rule.id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes),
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      setError(result.error);
+    }
+    fetchAlerts();
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete alert rule "${rule.name}"?`)) return;
+
+    const response = await fetch(`/api/clickhouse/alerts/${rule.id}`, { method: 'DELETE' });
+    if (!response.ok) {
+      const result = await response.json();
+      setError(result.error);
+    }
+    fetchAlerts();
+  };
+
+  const handleSaved = () => {
+    setEditing(null);
+    fetchAlerts();
+  };
+
+  if (authLoading) {
+    return null; // DashboardLayout handles loading
+  }
+
+  const scheduler = data?.scheduler;
+  const profileNames = Object.fromEntries(profiles.map((profile) => [profile.id, profile.name]));
+
+  return (
+    <DashboardLayout
+      title="Alerts"
+      description="Rules evaluated on the server, with webhook and file notifications"
+      icon={BellRing}
+    >
+
+        <div className="mb-6 flex items-center justify-between gap-4">
+          <div className="flex items-center gap-3 text-sm text-muted-foreground">
+            {scheduler && (
+              <Badge variant={scheduler.enabled && scheduler.running ? 'success' : 'warning'}>
+                {!scheduler.enabled
+                  ? 'Scheduler disabled'
+                  : scheduler.running
+                    ? `● Evaluated every ${scheduler.intervalSeconds}s`
+                    : 'Scheduler not started'}
+              </Badge>
+            )}
+            {scheduler?.lastRun && (
+              <span>
+                Last run {formatRelativeTime(scheduler.lastRun.at)}: {scheduler.lastRun.evaluated} rules, {scheduler.lastRun.events} notifications
+              </span>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <Button onClick={handleEvaluate} variant="outline" size="sm" disabled={evaluating}>
+              {evaluating ? 'Evaluating...' : '▶️ Evaluate now'}
+            </Button>
+            <Button onClick={fetchAlerts} variant="outline" size="sm">
+              🔄 Refresh
+            </Button>
+            <Button
+              onClick={() => setEditing({ ...EMPTY_RULE, profileId: defaultProfileId })}
+              size="sm"
+            >
+              ➕ New Rule
+            </Button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-3 bg-red-50 border border-red-200 rounded text-sm text-red-700 flex items-center justify-between">
+            <span>{error}</span>
+            <button onClick={() => setError(null)} className="ml-4">✕</button>
+          </div>
+        )}
+
+        {editing && (
+          <RuleForm
+            key={editing.id || 'new'}
+            initial={editing}
+            profiles={profiles}
+            onSaved={handleSaved}
+            onCancel={() => setEditing(null)}
+          />
+        )}
+
+        {/* Rules */}
+        <Card className="mb-6">
+          <CardHeader>
+            <CardTitle>Rules</CardTitle>
+          </CardHeader>
+          <CardContent>
+            {loading && !data ? (
+              <div className="flex items-center justify-center h-48">
+                <LoadingSpinner size="lg" />
+              </div>
+            ) : !data || data.rules.length === 0 ? (
+              <div className="text-center py-12 text-muted-foreground">
+                <div className="text-4xl mb-4">🔕</div>
+                <p>No alert rules yet</p>
+              </div>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-left text-muted-foreground">
+                    <th className="py-2 pr-3 font-medium">Rule</th>
+                    <th className="py-2 pr-3 font-medium">Connection</th>
+                    <th className="py-2 pr-3 font-medium">State</th>
+                    <th className="py-2 pr-3 font-medium">Last Value</th>
+                    <th className="py-2 pr-3 font-medium">Evaluated</th>
+                    <th className="py-2 font-medium" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.rules.map((rule) => {
+                    const badge = STATE_BADGES[rule.status.state] || STATE_BADGES.ok;
+                    return (
+                      <tr key={rule.id} className="border-b align-top">
+                        <td className="py-2 pr-3">
+                          <div className="font-medium">{rule.name}</div>
+                          <div className="text-xs text-muted-foreground">
+                            {describeCondition(rule)} · {describeScope(rule)}
+                          </div>
+                        </td>
+                        <td className="py-2 pr-3">{profileNames[rule.profileId] || rule.profileId}</td>
+                        <td className="py-2 pr-3">
+                          {rule.enabled ? (
+                            <Badge variant={badge.variant}>{badge.label}</Badge>
+                          ) : (
+                            <Badge variant="outline">Disabled</Badge>
+                          )}
+                          {rule.status.error && (
+                            <div className="text-xs text-red-700 mt-1 max-w-xs">{rule.status.error}</div>
+                          )}
+                        </td>
+                        <td className="py-2 pr-3">
+                          <div>{rule.status.value ?? 'No data'}</div>
+                          {rule.status.subject && (
+                            <div className="text-xs text-muted-foreground truncate max-w-xs">{rule.status.subject}</div>
+                          )}
+                        </td>
+                        <td className="py-2 pr-3 whitespace-nowrap">{formatRelativeTime(rule.status.evaluatedAt)}</td>
+                        <td className="py-2">
+                          <div className="flex justify-end gap-2">
+                            <Button onClick={() => updateRule(rule, { enabled: !rule.enabled })} variant="outline" size="sm">
+                              {rule.enabled ? 'Disable' : 'Enable'}
+                            </Button>
+                            <Button onClick={() => setEditing(rule)} variant="outline" size="sm">
+                              Edit
+                            </Button>
+                            <Button onClick={() => handleDelete(rule)} variant="destructive" size="sm">
+                              Delete
+                            </Button>
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* History */}
+        <Card>
+          <CardHeader>
+            <CardTitle>Firing History</CardTitle>
+          </CardHeader>
+          <CardContent>
+            {!data || data.history.length === 0 ? (
+              <p className="text-sm text-muted-foreground">No rule has fired yet</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-left text-muted-foreground">
+                    <th className="py-2 pr-3 font-medium">When</th>
+                    <th className="py-2 pr-3 font-medium">Rule</th>
+                    <th className="py-2 pr-3 font-medium">Status</th>
+                    <th className="py-2 pr-3 font-medium">Value</th>
+                    <th className="py-2 font-medium">Notifications</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.history.map((entry) => (
+                    <tr key={entry.id} className="border-b align-top">
+                      <td className="py-2 pr-3 whitespace-nowrap">{formatDate(entry.at)}</td>
+                      <td className="py-2 pr-3">
+                        <div>{entry.ruleName}</div>
+                        {entry.subject && <div className="text-xs text-muted-foreground">{entry.subject}</div>}
+                      </td>
+                      <td className="py-2 pr-3">
+                        <Badge variant={entry.status === 'firing' ? 'danger' : 'success'}>
+                          {entry.status === 'firing' ? 'Firing' : 'Resolved'}
+                        </Badge>
+                      </td>
+                      <td className="py-2 pr-3">
+                        {entry.value ?? 'No data'} <span className="text-muted-foreground">(threshold {entry.threshold})</span>
+                      </td>
+                      <td className="py-2">
+                        {entry.notifications.length === 0 ? (
+                          <span className="text-muted-foreground">None configured</span>
+                        ) : (
+                          <div className="flex flex-wrap gap-1">
+                            {entry.notifications.map((notification) => (
+                              <Badge
+                                key={notification.channel}
+                                variant={notification.ok ? 'outline' : 'danger'}
+                                title={notification.error || undefined}
+                              >
+                                {notification.ok ? '✓' : '✗'} {notification.channel}
+                              </Badge>
+                            ))}
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </CardContent>
+        </Card>
+    </DashboardLayout>
+  );
+}
+
+export default function Alerts() {
+  return (
+    <Suspense fallback={<div>Loading...</div>}>
+      <AlertsContent />
+    </Suspense>
+  );
+}
+
+function RuleForm({ initial, profiles, onSaved, onCancel }) {
+  const [rule, setRule] = useState({
+    ...initial,
+    webhooksText: (initial.webhooks || []).join('\n'),
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const type = getRuleType(rule.type);
+  const profile = profiles.find((candidate) => candidate.id === rule.profileId);
+
+  const set = (key, value) => setRule((current) => ({ ...current, [key]: value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const { id, status, createdAt, updatedAt, webhooksText, ...fields } = rule;
+    const body = {
+      ...fields,
+      patternHash: fields.type === 'pattern_p99' ? fields.patternHash : undefined,
+      webhooks: webhooksText.split('\n').map((url) => url.trim()).filter(Boolean),
+    };
+
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await fetch(id ? `/api/clickhouse/alerts/${id}` : '/api/clickhouse/alerts', {
+        method: id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const result = await response.json();
+
+      if (response.ok) {
+        onSaved(result.rule);
+      } else {
+        setError(result.error);
+      }
+    } catch (error) {
+      console.error('Error saving alert rule:', error);
+      setError(error.message || 'Failed to save alert rule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card className="mb-6">
+      <CardHeader>
+        <CardTitle>{rule.id ? 'Edit Rule' : 'New Rule'}</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium mb-2">Name</label>
+              <Input value={rule.name} onChange={(e) => set('name', e.target.value)} required />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-2">Metric</label>
+              <Select
+                value={rule.type}
+                onChange={(value) => set('type', value)}
+                options={ALERT_RULE_TYPE_OPTIONS}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-2">Connection Profile</label>
+              <Select
+                value={rule.profileId}
+                onChange={(value) => set('profileId', value)}
+                options={profiles.map((candidate) => ({ value: candidate.id, label: candidate.name }))}
+                placeholder="Select a profile"
+              />
+            </div>
+          </div>
+
+          <p className="text-xs text-muted-foreground">{type.description}</p>
+
+          {profile && !profile.hasPassword && (
+            <p className="text-xs text-yellow-700">
+              This profile has no stored password; rules only work with it if the ClickHouse user needs none.
+              Use a server profile with <code>passwordEnv</code> for password-protected users.
+            </p>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <div>
+              <label className="block text-sm font-medium mb-2">Threshold ({type.unit})</label>
+              <Input
+                type="number"
+                value={rule.threshold}
+                onChange={(e) => set('threshold', e.target.value)}
+                min="0"
+                step="any"
+                required
+              />
+            </div>
+            {type.windowed && (
+              <div>
+                <label className="block text-sm font-medium mb-2">Window (seconds)</label>
+                <Input
+                  type="number"
+                  value={rule.windowSeconds}
+                  onChange={(e) => set('windowSeconds', e.target.value)}
+                  min="60"
+                />
+              </div>
+            )}
+            <div>
+              <label className="block text-sm font-medium mb-2">Fire after (seconds)</label>
+              <Input
+                type="number"
+                value={rule.forSeconds}
+                onChange={(e) => set('forSeconds', e.target.value)}
+                min="0"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-2">Resolve after (seconds)</label>
+              <Input
+                type="number"
+                value={rule.debounceSeconds}
+                onChange={(e) => set('debounceSeconds', e.target.value)}
+                min="0"
+              />
+            </div>
+          </div>
+
+          {rule.type === 'pattern_p99' ? (
+            <div>
+              <label className="block text-sm font-medium mb-2">Query Pattern (normalized_query_hash)</label>
+              <Input
+                value={rule.patternHash}
+                onChange={(e) => set('patternHash', e.target.value)}
+                className="font-mono"
+                required
+              />
+            </div>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium mb-2">Database</label>
+                <Input value={rule.database} onChange={(e) => set('database', e.target.value)} placeholder="Any" />
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-2">Table</label>
+                <Input value={rule.table} onChange={(e) => set('table', e.target.value)} placeholder="Any" />
+              </div>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium mb-2">Webhooks (one URL per line)</label>
+            <textarea
+              value={rule.webhooksText}
+              onChange={(e) => set('webhooksText', e.target.value)}
+              rows={2}
+              placeholder="https://hooks.example.com/checkmyhouse"
+              className="w-full rounded-md border border-input bg-background px-3 py-2 text-sm font-mono"
+            />
+            <p className="text-xs text-muted-foreground mt-1">
+              Only hosts listed in <code>CHECKMYHOUSE_ALERT_WEBHOOK_HOSTS</code> on the server are accepted.
+            </p>
+          </div>
+
+          <div className="flex items-center gap-6 text-sm">
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={rule.fileSink}
+                onChange={(e) => set('fileSink', e.target.checked)}
+              />
+              Write to the local alert log
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={rule.enabled}
+                onChange={(e) => set('enabled', e.target.checked)}
+              />
+              Enabled
+            </label>
+          </div>
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded text-sm text-red-700">{error}</div>
+          )}
+
+          <div className="flex justify-end gap-2">
+            <Button type="button" onClick={onCancel} variant="outline" size="sm">
+              Cancel
+            </Button>
+            <Button type="submit" size="sm" disabled={saving || !rule.profileId}>
+              {saving ? 'Saving...' : 'Save Rule'}
+            </Button>
+          </div>
+        </form>
+      </CardContent>
+    </Card>
+  );
+}
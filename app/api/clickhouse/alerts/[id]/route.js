@@ -0,0 +1,87 @@
+import { NextResponse } from 'next/server';
+import { updateAlertRule, deleteAlertRule } from '@/lib/alertStore';
+import { listProfiles } from '@/lib/profiles';
+import { getAlertAccess } from '@/lib/alertAccess';
+
+/**
+ * Edit one of the session profile's alert rules, including enabling or disabling it
+ */
+export async function PUT(request, { params }) {
+  try {
+    const access = await getAlertAccess();
+    if (access.error) {
+      return NextResponse.json(
+        { error: access.error },
+        { status: access.status }
+      );
+    }
+
+    const { id } = await params;
+    const input = await request.json().catch(() => ({}));
+    if (input.profileId !== undefined && input.profileId !== access.profileId) {
+      return NextResponse.json(
+        { error: 'profileId: Rules can only use the connection profile of this session' },
+        { status: 403 }
+      );
+    }
+
+    if (input.profileId !== undefined) {
+      const { profiles } = await listProfiles();
+      if (!profiles.some((profile) => profile.id === input.profileId)) {
+        return NextResponse.json(
+          { error: 'profileId: Connection profile not found' },
+          { status: 400 }
+        );
+      }
+    }
+
+    const result = await updateAlertRule(id, input, { profileId: access.profileId });
+    if (!result.success) {
+      return NextResponse.json(
+        { error: result.error },
+        { status: result.status || 400 }
+      );
+    }
+
+    return NextResponse.json({ rule: result.rule });
+  } catch (error) {
+    console.error('Error updating alert rule:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to update alert rule' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Delete one of the session profile's alert rules (its firing history is kept)
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const access = await getAlertAccess();
+    if (access.error) {
+      return NextResponse.json(
+        { error: access.error },
+        { status: access.status }
+      );
+    }
+
+    const { id } = await params;
+    const result = await deleteAlertRule(id, { profileId: access.profileId });
+
+    if (!result.success) {
+      return NextResponse.json(
+        { error: result.error },
+        { status: result.status || 400 }
+      );
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting alert rule:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to delete alert rule' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,27 @@
+import { NextResponse } from 'next/server';
+import { runAlertEvaluation } from '@/lib/alertScheduler';
+import { getAlertAccess } from '@/lib/alertAccess';
+
+/**
+ * Evaluate every enabled rule now instead of waiting for the next interval
+ */
+export async function POST() {
+  try {
+    const access = await getAlertAccess();
+    if (access.error) {
+      return NextResponse.json(
+        { error: access.error },
+        { status: access.status }
+      );
+    }
+
+    const lastRun = await runAlertEvaluation();
+    return NextResponse.json({ lastRun });
+  } catch (error) {
+    console.error('Error evaluating alert rules:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to evaluate alert rules' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,82 @@
+import { NextResponse } from 'next/server';
+import { listAlerts, createAlertRule } from '@/lib/alertStore';
+import { getAlertSchedulerStatus } from '@/lib/alertScheduler';
+import { listProfiles } from '@/lib/profiles';
+import { getAlertAccess } from '@/lib/alertAccess';
+
+/**
+ * The session profile's alert rules with their current state, their firing
+ * history and the scheduler status
+ */
+export async function GET() {
+  try {
+    const access = await getAlertAccess();
+    if (access.error) {
+      return NextResponse.json(
+        { error: access.error },
+        { status: access.status }
+      );
+    }
+
+    const { rules, history } = await listAlerts({ profileId: access.profileId });
+
+    return NextResponse.json({
+      rules,
+      history,
+      scheduler: getAlertSchedulerStatus(),
+    });
+  } catch (error) {
+    console.error('Error listing alert rules:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to list alert rules' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Create an alert rule on the session's connection profile
+ */
+export async function POST(request) {
+  try {
+    const access = await getAlertAccess();
+    if (access.error) {
+      return NextResponse.json(
+        { error: access.error },
+        { status: access.status }
+      );
+    }
+
+    const input = await request.json().catch(() => ({}));
+    if (input.profileId !== access.profileId) {
+      return NextResponse.json(
+        { error: 'profileId: Rules can only use the connection profile of this session' },
+        { status: 403 }
+      );
+    }
+
+    const { profiles } = await listProfiles();
+    if (!profiles.some((profile) => profile.id === input.profileId)) {
+      return NextResponse.json(
+        { error: 'profileId: Connection profile not found' },
+        { status: 400 }
+      );
+    }
+
+    const result = await createAlertRule(input);
+    if (!result.success) {
+      return NextResponse.json(
+        { error: result.error },
+        { status: result.status || 400 }
+      );
+    }
+
+    return NextResponse.json({ rule: result.rule }, { status: 201 });
+  } catch (error) {
+    console.error('Error creating alert rule:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to create alert rule' },
+      { status: 500 }
+    );
+  }
+}
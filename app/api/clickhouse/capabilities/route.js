@@ -1,12 +1,14 @@
 import { NextResponse } from 'next/server';
-import { getClientFromRequest, getSystemCapabilities } from '@/lib/clickhouse';
+import { getClientFromRequest, getSystemCapabilities, getCacheNamespace } from '@/lib/clickhouse';
 import { formatErrorResponse } from '@/lib/errors';
 import globalCache, { CacheTTL } from '@/lib/cache';
 
 export async function GET(request) {
   try {
-    // Check cache first
-    const cacheKey = 'system_capabilities';
+    const client = await getClientFromRequest('capabilities');
+
+    // Check cache first (scoped to this connection)
+    const cacheKey = globalCache.namespaceKey(getCacheNamespace(client), 'system_capabilities');
     const cached = globalCache.get(cacheKey);
     if (cached) {
       return NextResponse.json({
@@ -15,7 +17,6 @@ export async function GET(request) {
       });
     }
 
-    const client = await getClientFromRequest();
     const capabilities = await getSystemCapabilities(client);
 
     // Cache the capabilities
@@ -2,7 +2,7 @@ import { NextResponse } from 'next/server';
 import { getConfigFromCookies } from '@/lib/clickhouse';
 
 /**
- * Check if user has valid authentication (connection config in cookies)
+ * Check if user has valid authentication (an active server-side session)
  */
 export async function GET() {
   try {
@@ -20,6 +20,8 @@ export async function GET() {
       host: config.host || config.url,
       username: config.username,
       database: config.database,
+      profileId: config.profileId || null,
+      profileName: config.profileName || null,
     });
   } catch (error) {
     console.error('Auth check error:', error);
@@ -1,41 +1,83 @@
 import { NextResponse } from 'next/server';
-import { testConnection, initClickHouseClient, detectClusterConfig } from '@/lib/clickhouse';
+import {
+  testConnection,
+  initClickHouseClient,
+  detectClusterConfig,
+  getSessionIdFromCookies,
+  revokeSession,
+} from '@/lib/clickhouse';
+import { SESSION_COOKIE } from '@/lib/clientRegistry';
+import { getSessionStore, SESSION_TTL_SECONDS } from '@/lib/sessionStore';
+import { resolveProfileConfig } from '@/lib/profiles';
+import { connectionConfigSchema, tlsConfigSchema, validateInput } from '@/lib/validation';
 import { cookies } from 'next/headers';
 
 export async function POST(request) {
   try {
-    const config = await request.json();
+    const body = await request.json();
+
+    // Connect either with an explicit config or a saved profile
+    const validated = body.profileId
+      ? validateInput(tlsConfigSchema.optional(), body.tls)
+      : validateInput(connectionConfigSchema, body);
+
+    if (!validated.success) {
+      return NextResponse.json(
+        { error: validated.error },
+        { status: 400 }
+      );
+    }
+
+    const config = body.profileId
+      ? await resolveProfileConfig(body.profileId, { password: body.password, tls: validated.data })
+      : validated.data;
+
+    if (!config) {
+      return NextResponse.json(
+        { error: 'Connection profile not found' },
+        { status: 404 }
+      );
+    }
 
     // Test connection
     const testResult = await testConnection(config);
 
     if (!testResult.success) {
       return NextResponse.json(
-        { error: testResult.message },
+        { error: testResult.message, type: testResult.type },
         { status: 400 }
       );
     }
 
+    // Rotate the session on every connect, revoking the previous one
+    const previousSessionId = await getSessionIdFromCookies();
+    if (previousSessionId) {
+      await revokeSession(previousSessionId);
+    }
+    const sessionId = await getSessionStore().create(config);
+
     // Initialize client
-    const client = initClickHouseClient(config);
+    const client = initClickHouseClient(config, sessionId);
 
     // Detect cluster configuration
     const clusterConfig = await detectClusterConfig(client);
 
-    // Store config in cookies (httpOnly for security)
-    // Note: Don't store sensitive data in production - use session storage instead
+    // Only the opaque session id goes to the browser (httpOnly);
+    // credentials stay encrypted in the server-side session store
     const cookieStore = await cookies();
-    cookieStore.set('clickhouse_config', encodeURIComponent(JSON.stringify(config)), {
+    cookieStore.delete('clickhouse_config'); // Legacy plaintext config cookie
+    cookieStore.set(SESSION_COOKIE, sessionId, {
       httpOnly: true,
       secure: process.env.NODE_ENV === 'production',
       sameSite: 'strict',
-      maxAge: 60 * 60 * 24, // 24 hours
+      maxAge: SESSION_TTL_SECONDS,
       path: '/',
     });
 
     return NextResponse.json({
       success: true,
       message: 'Connected successfully',
+      profileId: config.profileId || null,
       clusterConfig,
     });
   } catch (error) {
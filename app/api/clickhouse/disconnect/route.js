@@ -1,14 +1,20 @@
 import { NextResponse } from 'next/server';
 import { cookies } from 'next/headers';
+import { getSessionIdFromCookies, revokeSession } from '@/lib/clickhouse';
+import { SESSION_COOKIE } from '@/lib/clientRegistry';
 
 /**
- * Disconnect user by clearing connection cookies
+ * Disconnect user by revoking their session and clearing the session cookie
  */
 export async function POST() {
   try {
+    const sessionId = await getSessionIdFromCookies();
+    await revokeSession(sessionId);
+
     const cookieStore = await cookies();
 
-    // Delete the connection config cookie
+    // Delete the session cookie (and the legacy config cookie if still present)
+    cookieStore.delete(SESSION_COOKIE);
     cookieStore.delete('clickhouse_config');
 
     return NextResponse.json({
@@ -0,0 +1,95 @@
+import { NextResponse } from 'next/server';
+import { getClientFromRequest, executeQuerySafe } from '@/lib/clickhouse';
+import { queryTextSchema, validateInput } from '@/lib/validation';
+import { isSelectQuery } from '@/lib/queryGuard';
+import {
+  EXPLAIN_KINDS,
+  prepareExplainTarget,
+  buildExplainQuery,
+  parseIndexAnalysis,
+  summarizeIndexUsage,
+  buildPipelineGraph,
+} from '@/lib/explain';
+import { formatErrorResponse } from '@/lib/errors';
+
+/**
+ * EXPLAIN PLAN, PIPELINE (as text and as a graph), indexes = 1 and ESTIMATE for a logged SELECT
+ * Each kind fails on its own (e.g. ESTIMATE on older servers) without failing the others
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json().catch(() => ({}));
+
+    const result = validateInput(queryTextSchema, body.query);
+    if (!result.success) {
+      return NextResponse.json(
+        { error: result.error },
+        { status: 400 }
+      );
+    }
+
+    const query = prepareExplainTarget(result.data);
+    if (!isSelectQuery(query)) {
+      return NextResponse.json(
+        { error: 'Only a single SELECT statement can be explained' },
+        { status: 400 }
+      );
+    }
+
+    const client = await getClientFromRequest('explain');
+
+    // readonly applies even when read-only mode is off; 2 lets the client's default settings through
+    const options = { signal: request.signal, maxRetries: 1, settings: { readonly: 2 } };
+    const results = await Promise.all(EXPLAIN_KINDS.map((kind) =>
+      executeQuerySafe(client, buildExplainQuery(kind, query), options)
+    ));
+
+    // The browser went away; nobody is waiting for this response
+    const cancelled = results.find((kindResult) => kindResult.cancelled);
+    if (cancelled) {
+      return NextResponse.json(
+        formatErrorResponse(cancelled.error, false),
+        { status: 499 }
+      );
+    }
+
+    const explain = {};
+    EXPLAIN_KINDS.forEach((kind, i) => {
+      const kindResult = results[i];
+      if (!kindResult.success) {
+        explain[kind] = { error: formatErrorResponse(kindResult.error, false).error };
+        return;
+      }
+
+      if (kind === 'estimate') {
+        explain[kind] = {
+          rows: kindResult.data.map((row) => ({
+            database: row.database,
+            table: row.table,
+            parts: Number(row.parts),
+            rows: Number(row.rows),
+            marks: Number(row.marks),
+          })),
+        };
+        return;
+      }
+
+      const lines = kindResult.data.map((row) => row.explain);
+      if (kind === 'indexes') {
+        explain[kind] = { lines, analysis: summarizeIndexUsage(parseIndexAnalysis(lines)) };
+      } else if (kind === 'pipelineGraph') {
+        explain[kind] = { graph: buildPipelineGraph(lines.join('\n')) };
+      } else {
+        explain[kind] = { lines };
+      }
+    });
+
+    return NextResponse.json({ query, ...explain });
+  } catch (error) {
+    console.error('Error running EXPLAIN:', error);
+    return NextResponse.json(
+      formatErrorResponse(error, false),
+      { status: 500 }
+    );
+  }
+}
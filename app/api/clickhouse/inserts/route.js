@@ -0,0 +1,154 @@
+import { NextResponse } from 'next/server';
+import {
+  getClientFromRequest,
+  detectClusterConfig,
+  buildClusterQuery,
+  executeQuerySafe,
+  getSystemCapabilities,
+  getCacheNamespace,
+} from '@/lib/clickhouse';
+import {
+  INSERT_WORKLOAD,
+  INSERT_WORKLOAD_PARTS,
+  INSERT_WORKLOAD_PARTITIONS,
+  MERGE_TREE_INSERT_THRESHOLDS,
+} from '@/lib/queries';
+import { getSelfQueryFilter } from '@/lib/queryTagging';
+import { parseTimeWindow } from '@/lib/validation';
+import { buildInsertWorkload, parseInsertThresholds } from '@/lib/insertWorkload';
+import { formatErrorResponse, createPermissionErrorResponse } from '@/lib/errors';
+import globalCache, { CacheTTL } from '@/lib/cache';
+
+/**
+ * Insert workload per target table
+ * system.part_log and system.parts are optional; their columns are null without them
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const limit = Math.min(parseInt(searchParams.get('limit')) || 100, 1000);
+    const includeSelf = searchParams.get('include_self') === 'true';
+
+    const timeWindowResult = parseTimeWindow(searchParams);
+    if (!timeWindowResult.success) {
+      return NextResponse.json(
+        { error: timeWindowResult.error },
+        { status: 400 }
+      );
+    }
+    const timeWindow = timeWindowResult.data;
+
+    const client = await getClientFromRequest('inserts');
+
+    // Check system capabilities
+    const capabilities = await getSystemCapabilities(client);
+    if (!capabilities.hasQueryLog) {
+      return NextResponse.json(
+        createPermissionErrorResponse('system.query_log', 'Insert Workload'),
+        { status: 403 }
+      );
+    }
+
+    // Generate cache key (scoped to this connection)
+    const cacheKey = globalCache.generateKey('insert_workload', {
+      startTime: timeWindow.startTime,
+      endTime: timeWindow.endTime,
+      limit,
+      includeSelf,
+    }, getCacheNamespace(client));
+
+    // Check cache
+    const cached = globalCache.get(cacheKey);
+    if (cached) {
+      return NextResponse.json({
+        ...cached,
+        cached: true,
+      });
+    }
+
+    const clusterConfig = await detectClusterConfig(client);
+
+    const withWindow = (query) => query
+      .replaceAll('{start_time}', timeWindow.startTime)
+      .replaceAll('{end_time}', timeWindow.endTime);
+
+    const insertsQuery = withWindow(buildClusterQuery(INSERT_WORKLOAD, 'system.query_log', clusterConfig))
+      .replace('{limit}', limit)
+      .replace('{self_filter}', getSelfQueryFilter(includeSelf));
+    const partsQuery = withWindow(buildClusterQuery(INSERT_WORKLOAD_PARTS, 'system.part_log', clusterConfig));
+    const partitionsQuery = buildClusterQuery(INSERT_WORKLOAD_PARTITIONS, 'system.parts', clusterConfig);
+
+    // Execute queries with error handling, cancelled if the request is aborted
+    const options = { signal: request.signal, maxRetries: 1 };
+    const [insertsResult, partsResult, partitionsResult, thresholdsResult] = await Promise.all([
+      executeQuerySafe(client, insertsQuery, { signal: request.signal }),
+      executeQuerySafe(client, partsQuery, options),
+      capabilities.hasParts
+        ? executeQuerySafe(client, partitionsQuery, options)
+        : { success: false },
+      executeQuerySafe(client, MERGE_TREE_INSERT_THRESHOLDS, options),
+    ]);
+
+    // The browser went away or re-filtered; nobody is waiting for this response
+    const cancelled = [insertsResult, partsResult, partitionsResult, thresholdsResult]
+      .find((result) => result.cancelled);
+    if (cancelled) {
+      return NextResponse.json(
+        formatErrorResponse(cancelled.error, false),
+        { status: 499 }
+      );
+    }
+
+    if (!insertsResult.success) {
+      if (insertsResult.permissionDenied) {
+        return NextResponse.json(
+          createPermissionErrorResponse('system.query_log', 'Insert Workload'),
+          { status: 403 }
+        );
+      }
+
+      if (insertsResult.quotaExceeded) {
+        return NextResponse.json(
+          formatErrorResponse(insertsResult.error, true),
+          { status: 429 }
+        );
+      }
+
+      return NextResponse.json(
+        formatErrorResponse(insertsResult.error, false),
+        { status: 500 }
+      );
+    }
+
+    const thresholds = parseInsertThresholds(thresholdsResult.success ? thresholdsResult.data : []);
+    const tables = buildInsertWorkload({
+      inserts: insertsResult.data,
+      parts: partsResult.success ? partsResult.data : null,
+      partitions: partitionsResult.success ? partitionsResult.data : null,
+      windowSeconds: timeWindow.endTime - timeWindow.startTime,
+      thresholds,
+    });
+
+    const responseData = {
+      tables,
+      thresholds,
+      sources: {
+        partLog: partsResult.success,
+        parts: partitionsResult.success,
+      },
+      start: timeWindow.start,
+      end: timeWindow.end,
+    };
+
+    // Cache the response
+    globalCache.set(cacheKey, responseData, CacheTTL.INSERT_WORKLOAD);
+
+    return NextResponse.json(responseData);
+  } catch (error) {
+    console.error('Error fetching insert workload:', error);
+    return NextResponse.json(
+      formatErrorResponse(error, false),
+      { status: 500 }
+    );
+  }
+}
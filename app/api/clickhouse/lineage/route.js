@@ -7,7 +7,7 @@ export async function GET(request) {
     const { searchParams } = new URL(request.url);
     const database = searchParams.get('database');
 
-    const client = await getClientFromRequest();
+    const client = await getClientFromRequest('lineage');
 
     // Get all tables
     const tablesQuery = `
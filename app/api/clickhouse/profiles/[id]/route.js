@@ -0,0 +1,65 @@
+import { NextResponse } from 'next/server';
+import { updateProfile, deleteProfile, setDefaultProfile } from '@/lib/profiles';
+
+/**
+ * Edit a user profile and/or make any profile the default
+ */
+export async function PUT(request, { params }) {
+  try {
+    const { id } = await params;
+    const { isDefault, ...fields } = await request.json();
+
+    if (Object.keys(fields).length > 0) {
+      const result = await updateProfile(id, fields);
+      if (!result.success) {
+        return NextResponse.json(
+          { error: result.error },
+          { status: result.status || 400 }
+        );
+      }
+    }
+
+    if (isDefault !== undefined) {
+      const result = await setDefaultProfile(isDefault ? id : null);
+      if (!result.success) {
+        return NextResponse.json(
+          { error: result.error },
+          { status: result.status || 400 }
+        );
+      }
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to update profile' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Delete a user profile
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { id } = await params;
+    const result = await deleteProfile(id);
+
+    if (!result.success) {
+      return NextResponse.json(
+        { error: result.error },
+        { status: result.status || 400 }
+      );
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting profile:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to delete profile' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server';
+import { resolveProfileConfig } from '@/lib/profiles';
+import { testConnection } from '@/lib/clickhouse';
+import { tlsConfigSchema, validateInput } from '@/lib/validation';
+
+/**
+ * Test a profile's connection without connecting the session
+ */
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params;
+    const { password, tls } = await request.json().catch(() => ({}));
+
+    const validated = validateInput(tlsConfigSchema.optional(), tls);
+    if (!validated.success) {
+      return NextResponse.json(
+        { error: validated.error },
+        { status: 400 }
+      );
+    }
+
+    const config = await resolveProfileConfig(id, { password, tls: validated.data });
+    if (!config) {
+      return NextResponse.json(
+        { error: 'Profile not found' },
+        { status: 404 }
+      );
+    }
+
+    const result = await testConnection(config);
+    return NextResponse.json(result, { status: result.success ? 200 : 400 });
+  } catch (error) {
+    console.error('Error testing profile:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to test profile' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,50 @@
+import { NextResponse } from 'next/server';
+import { listProfiles, createProfile } from '@/lib/profiles';
+import { getConfigFromCookies } from '@/lib/clickhouse';
+
+/**
+ * List saved connection profiles (without passwords)
+ */
+export async function GET() {
+  try {
+    const { profiles, defaultProfileId } = await listProfiles();
+    const config = await getConfigFromCookies();
+
+    return NextResponse.json({
+      profiles,
+      defaultProfileId,
+      activeProfileId: config?.profileId || null,
+    });
+  } catch (error) {
+    console.error('Error listing profiles:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to list profiles' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Save a new user profile (passwords are never stored)
+ */
+export async function POST(request) {
+  try {
+    const input = await request.json();
+    const result = await createProfile(input);
+
+    if (!result.success) {
+      return NextResponse.json(
+        { error: result.error },
+        { status: result.status || 400 }
+      );
+    }
+
+    return NextResponse.json({ profile: result.profile }, { status: 201 });
+  } catch (error) {
+    console.error('Error creating profile:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to create profile' },
+      { status: 500 }
+    );
+  }
+}
@@ -5,21 +5,43 @@ import {
   buildClusterQuery,
   executeQuerySafe,
   getSystemCapabilities,
+  getCacheNamespace,
 } from '@/lib/clickhouse';
 import { QUERY_ANALYZER_AGGREGATE } from '@/lib/queries';
+import { getSelfQueryFilter } from '@/lib/queryTagging';
+import { parseTimeWindow } from '@/lib/validation';
+import { parseQueryLogFilters, buildQueryLogFilters } from '@/lib/queryLogFilters';
 import { formatErrorResponse, createPermissionErrorResponse } from '@/lib/errors';
 import globalCache, { CacheTTL } from '@/lib/cache';
 
 export async function GET(request) {
   try {
     const { searchParams } = new URL(request.url);
-    const days = parseInt(searchParams.get('days')) || 7;
     const sortColumn = searchParams.get('sort_column') || 'p99_duration_ms';
     const limit = Math.min(parseInt(searchParams.get('limit')) || 100, 500);
     const offset = parseInt(searchParams.get('offset')) || 0;
     const minExecutions = parseInt(searchParams.get('min_executions')) || 5;
+    const includeSelf = searchParams.get('include_self') === 'true';
 
-    const client = await getClientFromRequest();
+    const timeWindowResult = parseTimeWindow(searchParams);
+    if (!timeWindowResult.success) {
+      return NextResponse.json(
+        { error: timeWindowResult.error },
+        { status: 400 }
+      );
+    }
+    const timeWindow = timeWindowResult.data;
+
+    const filtersResult = parseQueryLogFilters(searchParams);
+    if (!filtersResult.success) {
+      return NextResponse.json(
+        { error: filtersResult.error },
+        { status: 400 }
+      );
+    }
+    const filters = filtersResult.data;
+
+    const client = await getClientFromRequest('query-analyzer');
 
     // Check system capabilities
     const capabilities = await getSystemCapabilities(client);
@@ -30,14 +52,17 @@ export async function GET(request) {
       );
     }
 
-    // Generate cache key
+    // Generate cache key (scoped to this connection)
     const cacheKey = globalCache.generateKey('query_analyzer', {
-      days,
+      startTime: timeWindow.startTime,
+      endTime: timeWindow.endTime,
       sortColumn,
       limit,
       offset,
       minExecutions,
-    });
+      includeSelf,
+      filters: JSON.stringify(filters),
+    }, getCacheNamespace(client));
 
     // Check cache
     const cached = globalCache.get(cacheKey);
@@ -52,21 +77,36 @@ export async function GET(request) {
     const clusterConfig = await detectClusterConfig(client);
 
     // Build cluster-aware query
+    const queryFilters = buildQueryLogFilters(filters);
     const query = buildClusterQuery(
       QUERY_ANALYZER_AGGREGATE,
       'system.query_log',
       clusterConfig
     )
-      .replace('{days}', days)
+      .replace('{query_filters}', queryFilters.clause)
+      .replaceAll('{start_time}', timeWindow.startTime)
+      .replaceAll('{end_time}', timeWindow.endTime)
       .replace('{sort_column}', sortColumn)
       .replace('{limit}', limit)
       .replace('{offset}', offset)
-      .replace('{min_executions}', minExecutions);
+      .replace('{min_executions}', minExecutions)
+      .replace('{self_filter}', getSelfQueryFilter(includeSelf));
 
-    // Execute query with error handling
-    const result = await executeQuerySafe(client, query);
+    // Execute query with error handling, cancelled if the request is aborted
+    const result = await executeQuerySafe(client, query, {
+      params: queryFilters.params,
+      signal: request.signal,
+    });
 
     if (!result.success) {
+      // The browser went away or re-filtered; nobody is waiting for this response
+      if (result.cancelled) {
+        return NextResponse.json(
+          formatErrorResponse(result.error, false),
+          { status: 499 }
+        );
+      }
+
       if (result.permissionDenied) {
         return NextResponse.json(
           createPermissionErrorResponse('system.query_log', 'Query Analyzer'),
@@ -92,11 +132,15 @@ export async function GET(request) {
       total: result.data.length,
       cluster: clusterConfig,
       params: {
-        days,
+        days: timeWindow.days,
+        start: timeWindow.start,
+        end: timeWindow.end,
         sortColumn,
         limit,
         offset,
         minExecutions,
+        includeSelf,
+        filters,
       },
     };
 
@@ -0,0 +1,162 @@
+import { NextResponse } from 'next/server';
+import {
+  getClientFromRequest,
+  detectClusterConfig,
+  buildClusterQuery,
+  executeQuerySafe,
+  getSystemCapabilities,
+  getCacheNamespace,
+} from '@/lib/clickhouse';
+import { QUERY_ANALYZER_COMPARE } from '@/lib/queries';
+import { getSelfQueryFilter } from '@/lib/queryTagging';
+import { parseTimeWindow, parseBaselineWindow } from '@/lib/validation';
+import { parseQueryLogFilters, buildQueryLogFilters } from '@/lib/queryLogFilters';
+import { comparePatterns, summarizeComparison, REGRESSION_THRESHOLDS } from '@/lib/queryComparison';
+import { formatErrorResponse, createPermissionErrorResponse } from '@/lib/errors';
+import globalCache, { CacheTTL } from '@/lib/cache';
+
+/**
+ * Compare query pattern metrics between the current window and a baseline window
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const limit = Math.min(parseInt(searchParams.get('limit')) || 500, 1000);
+    const minExecutions = parseInt(searchParams.get('min_executions')) || 5;
+    const includeSelf = searchParams.get('include_self') === 'true';
+
+    const timeWindowResult = parseTimeWindow(searchParams);
+    if (!timeWindowResult.success) {
+      return NextResponse.json(
+        { error: timeWindowResult.error },
+        { status: 400 }
+      );
+    }
+    const timeWindow = timeWindowResult.data;
+
+    const baselineResult = parseBaselineWindow(searchParams, timeWindow);
+    if (!baselineResult.success) {
+      return NextResponse.json(
+        { error: baselineResult.error },
+        { status: 400 }
+      );
+    }
+    const baselineWindow = baselineResult.data;
+
+    const filtersResult = parseQueryLogFilters(searchParams);
+    if (!filtersResult.success) {
+      return NextResponse.json(
+        { error: filtersResult.error },
+        { status: 400 }
+      );
+    }
+    const filters = filtersResult.data;
+
+    const client = await getClientFromRequest('query-analyzer');
+
+    // Check system capabilities
+    const capabilities = await getSystemCapabilities(client);
+    if (!capabilities.hasQueryLog) {
+      return NextResponse.json(
+        createPermissionErrorResponse('system.query_log', 'Query Analyzer'),
+        { status: 403 }
+      );
+    }
+
+    // Generate cache key (scoped to this connection)
+    const cacheKey = globalCache.generateKey('query_analyzer_compare', {
+      startTime: timeWindow.startTime,
+      endTime: timeWindow.endTime,
+      baselineStartTime: baselineWindow.startTime,
+      baselineEndTime: baselineWindow.endTime,
+      limit,
+      minExecutions,
+      includeSelf,
+      filters: JSON.stringify(filters),
+    }, getCacheNamespace(client));
+
+    // Check cache
+    const cached = globalCache.get(cacheKey);
+    if (cached) {
+      return NextResponse.json({
+        ...cached,
+        cached: true,
+      });
+    }
+
+    const clusterConfig = await detectClusterConfig(client);
+
+    // Failed executions are needed for the error rate delta
+    const queryFilters = buildQueryLogFilters(filters, { includeFailed: true });
+    const query = buildClusterQuery(
+      QUERY_ANALYZER_COMPARE,
+      'system.query_log',
+      clusterConfig
+    )
+      .replace('{query_filters}', queryFilters.clause)
+      .replaceAll('{start_time}', timeWindow.startTime)
+      .replaceAll('{end_time}', timeWindow.endTime)
+      .replaceAll('{baseline_start_time}', baselineWindow.startTime)
+      .replaceAll('{baseline_end_time}', baselineWindow.endTime)
+      .replaceAll('{min_executions}', minExecutions)
+      .replace('{limit}', limit)
+      .replace('{self_filter}', getSelfQueryFilter(includeSelf));
+
+    // Execute query with error handling, cancelled if the request is aborted
+    const result = await executeQuerySafe(client, query, {
+      params: queryFilters.params,
+      signal: request.signal,
+    });
+
+    if (!result.success) {
+      // The browser went away or re-filtered; nobody is waiting for this response
+      if (result.cancelled) {
+        return NextResponse.json(
+          formatErrorResponse(result.error, false),
+          { status: 499 }
+        );
+      }
+
+      if (result.permissionDenied) {
+        return NextResponse.json(
+          createPermissionErrorResponse('system.query_log', 'Query Analyzer'),
+          { status: 403 }
+        );
+      }
+
+      if (result.quotaExceeded) {
+        return NextResponse.json(
+          formatErrorResponse(result.error, true),
+          { status: 429 }
+        );
+      }
+
+      return NextResponse.json(
+        formatErrorResponse(result.error, false),
+        { status: 500 }
+      );
+    }
+
+    const patterns = comparePatterns(result.data, { minExecutions });
+
+    const responseData = {
+      patterns,
+      summary: summarizeComparison(patterns),
+      thresholds: REGRESSION_THRESHOLDS,
+      current: { start: timeWindow.start, end: timeWindow.end },
+      baseline: { start: baselineWindow.start, end: baselineWindow.end },
+      cluster: clusterConfig,
+    };
+
+    // Cache the response
+    globalCache.set(cacheKey, responseData, CacheTTL.QUERY_ANALYZER);
+
+    return NextResponse.json(responseData);
+  } catch (error) {
+    console.error('Error comparing query patterns:', error);
+    return NextResponse.json(
+      formatErrorResponse(error, false),
+      { status: 500 }
+    );
+  }
+}
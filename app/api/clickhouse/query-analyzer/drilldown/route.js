@@ -1,15 +1,23 @@
 import { NextResponse } from 'next/server';
-import { getClientFromRequest, detectClusterConfig, buildClusterQuery } from '@/lib/clickhouse';
-import { QUERY_DRILLDOWN } from '@/lib/queries';
+import { getClientFromRequest, detectClusterConfig, buildClusterQuery, executeQuery } from '@/lib/clickhouse';
+import { formatErrorResponse, ErrorTypes } from '@/lib/errors';
+import { QUERY_DRILLDOWN, QUERY_DRILLDOWN_TIMESERIES } from '@/lib/queries';
+import { getSelfQueryFilter } from '@/lib/queryTagging';
+import { parseTimeWindow, parseBucketInterval } from '@/lib/validation';
 
+/**
+ * Executions of one query pattern, or with `mode=timeseries` their latency,
+ * memory and read_bytes bucketed by `interval`
+ */
 export async function GET(request) {
   try {
     const { searchParams } = new URL(request.url);
     const hash = searchParams.get('hash');
-    const days = parseInt(searchParams.get('days')) || 7;
+    const mode = searchParams.get('mode') || 'executions';
     const sortColumn = searchParams.get('sort_column') || 'query_duration_ms';
     const limit = Math.min(parseInt(searchParams.get('limit')) || 100, 1000);
     const offset = parseInt(searchParams.get('offset')) || 0;
+    const includeSelf = searchParams.get('include_self') === 'true';
 
     if (!hash) {
       return NextResponse.json(
@@ -18,7 +26,35 @@ export async function GET(request) {
       );
     }
 
-    const client = await getClientFromRequest();
+    // normalized_query_hash is a UInt64
+    if (!/^\d{1,20}$/.test(hash)) {
+      return NextResponse.json(
+        { error: 'Invalid hash parameter' },
+        { status: 400 }
+      );
+    }
+
+    if (!['executions', 'timeseries'].includes(mode)) {
+      return NextResponse.json(
+        { error: 'mode: Must be one of executions, timeseries' },
+        { status: 400 }
+      );
+    }
+
+    const timeWindowResult = parseTimeWindow(searchParams);
+    if (!timeWindowResult.success) {
+      return NextResponse.json(
+        { error: timeWindowResult.error },
+        { status: 400 }
+      );
+    }
+    const timeWindow = timeWindowResult.data;
+
+    if (mode === 'timeseries') {
+      return await getTimeSeries(request, { hash, timeWindow, includeSelf, searchParams });
+    }
+
+    const client = await getClientFromRequest('query-drilldown');
     const clusterConfig = await detectClusterConfig(client);
 
     const query = buildClusterQuery(
@@ -27,24 +63,30 @@ export async function GET(request) {
       clusterConfig
     )
       .replace('{hash}', hash)
-      .replace('{days}', days)
+      .replaceAll('{start_time}', timeWindow.startTime)
+      .replaceAll('{end_time}', timeWindow.endTime)
       .replace('{sort_column}', sortColumn)
       .replace('{limit}', limit)
-      .replace('{offset}', offset);
+      .replace('{offset}', offset)
+      .replace('{self_filter}', getSelfQueryFilter(includeSelf));
 
-    const result = await client.query({
-      query,
-      format: 'JSONEachRow',
+    const executions = await executeQuery(client, query, {
+      maxRetries: 1,
+      signal: request.signal,
     });
 
-    const executions = await result.json();
-
     return NextResponse.json({
       executions,
       total: executions.length,
       hash,
+      start: timeWindow.start,
+      end: timeWindow.end,
     });
   } catch (error) {
+    if (error.type === ErrorTypes.CANCELLED) {
+      return NextResponse.json(formatErrorResponse(error, false), { status: 499 });
+    }
+
     console.error('Error fetching query drilldown:', error);
     return NextResponse.json(
       { error: error.message || 'Failed to fetch query drilldown' },
@@ -52,3 +94,46 @@ export async function GET(request) {
     );
   }
 }
+
+async function getTimeSeries(request, { hash, timeWindow, includeSelf, searchParams }) {
+  const intervalResult = parseBucketInterval(searchParams, timeWindow);
+  if (!intervalResult.success) {
+    return NextResponse.json(
+      { error: intervalResult.error },
+      { status: 400 }
+    );
+  }
+  const interval = intervalResult.data;
+
+  const client = await getClientFromRequest('query-drilldown');
+  const clusterConfig = await detectClusterConfig(client);
+
+  const query = buildClusterQuery(
+    QUERY_DRILLDOWN_TIMESERIES,
+    'system.query_log',
+    clusterConfig
+  )
+    .replaceAll('{interval}', interval)
+    .replaceAll('{start_time}', timeWindow.startTime)
+    .replaceAll('{end_time}', timeWindow.endTime)
+    .replace('{self_filter}', getSelfQueryFilter(includeSelf));
+
+  const series = await executeQuery(client, query, {
+    maxRetries: 1,
+    params: { hash },
+    signal: request.signal,
+  });
+
+  return NextResponse.json({
+    series: series.map((point) => ({
+      ...point,
+      bucket: Number(point.bucket),
+      executions: Number(point.executions),
+      total_read_bytes: Number(point.total_read_bytes),
+    })),
+    interval,
+    hash,
+    start: timeWindow.start,
+    end: timeWindow.end,
+  });
+}
@@ -0,0 +1,170 @@
+import { NextResponse } from 'next/server';
+import {
+  getClientFromRequest,
+  detectClusterConfig,
+  buildClusterQuery,
+  executeQuerySafe,
+  getSystemCapabilities,
+  getCacheNamespace,
+} from '@/lib/clickhouse';
+import { FAILED_QUERIES, FAILED_QUERIES_TIMELINE } from '@/lib/queries';
+import { getSelfQueryFilter } from '@/lib/queryTagging';
+import { parseTimeWindow, parseBucketInterval } from '@/lib/validation';
+import { formatErrorResponse, createPermissionErrorResponse, getErrorRemediation } from '@/lib/errors';
+import globalCache, { CacheTTL } from '@/lib/cache';
+
+/**
+ * Failed queries grouped by exception code and pattern, with a per-code timeline
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const limit = Math.min(parseInt(searchParams.get('limit')) || 200, 1000);
+    const includeSelf = searchParams.get('include_self') === 'true';
+
+    const timeWindowResult = parseTimeWindow(searchParams);
+    if (!timeWindowResult.success) {
+      return NextResponse.json(
+        { error: timeWindowResult.error },
+        { status: 400 }
+      );
+    }
+    const timeWindow = timeWindowResult.data;
+
+    const intervalResult = parseBucketInterval(searchParams, timeWindow);
+    if (!intervalResult.success) {
+      return NextResponse.json(
+        { error: intervalResult.error },
+        { status: 400 }
+      );
+    }
+    const interval = intervalResult.data;
+
+    const client = await getClientFromRequest('failed-queries');
+
+    // Check system capabilities
+    const capabilities = await getSystemCapabilities(client);
+    if (!capabilities.hasQueryLog) {
+      return NextResponse.json(
+        createPermissionErrorResponse('system.query_log', 'Failed Queries'),
+        { status: 403 }
+      );
+    }
+
+    // Generate cache key (scoped to this connection)
+    const cacheKey = globalCache.generateKey('failed_queries', {
+      startTime: timeWindow.startTime,
+      endTime: timeWindow.endTime,
+      interval,
+      limit,
+      includeSelf,
+    }, getCacheNamespace(client));
+
+    // Check cache
+    const cached = globalCache.get(cacheKey);
+    if (cached) {
+      return NextResponse.json({
+        ...cached,
+        cached: true,
+      });
+    }
+
+    const clusterConfig = await detectClusterConfig(client);
+
+    const buildQuery = (template) => buildClusterQuery(template, 'system.query_log', clusterConfig)
+      .replaceAll('{start_time}', timeWindow.startTime)
+      .replaceAll('{end_time}', timeWindow.endTime)
+      .replaceAll('{interval}', interval)
+      .replace('{limit}', limit)
+      .replace('{self_filter}', getSelfQueryFilter(includeSelf));
+
+    // Execute queries with error handling, cancelled if the request is aborted
+    const [groupsResult, timelineResult] = await Promise.all([
+      executeQuerySafe(client, buildQuery(FAILED_QUERIES), { signal: request.signal }),
+      executeQuerySafe(client, buildQuery(FAILED_QUERIES_TIMELINE), { signal: request.signal }),
+    ]);
+
+    const failed = [groupsResult, timelineResult].find((result) => !result.success);
+    if (failed) {
+      // The browser went away or re-filtered; nobody is waiting for this response
+      if (failed.cancelled) {
+        return NextResponse.json(
+          formatErrorResponse(failed.error, false),
+          { status: 499 }
+        );
+      }
+
+      if (failed.permissionDenied) {
+        return NextResponse.json(
+          createPermissionErrorResponse('system.query_log', 'Failed Queries'),
+          { status: 403 }
+        );
+      }
+
+      if (failed.quotaExceeded) {
+        return NextResponse.json(
+          formatErrorResponse(failed.error, true),
+          { status: 429 }
+        );
+      }
+
+      return NextResponse.json(
+        formatErrorResponse(failed.error, false),
+        { status: 500 }
+      );
+    }
+
+    const groups = groupsResult.data.map((group) => ({
+      ...group,
+      normalized_query_hash: String(group.normalized_query_hash),
+      failure_count: Number(group.failure_count),
+      before_start_count: Number(group.before_start_count),
+      affected_user_count: Number(group.affected_user_count),
+      remediation: getErrorRemediation(group.exception_code),
+    }));
+
+    const timeline = timelineResult.data.map((point) => ({
+      bucket: Number(point.bucket),
+      exception_code: point.exception_code,
+      exception_name: point.exception_name,
+      failures: Number(point.failures),
+    }));
+
+    const responseData = {
+      groups,
+      codes: summarizeCodes(timeline),
+      timeline,
+      interval,
+      start: timeWindow.start,
+      end: timeWindow.end,
+    };
+
+    // Cache the response
+    globalCache.set(cacheKey, responseData, CacheTTL.FAILED_QUERIES);
+
+    return NextResponse.json(responseData);
+  } catch (error) {
+    console.error('Error fetching failed queries:', error);
+    return NextResponse.json(
+      formatErrorResponse(error, false),
+      { status: 500 }
+    );
+  }
+}
+
+// Totals per exception code, most frequent first
+function summarizeCodes(timeline) {
+  const codes = new Map();
+  timeline.forEach((point) => {
+    const code = codes.get(point.exception_code) || {
+      exception_code: point.exception_code,
+      exception_name: point.exception_name,
+      failures: 0,
+      remediation: getErrorRemediation(point.exception_code),
+    };
+    code.failures += point.failures;
+    codes.set(point.exception_code, code);
+  });
+
+  return [...codes.values()].sort((a, b) => b.failures - a.failures);
+}
@@ -0,0 +1,156 @@
+import { NextResponse } from 'next/server';
+import {
+  getClientFromRequest,
+  detectClusterConfig,
+  buildClusterQuery,
+  executeQuerySafe,
+  getCacheNamespace,
+} from '@/lib/clickhouse';
+import { QUERY_TRACE_STACKS } from '@/lib/queries';
+import { TRACE_TYPES, MAX_STACKS, foldStacks, topFrames } from '@/lib/flamegraph';
+import { parseTimeWindow } from '@/lib/validation';
+import {
+  formatErrorResponse,
+  createPermissionErrorResponse,
+  isIntrospectionError,
+} from '@/lib/errors';
+import globalCache, { CacheTTL } from '@/lib/cache';
+
+/**
+ * Folded system.trace_log stacks of one query for a flamegraph
+ * `trace_type` is CPU (default), Real or Memory
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const queryId = searchParams.get('query_id');
+    const traceType = searchParams.get('trace_type') || 'CPU';
+
+    if (!queryId || queryId.length > 256) {
+      return NextResponse.json(
+        { error: 'query_id parameter is required' },
+        { status: 400 }
+      );
+    }
+
+    if (!TRACE_TYPES[traceType]) {
+      return NextResponse.json(
+        { error: `trace_type: Must be one of ${Object.keys(TRACE_TYPES).join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const timeWindowResult = parseTimeWindow(searchParams);
+    if (!timeWindowResult.success) {
+      return NextResponse.json(
+        { error: timeWindowResult.error },
+        { status: 400 }
+      );
+    }
+    const timeWindow = timeWindowResult.data;
+
+    const client = await getClientFromRequest('flamegraph');
+
+    // Generate cache key (scoped to this connection)
+    const cacheKey = globalCache.generateKey('flamegraph', {
+      queryId,
+      traceType,
+      startTime: timeWindow.startTime,
+      endTime: timeWindow.endTime,
+    }, getCacheNamespace(client));
+
+    // Check cache
+    const cached = globalCache.get(cacheKey);
+    if (cached) {
+      return NextResponse.json({
+        ...cached,
+        cached: true,
+      });
+    }
+
+    const clusterConfig = await detectClusterConfig(client);
+    const query = buildClusterQuery(QUERY_TRACE_STACKS, 'system.trace_log', clusterConfig)
+      .replaceAll('{start_time}', timeWindow.startTime)
+      .replaceAll('{end_time}', timeWindow.endTime)
+      .replace('{limit}', MAX_STACKS);
+
+    const result = await executeQuerySafe(client, query, {
+      signal: request.signal,
+      maxRetries: 1,
+      params: { query_id: queryId, trace_type: traceType },
+      settings: { allow_introspection_functions: 1 },
+    });
+
+    if (!result.success) {
+      // The browser went away; nobody is waiting for this response
+      if (result.cancelled) {
+        return NextResponse.json(
+          formatErrorResponse(result.error, false),
+          { status: 499 }
+        );
+      }
+
+      // Checked before permissionDenied: a missing INTROSPECTION grant is reported as access denied
+      if (isIntrospectionError(result.error)) {
+        return NextResponse.json(
+          {
+            ...createPermissionErrorResponse('system.trace_log', 'Flamegraph'),
+            error: 'Introspection functions are not allowed for this user',
+            introspection: true,
+          },
+          { status: 403 }
+        );
+      }
+
+      if (result.permissionDenied) {
+        return NextResponse.json(
+          createPermissionErrorResponse('system.trace_log', 'Flamegraph'),
+          { status: 403 }
+        );
+      }
+
+      if (result.quotaExceeded) {
+        return NextResponse.json(
+          formatErrorResponse(result.error, true),
+          { status: 429 }
+        );
+      }
+
+      if (/trace_log.*(doesn't|does not) exist|UNKNOWN_TABLE/i.test(result.error.message)) {
+        return NextResponse.json(
+          { error: 'system.trace_log is not enabled on this server' },
+          { status: 404 }
+        );
+      }
+
+      return NextResponse.json(
+        formatErrorResponse(result.error, false),
+        { status: 500 }
+      );
+    }
+
+    const { weight, unit } = TRACE_TYPES[traceType];
+    const tree = foldStacks(result.data, weight);
+
+    const responseData = {
+      query_id: queryId,
+      trace_type: traceType,
+      unit,
+      tree,
+      topFrames: topFrames(tree),
+      stacks: result.data.length,
+      truncated: result.data.length >= MAX_STACKS,
+    };
+
+    // Cache the response
+    globalCache.set(cacheKey, responseData, CacheTTL.FLAMEGRAPH);
+
+    return NextResponse.json(responseData);
+  } catch (error) {
+    console.error('Error fetching flamegraph:', error);
+    return NextResponse.json(
+      formatErrorResponse(error, false),
+      { status: 500 }
+    );
+  }
+}
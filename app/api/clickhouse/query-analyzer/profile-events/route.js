@@ -0,0 +1,163 @@
+import { NextResponse } from 'next/server';
+import {
+  getClientFromRequest,
+  detectClusterConfig,
+  buildClusterQuery,
+  executeQuerySafe,
+  getCacheNamespace,
+} from '@/lib/clickhouse';
+import { QUERY_PROFILE_EVENTS, PROFILE_EVENT_DESCRIPTIONS } from '@/lib/queries';
+import { groupProfileEvents, diffProfileEvents } from '@/lib/profileEvents';
+import { parseTimeWindow } from '@/lib/validation';
+import { formatErrorResponse, createPermissionErrorResponse } from '@/lib/errors';
+import globalCache, { CacheTTL } from '@/lib/cache';
+
+/**
+ * All ProfileEvents of one execution grouped by category, or with `compare_to`
+ * the events that differ most between `compare_to` (the reference) and `query_id`
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const queryId = searchParams.get('query_id');
+    const compareTo = searchParams.get('compare_to');
+
+    if (!queryId || queryId.length > 256 || compareTo?.length > 256) {
+      return NextResponse.json(
+        { error: 'query_id parameter is required' },
+        { status: 400 }
+      );
+    }
+
+    const timeWindowResult = parseTimeWindow(searchParams);
+    if (!timeWindowResult.success) {
+      return NextResponse.json(
+        { error: timeWindowResult.error },
+        { status: 400 }
+      );
+    }
+    const timeWindow = timeWindowResult.data;
+
+    const client = await getClientFromRequest('profile-events');
+
+    // Generate cache key (scoped to this connection)
+    const cacheKey = globalCache.generateKey('profile_events', {
+      queryId,
+      compareTo,
+      startTime: timeWindow.startTime,
+      endTime: timeWindow.endTime,
+    }, getCacheNamespace(client));
+
+    // Check cache
+    const cached = globalCache.get(cacheKey);
+    if (cached) {
+      return NextResponse.json({
+        ...cached,
+        cached: true,
+      });
+    }
+
+    const clusterConfig = await detectClusterConfig(client);
+    const query = buildClusterQuery(QUERY_PROFILE_EVENTS, 'system.query_log', clusterConfig)
+      .replaceAll('{start_time}', timeWindow.startTime)
+      .replaceAll('{end_time}', timeWindow.endTime);
+
+    const queryIds = compareTo ? [compareTo, queryId] : [queryId];
+    const [executionsResult, descriptions] = await Promise.all([
+      executeQuerySafe(client, query, {
+        signal: request.signal,
+        maxRetries: 1,
+        params: { query_ids: queryIds },
+      }),
+      getEventDescriptions(client),
+    ]);
+
+    if (!executionsResult.success) {
+      // The browser went away; nobody is waiting for this response
+      if (executionsResult.cancelled) {
+        return NextResponse.json(
+          formatErrorResponse(executionsResult.error, false),
+          { status: 499 }
+        );
+      }
+
+      if (executionsResult.permissionDenied) {
+        return NextResponse.json(
+          createPermissionErrorResponse('system.query_log', 'ProfileEvents'),
+          { status: 403 }
+        );
+      }
+
+      if (executionsResult.quotaExceeded) {
+        return NextResponse.json(
+          formatErrorResponse(executionsResult.error, true),
+          { status: 429 }
+        );
+      }
+
+      return NextResponse.json(
+        formatErrorResponse(executionsResult.error, false),
+        { status: 500 }
+      );
+    }
+
+    const executions = new Map(executionsResult.data.map((row) => [row.query_id, {
+      query_id: row.query_id,
+      event_time: row.event_time,
+      query_duration_ms: Number(row.query_duration_ms),
+      profileEvents: row.ProfileEvents || {},
+    }]));
+
+    const missing = queryIds.find((id) => !executions.has(id));
+    if (missing) {
+      return NextResponse.json(
+        { error: `No finished execution ${missing} in the selected time range` },
+        { status: 404 }
+      );
+    }
+
+    const { profileEvents, ...execution } = executions.get(queryId);
+    let responseData;
+    if (compareTo) {
+      const { profileEvents: baseEvents, ...base } = executions.get(compareTo);
+      responseData = {
+        base,
+        execution,
+        diff: diffProfileEvents(baseEvents, profileEvents, descriptions),
+      };
+    } else {
+      responseData = {
+        execution,
+        groups: groupProfileEvents(profileEvents, descriptions),
+      };
+    }
+
+    // Cache the response
+    globalCache.set(cacheKey, responseData, CacheTTL.PROFILE_EVENTS);
+
+    return NextResponse.json(responseData);
+  } catch (error) {
+    console.error('Error fetching ProfileEvents:', error);
+    return NextResponse.json(
+      formatErrorResponse(error, false),
+      { status: 500 }
+    );
+  }
+}
+
+// Descriptions change only with the server version; without them events are still listed
+async function getEventDescriptions(client) {
+  const cacheKey = globalCache.generateKey('profile_event_descriptions', {}, getCacheNamespace(client));
+  const cached = globalCache.get(cacheKey);
+  if (cached) return cached;
+
+  const result = await executeQuerySafe(client, PROFILE_EVENT_DESCRIPTIONS, {
+    maxRetries: 1,
+    settings: { system_events_show_zero_values: 1 },
+  });
+  if (!result.success) return {};
+
+  const descriptions = Object.fromEntries(result.data.map((row) => [row.name, row.description]));
+  globalCache.set(cacheKey, descriptions, CacheTTL.PROFILE_EVENT_DESCRIPTIONS);
+  return descriptions;
+}
@@ -5,19 +5,65 @@ import {
   buildClusterQuery,
   executeQuerySafe,
   getSystemCapabilities,
+  getCacheNamespace,
 } from '@/lib/clickhouse';
-import { SLOW_QUERIES } from '@/lib/queries';
+import { SLOW_QUERIES, SLOW_QUERIES_BY_BASELINE } from '@/lib/queries';
+import { getSelfQueryFilter } from '@/lib/queryTagging';
+import { parseTimeWindow, parseSlowQueryBaseline } from '@/lib/validation';
+import { parseQueryLogFilters, buildQueryLogFilters } from '@/lib/queryLogFilters';
 import { formatErrorResponse, createPermissionErrorResponse } from '@/lib/errors';
 import globalCache, { CacheTTL } from '@/lib/cache';
 
+// `threshold` flags executions above a fixed duration, `baseline` flags executions
+// much slower than their own pattern usually is
+const SLOW_QUERY_MODES = ['threshold', 'baseline'];
+
 export async function GET(request) {
   try {
     const { searchParams } = new URL(request.url);
-    const days = parseInt(searchParams.get('days')) || 7;
     const thresholdMs = parseInt(searchParams.get('threshold_ms')) || 1000;
     const limit = Math.min(parseInt(searchParams.get('limit')) || 100, 500);
+    const includeSelf = searchParams.get('include_self') === 'true';
+    const mode = searchParams.get('mode') || 'threshold';
 
-    const client = await getClientFromRequest();
+    if (!SLOW_QUERY_MODES.includes(mode)) {
+      return NextResponse.json(
+        { error: `mode: Must be one of ${SLOW_QUERY_MODES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const timeWindowResult = parseTimeWindow(searchParams);
+    if (!timeWindowResult.success) {
+      return NextResponse.json(
+        { error: timeWindowResult.error },
+        { status: 400 }
+      );
+    }
+    const timeWindow = timeWindowResult.data;
+
+    const filtersResult = parseQueryLogFilters(searchParams);
+    if (!filtersResult.success) {
+      return NextResponse.json(
+        { error: filtersResult.error },
+        { status: 400 }
+      );
+    }
+    const filters = filtersResult.data;
+
+    let baseline = null;
+    if (mode === 'baseline') {
+      const baselineResult = parseSlowQueryBaseline(searchParams, timeWindow);
+      if (!baselineResult.success) {
+        return NextResponse.json(
+          { error: baselineResult.error },
+          { status: 400 }
+        );
+      }
+      baseline = baselineResult.data;
+    }
+
+    const client = await getClientFromRequest('slow-queries');
 
     // Check system capabilities
     const capabilities = await getSystemCapabilities(client);
@@ -28,12 +74,17 @@ export async function GET(request) {
       );
     }
 
-    // Generate cache key
+    // Generate cache key (scoped to this connection)
     const cacheKey = globalCache.generateKey('slow_queries', {
-      days,
+      startTime: timeWindow.startTime,
+      endTime: timeWindow.endTime,
+      mode,
       thresholdMs,
       limit,
-    });
+      includeSelf,
+      filters: JSON.stringify(filters),
+      baseline: JSON.stringify(baseline),
+    }, getCacheNamespace(client));
 
     // Check cache
     const cached = globalCache.get(cacheKey);
@@ -46,19 +97,52 @@ export async function GET(request) {
 
     const clusterConfig = await detectClusterConfig(client);
 
-    const query = buildClusterQuery(
-      SLOW_QUERIES,
-      'system.query_log',
-      clusterConfig
-    )
-      .replace('{days}', days)
-      .replace('{threshold_ms}', thresholdMs)
-      .replace('{limit}', limit);
+    const queryFilters = buildQueryLogFilters(filters);
+    let query;
+    if (baseline) {
+      // Candidates and their baselines both read query_log
+      const queryLog = buildClusterQuery('{table}', 'system.query_log', clusterConfig);
+      query = SLOW_QUERIES_BY_BASELINE
+        .replaceAll('{table}', queryLog)
+        .replace('{query_filters}', queryFilters.clause)
+        .replaceAll('{start_time}', timeWindow.startTime)
+        .replaceAll('{end_time}', timeWindow.endTime)
+        .replaceAll('{baseline_start_time}', baseline.window.startTime)
+        .replace('{min_duration_ms}', baseline.minDurationMs)
+        .replace('{min_executions}', baseline.minExecutions)
+        .replace('{baseline_column}', `baseline_${baseline.quantile}_ms`)
+        .replace('{factor}', baseline.factor)
+        .replace('{limit}', limit)
+        .replaceAll('{self_filter}', getSelfQueryFilter(includeSelf));
+    } else {
+      query = buildClusterQuery(
+        SLOW_QUERIES,
+        'system.query_log',
+        clusterConfig
+      )
+        .replace('{query_filters}', queryFilters.clause)
+        .replaceAll('{start_time}', timeWindow.startTime)
+        .replaceAll('{end_time}', timeWindow.endTime)
+        .replace('{threshold_ms}', thresholdMs)
+        .replace('{limit}', limit)
+        .replace('{self_filter}', getSelfQueryFilter(includeSelf));
+    }
 
-    // Execute query with error handling
-    const result = await executeQuerySafe(client, query);
+    // Execute query with error handling, cancelled if the request is aborted
+    const result = await executeQuerySafe(client, query, {
+      params: queryFilters.params,
+      signal: request.signal,
+    });
 
     if (!result.success) {
+      // The browser went away or re-filtered; nobody is waiting for this response
+      if (result.cancelled) {
+        return NextResponse.json(
+          formatErrorResponse(result.error, false),
+          { status: 499 }
+        );
+      }
+
       if (result.permissionDenied) {
         return NextResponse.json(
           createPermissionErrorResponse('system.query_log', 'Slow Queries'),
@@ -82,7 +166,20 @@ export async function GET(request) {
     const responseData = {
       queries: result.data,
       total: result.data.length,
+      mode,
       thresholdMs,
+      baseline: baseline && {
+        quantile: baseline.quantile,
+        factor: baseline.factor,
+        minDurationMs: baseline.minDurationMs,
+        minExecutions: baseline.minExecutions,
+        start: baseline.window.start,
+        end: baseline.window.end,
+        days: baseline.window.days,
+      },
+      filters,
+      start: timeWindow.start,
+      end: timeWindow.end,
     };
 
     // Cache the response
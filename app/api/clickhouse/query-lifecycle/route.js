@@ -0,0 +1,197 @@
+import { NextResponse } from 'next/server';
+import {
+  getClientFromRequest,
+  detectClusterConfig,
+  buildClusterQuery,
+  executeQuerySafe,
+  getSystemCapabilities,
+  getCacheNamespace,
+} from '@/lib/clickhouse';
+import {
+  QUERY_LIFECYCLE_LOG,
+  QUERY_LIFECYCLE_THREADS,
+  QUERY_LIFECYCLE_VIEWS,
+  QUERY_LIFECYCLE_PARTS,
+  QUERY_LIFECYCLE_TRACES,
+  QUERY_LIFECYCLE_SPANS,
+} from '@/lib/queries';
+import {
+  buildQueryLifecycle,
+  summarizeThreads,
+  normalizeViews,
+  normalizeParts,
+  buildSpanTimeline,
+} from '@/lib/queryLifecycle';
+import { parseTimeWindow } from '@/lib/validation';
+import { formatErrorResponse, createPermissionErrorResponse } from '@/lib/errors';
+import globalCache, { CacheTTL } from '@/lib/cache';
+
+/**
+ * Everything the system log tables recorded about one query_id
+ * Optional logs that are disabled or not readable are reported per section
+ * instead of failing the request
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const queryId = searchParams.get('query_id')?.trim();
+
+    if (!queryId || queryId.length > 256) {
+      return NextResponse.json(
+        { error: 'query_id parameter is required' },
+        { status: 400 }
+      );
+    }
+
+    const timeWindowResult = parseTimeWindow(searchParams);
+    if (!timeWindowResult.success) {
+      return NextResponse.json(
+        { error: timeWindowResult.error },
+        { status: 400 }
+      );
+    }
+    const timeWindow = timeWindowResult.data;
+
+    const client = await getClientFromRequest('query-lifecycle');
+
+    // Check system capabilities
+    const capabilities = await getSystemCapabilities(client);
+    if (!capabilities.hasQueryLog) {
+      return NextResponse.json(
+        createPermissionErrorResponse('system.query_log', 'Query Lifecycle'),
+        { status: 403 }
+      );
+    }
+
+    // Generate cache key (scoped to this connection)
+    const cacheKey = globalCache.generateKey('query_lifecycle', {
+      queryId,
+      startTime: timeWindow.startTime,
+      endTime: timeWindow.endTime,
+    }, getCacheNamespace(client));
+
+    // Check cache
+    const cached = globalCache.get(cacheKey);
+    if (cached) {
+      return NextResponse.json({
+        ...cached,
+        cached: true,
+      });
+    }
+
+    const clusterConfig = await detectClusterConfig(client);
+    const buildQuery = (template, table) => buildClusterQuery(template, table, clusterConfig)
+      .replaceAll('{start_time}', timeWindow.startTime)
+      .replaceAll('{end_time}', timeWindow.endTime);
+
+    const options = { signal: request.signal, maxRetries: 1 };
+    const logResult = await executeQuerySafe(
+      client,
+      buildQuery(QUERY_LIFECYCLE_LOG, 'system.query_log'),
+      { ...options, params: { query_id: queryId } }
+    );
+
+    if (!logResult.success) {
+      // The browser went away; nobody is waiting for this response
+      if (logResult.cancelled) {
+        return NextResponse.json(
+          formatErrorResponse(logResult.error, false),
+          { status: 499 }
+        );
+      }
+
+      if (logResult.permissionDenied) {
+        return NextResponse.json(
+          createPermissionErrorResponse('system.query_log', 'Query Lifecycle'),
+          { status: 403 }
+        );
+      }
+
+      if (logResult.quotaExceeded) {
+        return NextResponse.json(
+          formatErrorResponse(logResult.error, true),
+          { status: 429 }
+        );
+      }
+
+      return NextResponse.json(
+        formatErrorResponse(logResult.error, false),
+        { status: 500 }
+      );
+    }
+
+    const lifecycle = buildQueryLifecycle(logResult.data, queryId);
+    if (!lifecycle) {
+      return NextResponse.json(
+        { error: 'No system.query_log entries for this query_id in the selected time range' },
+        { status: 404 }
+      );
+    }
+
+    const params = { query_ids: lifecycle.queryIds };
+    const optional = (capability, template, table, extraParams = params) => (
+      capabilities[capability]
+        ? executeQuerySafe(client, buildQuery(template, table), { ...options, params: extraParams })
+        : Promise.resolve({ success: false, unavailable: true })
+    );
+
+    const [threadsResult, viewsResult, partsResult, tracesResult] = await Promise.all([
+      optional('hasQueryThreadLog', QUERY_LIFECYCLE_THREADS, 'system.query_thread_log'),
+      optional('hasQueryViewsLog', QUERY_LIFECYCLE_VIEWS, 'system.query_views_log'),
+      optional('hasPartLog', QUERY_LIFECYCLE_PARTS, 'system.part_log'),
+      optional('hasSpanLog', QUERY_LIFECYCLE_TRACES, 'system.opentelemetry_span_log'),
+    ]);
+
+    const traceIds = tracesResult.success ? tracesResult.data.map((row) => row.trace_id) : [];
+    const spansResult = traceIds.length > 0
+      ? await optional('hasSpanLog', QUERY_LIFECYCLE_SPANS, 'system.opentelemetry_span_log', { trace_ids: traceIds })
+      : tracesResult;
+
+    const cancelled = [threadsResult, viewsResult, partsResult, spansResult].find((result) => result.cancelled);
+    if (cancelled) {
+      return NextResponse.json(
+        formatErrorResponse(cancelled.error, false),
+        { status: 499 }
+      );
+    }
+
+    const responseData = {
+      query_id: queryId,
+      ...lifecycle,
+      threads: toSection(threadsResult, summarizeThreads),
+      views: toSection(viewsResult, normalizeViews),
+      parts: toSection(partsResult, normalizeParts),
+      spans: toSection(spansResult, buildSpanTimeline),
+      start: timeWindow.start,
+      end: timeWindow.end,
+    };
+
+    // Cache the response
+    globalCache.set(cacheKey, responseData, CacheTTL.QUERY_LIFECYCLE);
+
+    return NextResponse.json(responseData);
+  } catch (error) {
+    console.error('Error fetching query lifecycle:', error);
+    return NextResponse.json(
+      formatErrorResponse(error, false),
+      { status: 500 }
+    );
+  }
+}
+
+// { available, data } for an optional log table, or why it could not be read
+function toSection(result, transform) {
+  if (result.unavailable) {
+    return { available: false, data: null, error: null };
+  }
+
+  if (!result.success) {
+    return {
+      available: true,
+      data: null,
+      error: formatErrorResponse(result.error, false).error,
+    };
+  }
+
+  return { available: true, data: transform(result.data), error: null };
+}
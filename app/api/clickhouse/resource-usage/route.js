@@ -0,0 +1,148 @@
+import { NextResponse } from 'next/server';
+import {
+  getClientFromRequest,
+  detectClusterConfig,
+  buildClusterQuery,
+  executeQuerySafe,
+  getSystemCapabilities,
+  getCacheNamespace,
+} from '@/lib/clickhouse';
+import { RESOURCE_USAGE, RESOURCE_USAGE_TOTALS, USER_ROLE_GRANTS } from '@/lib/queries';
+import { getSelfQueryFilter } from '@/lib/queryTagging';
+import { parseTimeWindow } from '@/lib/validation';
+import { RESOURCE_DIMENSIONS, rollUpByRole, withShares } from '@/lib/resourceUsage';
+import { formatErrorResponse, createPermissionErrorResponse } from '@/lib/errors';
+import globalCache, { CacheTTL } from '@/lib/cache';
+
+// Every user is needed to roll usage up by role
+const ROLE_USER_LIMIT = 10000;
+
+/**
+ * CPU, I/O, memory and query time per user, role, client_name or http_user_agent
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const dimension = searchParams.get('dimension') || 'user';
+    const limit = Math.min(parseInt(searchParams.get('limit')) || 50, 1000);
+    const includeSelf = searchParams.get('include_self') === 'true';
+
+    if (!Object.hasOwn(RESOURCE_DIMENSIONS, dimension)) {
+      return NextResponse.json(
+        { error: `dimension: Must be one of ${Object.keys(RESOURCE_DIMENSIONS).join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const timeWindowResult = parseTimeWindow(searchParams);
+    if (!timeWindowResult.success) {
+      return NextResponse.json(
+        { error: timeWindowResult.error },
+        { status: 400 }
+      );
+    }
+    const timeWindow = timeWindowResult.data;
+
+    const client = await getClientFromRequest('resource-usage');
+
+    // Check system capabilities
+    const capabilities = await getSystemCapabilities(client);
+    if (!capabilities.hasQueryLog) {
+      return NextResponse.json(
+        createPermissionErrorResponse('system.query_log', 'Resource Usage'),
+        { status: 403 }
+      );
+    }
+
+    // Generate cache key (scoped to this connection)
+    const cacheKey = globalCache.generateKey('resource_usage', {
+      dimension,
+      startTime: timeWindow.startTime,
+      endTime: timeWindow.endTime,
+      limit,
+      includeSelf,
+    }, getCacheNamespace(client));
+
+    // Check cache
+    const cached = globalCache.get(cacheKey);
+    if (cached) {
+      return NextResponse.json({
+        ...cached,
+        cached: true,
+      });
+    }
+
+    const clusterConfig = await detectClusterConfig(client);
+    const isRole = dimension === 'role';
+
+    const buildQuery = (template) => buildClusterQuery(template, 'system.query_log', clusterConfig)
+      .replace('{dimension}', RESOURCE_DIMENSIONS[dimension])
+      .replaceAll('{start_time}', timeWindow.startTime)
+      .replaceAll('{end_time}', timeWindow.endTime)
+      .replace('{limit}', isRole ? ROLE_USER_LIMIT : limit)
+      .replace('{self_filter}', getSelfQueryFilter(includeSelf));
+
+    // Execute queries with error handling, cancelled if the request is aborted
+    const results = await Promise.all([
+      executeQuerySafe(client, buildQuery(RESOURCE_USAGE), { signal: request.signal }),
+      executeQuerySafe(client, buildQuery(RESOURCE_USAGE_TOTALS), { signal: request.signal }),
+      isRole
+        ? executeQuerySafe(client, USER_ROLE_GRANTS, { signal: request.signal })
+        : { success: true, data: [] },
+    ]);
+    const [usageResult, totalsResult, grantsResult] = results;
+
+    const failed = results.find((result) => !result.success);
+    if (failed) {
+      // The browser went away or re-filtered; nobody is waiting for this response
+      if (failed.cancelled) {
+        return NextResponse.json(
+          formatErrorResponse(failed.error, false),
+          { status: 499 }
+        );
+      }
+
+      if (failed.permissionDenied) {
+        const deniedTable = failed === grantsResult ? 'system.role_grants' : 'system.query_log';
+        return NextResponse.json(
+          createPermissionErrorResponse(deniedTable, 'Resource Usage'),
+          { status: 403 }
+        );
+      }
+
+      if (failed.quotaExceeded) {
+        return NextResponse.json(
+          formatErrorResponse(failed.error, true),
+          { status: 429 }
+        );
+      }
+
+      return NextResponse.json(
+        formatErrorResponse(failed.error, false),
+        { status: 500 }
+      );
+    }
+
+    const ranked = isRole ? rollUpByRole(usageResult.data, grantsResult.data) : usageResult.data;
+    const { rows, totals } = withShares(ranked, totalsResult.data[0]);
+
+    const responseData = {
+      dimension,
+      rows,
+      totals,
+      start: timeWindow.start,
+      end: timeWindow.end,
+    };
+
+    // Cache the response
+    globalCache.set(cacheKey, responseData, CacheTTL.RESOURCE_USAGE);
+
+    return NextResponse.json(responseData);
+  } catch (error) {
+    console.error('Error fetching resource usage:', error);
+    return NextResponse.json(
+      formatErrorResponse(error, false),
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,169 @@
+import { NextResponse } from 'next/server';
+import {
+  getClientFromRequest,
+  getConfigFromCookies,
+  getSessionIdFromCookies,
+  detectClusterConfig,
+  buildClusterQuery,
+  executeQuerySafe,
+} from '@/lib/clickhouse';
+import { getConnectionFingerprint } from '@/lib/clientRegistry';
+import { isReadOnlyMode } from '@/lib/queryGuard';
+import { hashSessionId } from '@/lib/queryTagging';
+import { RUNNING_QUERY_BY_ID } from '@/lib/queries';
+import { buildKillQuery } from '@/lib/runningQueries';
+import { recordAuditEvent, readAuditLog } from '@/lib/auditLog';
+import { formatErrorResponse, createPermissionErrorResponse, ErrorTypes } from '@/lib/errors';
+
+const KILL_ACTION = 'kill_query';
+
+// Audit entries keep only the start of the statement
+const AUDIT_QUERY_LENGTH = 1000;
+
+function readOnlyResponse() {
+  return NextResponse.json(
+    {
+      error: 'KILL QUERY is disabled because CheckMyHouse runs in read-only mode',
+      type: ErrorTypes.READ_ONLY,
+      readOnly: true,
+    },
+    { status: 403 }
+  );
+}
+
+/**
+ * Kills recorded in the audit log for the current connection, newest first
+ */
+export async function GET() {
+  try {
+    const config = await getConfigFromCookies();
+    if (!config) {
+      return NextResponse.json(
+        { error: 'Session expired or revoked. Please connect again.' },
+        { status: 401 }
+      );
+    }
+
+    const connection = getConnectionFingerprint(config);
+    const entries = await readAuditLog({ limit: 500 });
+
+    return NextResponse.json({
+      kills: entries
+        .filter((entry) => entry.action === KILL_ACTION && entry.connection === connection)
+        .slice(0, 20),
+    });
+  } catch (error) {
+    console.error('Error reading audit log:', error);
+    return NextResponse.json(
+      formatErrorResponse(error, false),
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * KILL QUERY for a running query_id, recorded in the audit log
+ * Refused in read-only mode; the read-only client would block it anyway
+ */
+export async function POST(request) {
+  try {
+    if (isReadOnlyMode()) {
+      return readOnlyResponse();
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const queryId = typeof body.query_id === 'string' ? body.query_id.trim() : '';
+
+    if (!queryId || queryId.length > 256) {
+      return NextResponse.json(
+        { error: 'query_id is required' },
+        { status: 400 }
+      );
+    }
+
+    const client = await getClientFromRequest('running-queries');
+    const [config, sessionId, clusterConfig] = await Promise.all([
+      getConfigFromCookies(),
+      getSessionIdFromCookies(),
+      detectClusterConfig(client),
+    ]);
+
+    // Look the query up first, so the audit entry says what was killed
+    const lookup = await executeQuerySafe(
+      client,
+      buildClusterQuery(RUNNING_QUERY_BY_ID, 'system.processes', clusterConfig),
+      { maxRetries: 1, params: { query_id: queryId } }
+    );
+
+    if (!lookup.success) {
+      if (lookup.permissionDenied) {
+        return NextResponse.json(
+          createPermissionErrorResponse('system.processes', 'Running Queries'),
+          { status: 403 }
+        );
+      }
+
+      return NextResponse.json(
+        formatErrorResponse(lookup.error, false),
+        { status: 500 }
+      );
+    }
+
+    const target = lookup.data[0];
+    if (!target) {
+      return NextResponse.json(
+        { error: `Query ${queryId} is no longer running` },
+        { status: 404 }
+      );
+    }
+
+    // Not tied to request.signal: once confirmed, the kill should go through
+    const result = await executeQuerySafe(client, buildKillQuery(clusterConfig), {
+      maxRetries: 1,
+      params: { query_id: queryId },
+    });
+
+    const entry = await recordAuditEvent({
+      action: KILL_ACTION,
+      outcome: result.success ? 'issued' : 'failed',
+      error: result.success ? null : result.error.message,
+      connection: getConnectionFingerprint(config || {}),
+      clickhouseUser: config?.username || 'default',
+      session: hashSessionId(sessionId),
+      queryId,
+      hostname: target.hostname,
+      queryUser: target.user,
+      elapsedSeconds: Number(target.elapsed),
+      query: String(target.query || '').substring(0, AUDIT_QUERY_LENGTH),
+    });
+
+    if (!result.success) {
+      if (result.permissionDenied) {
+        return NextResponse.json(
+          {
+            ...formatErrorResponse(result.error, false),
+            error: `Not allowed to kill query ${queryId}; the KILL QUERY grant is required`,
+          },
+          { status: 403 }
+        );
+      }
+
+      if (result.error.type === ErrorTypes.READ_ONLY) {
+        return readOnlyResponse();
+      }
+
+      return NextResponse.json(
+        formatErrorResponse(result.error, false),
+        { status: 500 }
+      );
+    }
+
+    return NextResponse.json({ killed: true, entry });
+  } catch (error) {
+    console.error('Error killing query:', error);
+    return NextResponse.json(
+      formatErrorResponse(error, false),
+      { status: 500 }
+    );
+  }
+}
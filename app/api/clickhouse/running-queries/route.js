@@ -0,0 +1,108 @@
+import { NextResponse } from 'next/server';
+import {
+  getClientFromRequest,
+  detectClusterConfig,
+  buildClusterQuery,
+  executeQuerySafe,
+  getSystemCapabilities,
+  getReadOnlyStatus,
+} from '@/lib/clickhouse';
+import { RUNNING_QUERIES } from '@/lib/queries';
+import { getSelfQueryFilter } from '@/lib/queryTagging';
+import {
+  parseRunningQueryFilters,
+  buildRunningQueryFilters,
+  normalizeRunningQuery,
+} from '@/lib/runningQueries';
+import { formatErrorResponse, createPermissionErrorResponse } from '@/lib/errors';
+
+/**
+ * Queries currently running on every replica, from system.processes
+ * Not cached: the page polls this and expects what is running right now
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const includeSelf = searchParams.get('include_self') === 'true';
+
+    const filtersResult = parseRunningQueryFilters(searchParams);
+    if (!filtersResult.success) {
+      return NextResponse.json(
+        { error: filtersResult.error },
+        { status: 400 }
+      );
+    }
+    const { sort_column: sortColumn, limit, ...filters } = filtersResult.data;
+
+    const client = await getClientFromRequest('running-queries');
+
+    // Check system capabilities
+    const capabilities = await getSystemCapabilities(client);
+    if (!capabilities.hasProcesses) {
+      return NextResponse.json(
+        createPermissionErrorResponse('system.processes', 'Running Queries'),
+        { status: 403 }
+      );
+    }
+
+    const clusterConfig = await detectClusterConfig(client);
+
+    const runningFilters = buildRunningQueryFilters(filters);
+    const query = buildClusterQuery(RUNNING_QUERIES, 'system.processes', clusterConfig)
+      .replace('{running_filters}', runningFilters.clause)
+      .replace('{self_filter}', getSelfQueryFilter(includeSelf))
+      .replace('{sort_column}', sortColumn)
+      .replace('{limit}', limit);
+
+    const result = await executeQuerySafe(client, query, {
+      params: runningFilters.params,
+      signal: request.signal,
+      maxRetries: 1,
+    });
+
+    if (!result.success) {
+      // The browser went away or re-filtered; nobody is waiting for this response
+      if (result.cancelled) {
+        return NextResponse.json(
+          formatErrorResponse(result.error, false),
+          { status: 499 }
+        );
+      }
+
+      if (result.permissionDenied) {
+        return NextResponse.json(
+          createPermissionErrorResponse('system.processes', 'Running Queries'),
+          { status: 403 }
+        );
+      }
+
+      if (result.quotaExceeded) {
+        return NextResponse.json(
+          formatErrorResponse(result.error, true),
+          { status: 429 }
+        );
+      }
+
+      return NextResponse.json(
+        formatErrorResponse(result.error, false),
+        { status: 500 }
+      );
+    }
+
+    return NextResponse.json({
+      queries: result.data.map(normalizeRunningQuery),
+      total: result.data.length,
+      sortColumn,
+      filters,
+      clustered: Boolean(clusterConfig.isClustered && clusterConfig.defaultCluster),
+      readOnly: getReadOnlyStatus(),
+      fetchedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error fetching running queries:', error);
+    return NextResponse.json(
+      formatErrorResponse(error, false),
+      { status: 500 }
+    );
+  }
+}
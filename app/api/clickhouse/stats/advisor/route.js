@@ -0,0 +1,152 @@
+import { NextResponse } from 'next/server';
+import {
+  getClientFromRequest,
+  detectClusterConfig,
+  executeQuerySafe,
+  checkColumnExists,
+  getCacheNamespace,
+} from '@/lib/clickhouse';
+import { COLUMN_ADVISOR_TABLE, GET_TABLE_COLUMNS, GET_TABLE_COLUMNS_WITH_CODEC } from '@/lib/queries';
+import { validateTableIdentifier } from '@/lib/validation';
+import { getColumnStorage } from '@/lib/columnStorage';
+import {
+  DEFAULT_SAMPLE_ROWS,
+  MAX_SAMPLE_ROWS,
+  getProfiledColumns,
+  buildColumnProfileQuery,
+  readColumnProfiles,
+  adviseColumns,
+} from '@/lib/columnAdvisor';
+import { formatErrorResponse, createPermissionErrorResponse } from '@/lib/errors';
+import globalCache, { CacheTTL } from '@/lib/cache';
+
+// The sample query reads table data, so keep it short
+const SAMPLE_QUERY_SETTINGS = { max_execution_time: 60 };
+
+function queryErrorResponse(result, table) {
+  if (result.cancelled) {
+    return NextResponse.json(formatErrorResponse(result.error, false), { status: 499 });
+  }
+  if (result.permissionDenied) {
+    return NextResponse.json(createPermissionErrorResponse(table, 'Column Advisor'), { status: 403 });
+  }
+  if (result.quotaExceeded) {
+    return NextResponse.json(formatErrorResponse(result.error, true), { status: 429 });
+  }
+  return NextResponse.json(formatErrorResponse(result.error, false), { status: 500 });
+}
+
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const identifier = validateTableIdentifier(searchParams.get('database'), searchParams.get('table'));
+    if (!identifier.success) {
+      return NextResponse.json(
+        { error: identifier.error },
+        { status: 400 }
+      );
+    }
+    const { database, table } = identifier;
+
+    const sampleRows = Math.min(
+      parseInt(searchParams.get('sample_rows')) || DEFAULT_SAMPLE_ROWS,
+      MAX_SAMPLE_ROWS
+    );
+    if (sampleRows < 1000) {
+      return NextResponse.json(
+        { error: 'sample_rows: Must be at least 1000' },
+        { status: 400 }
+      );
+    }
+
+    const client = await getClientFromRequest('column-advisor');
+
+    // Generate cache key (scoped to this connection)
+    const cacheKey = globalCache.generateKey('column_advisor', {
+      database,
+      table,
+      sampleRows,
+    }, getCacheNamespace(client));
+
+    // Check cache
+    const cached = globalCache.get(cacheKey);
+    if (cached) {
+      return NextResponse.json({
+        ...cached,
+        cached: true,
+      });
+    }
+
+    const hasCodecColumn = await checkColumnExists(client, 'system', 'columns', 'codec_expression');
+    const columnsQuery = hasCodecColumn ? GET_TABLE_COLUMNS_WITH_CODEC : GET_TABLE_COLUMNS;
+
+    const [tableResult, columnsResult, storageResult, clusterConfig] = await Promise.all([
+      executeQuerySafe(client, COLUMN_ADVISOR_TABLE, { params: { database, table } }),
+      executeQuerySafe(client, columnsQuery.replace('{database}', database).replace('{table}', table)),
+      getColumnStorage(client, database, table),
+      detectClusterConfig(client),
+    ]);
+
+    if (!tableResult.success) {
+      return queryErrorResponse(tableResult, 'system.tables');
+    }
+    if (!columnsResult.success) {
+      return queryErrorResponse(columnsResult, 'system.columns');
+    }
+
+    const tableInfo = tableResult.data[0];
+    if (!tableInfo) {
+      return NextResponse.json(
+        { error: `Table ${database}.${table} not found` },
+        { status: 404 }
+      );
+    }
+
+    const columns = getProfiledColumns(columnsResult.data);
+    // Sizes only weigh the estimates; advice is still useful without them
+    const storage = storageResult.success ? storageResult.data.columns : [];
+
+    let advice = [];
+    let sampledRows = 0;
+    if (columns.length > 0) {
+      const profileResult = await executeQuerySafe(
+        client,
+        buildColumnProfileQuery(database, table, columns, {
+          sampleRows,
+          samplingKey: tableInfo.sampling_key,
+        }),
+        { signal: request.signal, settings: SAMPLE_QUERY_SETTINGS, maxRetries: 1 }
+      );
+
+      if (!profileResult.success) {
+        return queryErrorResponse(profileResult, `${database}.${table}`);
+      }
+
+      const profiles = readColumnProfiles(columns, profileResult.data[0] || {});
+      sampledRows = profiles[0]?.sampledRows || 0;
+      advice = adviseColumns({ database, table, columns, profiles, storage, clusterConfig });
+    }
+
+    const responseData = {
+      advice,
+      sampledRows,
+      sampleRows,
+      sampled: Boolean(tableInfo.sampling_key),
+      totalRows: tableInfo.total_rows === null ? null : Number(tableInfo.total_rows),
+      profiledColumns: columns.length,
+      estimatedSavingsBytes: advice.reduce((sum, item) => sum + item.estimatedSavingsBytes, 0),
+      compressedBytes: storageResult.success ? storageResult.data.totals.compressed_bytes : null,
+    };
+
+    // Cache the response
+    globalCache.set(cacheKey, responseData, CacheTTL.TABLE_STATS);
+
+    return NextResponse.json(responseData);
+  } catch (error) {
+    console.error('Error running column advisor:', error);
+    return NextResponse.json(
+      formatErrorResponse(error, false),
+      { status: 500 }
+    );
+  }
+}
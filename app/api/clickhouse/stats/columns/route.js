@@ -0,0 +1,76 @@
+import { NextResponse } from 'next/server';
+import { getClientFromRequest, getCacheNamespace } from '@/lib/clickhouse';
+import { getColumnStorage } from '@/lib/columnStorage';
+import { formatErrorResponse, createPermissionErrorResponse } from '@/lib/errors';
+import globalCache, { CacheTTL } from '@/lib/cache';
+
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const database = searchParams.get('database');
+    const table = searchParams.get('table');
+
+    if (!database || !table) {
+      return NextResponse.json(
+        { error: 'Database and table parameters are required' },
+        { status: 400 }
+      );
+    }
+
+    const client = await getClientFromRequest('column-storage');
+
+    // Generate cache key (scoped to this connection)
+    const cacheKey = globalCache.generateKey('column_storage', {
+      database,
+      table,
+    }, getCacheNamespace(client));
+
+    // Check cache
+    const cached = globalCache.get(cacheKey);
+    if (cached) {
+      return NextResponse.json({
+        ...cached,
+        cached: true,
+      });
+    }
+
+    const result = await getColumnStorage(client, database, table);
+
+    if (!result.success) {
+      if (result.permissionDenied) {
+        return NextResponse.json(
+          createPermissionErrorResponse(result.source, 'Column Storage'),
+          { status: 403 }
+        );
+      }
+
+      if (result.quotaExceeded) {
+        return NextResponse.json(
+          formatErrorResponse(result.error, true),
+          { status: 429 }
+        );
+      }
+
+      return NextResponse.json(
+        formatErrorResponse(result.error, false),
+        { status: 500 }
+      );
+    }
+
+    const responseData = {
+      ...result.data,
+      source: result.source,
+    };
+
+    // Cache the response
+    globalCache.set(cacheKey, responseData, CacheTTL.TABLE_STATS);
+
+    return NextResponse.json(responseData);
+  } catch (error) {
+    console.error('Error fetching column storage:', error);
+    return NextResponse.json(
+      formatErrorResponse(error, false),
+      { status: 500 }
+    );
+  }
+}
@@ -3,6 +3,7 @@ import {
   getClientFromRequest,
   executeQuerySafe,
   getSystemCapabilities,
+  getCacheNamespace,
 } from '@/lib/clickhouse';
 import { formatErrorResponse, createPermissionErrorResponse } from '@/lib/errors';
 import globalCache, { CacheTTL } from '@/lib/cache';
@@ -20,7 +21,7 @@ export async function GET(request) {
       );
     }
 
-    const client = await getClientFromRequest();
+    const client = await getClientFromRequest('table-stats');
 
     // Check system capabilities
     const capabilities = await getSystemCapabilities(client);
@@ -31,11 +32,11 @@ export async function GET(request) {
       );
     }
 
-    // Generate cache key
+    // Generate cache key (scoped to this connection)
     const cacheKey = globalCache.generateKey('table_stats', {
       database,
       table,
-    });
+    }, getCacheNamespace(client));
 
     // Check cache
     const cached = globalCache.get(cacheKey);
@@ -16,7 +16,7 @@ export async function GET(request) {
       );
     }
 
-    const client = await getClientFromRequest();
+    const client = await getClientFromRequest('tables');
 
     // If specific table requested with details
     if (table && details) {
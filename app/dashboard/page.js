@@ -11,6 +11,7 @@ import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/Card';
 import Badge from '@/components/ui/Badge';
 import { formatBytes, formatNumber } from '@/utils/formatters';
 import Button from '@/components/ui/Button';
+import CapabilityIndicator from '@/components/ui/CapabilityIndicator';
 import { useRequireAuth } from '@/hooks/useAuth';
 
 export default function Dashboard() {
@@ -19,6 +20,7 @@ export default function Dashboard() {
   const [loading, setLoading] = useState(true);
   const [clusterConfig, setClusterConfig] = useState(null);
   const [databases, setDatabases] = useState([]);
+  const [capabilities, setCapabilities] = useState(null);
   const [stats, setStats] = useState({
     totalDatabases: 0,
     totalTables: 0,
@@ -35,6 +37,12 @@ export default function Dashboard() {
     try {
       setLoading(true);
 
+      // Capabilities (including read-only mode) load alongside the dashboard data
+      fetch('/api/clickhouse/capabilities')
+        .then((response) => (response.ok ? response.json() : null))
+        .then((data) => data && setCapabilities(data))
+        .catch((error) => console.error('Error fetching capabilities:', error));
+
       // Fetch databases
       const response = await fetch('/api/clickhouse/databases');
       const data = await response.json();
@@ -138,6 +146,12 @@ export default function Dashboard() {
             />
           </div>
 
+          {capabilities && (
+            <div className="mb-8">
+              <CapabilityIndicator capabilities={capabilities} />
+            </div>
+          )}
+
           {/* Quick Links */}
           <div className="mb-8">
             <h2 className="text-2xl font-bold mb-4 flex items-center gap-2">
@@ -0,0 +1,426 @@
+'use client';
+
+import { useState, useEffect, useMemo, Suspense } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
+import { useRequireAuth } from '@/hooks/useAuth';
+import { useAbortController, isAbortError } from '@/hooks/useAbortController';
+import DashboardLayout from '@/components/Dashboard/DashboardLayout';
+import { AlertTriangle } from 'lucide-react';
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import Select from '@/components/ui/Select';
+import TimeRangePicker from '@/components/ui/TimeRangePicker';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import Badge from '@/components/ui/Badge';
+import { PermissionError } from '@/components/ErrorBoundary';
+import { formatNumber, formatDate, truncateString } from '@/utils/formatters';
+import { BUCKET_INTERVALS } from '@/utils/constants';
+import { parseTimeRange, timeRangeToParams, applyTimeRangeToSearchParams } from '@/utils/timeRange';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+
+// Codes beyond the most frequent ones are stacked together in the chart
+const CHART_CODES = 5;
+const CHART_COLORS = ['#ef4444', '#f59e0b', '#8b5cf6', '#3b82f6', '#10b981'];
+const OTHER_COLOR = '#9ca3af';
+
+function FailedQueriesContent() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const { isAuthenticated, isLoading: authLoading } = useRequireAuth();
+  const [loading, setLoading] = useState(true);
+  const [cancelled, setCancelled] = useState(false);
+  const [error, setError] = useState(null);
+  const [data, setData] = useState(null);
+  const request = useAbortController();
+  const timeRange = useMemo(() => parseTimeRange(searchParams), [searchParams]);
+  const [filters, setFilters] = useState({
+    interval: 'auto',
+    includeSelf: false,
+  });
+  const [selectedCode, setSelectedCode] = useState(null);
+  const [expandedGroup, setExpandedGroup] = useState(null);
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      fetchFailedQueries();
+    }
+  }, [isAuthenticated, filters, timeRange]);
+
+  const fetchFailedQueries = async () => {
+    const controller = request.start();
+
+    try {
+      setLoading(true);
+      setCancelled(false);
+      setError(null);
+
+      const params = new URLSearchParams({
+        ...timeRangeToParams(timeRange),
+        interval: filters.interval,
+        include_self: filters.includeSelf,
+      });
+
+      const response = await fetch(`/api/clickhouse/query-analyzer/failed-queries?${params}`, {
+        signal: controller.signal,
+      });
+      const result = await response.json();
+
+      if (response.ok) {
+        setData(result);
+        setSelectedCode(null);
+        setExpandedGroup(null);
+      } else {
+        setError({
+          type: result.type,
+          message: result.error,
+          requirements: result.requirements,
+        });
+      }
+    } catch (error) {
+      if (isAbortError(error)) {
+        if (request.isCurrent(controller)) {
+          setCancelled(true);
+        }
+        return;
+      }
+      console.error('Error fetching failed queries:', error);
+      setError({ type: 'UNKNOWN', message: error.message || 'Failed to fetch failed queries' });
+    } finally {
+      if (request.isCurrent(controller)) {
+        setLoading(false);
+      }
+    }
+  };
+
+  const handleFilterChange = (key, value) => {
+    setFilters((prev) => ({
+      ...prev,
+      [key]: value,
+    }));
+  };
+
+  const handleTimeRangeChange = (range) => {
+    router.replace(`?${applyTimeRangeToSearchParams(searchParams, range)}`, { scroll: false });
+  };
+
+  const groups = useMemo(() => {
+    if (!data) return [];
+    return selectedCode === null
+      ? data.groups
+      : data.groups.filter((group) => group.exception_code === selectedCode);
+  }, [data, selectedCode]);
+
+  if (authLoading) {
+    return null; // DashboardLayout handles loading
+  }
+
+  const totalFailures = data ? data.codes.reduce((sum, code) => sum + code.failures, 0) : 0;
+
+  return (
+    <DashboardLayout
+      title="Failed Queries"
+      description="Failures grouped by exception code and query pattern, with remediation hints"
+      icon={AlertTriangle}
+    >
+
+        {/* Filters */}
+        <Card className="mb-6">
+          <CardContent className="p-6">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium mb-2">Time Range</label>
+                <TimeRangePicker
+                  value={timeRange}
+                  onChange={handleTimeRangeChange}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-2">Timeline Interval</label>
+                <Select
+                  value={filters.interval}
+                  onChange={(value) => handleFilterChange('interval', value === 'auto' ? value : parseInt(value))}
+                  options={BUCKET_INTERVALS}
+                />
+              </div>
+            </div>
+
+            <div className="mt-4 flex items-center justify-between">
+              <div className="flex items-center gap-4">
+                <p className="text-sm text-muted-foreground">
+                  {formatNumber(totalFailures)} failed queries
+                </p>
+                <label className="flex items-center gap-2 text-sm text-muted-foreground">
+                  <input
+                    type="checkbox"
+                    checked={filters.includeSelf}
+                    onChange={(e) => handleFilterChange('includeSelf', e.target.checked)}
+                  />
+                  Show CheckMyHouse&apos;s own queries
+                </label>
+              </div>
+              <Button onClick={fetchFailedQueries} variant="outline" size="sm">
+                🔄 Refresh
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+
+        {error && error.type === 'PERMISSION_DENIED' && (
+          <div className="mb-6">
+            <PermissionError
+              feature="Failed Queries"
+              table="system.query_log"
+              requirements={error.requirements}
+              onDismiss={() => setError(null)}
+            />
+          </div>
+        )}
+
+        {error && error.type !== 'PERMISSION_DENIED' && (
+          <Card className="mb-6 border-red-200 bg-red-50">
+            <CardContent className="p-6">
+              <p className="text-red-700">{error.message}</p>
+              <Button onClick={fetchFailedQueries} className="mt-4" size="sm">
+                Retry
+              </Button>
+            </CardContent>
+          </Card>
+        )}
+
+        {loading ? (
+          <Card>
+            <CardContent className="flex flex-col items-center justify-center gap-4 h-96">
+              <LoadingSpinner size="lg" />
+              <Button onClick={request.cancel} variant="outline" size="sm">
+                Cancel
+              </Button>
+            </CardContent>
+          </Card>
+        ) : cancelled ? (
+          <Card>
+            <CardContent className="flex flex-col items-center justify-center gap-4 h-96 text-muted-foreground">
+              <p>Query cancelled</p>
+              <Button onClick={fetchFailedQueries} variant="outline" size="sm">
+                Run again
+              </Button>
+            </CardContent>
+          </Card>
+        ) : data && data.codes.length === 0 ? (
+          <Card>
+            <CardContent className="text-center py-12 text-muted-foreground">
+              <div className="text-4xl mb-4">🎉</div>
+              <p>No failed queries in this time range</p>
+            </CardContent>
+          </Card>
+        ) : data && (
+          <>
+            <FailureTimeline timeline={data.timeline} codes={data.codes} interval={data.interval} />
+
+            {/* Exception codes */}
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 mb-6">
+              {data.codes.map((code) => (
+                <CodeCard
+                  key={code.exception_code}
+                  code={code}
+                  selected={selectedCode === code.exception_code}
+                  onSelect={() => setSelectedCode(
+                    selectedCode === code.exception_code ? null : code.exception_code
+                  )}
+                />
+              ))}
+            </div>
+
+            {/* Failure groups */}
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center justify-between">
+                  <span>Failures by Pattern ({groups.length})</span>
+                  {selectedCode !== null && (
+                    <Button onClick={() => setSelectedCode(null)} variant="ghost" size="sm">
+                      Show all codes
+                    </Button>
+                  )}
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                <div className="space-y-3">
+                  {groups.map((group) => {
+                    const key = `${group.exception_code}-${group.normalized_query_hash}`;
+                    return (
+                      <FailureGroupCard
+                        key={key}
+                        group={group}
+                        expanded={expandedGroup === key}
+                        onToggle={() => setExpandedGroup(expandedGroup === key ? null : key)}
+                      />
+                    );
+                  })}
+                </div>
+              </CardContent>
+            </Card>
+          </>
+        )}
+    </DashboardLayout>
+  );
+}
+
+export default function FailedQueries() {
+  return (
+    <Suspense fallback={<div>Loading...</div>}>
+      <FailedQueriesContent />
+    </Suspense>
+  );
+}
+
+function FailureTimeline({ timeline, codes, interval }) {
+  const hasOther = codes.length > CHART_CODES;
+
+  // One row per bucket with a column per charted code
+  const chartData = useMemo(() => {
+    const chartCodes = codes.slice(0, CHART_CODES).map((code) => code.exception_code);
+    const buckets = new Map();
+    timeline.forEach((point) => {
+      const row = buckets.get(point.bucket) || { bucket: point.bucket };
+      const key = chartCodes.includes(point.exception_code) ? `code_${point.exception_code}` : 'other';
+      row[key] = (row[key] || 0) + point.failures;
+      buckets.set(point.bucket, row);
+    });
+
+    return [...buckets.values()].map((row) => {
+      const date = new Date(row.bucket * 1000);
+      return {
+        ...row,
+        label: interval >= 86400 ? date.toLocaleDateString() : date.toLocaleString(),
+      };
+    });
+  }, [timeline, codes, interval]);
+
+  return (
+    <Card className="mb-6">
+      <CardHeader>
+        <CardTitle>Failures Over Time</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <ResponsiveContainer width="100%" height={280}>
+          <BarChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="label" tick={{ fontSize: 12 }} minTickGap={40} />
+            <YAxis tick={{ fontSize: 12 }} allowDecimals={false} />
+            <Tooltip />
+            <Legend />
+            {codes.slice(0, CHART_CODES).map((code, index) => (
+              <Bar
+                key={code.exception_code}
+                dataKey={`code_${code.exception_code}`}
+                stackId="failures"
+                fill={CHART_COLORS[index]}
+                name={`${code.exception_code} ${code.exception_name || ''}`.trim()}
+              />
+            ))}
+            {hasOther && (
+              <Bar dataKey="other" stackId="failures" fill={OTHER_COLOR} name="Other codes" />
+            )}
+          </BarChart>
+        </ResponsiveContainer>
+      </CardContent>
+    </Card>
+  );
+}
+
+function CodeCard({ code, selected, onSelect }) {
+  return (
+    <Card
+      className={`cursor-pointer transition-colors ${selected ? 'border-primary' : 'hover:border-primary/40'}`}
+      onClick={onSelect}
+    >
+      <CardContent className="p-4">
+        <div className="flex items-start justify-between gap-2 mb-2">
+          <div>
+            <div className="font-semibold">{code.remediation?.title || code.exception_name}</div>
+            <code className="text-xs text-muted-foreground">
+              {code.exception_code} {code.exception_name}
+            </code>
+          </div>
+          <Badge variant="danger">{formatNumber(code.failures)}</Badge>
+        </div>
+        {code.remediation ? (
+          <ul className="list-disc list-inside space-y-1 text-sm text-muted-foreground">
+            {code.remediation.steps.map((step, i) => (
+              <li key={i}>{step}</li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-muted-foreground">
+            No remediation notes for this code; see the sample messages below
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+function FailureGroupCard({ group, expanded, onToggle }) {
+  return (
+    <div className="border rounded-lg overflow-hidden">
+      <div
+        className="p-4 hover:bg-gray-50 cursor-pointer"
+        onClick={onToggle}
+      >
+        <div className="flex items-center justify-between mb-2">
+          <div className="flex items-center gap-2">
+            <Badge variant="danger">{group.exception_code}</Badge>
+            <span className="text-sm font-medium">{group.exception_name}</span>
+            {group.before_start_count > 0 && (
+              <Badge variant="outline">{formatNumber(group.before_start_count)} before start</Badge>
+            )}
+          </div>
+          <div className="flex items-center gap-3">
+            <span className="font-bold">{formatNumber(group.failure_count)} failures</span>
+            <button className="text-muted-foreground">
+              {expanded ? '▼' : '▶'}
+            </button>
+          </div>
+        </div>
+        <p className="text-sm font-mono text-gray-700 truncate">
+          {truncateString(group.normalized_query, 160)}
+        </p>
+        <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-muted-foreground">
+          <span>{formatNumber(group.affected_user_count)} users:</span>
+          {group.affected_users.map((user) => (
+            <Badge key={user} variant="outline">{user}</Badge>
+          ))}
+          <span className="ml-auto">
+            {formatDate(group.first_seen)} – {formatDate(group.last_seen)}
+          </span>
+        </div>
+      </div>
+
+      {expanded && (
+        <div className="border-t bg-gray-50 p-4 space-y-4">
+          <div>
+            <h4 className="font-medium mb-2">Sample Messages:</h4>
+            <div className="space-y-2">
+              {group.sample_messages.map((message, i) => (
+                <pre key={i} className="p-3 bg-red-50 border border-red-200 rounded text-xs text-red-800 whitespace-pre-wrap">
+                  {message}
+                </pre>
+              ))}
+            </div>
+          </div>
+
+          {group.remediation && (
+            <div>
+              <h4 className="font-medium mb-2">What to do:</h4>
+              <ul className="list-disc list-inside space-y-1 text-sm">
+                {group.remediation.steps.map((step, i) => (
+                  <li key={i}>{step}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
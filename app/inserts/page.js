@@ -0,0 +1,348 @@
+'use client';
+
+import { useState, useEffect, useMemo, Suspense } from 'react';
+import Link from 'next/link';
+import { useRouter, useSearchParams } from 'next/navigation';
+import { useRequireAuth } from '@/hooks/useAuth';
+import { useAbortController, isAbortError } from '@/hooks/useAbortController';
+import DashboardLayout from '@/components/Dashboard/DashboardLayout';
+import { Upload } from 'lucide-react';
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import TimeRangePicker from '@/components/ui/TimeRangePicker';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import Badge from '@/components/ui/Badge';
+import { PermissionError } from '@/components/ErrorBoundary';
+import { formatBytes, formatNumber, formatDuration, formatPercent, formatDate } from '@/utils/formatters';
+import { parseTimeRange, timeRangeToParams, applyTimeRangeToSearchParams } from '@/utils/timeRange';
+
+const RISK_BADGES = {
+  high: { variant: 'danger', label: 'High risk' },
+  medium: { variant: 'warning', label: 'Medium risk' },
+  low: { variant: 'success', label: 'Healthy' },
+};
+
+function InsertsContent() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const { isAuthenticated, isLoading: authLoading } = useRequireAuth();
+  const [loading, setLoading] = useState(true);
+  const [cancelled, setCancelled] = useState(false);
+  const [error, setError] = useState(null);
+  const [data, setData] = useState(null);
+  const request = useAbortController();
+  const timeRange = useMemo(() => parseTimeRange(searchParams), [searchParams]);
+  const [includeSelf, setIncludeSelf] = useState(false);
+  const [atRiskOnly, setAtRiskOnly] = useState(false);
+  const [expandedTable, setExpandedTable] = useState(null);
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      fetchInserts();
+    }
+  }, [isAuthenticated, includeSelf, timeRange]);
+
+  const fetchInserts = async () => {
+    const controller = request.start();
+
+    try {
+      setLoading(true);
+      setCancelled(false);
+      setError(null);
+
+      const params = new URLSearchParams({
+        ...timeRangeToParams(timeRange),
+        include_self: includeSelf,
+      });
+
+      const response = await fetch(`/api/clickhouse/inserts?${params}`, {
+        signal: controller.signal,
+      });
+      const result = await response.json();
+
+      if (response.ok) {
+        setData(result);
+      } else {
+        setError({
+          type: result.type,
+          message: result.error,
+          requirements: result.requirements,
+        });
+      }
+    } catch (error) {
+      if (isAbortError(error)) {
+        if (request.isCurrent(controller)) {
+          setCancelled(true);
+        }
+        return;
+      }
+      console.error('Error fetching insert workload:', error);
+      setError({ type: 'UNKNOWN', message: error.message || 'Failed to fetch insert workload' });
+    } finally {
+      if (request.isCurrent(controller)) {
+        setLoading(false);
+      }
+    }
+  };
+
+  const handleTimeRangeChange = (range) => {
+    router.replace(`?${applyTimeRangeToSearchParams(searchParams, range)}`, { scroll: false });
+  };
+
+  const tables = useMemo(() => {
+    if (!data) return [];
+    return atRiskOnly ? data.tables.filter((table) => table.risk !== 'low') : data.tables;
+  }, [data, atRiskOnly]);
+
+  if (authLoading) {
+    return null; // DashboardLayout handles loading
+  }
+
+  const atRiskCount = data ? data.tables.filter((table) => table.risk !== 'low').length : 0;
+
+  return (
+    <DashboardLayout
+      title="Insert Workload"
+      description="Insert rate, batch size and part creation per table"
+      icon={Upload}
+    >
+
+        {/* Filters */}
+        <Card className="mb-6">
+          <CardContent className="p-6">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium mb-2">Time Range</label>
+                <TimeRangePicker
+                  value={timeRange}
+                  onChange={handleTimeRangeChange}
+                />
+              </div>
+            </div>
+
+            <div className="mt-4 flex items-center justify-between">
+              <div className="flex items-center gap-4">
+                <p className="text-sm text-muted-foreground">
+                  {data ? `${data.tables.length} tables, ${atRiskCount} at risk` : ''}
+                </p>
+                <label className="flex items-center gap-2 text-sm text-muted-foreground">
+                  <input
+                    type="checkbox"
+                    checked={atRiskOnly}
+                    onChange={(e) => setAtRiskOnly(e.target.checked)}
+                  />
+                  Only tables at risk
+                </label>
+                <label className="flex items-center gap-2 text-sm text-muted-foreground">
+                  <input
+                    type="checkbox"
+                    checked={includeSelf}
+                    onChange={(e) => setIncludeSelf(e.target.checked)}
+                  />
+                  Show CheckMyHouse&apos;s own queries
+                </label>
+              </div>
+              <Button onClick={fetchInserts} variant="outline" size="sm">
+                🔄 Refresh
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+
+        {error && error.type === 'PERMISSION_DENIED' && (
+          <div className="mb-6">
+            <PermissionError
+              feature="Insert Workload"
+              table="system.query_log"
+              requirements={error.requirements}
+              onDismiss={() => setError(null)}
+            />
+          </div>
+        )}
+
+        {error && error.type !== 'PERMISSION_DENIED' && (
+          <Card className="mb-6 border-red-200 bg-red-50">
+            <CardContent className="p-6">
+              <p className="text-red-700">{error.message}</p>
+              <Button onClick={fetchInserts} className="mt-4" size="sm">
+                Retry
+              </Button>
+            </CardContent>
+          </Card>
+        )}
+
+        {data && !loading && (!data.sources.partLog || !data.sources.parts) && (
+          <Card className="mb-6 border-amber-200 bg-amber-50">
+            <CardContent className="p-4 text-sm text-amber-800">
+              {!data.sources.partLog && (
+                <p>system.part_log is not enabled or not readable, so parts created per insert are not shown.</p>
+              )}
+              {!data.sources.parts && (
+                <p>system.parts is not readable, so current parts per partition are not shown.</p>
+              )}
+            </CardContent>
+          </Card>
+        )}
+
+        {loading ? (
+          <Card>
+            <CardContent className="flex flex-col items-center justify-center gap-4 h-96">
+              <LoadingSpinner size="lg" />
+              <Button onClick={request.cancel} variant="outline" size="sm">
+                Cancel
+              </Button>
+            </CardContent>
+          </Card>
+        ) : cancelled ? (
+          <Card>
+            <CardContent className="flex flex-col items-center justify-center gap-4 h-96 text-muted-foreground">
+              <p>Query cancelled</p>
+              <Button onClick={fetchInserts} variant="outline" size="sm">
+                Run again
+              </Button>
+            </CardContent>
+          </Card>
+        ) : data && (
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center justify-between">
+                <span>Tables ({tables.length})</span>
+                <span className="text-sm font-normal text-muted-foreground">
+                  parts_to_delay_insert {formatNumber(data.thresholds.parts_to_delay_insert)},
+                  parts_to_throw_insert {formatNumber(data.thresholds.parts_to_throw_insert)}
+                </span>
+              </CardTitle>
+            </CardHeader>
+            <CardContent>
+              {tables.length === 0 ? (
+                <div className="text-center py-12 text-muted-foreground">
+                  No inserts in this time range
+                </div>
+              ) : (
+                <div className="space-y-3">
+                  {tables.map((table) => {
+                    const key = `${table.database}.${table.table}`;
+                    return (
+                      <InsertTableCard
+                        key={key}
+                        table={table}
+                        expanded={expandedTable === key}
+                        onToggle={() => setExpandedTable(expandedTable === key ? null : key)}
+                      />
+                    );
+                  })}
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        )}
+    </DashboardLayout>
+  );
+}
+
+export default function Inserts() {
+  return (
+    <Suspense fallback={<div>Loading...</div>}>
+      <InsertsContent />
+    </Suspense>
+  );
+}
+
+// Rates below one per second read better per minute
+function formatRate(perSecond) {
+  if (perSecond === null) return 'N/A';
+  return perSecond >= 1
+    ? `${formatNumber(perSecond, 1)}/s`
+    : `${formatNumber(perSecond * 60, 1)}/min`;
+}
+
+function InsertTableCard({ table, expanded, onToggle }) {
+  const badge = RISK_BADGES[table.risk];
+  const tableParams = new URLSearchParams({ database: table.database, table: table.table });
+
+  return (
+    <div className="border rounded-lg overflow-hidden">
+      <div
+        className="p-4 hover:bg-gray-50 cursor-pointer"
+        onClick={onToggle}
+      >
+        <div className="flex items-center justify-between mb-3">
+          <div className="flex items-center gap-2">
+            <span className="font-mono font-medium">{table.database}.{table.table}</span>
+            <Badge variant={badge.variant}>{badge.label}</Badge>
+            {table.async_insert_count > 0 && (
+              <Badge variant="info">async {formatPercent(table.async_insert_ratio, 0)}</Badge>
+            )}
+          </div>
+          <div className="flex items-center gap-3">
+            <span className="font-bold">{formatRate(table.inserts_per_second)}</span>
+            <button className="text-muted-foreground">
+              {expanded ? '▼' : '▶'}
+            </button>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-6 gap-3">
+          <MetricCell label="Inserts" value={formatNumber(table.insert_count)} />
+          <MetricCell label="Rows / Insert" value={formatNumber(table.avg_rows_per_insert)} />
+          <MetricCell label="Bytes / Insert" value={formatBytes(table.avg_bytes_per_insert)} />
+          <MetricCell
+            label="Parts / Insert"
+            value={formatNumber(table.parts_per_insert, 1)}
+          />
+          <MetricCell label="New Parts" value={formatRate(table.new_parts_per_second)} />
+          <MetricCell
+            label="Max Parts / Partition"
+            value={formatNumber(table.max_parts_in_partition)}
+          />
+        </div>
+      </div>
+
+      {expanded && (
+        <div className="border-t bg-gray-50 p-4 space-y-4">
+          {table.reasons.length > 0 ? (
+            <div>
+              <h4 className="font-medium mb-2">Why this table is flagged:</h4>
+              <ul className="space-y-1 text-sm">
+                {table.reasons.map((reason, i) => (
+                  <li key={i} className="flex items-start gap-2">
+                    <Badge variant={RISK_BADGES[reason.level].variant}>{reason.level}</Badge>
+                    <span>{reason.message}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ) : (
+            <p className="text-sm text-muted-foreground">
+              The insert pattern looks healthy for the server&apos;s parts limits.
+            </p>
+          )}
+
+          <div className="grid grid-cols-2 md:grid-cols-6 gap-3">
+            <MetricCell label="Rows Written" value={formatNumber(table.written_rows)} />
+            <MetricCell label="Bytes Written" value={formatBytes(table.written_bytes)} />
+            <MetricCell label="P99 Duration" value={formatDuration(table.p99_duration_ms)} />
+            <MetricCell label="Merges" value={formatNumber(table.merges)} />
+            <MetricCell label="Users" value={formatNumber(table.user_count)} />
+            <MetricCell label="Last Insert" value={formatDate(table.last_insert)} />
+          </div>
+
+          <Link href={`/tables?${tableParams}`}>
+            <Button variant="outline" size="sm">
+              View table details →
+            </Button>
+          </Link>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function MetricCell({ label, value }) {
+  return (
+    <div className="flex flex-col">
+      <span className="text-xs text-muted-foreground">{label}</span>
+      <span className="text-sm font-medium truncate">{value}</span>
+    </div>
+  );
+}
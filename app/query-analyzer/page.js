@@ -1,15 +1,18 @@
 'use client';
 
-import { useState, useEffect } from 'react';
-import { useRouter } from 'next/navigation';
+import { useState, useEffect, useMemo, Suspense } from 'react';
+import Link from 'next/link';
+import { useRouter, useSearchParams } from 'next/navigation';
 import { useDebounce } from 'use-debounce';
 import { useRequireAuth } from '@/hooks/useAuth';
+import { useAbortController, isAbortError } from '@/hooks/useAbortController';
 import DashboardLayout from '@/components/Dashboard/DashboardLayout';
 import { Search } from 'lucide-react';
 import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/Card';
 import Button from '@/components/ui/Button';
 import Select from '@/components/ui/Select';
 import Input from '@/components/ui/Input';
+import TimeRangePicker from '@/components/ui/TimeRangePicker';
 import LoadingSpinner from '@/components/ui/LoadingSpinner';
 import AggregateQueryList from '@/components/QueryAnalyzer/AggregateQueryList';
 import MetricsGrid from '@/components/QueryAnalyzer/MetricsGrid';
@@ -17,28 +20,56 @@ import InsightsPanel from '@/components/QueryAnalyzer/InsightsPanel';
 import RecommendationsPanel from '@/components/Recommendations/RecommendationsPanel';
 import { generateQueryOptimizations } from '@/utils/recommendations';
 import QueryDrilldownView from '@/components/QueryAnalyzer/QueryDrilldownView';
+import QueryFilterBar from '@/components/QueryAnalyzer/QueryFilterBar';
+import ComparisonSummary from '@/components/QueryAnalyzer/ComparisonSummary';
 import ExportMenu from '@/components/ui/ExportMenu';
-import { SORT_OPTIONS, TIME_RANGES } from '@/utils/constants';
+import { SORT_OPTIONS } from '@/utils/constants';
+import {
+  parseTimeRange,
+  timeRangeToParams,
+  applyTimeRangeToSearchParams,
+  formatTimeRange,
+} from '@/utils/timeRange';
+import { parseQueryFilters, applyQueryFiltersToSearchParams } from '@/utils/queryFilters';
 import { formatQueryMetricsForExport } from '@/utils/exportUtils';
 import ErrorBoundary, { PermissionError, QuotaExceededError, FeatureUnavailable } from '@/components/ErrorBoundary';
 import { CapabilityBanner } from '@/components/ui/CapabilityIndicator';
 
-export default function QueryAnalyzer() {
+function QueryAnalyzerContent() {
   const router = useRouter();
+  const searchParams = useSearchParams();
   const { isAuthenticated, isLoading: authLoading } = useRequireAuth();
   const [capabilities, setCapabilities] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [cancelled, setCancelled] = useState(false);
+  const request = useAbortController();
+  const compareRequest = useAbortController();
   const [queries, setQueries] = useState([]);
+  const [comparison, setComparison] = useState(null);
   const [selectedQuery, setSelectedQuery] = useState(null);
+  // EXPLAIN result for one of the selected pattern's executions
+  const [explainResult, setExplainResult] = useState(null);
+  // The time range and dimension filters live in the URL so a view can be shared or bookmarked
+  const timeRange = useMemo(() => parseTimeRange(searchParams), [searchParams]);
+  const queryFilters = useMemo(() => parseQueryFilters(searchParams), [searchParams]);
   const [filters, setFilters] = useState({
-    days: 7,
     sortColumn: 'p99_duration_ms',
     minExecutions: 5,
     limit: 100,
     offset: 0,
+    includeSelf: false,
+    compare: false,
   });
 
+  // Period-over-period results keyed by normalized_query_hash
+  const comparisonsByHash = useMemo(() => {
+    if (!comparison) return null;
+    return Object.fromEntries(
+      comparison.patterns.map((pattern) => [pattern.normalized_query_hash, pattern])
+    );
+  }, [comparison]);
+
   // Debounce filters to prevent excessive API calls
   const [debouncedFilters] = useDebounce(filters, 500);
 
@@ -51,8 +82,9 @@ export default function QueryAnalyzer() {
   useEffect(() => {
     if (isAuthenticated) {
       fetchQueries();
+      fetchComparison();
     }
-  }, [debouncedFilters, isAuthenticated]);
+  }, [debouncedFilters, timeRange, queryFilters, isAuthenticated]);
 
   const fetchCapabilities = async () => {
     try {
@@ -68,19 +100,27 @@ export default function QueryAnalyzer() {
   };
 
   const fetchQueries = async () => {
+    // Starting a new request cancels the previous one, server side included
+    const controller = request.start();
+
     try {
       setLoading(true);
       setError(null);
+      setCancelled(false);
 
       const params = new URLSearchParams({
-        days: filters.days,
-        sort_column: filters.sortColumn,
-        min_executions: filters.minExecutions,
-        limit: filters.limit,
-        offset: filters.offset,
+        ...timeRangeToParams(timeRange),
+        ...queryFilters,
+        sort_column: debouncedFilters.sortColumn,
+        min_executions: debouncedFilters.minExecutions,
+        limit: debouncedFilters.limit,
+        offset: debouncedFilters.offset,
+        include_self: debouncedFilters.includeSelf,
       });
 
-      const response = await fetch(`/api/clickhouse/query-analyzer/aggregate?${params}`);
+      const response = await fetch(`/api/clickhouse/query-analyzer/aggregate?${params}`, {
+        signal: controller.signal,
+      });
       const data = await response.json();
 
       if (response.ok) {
@@ -98,13 +138,60 @@ export default function QueryAnalyzer() {
         });
       }
     } catch (error) {
+      if (isAbortError(error)) {
+        // Superseded requests stay silent; an explicit cancel is shown as such
+        if (request.isCurrent(controller)) {
+          setCancelled(true);
+        }
+        return;
+      }
+
       console.error('Error fetching queries:', error);
       setError({
         type: 'UNKNOWN',
         message: error.message || 'Failed to fetch query data',
       });
     } finally {
-      setLoading(false);
+      if (request.isCurrent(controller)) {
+        setLoading(false);
+      }
+    }
+  };
+
+  // Supplementary: a failed comparison leaves the regular list untouched
+  const fetchComparison = async () => {
+    if (!debouncedFilters.compare) {
+      compareRequest.cancel();
+      setComparison(null);
+      return;
+    }
+
+    const controller = compareRequest.start();
+
+    try {
+      const params = new URLSearchParams({
+        ...timeRangeToParams(timeRange),
+        ...queryFilters,
+        min_executions: debouncedFilters.minExecutions,
+        include_self: debouncedFilters.includeSelf,
+      });
+
+      const response = await fetch(`/api/clickhouse/query-analyzer/compare?${params}`, {
+        signal: controller.signal,
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setComparison(data);
+      } else {
+        console.error('Error comparing query patterns:', data.error);
+        setComparison(null);
+      }
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.error('Error comparing query patterns:', error);
+        setComparison(null);
+      }
     }
   };
 
@@ -116,18 +203,32 @@ export default function QueryAnalyzer() {
     }));
   };
 
+  const handleTimeRangeChange = (range) => {
+    router.replace(`?${applyTimeRangeToSearchParams(searchParams, range)}`, { scroll: false });
+  };
+
+  const handleQueryFiltersChange = (next) => {
+    router.replace(`?${applyQueryFiltersToSearchParams(searchParams, next)}`, { scroll: false });
+  };
+
   const handleQueryClick = (query) => {
     setSelectedQuery(query);
+    setExplainResult(null);
   };
 
   const handleBack = () => {
     setSelectedQuery(null);
+    setExplainResult(null);
   };
 
   if (authLoading) {
     return null; // DashboardLayout handles loading
   }
 
+  const selectedComparison = selectedQuery
+    ? comparisonsByHash?.[selectedQuery.normalized_query_hash.toString()] || null
+    : null;
+
   if (selectedQuery) {
     return (
       <DashboardLayout
@@ -145,8 +246,14 @@ export default function QueryAnalyzer() {
             <CardHeader>
               <CardTitle className="flex items-center justify-between">
                 <span>Query Pattern Analysis</span>
-                <span className="text-sm font-normal text-muted-foreground">
+                <span className="flex items-center gap-3 text-sm font-normal text-muted-foreground">
                   Hash: {selectedQuery.normalized_query_hash.toString()}
+                  <Link
+                    href={`/alerts?pattern_hash=${selectedQuery.normalized_query_hash.toString()}`}
+                    className="text-primary hover:underline"
+                  >
+                    🔔 Alert on p99
+                  </Link>
                 </span>
               </CardTitle>
             </CardHeader>
@@ -179,15 +286,15 @@ export default function QueryAnalyzer() {
                 </div>
               </div>
 
-              <MetricsGrid data={selectedQuery} expanded={true} />
+              <MetricsGrid data={selectedQuery} expanded={true} comparison={selectedComparison} />
             </CardContent>
           </Card>
 
-          <InsightsPanel queryData={selectedQuery} />
+          <InsightsPanel queryData={selectedQuery} comparison={selectedComparison} />
 
           <div className="mt-6">
             <RecommendationsPanel
-              recommendations={generateQueryOptimizations(selectedQuery)}
+              recommendations={generateQueryOptimizations(selectedQuery, explainResult)}
               title="Query Optimizations"
             />
           </div>
@@ -195,12 +302,20 @@ export default function QueryAnalyzer() {
           <div className="mt-6">
             <Card>
               <CardHeader>
-                <CardTitle>Query Executions Timeline</CardTitle>
+                <CardTitle className="flex items-center justify-between">
+                  <span>Query Executions Timeline</span>
+                  <span className="text-sm font-normal text-muted-foreground">
+                    {formatTimeRange(timeRange)}
+                  </span>
+                </CardTitle>
               </CardHeader>
               <CardContent>
                 <QueryDrilldownView
                   queryHash={selectedQuery.normalized_query_hash.toString()}
                   queryPattern={selectedQuery.normalized_query}
+                  includeSelf={filters.includeSelf}
+                  timeRange={timeRange}
+                  onExplain={setExplainResult}
                 />
               </CardContent>
             </Card>
@@ -273,10 +388,9 @@ export default function QueryAnalyzer() {
             <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
               <div>
                 <label className="block text-sm font-medium mb-2">Time Range</label>
-                <Select
-                  value={filters.days}
-                  onChange={(value) => handleFilterChange('days', parseInt(value))}
-                  options={TIME_RANGES}
+                <TimeRangePicker
+                  value={timeRange}
+                  onChange={handleTimeRangeChange}
                 />
               </div>
 
@@ -314,10 +428,33 @@ export default function QueryAnalyzer() {
               </div>
             </div>
 
+            <div className="mt-4">
+              <label className="block text-sm font-medium mb-2">Filters</label>
+              <QueryFilterBar filters={queryFilters} onChange={handleQueryFiltersChange} />
+            </div>
+
             <div className="mt-4 flex items-center justify-between">
-              <p className="text-sm text-muted-foreground">
-                Showing {queries.length} queries
-              </p>
+              <div className="flex items-center gap-4">
+                <p className="text-sm text-muted-foreground">
+                  Showing {queries.length} queries
+                </p>
+                <label className="flex items-center gap-2 text-sm text-muted-foreground">
+                  <input
+                    type="checkbox"
+                    checked={filters.includeSelf}
+                    onChange={(e) => handleFilterChange('includeSelf', e.target.checked)}
+                  />
+                  Show CheckMyHouse&apos;s own queries
+                </label>
+                <label className="flex items-center gap-2 text-sm text-muted-foreground">
+                  <input
+                    type="checkbox"
+                    checked={filters.compare}
+                    onChange={(e) => handleFilterChange('compare', e.target.checked)}
+                  />
+                  Compare with previous period
+                </label>
+              </div>
               <div className="flex gap-2">
                 <ExportMenu
                   data={queries}
@@ -332,6 +469,8 @@ export default function QueryAnalyzer() {
           </CardContent>
         </Card>
 
+          {comparison && !loading && <ComparisonSummary comparison={comparison} />}
+
           {/* Query List */}
           <Card>
             <CardHeader>
@@ -339,14 +478,25 @@ export default function QueryAnalyzer() {
             </CardHeader>
             <CardContent>
               {loading ? (
-                <div className="flex items-center justify-center h-96">
+                <div className="flex flex-col items-center justify-center gap-4 h-96">
                   <LoadingSpinner size="lg" />
+                  <Button onClick={request.cancel} variant="outline" size="sm">
+                    Cancel
+                  </Button>
+                </div>
+              ) : cancelled ? (
+                <div className="flex flex-col items-center justify-center gap-4 h-96 text-muted-foreground">
+                  <p>Query cancelled</p>
+                  <Button onClick={fetchQueries} variant="outline" size="sm">
+                    Run again
+                  </Button>
                 </div>
               ) : (
                 <AggregateQueryList
                   queries={queries}
                   onQueryClick={handleQueryClick}
                   loading={loading}
+                  comparisons={comparisonsByHash}
                 />
               )}
             </CardContent>
@@ -357,3 +507,11 @@ export default function QueryAnalyzer() {
     </ErrorBoundary>
   );
 }
+
+export default function QueryAnalyzer() {
+  return (
+    <Suspense fallback={<div>Loading...</div>}>
+      <QueryAnalyzerContent />
+    </Suspense>
+  );
+}
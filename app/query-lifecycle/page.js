@@ -0,0 +1,604 @@
+'use client';
+
+import { useState, useEffect, useMemo, Suspense } from 'react';
+import Link from 'next/link';
+import { useRouter, useSearchParams } from 'next/navigation';
+import { useRequireAuth } from '@/hooks/useAuth';
+import { useAbortController, isAbortError } from '@/hooks/useAbortController';
+import DashboardLayout from '@/components/Dashboard/DashboardLayout';
+import { Waypoints } from 'lucide-react';
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import TimeRangePicker from '@/components/ui/TimeRangePicker';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import Badge from '@/components/ui/Badge';
+import { PermissionError } from '@/components/ErrorBoundary';
+import FlamegraphPanel from '@/components/QueryAnalyzer/FlamegraphPanel';
+import { formatBytes, formatNumber, formatDuration, formatDate } from '@/utils/formatters';
+import { parseTimeRange, timeRangeToParams, applyTimeRangeToSearchParams } from '@/utils/timeRange';
+import { Light as SyntaxHighlighter } from 'react-syntax-highlighter';
+import sql from 'react-syntax-highlighter/dist/esm/languages/hljs/sql';
+import { github } from 'react-syntax-highlighter/dist/esm/styles/hljs';
+
+SyntaxHighlighter.registerLanguage('sql', sql);
+
+const STATUS_BADGES = {
+  finished: { variant: 'success', label: 'Finished' },
+  failed: { variant: 'danger', label: 'Failed' },
+  running: { variant: 'warning', label: 'Running or not flushed' },
+};
+
+function QueryLifecycleContent() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const { isAuthenticated, isLoading: authLoading } = useRequireAuth();
+  const [loading, setLoading] = useState(false);
+  const [cancelled, setCancelled] = useState(false);
+  const [error, setError] = useState(null);
+  const [data, setData] = useState(null);
+  const [showFlamegraph, setShowFlamegraph] = useState(false);
+  const request = useAbortController();
+  const timeRange = useMemo(() => parseTimeRange(searchParams), [searchParams]);
+  const queryId = searchParams.get('query_id') || '';
+  const [draftQueryId, setDraftQueryId] = useState(queryId);
+
+  useEffect(() => {
+    setDraftQueryId(queryId);
+    setShowFlamegraph(false);
+    if (isAuthenticated && queryId) {
+      fetchLifecycle();
+    }
+  }, [isAuthenticated, queryId, timeRange]);
+
+  const fetchLifecycle = async () => {
+    const controller = request.start();
+
+    try {
+      setLoading(true);
+      setCancelled(false);
+      setError(null);
+
+      const params = new URLSearchParams({
+        query_id: queryId,
+        ...timeRangeToParams(timeRange),
+      });
+
+      const response = await fetch(`/api/clickhouse/query-lifecycle?${params}`, {
+        signal: controller.signal,
+      });
+      const result = await response.json();
+
+      if (response.ok) {
+        setData(result);
+      } else {
+        setData(null);
+        setError({
+          type: result.type,
+          message: result.error,
+          requirements: result.requirements,
+        });
+      }
+    } catch (error) {
+      if (isAbortError(error)) {
+        if (request.isCurrent(controller)) {
+          setCancelled(true);
+        }
+        return;
+      }
+      console.error('Error fetching query lifecycle:', error);
+      setError({ type: 'UNKNOWN', message: error.message || 'Failed to fetch query lifecycle' });
+    } finally {
+      if (request.isCurrent(controller)) {
+        setLoading(false);
+      }
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const params = new URLSearchParams(searchParams);
+    params.set('query_id', draftQueryId.trim());
+    router.replace(`?${params}`, { scroll: false });
+  };
+
+  const handleTimeRangeChange = (range) => {
+    router.replace(`?${applyTimeRangeToSearchParams(searchParams, range)}`, { scroll: false });
+  };
+
+  if (authLoading) {
+    return null; // DashboardLayout handles loading
+  }
+
+  return (
+    <DashboardLayout
+      title="Query Lifecycle"
+      description="Everything the system log tables recorded about one query_id"
+      icon={Waypoints}
+    >
+
+        {/* Lookup */}
+        <Card className="mb-6">
+          <CardContent className="p-6">
+            <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium mb-2">Query ID</label>
+                <Input
+                  value={draftQueryId}
+                  onChange={(e) => setDraftQueryId(e.target.value)}
+                  placeholder="Paste a query_id"
+                  className="font-mono"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-2">Searched Time Range</label>
+                <TimeRangePicker
+                  value={timeRange}
+                  onChange={handleTimeRangeChange}
+                />
+              </div>
+              <div className="md:col-span-3 flex justify-end">
+                <Button type="submit" size="sm" disabled={!draftQueryId.trim()}>
+                  🔎 Look up
+                </Button>
+              </div>
+            </form>
+          </CardContent>
+        </Card>
+
+        {error && error.type === 'PERMISSION_DENIED' && (
+          <div className="mb-6">
+            <PermissionError
+              feature="Query Lifecycle"
+              table="system.query_log"
+              requirements={error.requirements}
+              onDismiss={() => setError(null)}
+            />
+          </div>
+        )}
+
+        {error && error.type !== 'PERMISSION_DENIED' && (
+          <Card className="mb-6 border-red-200 bg-red-50">
+            <CardContent className="p-6">
+              <p className="text-red-700">{error.message}</p>
+              <Button onClick={fetchLifecycle} className="mt-4" size="sm">
+                Retry
+              </Button>
+            </CardContent>
+          </Card>
+        )}
+
+        {!queryId ? (
+          <Card>
+            <CardContent className="text-center py-12 text-muted-foreground">
+              <div className="text-4xl mb-4">🔎</div>
+              <p>Paste a query_id to see its start and finish, ProfileEvents, threads, MV pushes, parts and spans</p>
+            </CardContent>
+          </Card>
+        ) : loading ? (
+          <Card>
+            <CardContent className="flex flex-col items-center justify-center gap-4 h-96">
+              <LoadingSpinner size="lg" />
+              <Button onClick={request.cancel} variant="outline" size="sm">
+                Cancel
+              </Button>
+            </CardContent>
+          </Card>
+        ) : cancelled ? (
+          <Card>
+            <CardContent className="flex flex-col items-center justify-center gap-4 h-96 text-muted-foreground">
+              <p>Query cancelled</p>
+              <Button onClick={fetchLifecycle} variant="outline" size="sm">
+                Run again
+              </Button>
+            </CardContent>
+          </Card>
+        ) : data && (
+          <div className="space-y-6">
+            <QuerySummary
+              query={data.query}
+              timeRange={timeRange}
+              onFlamegraph={() => setShowFlamegraph(!showFlamegraph)}
+            />
+
+            {showFlamegraph && (
+              <FlamegraphPanel
+                queryId={data.query_id}
+                timeRange={timeRange}
+                onClose={() => setShowFlamegraph(false)}
+              />
+            )}
+
+            <SecondaryQueries query={data.query} secondary={data.secondary} timeRange={timeRange} />
+
+            <SpanTimeline section={data.spans} />
+
+            <ProfileEvents events={data.profileEvents} />
+
+            <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+              <ThreadBreakdown section={data.threads} />
+              <ViewPushes section={data.views} />
+            </div>
+
+            <PartsWritten section={data.parts} />
+          </div>
+        )}
+    </DashboardLayout>
+  );
+}
+
+export default function QueryLifecycle() {
+  return (
+    <Suspense fallback={<div>Loading...</div>}>
+      <QueryLifecycleContent />
+    </Suspense>
+  );
+}
+
+function lifecycleHref(queryId, timeRange) {
+  return `/query-lifecycle?${new URLSearchParams({ query_id: queryId, ...timeRangeToParams(timeRange) })}`;
+}
+
+function StatusBadge({ status }) {
+  const badge = STATUS_BADGES[status];
+  return <Badge variant={badge.variant}>{badge.label}</Badge>;
+}
+
+function QuerySummary({ query, timeRange, onFlamegraph }) {
+  const { row } = query;
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <div className="flex flex-wrap items-center gap-2">
+            <CardTitle className="font-mono text-base break-all">{query.query_id}</CardTitle>
+            <StatusBadge status={query.status} />
+            {row.query_kind && <Badge variant="outline">{row.query_kind}</Badge>}
+          </div>
+          <Button onClick={onFlamegraph} variant="outline" size="sm">
+            🔥 Flamegraph
+          </Button>
+        </div>
+        {!query.is_initial_query && (
+          <p className="text-sm text-muted-foreground mt-2">
+            Secondary query of{' '}
+            <Link href={lifecycleHref(row.initial_query_id, timeRange)} className="font-mono text-primary hover:underline">
+              {row.initial_query_id}
+            </Link>
+          </p>
+        )}
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <Metric label="Started" value={formatDate(query.start_us / 1000)} />
+          <Metric label="Duration" value={formatDuration(query.duration_ms)} />
+          <Metric label="User" value={row.user} />
+          <Metric label="Host" value={row.host} />
+          <Metric label="Rows / Bytes Read" value={`${formatNumber(row.read_rows)} / ${formatBytes(row.read_bytes)}`} />
+          <Metric label="Rows / Bytes Written" value={`${formatNumber(row.written_rows)} / ${formatBytes(row.written_bytes)}`} />
+          <Metric label="Result Rows" value={formatNumber(row.result_rows)} />
+          <Metric label="Memory" value={formatBytes(row.memory_usage)} />
+        </div>
+
+        <SyntaxHighlighter
+          language="sql"
+          style={github}
+          customStyle={{
+            padding: '1rem',
+            borderRadius: '0.5rem',
+            fontSize: '0.75rem',
+            maxHeight: '300px',
+          }}
+        >
+          {row.query}
+        </SyntaxHighlighter>
+
+        {row.exception && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded">
+            <h4 className="font-medium text-red-900 mb-1">Error {row.exception_code}:</h4>
+            <pre className="text-xs text-red-800 whitespace-pre-wrap">{row.exception}</pre>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+// Start and finish of the query and each secondary query on a shared time axis
+function SecondaryQueries({ query, secondary, timeRange }) {
+  const all = [query, ...secondary];
+  const start = Math.min(...all.map((entry) => entry.start_us));
+  const finish = Math.max(...all.map((entry) => entry.finish_us ?? entry.start_us));
+  const span = Math.max(finish - start, 1);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Start and Finish ({secondary.length} secondary {secondary.length === 1 ? 'query' : 'queries'})</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="border-b text-left text-muted-foreground">
+              <th className="py-1 pr-3 font-medium">Query ID</th>
+              <th className="py-1 pr-3 font-medium">Host</th>
+              <th className="py-1 pr-3 font-medium">Status</th>
+              <th className="py-1 pr-3 font-medium text-right">Duration</th>
+              <th className="py-1 pr-3 font-medium text-right">Rows Read</th>
+              <th className="py-1 font-medium w-1/3">Timeline</th>
+            </tr>
+          </thead>
+          <tbody>
+            {all.map((entry) => (
+              <tr key={entry.query_id} className="border-b">
+                <td className="py-1 pr-3 font-mono">
+                  {entry === query ? (
+                    <span className="font-semibold">{entry.query_id.substring(0, 8)}</span>
+                  ) : (
+                    <Link href={lifecycleHref(entry.query_id, timeRange)} className="text-primary hover:underline">
+                      {entry.query_id.substring(0, 8)}
+                    </Link>
+                  )}
+                </td>
+                <td className="py-1 pr-3">{entry.host}</td>
+                <td className="py-1 pr-3"><StatusBadge status={entry.status} /></td>
+                <td className="py-1 pr-3 text-right">{formatDuration(entry.duration_ms)}</td>
+                <td className="py-1 pr-3 text-right">{formatNumber(entry.row.read_rows)}</td>
+                <td className="py-1">
+                  <TimelineBar
+                    offset={(entry.start_us - start) / span}
+                    width={((entry.finish_us ?? finish) - entry.start_us) / span}
+                    className={entry.status === 'failed' ? 'bg-red-400' : 'bg-blue-400'}
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </CardContent>
+    </Card>
+  );
+}
+
+function TimelineBar({ offset, width, className }) {
+  return (
+    <div className="relative h-3 bg-gray-100 rounded">
+      <div
+        className={`absolute h-3 rounded ${className}`}
+        style={{ left: `${offset * 100}%`, width: `${Math.max(width * 100, 0.5)}%` }}
+      />
+    </div>
+  );
+}
+
+// Section backed by an optional log table
+function OptionalSection({ title, table, section, empty, children }) {
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between">
+          <span>{title}</span>
+          <code className="text-xs font-normal text-muted-foreground">{table}</code>
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        {!section.available ? (
+          <p className="text-sm text-muted-foreground">{table} is not enabled or not readable on this server</p>
+        ) : section.error ? (
+          <p className="text-sm text-red-700">{section.error}</p>
+        ) : empty ? (
+          <p className="text-sm text-muted-foreground">Nothing recorded for this query</p>
+        ) : children}
+      </CardContent>
+    </Card>
+  );
+}
+
+function SpanTimeline({ section }) {
+  const timeline = section.data;
+
+  return (
+    <OptionalSection
+      title="Trace Spans"
+      table="system.opentelemetry_span_log"
+      section={section}
+      empty={!timeline || timeline.spans.length === 0}
+    >
+      {timeline && (
+        <div className="space-y-1 max-h-[32rem] overflow-auto">
+          <p className="text-xs text-muted-foreground mb-2">
+            {timeline.spans.length} spans over {formatDuration(timeline.duration_ms)}
+          </p>
+          {timeline.spans.map((span) => (
+            <div key={span.span_id} className="grid grid-cols-3 gap-3 items-center text-xs">
+              <div
+                className="truncate font-mono"
+                style={{ paddingLeft: `${span.depth * 12}px` }}
+                title={`${span.operation_name} on ${span.host}`}
+              >
+                {span.operation_name}
+              </div>
+              <div className="col-span-2 flex items-center gap-2">
+                <div className="flex-1">
+                  <TimelineBar
+                    offset={timeline.duration_ms > 0 ? span.offset_ms / timeline.duration_ms : 0}
+                    width={timeline.duration_ms > 0 ? span.duration_ms / timeline.duration_ms : 1}
+                    className="bg-purple-400"
+                  />
+                </div>
+                <span className="w-20 text-right text-muted-foreground">{formatDuration(span.duration_ms)}</span>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </OptionalSection>
+  );
+}
+
+function ProfileEvents({ events }) {
+  const [filter, setFilter] = useState('');
+  const visible = events.filter((event) => event.name.toLowerCase().includes(filter.toLowerCase()));
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between gap-4">
+          <CardTitle>ProfileEvents ({events.length})</CardTitle>
+          <Input
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            placeholder="Filter events"
+            className="max-w-xs h-9"
+          />
+        </div>
+      </CardHeader>
+      <CardContent>
+        {events.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No ProfileEvents were logged for this query</p>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-x-6 max-h-96 overflow-auto text-xs">
+            {visible.map((event) => (
+              <div key={event.name} className="flex justify-between gap-2 border-b py-1">
+                <span className="font-mono truncate" title={event.name}>{event.name}</span>
+                <span className="font-medium">{formatNumber(event.value)}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+function ThreadBreakdown({ section }) {
+  const summary = section.data;
+
+  return (
+    <OptionalSection
+      title="Threads"
+      table="system.query_thread_log"
+      section={section}
+      empty={!summary || summary.threads.length === 0}
+    >
+      {summary && (
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="border-b text-left text-muted-foreground">
+              <th className="py-1 pr-3 font-medium">Thread</th>
+              <th className="py-1 pr-3 font-medium text-right">Threads</th>
+              <th className="py-1 pr-3 font-medium text-right">CPU User</th>
+              <th className="py-1 pr-3 font-medium text-right">CPU System</th>
+              <th className="py-1 pr-3 font-medium text-right">CPU Wait</th>
+              <th className="py-1 font-medium text-right">Rows Read</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summary.byName.map((group) => (
+              <tr key={group.thread_name} className="border-b">
+                <td className="py-1 pr-3 font-mono">{group.thread_name}</td>
+                <td className="py-1 pr-3 text-right">{formatNumber(group.threads)}</td>
+                <td className="py-1 pr-3 text-right">{formatDuration(group.user_time_us / 1000)}</td>
+                <td className="py-1 pr-3 text-right">{formatDuration(group.system_time_us / 1000)}</td>
+                <td className="py-1 pr-3 text-right">{formatDuration(group.cpu_wait_us / 1000)}</td>
+                <td className="py-1 text-right">{formatNumber(group.read_rows)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </OptionalSection>
+  );
+}
+
+function ViewPushes({ section }) {
+  const views = section.data;
+
+  return (
+    <OptionalSection
+      title="Materialized View Pushes"
+      table="system.query_views_log"
+      section={section}
+      empty={!views || views.length === 0}
+    >
+      {views && (
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="border-b text-left text-muted-foreground">
+              <th className="py-1 pr-3 font-medium">View</th>
+              <th className="py-1 pr-3 font-medium">Status</th>
+              <th className="py-1 pr-3 font-medium text-right">Duration</th>
+              <th className="py-1 font-medium text-right">Rows Written</th>
+            </tr>
+          </thead>
+          <tbody>
+            {views.map((view, i) => (
+              <tr key={i} className="border-b">
+                <td className="py-1 pr-3 font-mono" title={view.exception || view.view_target}>
+                  {view.view_name}
+                </td>
+                <td className="py-1 pr-3">
+                  <Badge variant={view.status === 'QueryFinish' ? 'success' : 'danger'}>{view.status}</Badge>
+                </td>
+                <td className="py-1 pr-3 text-right">{formatDuration(view.view_duration_ms)}</td>
+                <td className="py-1 text-right">{formatNumber(view.written_rows)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </OptionalSection>
+  );
+}
+
+function PartsWritten({ section }) {
+  const parts = section.data;
+
+  return (
+    <OptionalSection
+      title="Parts"
+      table="system.part_log"
+      section={section}
+      empty={!parts || parts.length === 0}
+    >
+      {parts && (
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="border-b text-left text-muted-foreground">
+              <th className="py-1 pr-3 font-medium">Event</th>
+              <th className="py-1 pr-3 font-medium">Table</th>
+              <th className="py-1 pr-3 font-medium">Part</th>
+              <th className="py-1 pr-3 font-medium">Host</th>
+              <th className="py-1 pr-3 font-medium text-right">Rows</th>
+              <th className="py-1 pr-3 font-medium text-right">Size</th>
+              <th className="py-1 font-medium text-right">Duration</th>
+            </tr>
+          </thead>
+          <tbody>
+            {parts.map((part, i) => (
+              <tr key={i} className="border-b">
+                <td className="py-1 pr-3">{part.event_type}</td>
+                <td className="py-1 pr-3 font-mono">{part.database}.{part.table}</td>
+                <td className="py-1 pr-3 font-mono">{part.part_name}</td>
+                <td className="py-1 pr-3">{part.host}</td>
+                <td className="py-1 pr-3 text-right">{formatNumber(part.rows)}</td>
+                <td className="py-1 pr-3 text-right">{formatBytes(part.size_in_bytes)}</td>
+                <td className="py-1 text-right">{formatDuration(part.duration_ms)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </OptionalSection>
+  );
+}
+
+function Metric({ label, value }) {
+  return (
+    <div>
+      <div className="text-xs text-muted-foreground mb-1">{label}</div>
+      <div className="text-sm font-medium break-all">{value}</div>
+    </div>
+  );
+}
@@ -0,0 +1,358 @@
+'use client';
+
+import { useState, useEffect, useMemo, Suspense } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
+import { useRequireAuth } from '@/hooks/useAuth';
+import { useAbortController, isAbortError } from '@/hooks/useAbortController';
+import DashboardLayout from '@/components/Dashboard/DashboardLayout';
+import { PieChart as PieChartIcon } from 'lucide-react';
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import Select from '@/components/ui/Select';
+import TimeRangePicker from '@/components/ui/TimeRangePicker';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import ExportMenu from '@/components/ui/ExportMenu';
+import { PermissionError } from '@/components/ErrorBoundary';
+import { formatBytes, formatNumber, formatDuration, formatPercent, truncateString } from '@/utils/formatters';
+import { formatResourceUsageForExport } from '@/utils/exportUtils';
+import { RESOURCE_DIMENSIONS, CHART_COLORS } from '@/utils/constants';
+import { parseTimeRange, timeRangeToParams, applyTimeRangeToSearchParams } from '@/utils/timeRange';
+import { PieChart, Pie, Cell, Tooltip, ResponsiveContainer } from 'recharts';
+
+// Metrics with a share-of-total chart, in ranking order
+const SHARE_METRICS = [
+  { key: 'cpu_seconds', label: 'CPU Time', format: (value) => formatDuration(value * 1000) },
+  { key: 'read_bytes', label: 'Read Bytes', format: (value) => formatBytes(value) },
+  { key: 'memory_bytes', label: 'Memory (sum of peaks)', format: (value) => formatBytes(value) },
+  { key: 'query_seconds', label: 'Query Time', format: (value) => formatDuration(value * 1000) },
+];
+
+const PIE_SLICES = 6;
+const PIE_COLORS = Object.values(CHART_COLORS);
+const OTHER_COLOR = '#9ca3af';
+
+function ResourceUsageContent() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const { isAuthenticated, isLoading: authLoading } = useRequireAuth();
+  const [loading, setLoading] = useState(true);
+  const [cancelled, setCancelled] = useState(false);
+  const [error, setError] = useState(null);
+  const [data, setData] = useState(null);
+  const request = useAbortController();
+  const timeRange = useMemo(() => parseTimeRange(searchParams), [searchParams]);
+  const [filters, setFilters] = useState({
+    dimension: 'user',
+    includeSelf: false,
+  });
+  const [rankBy, setRankBy] = useState('cpu_seconds');
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      fetchUsage();
+    }
+  }, [isAuthenticated, filters, timeRange]);
+
+  const fetchUsage = async () => {
+    const controller = request.start();
+
+    try {
+      setLoading(true);
+      setCancelled(false);
+      setError(null);
+
+      const params = new URLSearchParams({
+        ...timeRangeToParams(timeRange),
+        dimension: filters.dimension,
+        include_self: filters.includeSelf,
+      });
+
+      const response = await fetch(`/api/clickhouse/resource-usage?${params}`, {
+        signal: controller.signal,
+      });
+      const result = await response.json();
+
+      if (response.ok) {
+        setData(result);
+      } else {
+        setError({
+          type: result.type,
+          message: result.error,
+          table: result.table,
+          requirements: result.requirements,
+        });
+      }
+    } catch (error) {
+      if (isAbortError(error)) {
+        if (request.isCurrent(controller)) {
+          setCancelled(true);
+        }
+        return;
+      }
+      console.error('Error fetching resource usage:', error);
+      setError({ type: 'UNKNOWN', message: error.message || 'Failed to fetch resource usage' });
+    } finally {
+      if (request.isCurrent(controller)) {
+        setLoading(false);
+      }
+    }
+  };
+
+  const handleFilterChange = (key, value) => {
+    setFilters((prev) => ({
+      ...prev,
+      [key]: value,
+    }));
+  };
+
+  const handleTimeRangeChange = (range) => {
+    router.replace(`?${applyTimeRangeToSearchParams(searchParams, range)}`, { scroll: false });
+  };
+
+  const rows = useMemo(() => {
+    if (!data) return [];
+    return [...data.rows].sort((a, b) => b[rankBy] - a[rankBy]);
+  }, [data, rankBy]);
+
+  if (authLoading) {
+    return null; // DashboardLayout handles loading
+  }
+
+  const dimensionLabel = RESOURCE_DIMENSIONS.find((option) => option.value === filters.dimension)?.label;
+
+  return (
+    <DashboardLayout
+      title="Resource Usage"
+      description="CPU, I/O, memory and query time by user, role or client"
+      icon={PieChartIcon}
+    >
+
+        {/* Filters */}
+        <Card className="mb-6">
+          <CardContent className="p-6">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium mb-2">Time Range</label>
+                <TimeRangePicker
+                  value={timeRange}
+                  onChange={handleTimeRangeChange}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-2">Group By</label>
+                <Select
+                  value={filters.dimension}
+                  onChange={(value) => handleFilterChange('dimension', value)}
+                  options={RESOURCE_DIMENSIONS}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-2">Rank By</label>
+                <Select
+                  value={rankBy}
+                  onChange={setRankBy}
+                  options={SHARE_METRICS.map((metric) => ({ value: metric.key, label: metric.label }))}
+                />
+              </div>
+            </div>
+
+            <div className="mt-4 flex items-center justify-between">
+              <div className="flex items-center gap-4">
+                {filters.dimension === 'role' && (
+                  <p className="text-sm text-muted-foreground">
+                    Users are grouped by the full set of roles granted to them
+                  </p>
+                )}
+                <label className="flex items-center gap-2 text-sm text-muted-foreground">
+                  <input
+                    type="checkbox"
+                    checked={filters.includeSelf}
+                    onChange={(e) => handleFilterChange('includeSelf', e.target.checked)}
+                  />
+                  Show CheckMyHouse&apos;s own queries
+                </label>
+              </div>
+              <div className="flex gap-2">
+                <ExportMenu
+                  data={rows}
+                  filename={`resource-usage-${filters.dimension}-${new Date().toISOString().split('T')[0]}`}
+                  formatData={formatResourceUsageForExport}
+                />
+                <Button onClick={fetchUsage} variant="outline" size="sm">
+                  🔄 Refresh
+                </Button>
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+
+        {error && error.type === 'PERMISSION_DENIED' && (
+          <div className="mb-6">
+            <PermissionError
+              feature="Resource Usage"
+              table={error.table || 'system.query_log'}
+              requirements={error.requirements}
+              onDismiss={() => setError(null)}
+            />
+          </div>
+        )}
+
+        {error && error.type !== 'PERMISSION_DENIED' && (
+          <Card className="mb-6 border-red-200 bg-red-50">
+            <CardContent className="p-6">
+              <p className="text-red-700">{error.message}</p>
+              <Button onClick={fetchUsage} className="mt-4" size="sm">
+                Retry
+              </Button>
+            </CardContent>
+          </Card>
+        )}
+
+        {loading ? (
+          <Card>
+            <CardContent className="flex flex-col items-center justify-center gap-4 h-96">
+              <LoadingSpinner size="lg" />
+              <Button onClick={request.cancel} variant="outline" size="sm">
+                Cancel
+              </Button>
+            </CardContent>
+          </Card>
+        ) : cancelled ? (
+          <Card>
+            <CardContent className="flex flex-col items-center justify-center gap-4 h-96 text-muted-foreground">
+              <p>Query cancelled</p>
+              <Button onClick={fetchUsage} variant="outline" size="sm">
+                Run again
+              </Button>
+            </CardContent>
+          </Card>
+        ) : data && (
+          <>
+            {/* Share of total */}
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+              {SHARE_METRICS.map((metric) => (
+                <SharePie key={metric.key} metric={metric} rows={data.rows} totals={data.totals} />
+              ))}
+            </div>
+
+            {/* Ranking */}
+            <Card>
+              <CardHeader>
+                <CardTitle>
+                  {dimensionLabel} Ranking ({rows.length})
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                {rows.length === 0 ? (
+                  <div className="text-center py-12 text-muted-foreground">
+                    No queries in this time range
+                  </div>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="border-b text-left text-muted-foreground">
+                          <th className="py-2 pr-4 font-medium">{dimensionLabel}</th>
+                          <th className="py-2 pr-4 font-medium text-right">Queries</th>
+                          <th className="py-2 pr-4 font-medium text-right">Failed</th>
+                          {SHARE_METRICS.map((metric) => (
+                            <th key={metric.key} className="py-2 pr-4 font-medium text-right">{metric.label}</th>
+                          ))}
+                          <th className="py-2 pr-4 font-medium text-right">OS Read Bytes</th>
+                          <th className="py-2 font-medium text-right">Peak Memory</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {rows.map((row) => (
+                          <tr key={row.dimension} className="border-b hover:bg-gray-50">
+                            <td className="py-2 pr-4">
+                              <div className="font-mono" title={row.dimension}>
+                                {truncateString(row.dimension, 60)}
+                              </div>
+                              {row.users && (
+                                <div className="text-xs text-muted-foreground">
+                                  {truncateString(row.users.join(', '), 80)}
+                                </div>
+                              )}
+                            </td>
+                            <td className="py-2 pr-4 text-right">{formatNumber(row.query_count)}</td>
+                            <td className="py-2 pr-4 text-right">{formatNumber(row.failed_count)}</td>
+                            {SHARE_METRICS.map((metric) => (
+                              <td key={metric.key} className="py-2 pr-4 text-right whitespace-nowrap">
+                                {metric.format(row[metric.key])}
+                                <span className="ml-1 text-xs text-muted-foreground">
+                                  {formatPercent(row.share[metric.key], 1)}
+                                </span>
+                              </td>
+                            ))}
+                            <td className="py-2 pr-4 text-right">{formatBytes(row.io_read_bytes)}</td>
+                            <td className="py-2 text-right">{formatBytes(row.peak_memory_bytes)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          </>
+        )}
+    </DashboardLayout>
+  );
+}
+
+export default function ResourceUsage() {
+  return (
+    <Suspense fallback={<div>Loading...</div>}>
+      <ResourceUsageContent />
+    </Suspense>
+  );
+}
+
+// Top entries plus everything else (including rows past the ranking limit)
+function SharePie({ metric, rows, totals }) {
+  const slices = useMemo(() => {
+    const top = [...rows]
+      .sort((a, b) => b[metric.key] - a[metric.key])
+      .slice(0, PIE_SLICES)
+      .filter((row) => row[metric.key] > 0)
+      .map((row) => ({ name: row.dimension, value: row[metric.key] }));
+
+    const other = totals[metric.key] - top.reduce((sum, slice) => sum + slice.value, 0);
+    return other > 0 ? [...top, { name: 'Other', value: other }] : top;
+  }, [metric, rows, totals]);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-base">{metric.label}</CardTitle>
+        <p className="text-sm text-muted-foreground">Total {metric.format(totals[metric.key])}</p>
+      </CardHeader>
+      <CardContent>
+        {slices.length === 0 ? (
+          <div className="flex items-center justify-center h-48 text-muted-foreground">
+            No data
+          </div>
+        ) : (
+          <ResponsiveContainer width="100%" height={200}>
+            <PieChart>
+              <Pie data={slices} dataKey="value" nameKey="name" innerRadius={40} outerRadius={80}>
+                {slices.map((slice, index) => (
+                  <Cell
+                    key={slice.name}
+                    fill={slice.name === 'Other' ? OTHER_COLOR : PIE_COLORS[index % PIE_COLORS.length]}
+                  />
+                ))}
+              </Pie>
+              <Tooltip
+                formatter={(value) => `${metric.format(value)} (${formatPercent(value / totals[metric.key], 1)})`}
+              />
+            </PieChart>
+          </ResponsiveContainer>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
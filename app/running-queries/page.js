@@ -0,0 +1,513 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useDebounce } from 'use-debounce';
+import { useRequireAuth } from '@/hooks/useAuth';
+import { useAbortController, isAbortError } from '@/hooks/useAbortController';
+import DashboardLayout from '@/components/Dashboard/DashboardLayout';
+import { Timer } from 'lucide-react';
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/Card';
+import Button from '@/components/ui/Button';
+import Select from '@/components/ui/Select';
+import Input from '@/components/ui/Input';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import Badge from '@/components/ui/Badge';
+import { PermissionError } from '@/components/ErrorBoundary';
+import { formatDuration, formatBytes, formatNumber, formatPercent, formatDate } from '@/utils/formatters';
+import { getDurationIndicator } from '@/utils/performanceIndicators';
+import { RUNNING_QUERY_SORT_OPTIONS, REFRESH_INTERVALS } from '@/utils/constants';
+import { Light as SyntaxHighlighter } from 'react-syntax-highlighter';
+import sql from 'react-syntax-highlighter/dist/esm/languages/hljs/sql';
+import { github } from 'react-syntax-highlighter/dist/esm/styles/hljs';
+
+SyntaxHighlighter.registerLanguage('sql', sql);
+
+export default function RunningQueries() {
+  const { isAuthenticated, isLoading: authLoading } = useRequireAuth();
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [data, setData] = useState(null);
+  const [kills, setKills] = useState([]);
+  const [killStatus, setKillStatus] = useState(null);
+  const [killing, setKilling] = useState(null);
+  const [expandedQuery, setExpandedQuery] = useState(null);
+  const [refreshInterval, setRefreshInterval] = useState(5); // seconds
+  const request = useAbortController();
+  const [filters, setFilters] = useState({
+    sortColumn: 'elapsed',
+    minElapsed: '',
+    user: '',
+    search: '',
+    limit: 100,
+    includeSelf: false,
+  });
+
+  // Debounce filters so typing doesn't restart the poll (and cancel the running one) per keystroke
+  const [debouncedFilters] = useDebounce(filters, 500);
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      fetchKills();
+    }
+  }, [isAuthenticated]);
+
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    fetchRunningQueries();
+
+    // Set up auto-refresh
+    if (refreshInterval > 0) {
+      const interval = setInterval(fetchRunningQueries, refreshInterval * 1000);
+      return () => clearInterval(interval);
+    }
+  }, [isAuthenticated, debouncedFilters, refreshInterval]);
+
+  const fetchRunningQueries = async () => {
+    // A slow poll is replaced by the next one instead of piling up
+    const controller = request.start();
+
+    try {
+      setLoading(true);
+
+      const params = new URLSearchParams({
+        sort_column: debouncedFilters.sortColumn,
+        limit: debouncedFilters.limit,
+        include_self: debouncedFilters.includeSelf,
+      });
+      if (debouncedFilters.minElapsed) params.set('min_elapsed', debouncedFilters.minElapsed);
+      if (debouncedFilters.user.trim()) params.set('user', debouncedFilters.user.trim());
+      if (debouncedFilters.search.trim()) params.set('search', debouncedFilters.search.trim());
+
+      const response = await fetch(`/api/clickhouse/running-queries?${params}`, {
+        signal: controller.signal,
+      });
+      const result = await response.json();
+
+      if (response.ok) {
+        setData(result);
+        setError(null);
+      } else {
+        setError({
+          type: result.type,
+          message: result.error,
+          requirements: result.requirements,
+        });
+      }
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.error('Error fetching running queries:', error);
+        setError({ type: 'UNKNOWN', message: error.message || 'Failed to fetch running queries' });
+      }
+    } finally {
+      if (request.isCurrent(controller)) {
+        setLoading(false);
+      }
+    }
+  };
+
+  const fetchKills = async () => {
+    try {
+      const response = await fetch('/api/clickhouse/running-queries/kill');
+      const result = await response.json();
+      if (response.ok) {
+        setKills(result.kills);
+      }
+    } catch (error) {
+      console.error('Error fetching kill audit log:', error);
+    }
+  };
+
+  const handleKill = async (query) => {
+    const preview = query.query.length > 200 ? `${query.query.substring(0, 200)}...` : query.query;
+    if (!window.confirm(
+      `Kill query ${query.query_id} run by ${query.user} on ${query.hostname}?\n\n${preview}`
+    )) return;
+
+    try {
+      setKilling(query.query_id);
+      const response = await fetch('/api/clickhouse/running-queries/kill', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query_id: query.query_id }),
+      });
+      const result = await response.json();
+
+      setKillStatus(response.ok
+        ? { success: true, message: `KILL QUERY issued for ${query.query_id}` }
+        : { success: false, message: result.error || 'Failed to kill query' });
+    } catch (error) {
+      console.error('Error killing query:', error);
+      setKillStatus({ success: false, message: error.message || 'Failed to kill query' });
+    } finally {
+      setKilling(null);
+      fetchRunningQueries();
+      fetchKills();
+    }
+  };
+
+  const handleFilterChange = (key, value) => {
+    setFilters((prev) => ({
+      ...prev,
+      [key]: value,
+    }));
+  };
+
+  if (authLoading) {
+    return null; // DashboardLayout handles loading
+  }
+
+  const queries = data?.queries || [];
+  const canKill = data?.readOnly && !data.readOnly.enabled;
+
+  return (
+    <DashboardLayout
+      title="Running Queries"
+      description="Queries in flight right now, from system.processes"
+      icon={Timer}
+    >
+
+        {/* Filters */}
+        <Card className="mb-6">
+          <CardContent className="p-6">
+            <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+              <div>
+                <label className="block text-sm font-medium mb-2">Sort By</label>
+                <Select
+                  value={filters.sortColumn}
+                  onChange={(value) => handleFilterChange('sortColumn', value)}
+                  options={RUNNING_QUERY_SORT_OPTIONS}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-2">Min Elapsed (seconds)</label>
+                <Input
+                  type="number"
+                  value={filters.minElapsed}
+                  onChange={(e) => handleFilterChange('minElapsed', e.target.value)}
+                  min="0"
+                  placeholder="Any"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-2">User</label>
+                <Input
+                  value={filters.user}
+                  onChange={(e) => handleFilterChange('user', e.target.value)}
+                  placeholder="Any user"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-2">Query Text</label>
+                <Input
+                  value={filters.search}
+                  onChange={(e) => handleFilterChange('search', e.target.value)}
+                  placeholder="Contains"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-2">Auto-refresh</label>
+                <Select
+                  value={refreshInterval}
+                  onChange={(value) => setRefreshInterval(parseInt(value))}
+                  options={REFRESH_INTERVALS}
+                />
+              </div>
+            </div>
+
+            <div className="mt-4 flex items-center justify-between">
+              <div className="flex items-center gap-4">
+                <p className="text-sm text-muted-foreground">
+                  {queries.length} running {queries.length === 1 ? 'query' : 'queries'}
+                  {data?.clustered && ' across all replicas'}
+                </p>
+                <label className="flex items-center gap-2 text-sm text-muted-foreground">
+                  <input
+                    type="checkbox"
+                    checked={filters.includeSelf}
+                    onChange={(e) => handleFilterChange('includeSelf', e.target.checked)}
+                  />
+                  Show CheckMyHouse&apos;s own queries
+                </label>
+              </div>
+              <div className="flex items-center gap-3">
+                {data && (
+                  <span className="text-sm text-muted-foreground">
+                    Last updated: {new Date(data.fetchedAt).toLocaleTimeString()}
+                  </span>
+                )}
+                <Badge variant={loading ? 'warning' : refreshInterval > 0 ? 'success' : 'outline'}>
+                  {loading ? 'Updating...' : refreshInterval > 0 ? '● Live' : 'Paused'}
+                </Badge>
+                <Button onClick={fetchRunningQueries} variant="outline" size="sm">
+                  🔄 Refresh
+                </Button>
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+
+        {data?.readOnly?.enabled && (
+          <div className="mb-6 p-3 bg-blue-50 border border-blue-200 rounded text-sm text-blue-800">
+            🔒 Read-only mode is on, so queries cannot be killed from here. Set <code>CHECKMYHOUSE_READ_ONLY=false</code> to enable it.
+          </div>
+        )}
+
+        {killStatus && (
+          <div className={`mb-6 p-3 border rounded text-sm flex items-center justify-between ${
+            killStatus.success ? 'bg-green-50 border-green-200 text-green-800' : 'bg-red-50 border-red-200 text-red-700'
+          }`}>
+            <span>{killStatus.message}</span>
+            <button onClick={() => setKillStatus(null)} className="ml-4">✕</button>
+          </div>
+        )}
+
+        {error && error.type === 'PERMISSION_DENIED' && (
+          <div className="mb-6">
+            <PermissionError
+              feature="Running Queries"
+              table="system.processes"
+              requirements={error.requirements}
+              onDismiss={() => setError(null)}
+            />
+          </div>
+        )}
+
+        {error && error.type !== 'PERMISSION_DENIED' && (
+          <Card className="mb-6 border-red-200 bg-red-50">
+            <CardContent className="p-6">
+              <p className="text-red-700">{error.message}</p>
+              <Button onClick={fetchRunningQueries} className="mt-4" size="sm">
+                Retry
+              </Button>
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Summary Stats */}
+        {queries.length > 0 && (
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+            <Card>
+              <CardContent className="p-6">
+                <div className="text-sm text-muted-foreground mb-1">Running</div>
+                <div className="text-3xl font-bold">{queries.length}</div>
+              </CardContent>
+            </Card>
+            <Card>
+              <CardContent className="p-6">
+                <div className="text-sm text-muted-foreground mb-1">Longest Running</div>
+                <div className="text-3xl font-bold">
+                  {formatDuration(Math.max(...queries.map((q) => q.elapsed_ms)))}
+                </div>
+              </CardContent>
+            </Card>
+            <Card>
+              <CardContent className="p-6">
+                <div className="text-sm text-muted-foreground mb-1">Total Memory</div>
+                <div className="text-3xl font-bold">
+                  {formatBytes(queries.reduce((sum, q) => sum + q.memory_usage, 0))}
+                </div>
+              </CardContent>
+            </Card>
+            <Card>
+              <CardContent className="p-6">
+                <div className="text-sm text-muted-foreground mb-1">Nodes</div>
+                <div className="text-3xl font-bold">
+                  {new Set(queries.map((q) => q.hostname)).size}
+                </div>
+              </CardContent>
+            </Card>
+          </div>
+        )}
+
+        {/* Queries List */}
+        <Card className="mb-6">
+          <CardHeader>
+            <CardTitle>Running Queries</CardTitle>
+          </CardHeader>
+          <CardContent>
+            {loading && !data ? (
+              <div className="flex flex-col items-center justify-center gap-4 h-96">
+                <LoadingSpinner size="lg" />
+                <Button onClick={request.cancel} variant="outline" size="sm">
+                  Cancel
+                </Button>
+              </div>
+            ) : queries.length === 0 ? (
+              <div className="text-center py-12 text-muted-foreground">
+                <div className="text-4xl mb-4">😴</div>
+                <p>No queries matching these filters are running</p>
+              </div>
+            ) : (
+              <div className="space-y-3">
+                {queries.map((query) => (
+                  <RunningQueryCard
+                    key={`${query.hostname}:${query.query_id}`}
+                    query={query}
+                    expanded={expandedQuery === query.query_id}
+                    onToggle={() => setExpandedQuery(expandedQuery === query.query_id ? null : query.query_id)}
+                    onKill={canKill ? () => handleKill(query) : null}
+                    killing={killing === query.query_id}
+                  />
+                ))}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        {kills.length > 0 && <KillAuditLog kills={kills} />}
+    </DashboardLayout>
+  );
+}
+
+function RunningQueryCard({ query, expanded, onToggle, onKill, killing }) {
+  const durationIndicator = getDurationIndicator(query.elapsed_ms);
+
+  return (
+    <div className="border rounded-lg overflow-hidden">
+      <div
+        className="p-4 hover:bg-gray-50 cursor-pointer"
+        onClick={onToggle}
+      >
+        <div className="flex items-center justify-between mb-3">
+          <div className="flex items-center gap-2">
+            <code className="text-xs text-muted-foreground">
+              {query.query_id.substring(0, 8)}
+            </code>
+            <Badge variant="outline">{query.user}</Badge>
+            <Badge variant="info">{query.hostname}</Badge>
+            {!query.is_initial_query && (
+              <Badge variant="outline">Remote part</Badge>
+            )}
+          </div>
+          <div className="flex items-center gap-3">
+            <div className="flex items-center gap-1">
+              <span>{durationIndicator.emoji}</span>
+              <span className="font-bold text-lg">
+                {formatDuration(query.elapsed_ms)}
+              </span>
+            </div>
+            <button className="text-muted-foreground">
+              {expanded ? '▼' : '▶'}
+            </button>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+          <MetricCell label="Memory" value={formatBytes(query.memory_usage)} />
+          <MetricCell label="Peak Memory" value={formatBytes(query.peak_memory_usage)} />
+          <MetricCell label="Rows Read" value={formatNumber(query.read_rows)} />
+          <MetricCell label="Bytes Read" value={formatBytes(query.read_bytes)} />
+          <div className="flex flex-col">
+            <span className="text-xs text-muted-foreground">Progress</span>
+            {query.progress === null ? (
+              <span className="text-sm font-medium">N/A</span>
+            ) : (
+              <div className="flex items-center gap-2">
+                <div className="flex-1 h-2 bg-gray-200 rounded">
+                  <div
+                    className="h-2 bg-blue-500 rounded"
+                    style={{ width: `${query.progress * 100}%` }}
+                  />
+                </div>
+                <span className="text-sm font-medium">{formatPercent(query.progress)}</span>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {expanded && (
+        <div className="border-t bg-gray-50 p-4">
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="font-medium">Full Query:</h4>
+            <div className="flex gap-2">
+              <Link href={`/query-lifecycle?${new URLSearchParams({ query_id: query.initial_query_id || query.query_id })}`}>
+                <Button variant="outline" size="sm">
+                  🧬 Lifecycle
+                </Button>
+              </Link>
+              {onKill && (
+                <Button onClick={onKill} variant="destructive" size="sm" disabled={killing}>
+                  {killing ? 'Killing...' : '⛔ Kill Query'}
+                </Button>
+              )}
+            </div>
+          </div>
+          <SyntaxHighlighter
+            language="sql"
+            style={github}
+            customStyle={{
+              padding: '1rem',
+              borderRadius: '0.5rem',
+              fontSize: '0.75rem',
+              maxHeight: '300px',
+            }}
+          >
+            {query.query}
+          </SyntaxHighlighter>
+          <div className="mt-2 text-xs text-muted-foreground">
+            query_id <code>{query.query_id}</code>
+            {!query.is_initial_query && <> · initial <code>{query.initial_query_id}</code></>}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function KillAuditLog({ kills }) {
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Recent Kills</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b text-left text-muted-foreground">
+              <th className="py-2 pr-3 font-medium">When</th>
+              <th className="py-2 pr-3 font-medium">Query</th>
+              <th className="py-2 pr-3 font-medium">Run by</th>
+              <th className="py-2 pr-3 font-medium">Node</th>
+              <th className="py-2 pr-3 font-medium text-right">Elapsed</th>
+              <th className="py-2 font-medium">Outcome</th>
+            </tr>
+          </thead>
+          <tbody>
+            {kills.map((kill) => (
+              <tr key={`${kill.timestamp}:${kill.queryId}`} className="border-b">
+                <td className="py-2 pr-3 whitespace-nowrap">{formatDate(kill.timestamp)}</td>
+                <td className="py-2 pr-3">
+                  <code className="text-xs">{kill.queryId.substring(0, 8)}</code>
+                  <div className="text-xs text-muted-foreground truncate max-w-md">{kill.query}</div>
+                </td>
+                <td className="py-2 pr-3">{kill.queryUser}</td>
+                <td className="py-2 pr-3">{kill.hostname}</td>
+                <td className="py-2 pr-3 text-right whitespace-nowrap">{formatDuration(kill.elapsedSeconds * 1000)}</td>
+                <td className="py-2">
+                  <Badge variant={kill.outcome === 'issued' ? 'success' : 'danger'}>{kill.outcome}</Badge>
+                  {kill.error && <div className="text-xs text-red-700 mt-1">{kill.error}</div>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </CardContent>
+    </Card>
+  );
+}
+
+function MetricCell({ label, value }) {
+  return (
+    <div className="flex flex-col">
+      <span className="text-xs text-muted-foreground">{label}</span>
+      <span className="text-sm font-medium truncate">{value}</span>
+    </div>
+  );
+}
@@ -1,63 +1,122 @@
 'use client';
 
-import { useState, useEffect } from 'react';
-import { useRouter } from 'next/navigation';
+import { useState, useEffect, useMemo, Suspense } from 'react';
+import Link from 'next/link';
+import { useRouter, useSearchParams } from 'next/navigation';
+import { useDebounce } from 'use-debounce';
 import { useRequireAuth } from '@/hooks/useAuth';
+import { useAbortController, isAbortError } from '@/hooks/useAbortController';
 import DashboardLayout from '@/components/Dashboard/DashboardLayout';
 import { Clock } from 'lucide-react';
 import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/Card';
 import Button from '@/components/ui/Button';
 import Select from '@/components/ui/Select';
 import Input from '@/components/ui/Input';
+import TimeRangePicker from '@/components/ui/TimeRangePicker';
 import LoadingSpinner from '@/components/ui/LoadingSpinner';
 import Badge from '@/components/ui/Badge';
+import { PermissionError, QuotaExceededError } from '@/components/ErrorBoundary';
 import { formatDuration, formatBytes, formatNumber, formatDate } from '@/utils/formatters';
 import { getDurationIndicator, getMemoryIndicator } from '@/utils/performanceIndicators';
-import { TIME_RANGES } from '@/utils/constants';
+import { parseTimeRange, timeRangeToParams, applyTimeRangeToSearchParams } from '@/utils/timeRange';
+import FlamegraphPanel from '@/components/QueryAnalyzer/FlamegraphPanel';
+import { SLOW_QUERY_MODES, SLOW_QUERY_BASELINES, TIME_RANGES } from '@/utils/constants';
 import { Light as SyntaxHighlighter } from 'react-syntax-highlighter';
 import sql from 'react-syntax-highlighter/dist/esm/languages/hljs/sql';
 import { github } from 'react-syntax-highlighter/dist/esm/styles/hljs';
 
 SyntaxHighlighter.registerLanguage('sql', sql);
 
-export default function SlowQueries() {
+function SlowQueriesContent() {
   const router = useRouter();
+  const searchParams = useSearchParams();
   const { isAuthenticated, isLoading: authLoading } = useRequireAuth();
   const [loading, setLoading] = useState(true);
+  const [cancelled, setCancelled] = useState(false);
+  const [error, setError] = useState(null);
   const [queries, setQueries] = useState([]);
+  const [baseline, setBaseline] = useState(null);
+  const request = useAbortController();
+  const timeRange = useMemo(() => parseTimeRange(searchParams), [searchParams]);
   const [filters, setFilters] = useState({
-    days: 7,
+    mode: 'threshold',
     thresholdMs: 1000,
+    baseline: 'p90',
+    factor: 5,
+    baselineDays: 7,
+    minDurationMs: 100,
     limit: 100,
+    includeSelf: false,
   });
+  const adaptive = filters.mode === 'baseline';
   const [expandedQuery, setExpandedQuery] = useState(null);
+  const [flamegraphTarget, setFlamegraphTarget] = useState(null);
+
+  // Debounce filters so typing a number doesn't cancel and restart the query per keystroke
+  const [debouncedFilters] = useDebounce(filters, 500);
 
   useEffect(() => {
     if (isAuthenticated) {
       fetchSlowQueries();
     }
-  }, [isAuthenticated, filters]);
+  }, [isAuthenticated, debouncedFilters, timeRange]);
 
   const fetchSlowQueries = async () => {
+    const controller = request.start();
+
     try {
       setLoading(true);
+      setCancelled(false);
 
       const params = new URLSearchParams({
-        days: filters.days,
-        threshold_ms: filters.thresholdMs,
-        limit: filters.limit,
+        ...timeRangeToParams(timeRange),
+        mode: debouncedFilters.mode,
+        limit: debouncedFilters.limit,
+        include_self: debouncedFilters.includeSelf,
+        ...(debouncedFilters.mode === 'baseline'
+          ? {
+            baseline: debouncedFilters.baseline,
+            factor: debouncedFilters.factor,
+            baseline_days: debouncedFilters.baselineDays,
+            min_duration_ms: debouncedFilters.minDurationMs,
+          }
+          : { threshold_ms: debouncedFilters.thresholdMs }),
       });
 
-      const response = await fetch(`/api/clickhouse/query-analyzer/slow-queries?${params}`);
+      const response = await fetch(`/api/clickhouse/query-analyzer/slow-queries?${params}`, {
+        signal: controller.signal,
+      });
       const data = await response.json();
 
       if (response.ok) {
         setQueries(data.queries);
+        setBaseline(data.baseline);
+        setError(null);
+      } else {
+        setError({
+          type: data.type,
+          message: data.error,
+          requirements: data.requirements,
+          quotaInfo: data.quotaInfo,
+          retryAfter: data.retryAfter,
+        });
       }
     } catch (error) {
+      if (isAbortError(error)) {
+        if (request.isCurrent(controller)) {
+          setCancelled(true);
+        }
+        return;
+      }
       console.error('Error fetching slow queries:', error);
+      setError({
+        type: 'UNKNOWN',
+        message: error.message || 'Failed to fetch slow queries',
+      });
     } finally {
-      setLoading(false);
+      if (request.isCurrent(controller)) {
+        setLoading(false);
+      }
     }
   };
 
@@ -68,6 +127,10 @@ export default function SlowQueries() {
     }));
   };
 
+  const handleTimeRangeChange = (range) => {
+    router.replace(`?${applyTimeRangeToSearchParams(searchParams, range)}`, { scroll: false });
+  };
+
   if (authLoading) {
     return null; // DashboardLayout handles loading
   }
@@ -82,28 +145,59 @@ export default function SlowQueries() {
         {/* Filters */}
         <Card className="mb-6">
           <CardContent className="p-6">
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
               <div>
                 <label className="block text-sm font-medium mb-2">Time Range</label>
-                <Select
-                  value={filters.days}
-                  onChange={(value) => handleFilterChange('days', parseInt(value))}
-                  options={TIME_RANGES}
+                <TimeRangePicker
+                  value={timeRange}
+                  onChange={handleTimeRangeChange}
                 />
               </div>
 
               <div>
-                <label className="block text-sm font-medium mb-2">
-                  Threshold (milliseconds)
-                </label>
-                <Input
-                  type="number"
-                  value={filters.thresholdMs}
-                  onChange={(e) => handleFilterChange('thresholdMs', parseInt(e.target.value))}
-                  min="1"
+                <label className="block text-sm font-medium mb-2">Detection</label>
+                <Select
+                  value={filters.mode}
+                  onChange={(value) => handleFilterChange('mode', value)}
+                  options={SLOW_QUERY_MODES}
                 />
               </div>
 
+              {adaptive ? (
+                <div>
+                  <label className="block text-sm font-medium mb-2">
+                    Slower than
+                  </label>
+                  <div className="flex gap-2">
+                    <Input
+                      type="number"
+                      value={filters.factor}
+                      onChange={(e) => handleFilterChange('factor', parseFloat(e.target.value))}
+                      min="1"
+                      step="0.5"
+                      className="w-24"
+                    />
+                    <Select
+                      value={filters.baseline}
+                      onChange={(value) => handleFilterChange('baseline', value)}
+                      options={SLOW_QUERY_BASELINES.map((option) => ({ ...option, label: `× ${option.label}` }))}
+                    />
+                  </div>
+                </div>
+              ) : (
+                <div>
+                  <label className="block text-sm font-medium mb-2">
+                    Threshold (milliseconds)
+                  </label>
+                  <Input
+                    type="number"
+                    value={filters.thresholdMs}
+                    onChange={(e) => handleFilterChange('thresholdMs', parseInt(e.target.value))}
+                    min="1"
+                  />
+                </div>
+              )}
+
               <div>
                 <label className="block text-sm font-medium mb-2">Results Limit</label>
                 <Select
@@ -119,10 +213,46 @@ export default function SlowQueries() {
               </div>
             </div>
 
+            {adaptive && (
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mt-4">
+                <div>
+                  <label className="block text-sm font-medium mb-2">Baseline Window</label>
+                  <Select
+                    value={filters.baselineDays}
+                    onChange={(value) => handleFilterChange('baselineDays', parseInt(value))}
+                    options={TIME_RANGES}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-2">
+                    Ignore executions under (milliseconds)
+                  </label>
+                  <Input
+                    type="number"
+                    value={filters.minDurationMs}
+                    onChange={(e) => handleFilterChange('minDurationMs', parseInt(e.target.value))}
+                    min="0"
+                  />
+                </div>
+              </div>
+            )}
+
             <div className="mt-4 flex items-center justify-between">
-              <p className="text-sm text-muted-foreground">
-                Showing {queries.length} slow queries ({'>'}{filters.thresholdMs}ms)
-              </p>
+              <div className="flex items-center gap-4">
+                <p className="text-sm text-muted-foreground">
+                  {adaptive && baseline
+                    ? `Showing ${queries.length} outliers (≥${baseline.factor}× their pattern ${baseline.quantile} over ${baseline.days} days, at least ${baseline.minExecutions} executions)`
+                    : `Showing ${queries.length} slow queries (>${filters.thresholdMs}ms)`}
+                </p>
+                <label className="flex items-center gap-2 text-sm text-muted-foreground">
+                  <input
+                    type="checkbox"
+                    checked={filters.includeSelf}
+                    onChange={(e) => handleFilterChange('includeSelf', e.target.checked)}
+                  />
+                  Show CheckMyHouse&apos;s own queries
+                </label>
+              </div>
               <Button onClick={fetchSlowQueries} variant="outline" size="sm">
                 🔄 Refresh
               </Button>
@@ -131,11 +261,13 @@ export default function SlowQueries() {
         </Card>
 
         {/* Summary Stats */}
-        {!loading && queries.length > 0 && (
+        {!loading && !error && queries.length > 0 && (
           <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
             <Card>
               <CardContent className="p-6">
-                <div className="text-sm text-muted-foreground mb-1">Total Slow Queries</div>
+                <div className="text-sm text-muted-foreground mb-1">
+                  {adaptive ? 'Outlier Executions' : 'Total Slow Queries'}
+                </div>
                 <div className="text-3xl font-bold">{queries.length}</div>
               </CardContent>
             </Card>
@@ -149,12 +281,23 @@ export default function SlowQueries() {
             </Card>
             <Card>
               <CardContent className="p-6">
-                <div className="text-sm text-muted-foreground mb-1">Avg Duration</div>
-                <div className="text-3xl font-bold">
-                  {formatDuration(
-                    queries.reduce((sum, q) => sum + q.query_duration_ms, 0) / queries.length
-                  )}
-                </div>
+                {adaptive ? (
+                  <>
+                    <div className="text-sm text-muted-foreground mb-1">Largest Outlier</div>
+                    <div className="text-3xl font-bold">
+                      {Math.max(...queries.map(q => q.outlier_factor))}×
+                    </div>
+                  </>
+                ) : (
+                  <>
+                    <div className="text-sm text-muted-foreground mb-1">Avg Duration</div>
+                    <div className="text-3xl font-bold">
+                      {formatDuration(
+                        queries.reduce((sum, q) => sum + q.query_duration_ms, 0) / queries.length
+                      )}
+                    </div>
+                  </>
+                )}
               </CardContent>
             </Card>
             <Card>
@@ -168,6 +311,17 @@ export default function SlowQueries() {
           </div>
         )}
 
+        {flamegraphTarget && (
+          <div className="mb-6">
+            <FlamegraphPanel
+              key={flamegraphTarget.query_id}
+              queryId={flamegraphTarget.query_id}
+              timeRange={timeRange}
+              onClose={() => setFlamegraphTarget(null)}
+            />
+          </div>
+        )}
+
         {/* Queries List */}
         <Card>
           <CardHeader>
@@ -175,15 +329,46 @@ export default function SlowQueries() {
           </CardHeader>
           <CardContent>
             {loading ? (
-              <div className="flex items-center justify-center h-96">
+              <div className="flex flex-col items-center justify-center gap-4 h-96">
                 <LoadingSpinner size="lg" />
+                <Button onClick={request.cancel} variant="outline" size="sm">
+                  Cancel
+                </Button>
+              </div>
+            ) : cancelled ? (
+              <div className="flex flex-col items-center justify-center gap-4 h-96 text-muted-foreground">
+                <p>Query cancelled</p>
+                <Button onClick={fetchSlowQueries} variant="outline" size="sm">
+                  Run again
+                </Button>
+              </div>
+            ) : error?.type === 'PERMISSION_DENIED' ? (
+              <PermissionError
+                feature="Slow Queries"
+                table="system.query_log"
+                requirements={error.requirements}
+              />
+            ) : error?.type === 'QUOTA_EXCEEDED' ? (
+              <QuotaExceededError
+                quotaInfo={error.quotaInfo}
+                retryAfter={error.retryAfter}
+                onRetry={fetchSlowQueries}
+              />
+            ) : error ? (
+              <div className="flex flex-col items-center justify-center gap-4 py-12">
+                <p className="text-red-700">⚠️ {error.message}</p>
+                <Button onClick={fetchSlowQueries} variant="outline" size="sm">
+                  Retry
+                </Button>
               </div>
             ) : queries.length === 0 ? (
               <div className="text-center py-12 text-muted-foreground">
                 <div className="text-4xl mb-4">🎉</div>
                 <p className="mb-2">No slow queries found!</p>
                 <p className="text-sm">
-                  All queries are executing faster than {filters.thresholdMs}ms
+                  {debouncedFilters.mode === 'baseline'
+                    ? `No execution took ${debouncedFilters.factor}× its pattern's ${debouncedFilters.baseline} or longer`
+                    : `All queries are executing faster than ${debouncedFilters.thresholdMs}ms`}
                 </p>
               </div>
             ) : (
@@ -194,6 +379,9 @@ export default function SlowQueries() {
                     query={query}
                     expanded={expandedQuery === index}
                     onToggle={() => setExpandedQuery(expandedQuery === index ? null : index)}
+                    onFlamegraph={() => setFlamegraphTarget(query)}
+                    timeRange={timeRange}
+                    quantile={adaptive ? baseline?.quantile : null}
                   />
                 ))}
               </div>
@@ -204,7 +392,15 @@ export default function SlowQueries() {
   );
 }
 
-function SlowQueryCard({ query, expanded, onToggle }) {
+export default function SlowQueries() {
+  return (
+    <Suspense fallback={<div>Loading...</div>}>
+      <SlowQueriesContent />
+    </Suspense>
+  );
+}
+
+function SlowQueryCard({ query, expanded, onToggle, onFlamegraph, timeRange, quantile }) {
   const durationIndicator = getDurationIndicator(query.query_duration_ms);
   const memoryIndicator = getMemoryIndicator(query.memory_usage);
 
@@ -228,6 +424,11 @@ function SlowQueryCard({ query, expanded, onToggle }) {
             <Badge variant="outline">{query.user}</Badge>
           </div>
           <div className="flex items-center gap-3">
+            {quantile && (
+              <Badge variant={query.outlier_factor >= 20 ? 'danger' : 'warning'}>
+                {query.outlier_factor}× {quantile}
+              </Badge>
+            )}
             <div className="flex items-center gap-1">
               <span>{durationIndicator.emoji}</span>
               <span className="font-bold text-lg">
@@ -240,6 +441,14 @@ function SlowQueryCard({ query, expanded, onToggle }) {
           </div>
         </div>
 
+        {quantile && (
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-3">
+            <MetricCell label="Pattern p50" value={formatDuration(query.baseline_p50_ms)} />
+            <MetricCell label="Pattern p90" value={formatDuration(query.baseline_p90_ms)} />
+            <MetricCell label="Baseline Executions" value={formatNumber(query.baseline_executions)} />
+          </div>
+        )}
+
         <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
           <MetricCell label="Memory" value={formatBytes(query.memory_usage)} />
           <MetricCell label="Rows Read" value={formatNumber(query.read_rows)} />
@@ -255,7 +464,19 @@ function SlowQueryCard({ query, expanded, onToggle }) {
       {expanded && (
         <div className="border-t bg-gray-50 p-4">
           <div className="mb-4">
-            <h4 className="font-medium mb-2">Full Query:</h4>
+            <div className="flex items-center justify-between mb-2">
+              <h4 className="font-medium">Full Query:</h4>
+              <div className="flex gap-2">
+                <Link href={`/query-lifecycle?${new URLSearchParams({ query_id: query.query_id, ...timeRangeToParams(timeRange) })}`}>
+                  <Button variant="outline" size="sm">
+                    🧬 Lifecycle
+                  </Button>
+                </Link>
+                <Button onClick={onFlamegraph} variant="outline" size="sm">
+                  🔥 Flamegraph
+                </Button>
+              </div>
+            </div>
             <SyntaxHighlighter
               language="sql"
               style={github}
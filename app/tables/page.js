@@ -64,6 +64,12 @@ function TableExplorerContent() {
 
       if (response.ok) {
         setTables(data.tables);
+
+        // Open the table linked to with ?table= (e.g. from the Inserts view)
+        const linkedTable = searchParams.get('table');
+        if (linkedTable && database === searchParams.get('database')) {
+          setSelectedTable(data.tables.find((table) => table.name === linkedTable) || null);
+        }
       }
     } catch (error) {
       console.error('Error fetching tables:', error);
@@ -74,10 +80,12 @@ function TableExplorerContent() {
 
   const handleTableClick = (table) => {
     setSelectedTable(table);
+    router.replace(`?${new URLSearchParams({ database: selectedDatabase, table: table.name })}`, { scroll: false });
   };
 
   const handleBack = () => {
     setSelectedTable(null);
+    router.replace(`?${new URLSearchParams({ database: selectedDatabase })}`, { scroll: false });
   };
 
   if (authLoading) {
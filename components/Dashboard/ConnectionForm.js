@@ -1,19 +1,37 @@
 'use client';
 
-import { useState } from 'react';
+import { useState, useCallback, useRef } from 'react';
 import dynamic from 'next/dynamic';
 import toast from 'react-hot-toast';
-import { Database, Server, User, Lock, Sparkles } from 'lucide-react';
+import { Database, Server, User, Lock, Sparkles, Save, ShieldCheck, ChevronDown, ChevronRight } from 'lucide-react';
 import Button from '@/components/ui/Button';
 import Input from '@/components/ui/Input';
 import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/ui/Card';
 import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import ProfileManager from './ProfileManager';
 
 const ThreeBackground = dynamic(() => import('@/components/ui/ThreeBackground'), {
   ssr: false,
   loading: () => null,
 });
 
+const EMPTY_TLS = { caCert: '', clientCert: '', clientKey: '', skipVerify: false };
+
+// Skip-verify is refused by the server in production, so don't offer it there
+const ALLOW_SKIP_VERIFY = process.env.NODE_ENV !== 'production';
+
+/**
+ * Only send TLS settings that were actually filled in
+ */
+function buildTlsPayload(tls) {
+  const payload = {};
+  if (tls.caCert.trim()) payload.caCert = tls.caCert;
+  if (tls.clientCert.trim()) payload.clientCert = tls.clientCert;
+  if (tls.clientKey.trim()) payload.clientKey = tls.clientKey;
+  if (tls.skipVerify) payload.skipVerify = true;
+  return Object.keys(payload).length > 0 ? payload : undefined;
+}
+
 export default function ConnectionForm({ onConnect }) {
   const [config, setConfig] = useState({
     host: 'http://localhost:8123',
@@ -22,9 +40,97 @@ export default function ConnectionForm({ onConnect }) {
     database: 'default',
   });
 
+  const [tls, setTls] = useState(EMPTY_TLS);
+  const [showTls, setShowTls] = useState(false);
+
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
+  // Saved profile state: the selected profile, and the one being edited
+  const [profileId, setProfileId] = useState(null);
+  const [editingProfileId, setEditingProfileId] = useState(null);
+  const [profileName, setProfileName] = useState('');
+  const [profilesVersion, setProfilesVersion] = useState(0);
+  const defaultApplied = useRef(false);
+
+  const fillFromProfile = (profile) => {
+    setConfig({
+      host: profile.host,
+      username: profile.username,
+      password: '',
+      database: profile.database,
+    });
+    setProfileName(profile.name);
+  };
+
+  const handleSelectProfile = (profile) => {
+    fillFromProfile(profile);
+    setProfileId(profile.id);
+    setEditingProfileId(null);
+  };
+
+  const handleEditProfile = (profile) => {
+    fillFromProfile(profile);
+    setProfileId(null);
+    setEditingProfileId(profile.id);
+  };
+
+  // Preselect the default profile the first time profiles load
+  const handleProfilesLoaded = useCallback(({ profiles, defaultProfileId }) => {
+    if (defaultApplied.current) return;
+    defaultApplied.current = true;
+
+    const defaultProfile = profiles.find((p) => p.id === defaultProfileId);
+    if (defaultProfile) {
+      setConfig((prev) => ({
+        ...prev,
+        host: defaultProfile.host,
+        username: defaultProfile.username,
+        database: defaultProfile.database,
+      }));
+      setProfileName(defaultProfile.name);
+      setProfileId(defaultProfile.id);
+    }
+  }, []);
+
+  const handleSaveProfile = async () => {
+    if (!profileName.trim()) {
+      toast.error('Enter a profile name first');
+      return;
+    }
+
+    // Passwords are intentionally not sent - user profiles never store them
+    const payload = {
+      name: profileName,
+      host: config.host,
+      username: config.username,
+      database: config.database,
+    };
+
+    try {
+      const response = await fetch(
+        editingProfileId ? `/api/clickhouse/profiles/${editingProfileId}` : '/api/clickhouse/profiles',
+        {
+          method: editingProfileId ? 'PUT' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload),
+        }
+      );
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save profile');
+      }
+
+      toast.success(editingProfileId ? 'Profile updated' : 'Profile saved');
+      setProfileId(editingProfileId || data.profile.id);
+      setEditingProfileId(null);
+      setProfilesVersion((v) => v + 1);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -38,7 +144,11 @@ export default function ConnectionForm({ onConnect }) {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify(config),
+        body: JSON.stringify(
+          profileId
+            ? { profileId, password: config.password, tls: buildTlsPayload(tls) }
+            : { ...config, tls: buildTlsPayload(tls) }
+        ),
       });
 
       const data = await response.json();
@@ -59,6 +169,10 @@ export default function ConnectionForm({ onConnect }) {
   };
 
   const handleChange = (field, value) => {
+    // Editing connection details detaches the form from the selected profile
+    if (field !== 'password') {
+      setProfileId(null);
+    }
     setConfig((prev) => ({
       ...prev,
       [field]: value,
@@ -86,6 +200,18 @@ export default function ConnectionForm({ onConnect }) {
           </CardHeader>
 
           <CardContent>
+            <div className="mb-5">
+              <ProfileManager
+                selectedId={profileId}
+                password={config.password}
+                tls={buildTlsPayload(tls)}
+                refreshKey={profilesVersion}
+                onSelect={handleSelectProfile}
+                onEdit={handleEditProfile}
+                onLoaded={handleProfilesLoaded}
+              />
+            </div>
+
             <form onSubmit={handleSubmit} className="space-y-5">
               <div>
                 <label className="flex items-center gap-2 text-sm font-semibold mb-2">
@@ -146,6 +272,77 @@ export default function ConnectionForm({ onConnect }) {
                 />
               </div>
 
+              <div>
+                <button
+                  type="button"
+                  onClick={() => setShowTls(!showTls)}
+                  className="flex items-center gap-2 text-sm font-semibold"
+                >
+                  <ShieldCheck size={16} className="text-primary" />
+                  TLS Options
+                  {showTls ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                </button>
+
+                {showTls && (
+                  <div className="mt-3 space-y-3 animate-fade-in">
+                    <PemField
+                      label="CA Certificate"
+                      hint="For servers with a self-signed or private CA certificate"
+                      value={tls.caCert}
+                      onChange={(value) => setTls((prev) => ({ ...prev, caCert: value }))}
+                    />
+                    <PemField
+                      label="Client Certificate"
+                      hint="For servers that require mutual TLS"
+                      value={tls.clientCert}
+                      onChange={(value) => setTls((prev) => ({ ...prev, clientCert: value }))}
+                    />
+                    <PemField
+                      label="Client Key"
+                      value={tls.clientKey}
+                      onChange={(value) => setTls((prev) => ({ ...prev, clientKey: value }))}
+                    />
+                    {ALLOW_SKIP_VERIFY && (
+                      <label className="flex items-start gap-2 text-xs">
+                        <input
+                          type="checkbox"
+                          checked={tls.skipVerify}
+                          onChange={(e) => setTls((prev) => ({ ...prev, skipVerify: e.target.checked }))}
+                          className="mt-0.5"
+                        />
+                        <span>
+                          <strong>Skip certificate verification</strong>
+                          <span className="block text-muted-foreground">
+                            Development only - disabled in production builds
+                          </span>
+                        </span>
+                      </label>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              <div>
+                <label className="flex items-center gap-2 text-sm font-semibold mb-2">
+                  <Save size={16} className="text-primary" />
+                  Profile Name
+                </label>
+                <div className="flex gap-2">
+                  <Input
+                    type="text"
+                    value={profileName}
+                    onChange={(e) => setProfileName(e.target.value)}
+                    placeholder="e.g. Staging (optional)"
+                  />
+                  <Button type="button" variant="outline" onClick={handleSaveProfile}>
+                    {editingProfileId ? 'Update' : 'Save'}
+                  </Button>
+                </div>
+                <p className="text-xs text-muted-foreground mt-1.5 ml-1">
+                  Saved profiles never store your password
+                </p>
+              </div>
+
               {error && (
                 <div className="p-4 rounded-lg bg-destructive/10 border-2 border-destructive/20 animate-fade-in">
                   <p className="text-sm text-destructive font-medium">{error}</p>
@@ -179,8 +376,8 @@ export default function ConnectionForm({ onConnect }) {
                   <Lock size={12} className="text-primary" />
                 </div>
                 <p className="text-xs text-muted-foreground leading-relaxed">
-                  <strong className="text-foreground">Secure:</strong> Your connection details are stored locally in your browser
-                  and never sent to external servers.
+                  <strong className="text-foreground">Secure:</strong> Your credentials are encrypted on this server
+                  and your browser only keeps an opaque session id.
                 </p>
               </div>
             </div>
@@ -190,3 +387,33 @@ export default function ConnectionForm({ onConnect }) {
     </div>
   );
 }
+
+function PemField({ label, hint, value, onChange }) {
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (file) {
+      onChange(await file.text());
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-1">
+        <span className="text-xs font-semibold">{label}</span>
+        <label className="text-xs text-primary cursor-pointer hover:underline">
+          Load file
+          <input type="file" accept=".pem,.crt,.cer,.key" onChange={handleFile} className="hidden" />
+        </label>
+      </div>
+      <textarea
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder="-----BEGIN ...-----"
+        rows={3}
+        spellCheck={false}
+        className="w-full rounded-lg border-2 border-input bg-background px-3 py-2 font-mono text-xs focus:outline-none focus:ring-2 focus:ring-primary focus:border-primary"
+      />
+      {hint && <p className="text-xs text-muted-foreground mt-1 ml-1">{hint}</p>}
+    </div>
+  );
+}
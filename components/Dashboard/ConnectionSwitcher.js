@@ -0,0 +1,152 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { ChevronDown, Check, Plug } from 'lucide-react';
+import { useConnectionInfo } from '@/hooks/useAuth';
+import Input from '@/components/ui/Input';
+import Button from '@/components/ui/Button';
+
+/**
+ * Switch the session to another saved connection profile
+ * A full reload afterwards drops every page's per-connection state
+ */
+export default function ConnectionSwitcher({ className = '' }) {
+  const { connectionInfo } = useConnectionInfo();
+  const [profiles, setProfiles] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [pendingProfile, setPendingProfile] = useState(null);
+  const [password, setPassword] = useState('');
+  const [switching, setSwitching] = useState(false);
+
+  useEffect(() => {
+    async function fetchProfiles() {
+      try {
+        const response = await fetch('/api/clickhouse/profiles');
+        const data = await response.json();
+        if (response.ok) {
+          setProfiles(data.profiles);
+        }
+      } catch (error) {
+        console.error('Error fetching profiles:', error);
+      }
+    }
+    fetchProfiles();
+  }, []);
+
+  const switchTo = async (profile, profilePassword) => {
+    setSwitching(true);
+    const switchingToast = toast.loading(`Switching to ${profile.name}...`);
+
+    try {
+      const response = await fetch('/api/clickhouse/connect', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ profileId: profile.id, password: profilePassword }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to switch connection');
+      }
+
+      toast.success(`Connected to ${profile.name}`, { id: switchingToast });
+      window.location.reload();
+    } catch (error) {
+      toast.error(error.message, { id: switchingToast });
+      setSwitching(false);
+    }
+  };
+
+  const handleSelect = (profile) => {
+    if (profile.id === connectionInfo?.profileId) {
+      setIsOpen(false);
+      return;
+    }
+
+    // Profiles without a stored password need one before connecting
+    if (!profile.hasPassword) {
+      setPendingProfile(profile);
+      setPassword('');
+      return;
+    }
+
+    switchTo(profile);
+  };
+
+  const label = connectionInfo?.profileName || connectionInfo?.host || 'Not connected';
+
+  return (
+    <div className={`relative ${className}`}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={switching}
+        className="flex items-center justify-between gap-2 w-full px-3 py-2 rounded-lg text-xs font-medium border border-sidebar-border text-sidebar-foreground hover:bg-sidebar-foreground/5 transition-colors"
+      >
+        <span className="flex items-center gap-2 min-w-0">
+          <Plug size={14} />
+          <span className="truncate">{label}</span>
+        </span>
+        <ChevronDown size={14} />
+      </button>
+
+      {isOpen && (
+        <>
+          <div
+            className="fixed inset-0 z-10"
+            onClick={() => {
+              setIsOpen(false);
+              setPendingProfile(null);
+            }}
+          />
+          <div className="absolute left-0 right-0 mt-2 rounded-md shadow-lg bg-white ring-1 ring-black ring-opacity-5 z-20 py-1 text-sm text-gray-900">
+            {profiles.length === 0 && (
+              <p className="px-4 py-2 text-xs text-muted-foreground">
+                No saved profiles yet. Save one from the connection screen.
+              </p>
+            )}
+
+            {profiles.map((profile) => (
+              <button
+                key={profile.id}
+                onClick={() => handleSelect(profile)}
+                className="flex items-center justify-between w-full text-left px-4 py-2 hover:bg-gray-100 transition-colors"
+              >
+                <span className="min-w-0">
+                  <span className="block truncate font-medium">{profile.name}</span>
+                  <span className="block truncate text-xs text-muted-foreground">
+                    {profile.username}@{profile.host}
+                  </span>
+                </span>
+                {profile.id === connectionInfo?.profileId && <Check size={14} className="text-primary" />}
+              </button>
+            ))}
+
+            {pendingProfile && (
+              <form
+                className="border-t px-4 py-3 space-y-2"
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  switchTo(pendingProfile, password);
+                }}
+              >
+                <p className="text-xs text-muted-foreground">
+                  Password for <strong>{pendingProfile.name}</strong>
+                </p>
+                <Input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  autoFocus
+                />
+                <Button type="submit" size="xs" className="w-full" disabled={switching}>
+                  Connect
+                </Button>
+              </form>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
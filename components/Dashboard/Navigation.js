@@ -2,14 +2,21 @@
 
 import Link from 'next/link';
 import { usePathname } from 'next/navigation';
+import ConnectionSwitcher from './ConnectionSwitcher';
 
 const navItems = [
   { href: '/dashboard', label: 'Dashboard', icon: '📊' },
   { href: '/tables', label: 'Tables', icon: '📁' },
   { href: '/query-analyzer', label: 'Query Analyzer', icon: '🔍' },
+  { href: '/running-queries', label: 'Running Queries', icon: '⏳' },
+  { href: '/query-lifecycle', label: 'Query Lifecycle', icon: '🧬' },
   { href: '/slow-queries', label: 'Slow Queries', icon: '🐌' },
+  { href: '/failed-queries', label: 'Failed Queries', icon: '⚠️' },
+  { href: '/inserts', label: 'Inserts', icon: '📥' },
+  { href: '/resource-usage', label: 'Resource Usage', icon: '🧾' },
   { href: '/materialized-views', label: 'Materialized Views', icon: '👁️' },
   { href: '/lineage', label: 'Data Lineage', icon: '🔗' },
+  { href: '/alerts', label: 'Alerts', icon: '🔔' },
 ];
 
 export default function Navigation({ clusterInfo }) {
@@ -46,22 +53,25 @@ export default function Navigation({ clusterInfo }) {
             </div>
           </div>
 
-          {clusterInfo && (
-            <div className="flex items-center gap-3 text-sm">
-              {clusterInfo.isClustered && (
-                <div className="flex items-center gap-2 px-3 py-1 bg-green-50 text-green-700 rounded-full">
-                  <span>🌐</span>
-                  <span>Cluster: {clusterInfo.defaultCluster}</span>
-                </div>
-              )}
-              {clusterInfo.isCloud && (
-                <div className="flex items-center gap-2 px-3 py-1 bg-blue-50 text-blue-700 rounded-full">
-                  <span>☁️</span>
-                  <span>ClickHouse Cloud</span>
-                </div>
-              )}
-            </div>
-          )}
+          <div className="flex items-center gap-3 text-sm">
+            <ConnectionSwitcher className="w-56" />
+            {clusterInfo && (
+              <div className="flex items-center gap-3 text-sm">
+                {clusterInfo.isClustered && (
+                  <div className="flex items-center gap-2 px-3 py-1 bg-green-50 text-green-700 rounded-full">
+                    <span>🌐</span>
+                    <span>Cluster: {clusterInfo.defaultCluster}</span>
+                  </div>
+                )}
+                {clusterInfo.isCloud && (
+                  <div className="flex items-center gap-2 px-3 py-1 bg-blue-50 text-blue-700 rounded-full">
+                    <span>☁️</span>
+                    <span>ClickHouse Cloud</span>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
         </div>
       </div>
     </nav>
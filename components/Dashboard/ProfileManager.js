@@ -0,0 +1,167 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { Star, Pencil, Trash2, PlugZap, Server } from 'lucide-react';
+import Badge from '@/components/ui/Badge';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+
+/**
+ * Saved connection profiles: select, test, edit, delete and set default
+ */
+export default function ProfileManager({ selectedId, password, tls, refreshKey, onSelect, onEdit, onLoaded }) {
+  const [profiles, setProfiles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [testingId, setTestingId] = useState(null);
+
+  const fetchProfiles = useCallback(async () => {
+    try {
+      const response = await fetch('/api/clickhouse/profiles');
+      const data = await response.json();
+
+      if (response.ok) {
+        setProfiles(data.profiles);
+        onLoaded?.(data);
+      }
+    } catch (error) {
+      console.error('Error fetching profiles:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [onLoaded]);
+
+  useEffect(() => {
+    fetchProfiles();
+  }, [fetchProfiles, refreshKey]);
+
+  const handleTest = async (profile) => {
+    setTestingId(profile.id);
+    try {
+      const response = await fetch(`/api/clickhouse/profiles/${profile.id}/test`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(
+          profile.id === selectedId ? { password, tls } : {}
+        ),
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        toast.success(`${profile.name}: connection successful`);
+      } else {
+        toast.error(`${profile.name}: ${data.message || data.error || 'Connection failed'}`);
+      }
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setTestingId(null);
+    }
+  };
+
+  const handleSetDefault = async (profile) => {
+    const response = await fetch(`/api/clickhouse/profiles/${profile.id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ isDefault: !profile.isDefault }),
+    });
+
+    if (response.ok) {
+      fetchProfiles();
+    } else {
+      const data = await response.json();
+      toast.error(data.error || 'Failed to update default profile');
+    }
+  };
+
+  const handleDelete = async (profile) => {
+    if (!window.confirm(`Delete connection profile "${profile.name}"?`)) return;
+
+    const response = await fetch(`/api/clickhouse/profiles/${profile.id}`, { method: 'DELETE' });
+    if (response.ok) {
+      toast.success('Profile deleted');
+      fetchProfiles();
+    } else {
+      const data = await response.json();
+      toast.error(data.error || 'Failed to delete profile');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-2">
+        <LoadingSpinner size="sm" />
+      </div>
+    );
+  }
+
+  if (profiles.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="space-y-2">
+      <p className="text-sm font-semibold">Saved Connections</p>
+      {profiles.map((profile) => (
+        <div
+          key={profile.id}
+          className={`flex items-center justify-between gap-2 rounded-lg border px-3 py-2 text-sm transition-colors ${
+            profile.id === selectedId ? 'border-primary bg-primary/5' : 'hover:bg-primary/5'
+          }`}
+        >
+          <button
+            type="button"
+            onClick={() => onSelect(profile)}
+            className="flex-1 min-w-0 text-left"
+          >
+            <div className="flex items-center gap-2">
+              <span className="font-medium truncate">{profile.name}</span>
+              {profile.isDefault && <Badge variant="success">Default</Badge>}
+              {profile.source === 'server' && (
+                <Server size={12} className="text-muted-foreground" aria-label="Managed on server" />
+              )}
+            </div>
+            <div className="text-xs text-muted-foreground truncate">
+              {profile.username}@{profile.host}
+            </div>
+          </button>
+
+          <div className="flex items-center gap-1">
+            <IconButton label="Test connection" onClick={() => handleTest(profile)}>
+              {testingId === profile.id ? <LoadingSpinner size="sm" /> : <PlugZap size={14} />}
+            </IconButton>
+            <IconButton
+              label={profile.isDefault ? 'Unset default' : 'Set as default'}
+              onClick={() => handleSetDefault(profile)}
+            >
+              <Star size={14} className={profile.isDefault ? 'fill-current text-amber-500' : ''} />
+            </IconButton>
+            {profile.editable && (
+              <>
+                <IconButton label="Edit" onClick={() => onEdit(profile)}>
+                  <Pencil size={14} />
+                </IconButton>
+                <IconButton label="Delete" onClick={() => handleDelete(profile)}>
+                  <Trash2 size={14} />
+                </IconButton>
+              </>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function IconButton({ label, onClick, children }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      title={label}
+      aria-label={label}
+      className="p-1.5 rounded text-muted-foreground hover:text-primary hover:bg-primary/10 transition-colors"
+    >
+      {children}
+    </button>
+  );
+}
@@ -8,6 +8,7 @@ import {
   Table2,
   Search,
   Clock,
+  AlertTriangle,
   Eye,
   GitBranch,
   Activity,
@@ -17,16 +18,28 @@ import {
   LogOut,
   Server,
   Cloud,
+  Upload,
+  PieChart,
+  Waypoints,
+  Timer,
+  BellRing,
 } from 'lucide-react';
+import ConnectionSwitcher from './ConnectionSwitcher';
 
 const navItems = [
   { href: '/dashboard', label: 'Dashboard', icon: LayoutDashboard },
   { href: '/tables', label: 'Tables', icon: Table2 },
   { href: '/query-analyzer', label: 'Query Analyzer', icon: Search },
+  { href: '/running-queries', label: 'Running Queries', icon: Timer },
+  { href: '/query-lifecycle', label: 'Query Lifecycle', icon: Waypoints },
   { href: '/slow-queries', label: 'Slow Queries', icon: Clock },
+  { href: '/failed-queries', label: 'Failed Queries', icon: AlertTriangle },
+  { href: '/inserts', label: 'Inserts', icon: Upload },
+  { href: '/resource-usage', label: 'Resource Usage', icon: PieChart },
   { href: '/materialized-views', label: 'Materialized Views', icon: Eye },
   { href: '/lineage', label: 'Data Lineage', icon: GitBranch },
   { href: '/monitoring', label: 'Monitoring', icon: Activity },
+  { href: '/alerts', label: 'Alerts', icon: BellRing },
 ];
 
 export default function Sidebar({ clusterInfo, onDisconnect }) {
@@ -102,6 +115,11 @@ export default function Sidebar({ clusterInfo, onDisconnect }) {
             </div>
           )}
 
+          {/* Connection Switcher */}
+          <div className="px-4 py-3 border-b border-sidebar-border">
+            <ConnectionSwitcher />
+          </div>
+
           {/* Navigation */}
           <nav className="flex-1 overflow-y-auto py-4">
             <div className="px-3 space-y-1">
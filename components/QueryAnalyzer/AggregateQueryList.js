@@ -8,7 +8,7 @@ import { getDurationIndicator, getMemoryIndicator } from '@/utils/performanceInd
 import Button from '@/components/ui/Button';
 import Badge from '@/components/ui/Badge';
 
-export default function AggregateQueryList({ queries, onQueryClick, loading }) {
+export default function AggregateQueryList({ queries, onQueryClick, loading, comparisons = null }) {
   if (loading) {
     return (
       <div className="flex items-center justify-center h-96">
@@ -40,7 +40,7 @@ export default function AggregateQueryList({ queries, onQueryClick, loading }) {
               width={width}
               itemCount={queries.length}
               itemSize={120}
-              itemData={{ queries, onQueryClick }}
+              itemData={{ queries, onQueryClick, comparisons }}
             >
               {QueryRow}
             </FixedSizeList>
@@ -52,8 +52,9 @@ export default function AggregateQueryList({ queries, onQueryClick, loading }) {
 }
 
 function QueryRow({ index, style, data }) {
-  const { queries, onQueryClick } = data;
+  const { queries, onQueryClick, comparisons } = data;
   const query = queries[index];
+  const comparison = comparisons?.[query.normalized_query_hash.toString()];
 
   const durationIndicator = getDurationIndicator(query.p99_duration_ms);
   const memoryIndicator = getMemoryIndicator(query.p99_memory_bytes);
@@ -76,6 +77,7 @@ function QueryRow({ index, style, data }) {
                   {query.error_count} errors
                 </Badge>
               )}
+              {comparison && <ComparisonBadge comparison={comparison} />}
             </div>
             <p className="text-sm font-mono text-gray-700 truncate">
               {truncateString(query.normalized_query, 100)}
@@ -123,6 +125,19 @@ function QueryRow({ index, style, data }) {
   );
 }
 
+const COMPARISON_BADGES = {
+  regressed: { variant: 'danger', label: 'Regressed' },
+  improved: { variant: 'success', label: 'Improved' },
+  new: { variant: 'info', label: 'New' },
+};
+
+function ComparisonBadge({ comparison }) {
+  const badge = COMPARISON_BADGES[comparison.status];
+  if (!badge) return null;
+
+  return <Badge variant={badge.variant}>{badge.label}</Badge>;
+}
+
 function MetricBadge({ label, value, indicator }) {
   return (
     <div className="flex flex-col">
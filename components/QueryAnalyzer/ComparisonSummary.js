@@ -0,0 +1,57 @@
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/Card';
+import Badge from '@/components/ui/Badge';
+import { formatNumber, truncateString } from '@/utils/formatters';
+import { formatTimeRange } from '@/utils/timeRange';
+
+/**
+ * Period-over-period counts plus the patterns that stopped running
+ */
+export default function ComparisonSummary({ comparison }) {
+  const { summary, baseline } = comparison;
+  const disappeared = comparison.patterns.filter((pattern) => pattern.status === 'disappeared');
+
+  return (
+    <Card className="mb-6">
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between">
+          <span>Compared with Previous Period</span>
+          <span className="text-sm font-normal text-muted-foreground">
+            Baseline: {formatTimeRange(baseline)}
+          </span>
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="flex flex-wrap gap-2">
+          <Badge variant="danger">{summary.regressed} regressed</Badge>
+          <Badge variant="success">{summary.improved} improved</Badge>
+          <Badge variant="info">{summary.new} new</Badge>
+          <Badge variant="warning">{summary.disappeared} disappeared</Badge>
+          <Badge variant="outline">{summary.unchanged} unchanged</Badge>
+        </div>
+
+        {disappeared.length > 0 && (
+          <div className="mt-4">
+            <h4 className="text-sm font-medium mb-2">Disappeared patterns</h4>
+            <ul className="space-y-1">
+              {disappeared.slice(0, 10).map((pattern) => (
+                <li key={pattern.normalized_query_hash} className="flex items-center justify-between gap-4 text-sm">
+                  <code className="font-mono text-gray-700 truncate">
+                    {truncateString(pattern.normalized_query, 120)}
+                  </code>
+                  <span className="text-xs text-muted-foreground whitespace-nowrap">
+                    {formatNumber(pattern.baseline_executions)} executions before
+                  </span>
+                </li>
+              ))}
+            </ul>
+            {disappeared.length > 10 && (
+              <p className="mt-1 text-xs text-muted-foreground">
+                and {disappeared.length - 10} more
+              </p>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
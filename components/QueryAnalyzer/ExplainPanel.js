@@ -0,0 +1,247 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useAbortController, isAbortError } from '@/hooks/useAbortController';
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/Card';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import Button from '@/components/ui/Button';
+import Badge from '@/components/ui/Badge';
+import PipelineGraph from './PipelineGraph';
+import { formatNumber } from '@/utils/formatters';
+
+const TABS = [
+  { id: 'indexes', label: 'Indexes', icon: '🗂️' },
+  { id: 'plan', label: 'Plan', icon: '🧭' },
+  { id: 'pipeline', label: 'Pipeline', icon: '🔀' },
+  { id: 'pipelineGraph', label: 'Pipeline Graph', icon: '🕸️' },
+  { id: 'estimate', label: 'Estimate', icon: '📏' },
+];
+
+/**
+ * EXPLAIN output for one execution's query text
+ * `onResult` receives the EXPLAIN response so recommendations can use it
+ */
+export default function ExplainPanel({ query, queryId, onResult, onClose }) {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [explain, setExplain] = useState(null);
+  const [activeTab, setActiveTab] = useState('indexes');
+  const request = useAbortController();
+
+  useEffect(() => {
+    fetchExplain();
+  }, [query]);
+
+  const fetchExplain = async () => {
+    const controller = request.start();
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await fetch('/api/clickhouse/explain', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query }),
+        signal: controller.signal,
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setExplain(data);
+        onResult?.(data);
+      } else {
+        setError(data.error);
+      }
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.error('Error running EXPLAIN:', error);
+        setError(error.message || 'Failed to run EXPLAIN');
+      }
+    } finally {
+      if (request.isCurrent(controller)) {
+        setLoading(false);
+      }
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle>EXPLAIN</CardTitle>
+            <p className="text-sm text-muted-foreground mt-1">
+              Execution <code>{queryId.substring(0, 8)}</code>, explained against the current data
+            </p>
+          </div>
+          <Button onClick={onClose} variant="outline" size="sm">
+            Close
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {loading ? (
+          <div className="flex flex-col items-center justify-center gap-4 h-48">
+            <LoadingSpinner size="lg" />
+            <Button onClick={request.cancel} variant="outline" size="sm">
+              Cancel
+            </Button>
+          </div>
+        ) : error ? (
+          <div className="p-3 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+            {error}
+          </div>
+        ) : explain && (
+          <div className="space-y-4">
+            <div className="border-b">
+              <div className="flex gap-1">
+                {TABS.map((tab) => (
+                  <button
+                    key={tab.id}
+                    onClick={() => setActiveTab(tab.id)}
+                    className={`px-4 py-2 font-medium text-sm transition-colors ${
+                      activeTab === tab.id
+                        ? 'border-b-2 border-primary text-primary'
+                        : 'text-muted-foreground hover:text-foreground'
+                    }`}
+                  >
+                    <span className="mr-2">{tab.icon}</span>
+                    {tab.label}
+                    {explain[tab.id]?.error && <span className="ml-1 text-red-500">!</span>}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {explain[activeTab]?.error ? (
+              <div className="p-3 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+                {explain[activeTab].error}
+              </div>
+            ) : (
+              <>
+                {activeTab === 'indexes' && <IndexesTab result={explain.indexes} />}
+                {activeTab === 'plan' && <PlanText lines={explain.plan.lines} />}
+                {activeTab === 'pipeline' && <PlanText lines={explain.pipeline.lines} />}
+                {activeTab === 'pipelineGraph' && <PipelineGraph graph={explain.pipelineGraph.graph} />}
+                {activeTab === 'estimate' && <EstimateTab rows={explain.estimate.rows} />}
+              </>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+function PlanText({ lines }) {
+  return (
+    <pre className="p-4 bg-gray-50 border rounded text-xs overflow-auto max-h-96">
+      {lines.join('\n')}
+    </pre>
+  );
+}
+
+function PruningBadge({ pruned, label }) {
+  return (
+    <Badge variant={pruned ? 'success' : 'warning'}>
+      {label}: {pruned ? 'pruned' : 'no pruning'}
+    </Badge>
+  );
+}
+
+function formatRatio(ratio) {
+  if (!ratio || ratio.total === null) return 'N/A';
+  return `${formatNumber(ratio.selected)} / ${formatNumber(ratio.total)}`;
+}
+
+function IndexesTab({ result }) {
+  const { tables } = result.analysis;
+
+  return (
+    <div className="space-y-4">
+      {tables.length === 0 ? (
+        <p className="text-sm text-muted-foreground">No MergeTree reads in this plan</p>
+      ) : (
+        tables.map((table, i) => (
+          <div key={i} className="border rounded-lg p-4">
+            <div className="flex flex-wrap items-center gap-2 mb-3">
+              <span className="font-mono font-medium">{table.table || 'MergeTree read'}</span>
+              {table.primaryKey && <PruningBadge pruned={table.primaryKey.pruned} label="Primary key" />}
+              {table.skipIndexes.map((index) => (
+                <PruningBadge key={index.name} pruned={index.pruned} label={index.name} />
+              ))}
+              {table.partitionPruned && <Badge variant="info">Partitions pruned</Badge>}
+            </div>
+
+            <div className="grid grid-cols-2 gap-4 text-sm mb-3">
+              <div>
+                <div className="text-xs text-muted-foreground">Parts selected</div>
+                <div className="font-medium">{formatRatio(table.parts)}</div>
+              </div>
+              <div>
+                <div className="text-xs text-muted-foreground">Granules selected</div>
+                <div className="font-medium">{formatRatio(table.granules)}</div>
+              </div>
+            </div>
+
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="border-b text-left text-muted-foreground">
+                  <th className="py-1 pr-3 font-medium">Index</th>
+                  <th className="py-1 pr-3 font-medium">Condition</th>
+                  <th className="py-1 pr-3 font-medium text-right">Parts</th>
+                  <th className="py-1 font-medium text-right">Granules</th>
+                </tr>
+              </thead>
+              <tbody>
+                {table.indexes.map((index, j) => (
+                  <tr key={j} className="border-b">
+                    <td className="py-1 pr-3 whitespace-nowrap">{index.name ? `${index.type} ${index.name}` : index.type}</td>
+                    <td className="py-1 pr-3 font-mono break-all">{index.condition || index.keys.join(', ')}</td>
+                    <td className="py-1 pr-3 text-right whitespace-nowrap">{formatRatio(index.parts)}</td>
+                    <td className="py-1 text-right whitespace-nowrap">{formatRatio(index.granules)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))
+      )}
+
+      <details>
+        <summary className="text-sm text-muted-foreground cursor-pointer">Raw output</summary>
+        <PlanText lines={result.lines} />
+      </details>
+    </div>
+  );
+}
+
+function EstimateTab({ rows }) {
+  if (rows.length === 0) {
+    return <p className="text-sm text-muted-foreground">No MergeTree tables to estimate</p>;
+  }
+
+  return (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="border-b text-left text-muted-foreground">
+          <th className="py-2 pr-4 font-medium">Table</th>
+          <th className="py-2 pr-4 font-medium text-right">Parts</th>
+          <th className="py-2 pr-4 font-medium text-right">Rows</th>
+          <th className="py-2 font-medium text-right">Marks</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row) => (
+          <tr key={`${row.database}.${row.table}`} className="border-b">
+            <td className="py-2 pr-4 font-mono">{row.database}.{row.table}</td>
+            <td className="py-2 pr-4 text-right">{formatNumber(row.parts)}</td>
+            <td className="py-2 pr-4 text-right">{formatNumber(row.rows)}</td>
+            <td className="py-2 text-right">{formatNumber(row.marks)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
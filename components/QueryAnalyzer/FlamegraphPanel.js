@@ -0,0 +1,273 @@
+'use client';
+
+import { useState, useEffect, useMemo } from 'react';
+import { useAbortController, isAbortError } from '@/hooks/useAbortController';
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/Card';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import Button from '@/components/ui/Button';
+import Badge from '@/components/ui/Badge';
+import { PermissionError } from '@/components/ErrorBoundary';
+import { formatBytes, formatNumber, formatPercent } from '@/utils/formatters';
+import { DEFAULT_TIME_RANGE, timeRangeToParams } from '@/utils/timeRange';
+
+const TRACE_TYPES = [
+  { id: 'CPU', label: 'CPU', icon: '🔥' },
+  { id: 'Real', label: 'Real', icon: '⏱️' },
+  { id: 'Memory', label: 'Memory', icon: '💾' },
+];
+
+const ROW_HEIGHT = 18;
+// Frames narrower than this share of the view are not drawn
+const MIN_FRAME_WIDTH = 0.002;
+
+/**
+ * Flamegraph of one query's system.trace_log samples
+ * Click a frame to zoom into it; the breadcrumb zooms back out
+ */
+export default function FlamegraphPanel({ queryId, timeRange = DEFAULT_TIME_RANGE, onClose }) {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [profile, setProfile] = useState(null);
+  const [traceType, setTraceType] = useState('CPU');
+  // Frames from the root down to the zoomed frame
+  const [focusPath, setFocusPath] = useState([]);
+  const [hovered, setHovered] = useState(null);
+  const request = useAbortController();
+
+  useEffect(() => {
+    fetchProfile();
+  }, [queryId, traceType, timeRange]);
+
+  const fetchProfile = async () => {
+    const controller = request.start();
+
+    try {
+      setLoading(true);
+      setError(null);
+      setFocusPath([]);
+      setHovered(null);
+
+      const params = new URLSearchParams({
+        query_id: queryId,
+        trace_type: traceType,
+        ...timeRangeToParams(timeRange),
+      });
+
+      const response = await fetch(`/api/clickhouse/query-analyzer/flamegraph?${params}`, {
+        signal: controller.signal,
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setProfile(data);
+      } else {
+        setProfile(null);
+        setError(data);
+      }
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.error('Error fetching flamegraph:', error);
+        setError({ error: error.message || 'Failed to fetch flamegraph' });
+      }
+    } finally {
+      if (request.isCurrent(controller)) {
+        setLoading(false);
+      }
+    }
+  };
+
+  const formatValue = (value) => (profile?.unit === 'bytes' ? formatBytes(value) : `${formatNumber(value)} samples`);
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle>Flamegraph</CardTitle>
+            <p className="text-sm text-muted-foreground mt-1">
+              Execution <code>{queryId.substring(0, 8)}</code>, sampled from system.trace_log
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            {TRACE_TYPES.map((type) => (
+              <Button
+                key={type.id}
+                onClick={() => setTraceType(type.id)}
+                variant={traceType === type.id ? 'primary' : 'outline'}
+                size="sm"
+              >
+                <span className="mr-1">{type.icon}</span>
+                {type.label}
+              </Button>
+            ))}
+            <Button onClick={onClose} variant="outline" size="sm">
+              Close
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {loading ? (
+          <div className="flex flex-col items-center justify-center gap-4 h-48">
+            <LoadingSpinner size="lg" />
+            <Button onClick={request.cancel} variant="outline" size="sm">
+              Cancel
+            </Button>
+          </div>
+        ) : error?.type === 'PERMISSION_DENIED' ? (
+          <PermissionError
+            feature={error.feature}
+            table={error.table}
+            requirements={error.requirements}
+            onDismiss={onClose}
+          />
+        ) : error ? (
+          <div className="p-3 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+            {error.error}
+          </div>
+        ) : profile && profile.tree.value === 0 ? (
+          <div className="text-center py-8 text-sm text-muted-foreground">
+            <p className="mb-2">No {traceType} samples for this execution</p>
+            <p>
+              {traceType === 'Memory'
+                ? 'Memory samples are taken every memory_profiler_step bytes allocated'
+                : 'Stacks are sampled every query_profiler_cpu_time_period_ns / query_profiler_real_time_period_ns (1 s by default), so short queries may have none'}
+            </p>
+          </div>
+        ) : profile && (
+          <div className="space-y-4">
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <Badge variant="outline">{formatValue(profile.tree.value)}</Badge>
+              <Badge variant="outline">{formatNumber(profile.stacks)} distinct stacks</Badge>
+              {profile.truncated && <Badge variant="warning">Only the most frequent stacks are shown</Badge>}
+            </div>
+
+            <Breadcrumb
+              root={profile.tree}
+              path={focusPath}
+              onSelect={(depth) => setFocusPath(focusPath.slice(0, depth))}
+            />
+
+            <Flamegraph
+              root={focusPath[focusPath.length - 1] || profile.tree}
+              total={profile.tree.value}
+              memory={traceType === 'Memory'}
+              onHover={setHovered}
+              onZoom={(path) => setFocusPath([...focusPath, ...path])}
+            />
+
+            <div className="h-5 text-xs text-muted-foreground truncate">
+              {hovered
+                ? `${hovered.name} — ${formatValue(hovered.value)} (${formatPercent(hovered.value / profile.tree.value)})`
+                : 'Hover a frame for details, click to zoom'}
+            </div>
+
+            {profile.topFrames.length > 0 && (
+              <div>
+                <h4 className="font-medium text-sm mb-2">Top frames by self {profile.unit === 'bytes' ? 'bytes' : 'samples'}</h4>
+                <table className="w-full text-xs">
+                  <tbody>
+                    {profile.topFrames.map((frame) => (
+                      <tr key={frame.name} className="border-b">
+                        <td className="py-1 pr-3 font-mono break-all">{frame.name}</td>
+                        <td className="py-1 pr-3 text-right whitespace-nowrap">{formatValue(frame.self)}</td>
+                        <td className="py-1 text-right whitespace-nowrap">{formatPercent(frame.share)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+function Breadcrumb({ root, path, onSelect }) {
+  if (path.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-1 text-xs">
+      {[root, ...path].map((frame, depth) => (
+        <span key={depth} className="flex items-center gap-1">
+          {depth > 0 && <span className="text-muted-foreground">›</span>}
+          <button
+            onClick={() => onSelect(depth)}
+            disabled={depth === path.length}
+            className="font-mono max-w-[16rem] truncate text-primary hover:underline disabled:text-foreground disabled:no-underline"
+            title={frame.name}
+          >
+            {frame.name}
+          </button>
+        </span>
+      ))}
+    </div>
+  );
+}
+
+// Root at the top, callees below; x and width are shares of the zoomed frame
+function layoutFrames(root) {
+  const frames = [];
+
+  const walk = (node, depth, x, path) => {
+    const width = root.value > 0 ? node.value / root.value : 0;
+    if (width < MIN_FRAME_WIDTH) return;
+
+    frames.push({ node, depth, x, width, path });
+
+    let childX = x;
+    node.children.forEach((child) => {
+      walk(child, depth + 1, childX, [...path, child]);
+      childX += root.value > 0 ? child.value / root.value : 0;
+    });
+  };
+  walk(root, 0, 0, []);
+
+  return frames;
+}
+
+// Stable warm colours per frame name (greens for memory, as in classic memory flamegraphs)
+function frameColor(name, memory) {
+  let hash = 0;
+  for (let i = 0; i < name.length; i++) {
+    hash = (hash * 31 + name.charCodeAt(i)) | 0;
+  }
+  const offset = Math.abs(hash) % 40;
+  return memory
+    ? `hsl(${100 + offset}, 55%, 60%)`
+    : `hsl(${offset}, 85%, ${60 + (Math.abs(hash >> 8) % 15)}%)`;
+}
+
+function Flamegraph({ root, total, memory, onHover, onZoom }) {
+  const frames = useMemo(() => layoutFrames(root), [root]);
+  const depth = Math.max(0, ...frames.map((frame) => frame.depth)) + 1;
+
+  return (
+    <div
+      className="relative w-full overflow-hidden border rounded bg-gray-50"
+      style={{ height: depth * ROW_HEIGHT }}
+      onMouseLeave={() => onHover(null)}
+    >
+      {frames.map(({ node, depth: frameDepth, x, width, path }, i) => (
+        <div
+          key={i}
+          className="absolute px-1 text-[10px] leading-[17px] font-mono truncate cursor-pointer border border-white/60 hover:brightness-90"
+          style={{
+            left: `${x * 100}%`,
+            width: `${width * 100}%`,
+            top: frameDepth * ROW_HEIGHT,
+            height: ROW_HEIGHT,
+            backgroundColor: frameDepth === 0 && node.name === 'all' ? '#e5e7eb' : frameColor(node.name, memory),
+          }}
+          title={`${node.name} (${formatPercent(node.value / total)})`}
+          onMouseEnter={() => onHover(node)}
+          onClick={() => path.length > 0 && onZoom(path)}
+        >
+          {node.name}
+        </div>
+      ))}
+    </div>
+  );
+}
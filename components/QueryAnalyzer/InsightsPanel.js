@@ -1,8 +1,8 @@
 import { generateQueryInsights } from '@/utils/performanceIndicators';
 import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/Card';
 
-export default function InsightsPanel({ queryData }) {
-  const insights = generateQueryInsights(queryData);
+export default function InsightsPanel({ queryData, comparison = null }) {
+  const insights = generateQueryInsights(queryData, comparison);
 
   if (insights.length === 0) {
     return (
@@ -0,0 +1,213 @@
+'use client';
+
+import { useState, useEffect, useMemo } from 'react';
+import { useDebouncedCallback } from 'use-debounce';
+import { useAbortController, isAbortError } from '@/hooks/useAbortController';
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/Card';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import Select from '@/components/ui/Select';
+import Button from '@/components/ui/Button';
+import { formatDuration, formatBytes, formatNumber } from '@/utils/formatters';
+import { BUCKET_INTERVALS } from '@/utils/constants';
+import { timeRangeToParams } from '@/utils/timeRange';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  Brush,
+  ResponsiveContainer,
+} from 'recharts';
+
+const SYNC_ID = 'query-drilldown';
+
+function formatBucket(bucket, interval) {
+  const date = new Date(bucket * 1000);
+  return interval >= 86400 ? date.toLocaleDateString() : date.toLocaleString();
+}
+
+/**
+ * Bucketed latency, memory and read_bytes for one query pattern
+ * Brushing the latency chart reports the selected range through `onRangeSelect`
+ * (`null` when the whole window is selected)
+ */
+export default function LatencyTimeSeries({ queryHash, timeRange, includeSelf = false, onRangeSelect }) {
+  const [loading, setLoading] = useState(true);
+  const [series, setSeries] = useState([]);
+  const [bucketInterval, setBucketInterval] = useState('auto');
+  const [resolvedInterval, setResolvedInterval] = useState(null);
+  const [brushKey, setBrushKey] = useState(0);
+  const [hasSelection, setHasSelection] = useState(false);
+  const request = useAbortController();
+
+  useEffect(() => {
+    fetchSeries();
+  }, [queryHash, timeRange, includeSelf, bucketInterval]);
+
+  const fetchSeries = async () => {
+    const controller = request.start();
+
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({
+        hash: queryHash,
+        mode: 'timeseries',
+        interval: bucketInterval,
+        ...timeRangeToParams(timeRange),
+        include_self: includeSelf,
+      });
+
+      const response = await fetch(`/api/clickhouse/query-analyzer/drilldown?${params}`, {
+        signal: controller.signal,
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setSeries(data.series);
+        setResolvedInterval(data.interval);
+        resetSelection();
+      }
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.error('Error fetching query time series:', error);
+      }
+    } finally {
+      if (request.isCurrent(controller)) {
+        setLoading(false);
+      }
+    }
+  };
+
+  const chartData = useMemo(() => series.map((point) => ({
+    ...point,
+    label: formatBucket(point.bucket, resolvedInterval),
+  })), [series, resolvedInterval]);
+
+  // Brush events fire continuously while dragging
+  const handleBrushChange = useDebouncedCallback(({ startIndex, endIndex }) => {
+    if (startIndex === undefined || endIndex === undefined) return;
+
+    if (startIndex === 0 && endIndex === chartData.length - 1) {
+      setHasSelection(false);
+      onRangeSelect?.(null);
+      return;
+    }
+
+    setHasSelection(true);
+    onRangeSelect?.({
+      start: new Date(chartData[startIndex].bucket * 1000).toISOString(),
+      end: new Date((chartData[endIndex].bucket + resolvedInterval) * 1000).toISOString(),
+    });
+  }, 400);
+
+  function resetSelection() {
+    handleBrushChange.cancel();
+    setBrushKey((key) => key + 1);
+    setHasSelection(false);
+    onRangeSelect?.(null);
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle>Latency Over Time</CardTitle>
+          <div className="flex items-center gap-2">
+            {hasSelection && (
+              <Button onClick={resetSelection} variant="outline" size="sm">
+                Clear selection
+              </Button>
+            )}
+            <Select
+              value={bucketInterval}
+              onChange={(value) => setBucketInterval(value === 'auto' ? value : parseInt(value))}
+              options={BUCKET_INTERVALS}
+              className="w-40"
+            />
+          </div>
+        </div>
+        <p className="text-sm text-muted-foreground">
+          Drag the handles under the latency chart to narrow the executions below
+        </p>
+      </CardHeader>
+      <CardContent>
+        {loading ? (
+          <div className="flex items-center justify-center h-64">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : chartData.length === 0 ? (
+          <div className="flex items-center justify-center h-64 text-muted-foreground">
+            No executions in this time range
+          </div>
+        ) : (
+          // Remounting resets the brush on every synced chart
+          <div key={brushKey} className="space-y-6">
+            <ResponsiveContainer width="100%" height={280}>
+              <LineChart data={chartData} syncId={SYNC_ID}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" tick={{ fontSize: 12 }} minTickGap={40} />
+                <YAxis tick={{ fontSize: 12 }} tickFormatter={(value) => formatDuration(value)} width={80} />
+                <Tooltip formatter={(value) => formatDuration(value)} />
+                <Legend />
+                <Line type="monotone" dataKey="p50_duration_ms" stroke="#10b981" strokeWidth={2} dot={false} name="P50" />
+                <Line type="monotone" dataKey="p90_duration_ms" stroke="#f59e0b" strokeWidth={2} dot={false} name="P90" />
+                <Line type="monotone" dataKey="p99_duration_ms" stroke="#ef4444" strokeWidth={2} dot={false} name="P99" />
+                <Brush
+                  dataKey="label"
+                  height={24}
+                  stroke="#3b82f6"
+                  onChange={handleBrushChange}
+                />
+              </LineChart>
+            </ResponsiveContainer>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+              <SeriesChart
+                title="Executions"
+                data={chartData}
+                dataKey="executions"
+                color="#3b82f6"
+                format={(value) => formatNumber(value)}
+              />
+              <SeriesChart
+                title="Avg Memory"
+                data={chartData}
+                dataKey="avg_memory_bytes"
+                color="#8b5cf6"
+                format={(value) => formatBytes(value)}
+              />
+              <SeriesChart
+                title="Avg Read Bytes"
+                data={chartData}
+                dataKey="avg_read_bytes"
+                color="#06b6d4"
+                format={(value) => formatBytes(value)}
+              />
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+// Follows the latency chart's brush and tooltip through the shared syncId
+function SeriesChart({ title, data, dataKey, color, format }) {
+  return (
+    <div>
+      <h4 className="text-sm font-medium mb-2">{title}</h4>
+      <ResponsiveContainer width="100%" height={160}>
+        <LineChart data={data} syncId={SYNC_ID}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="label" hide />
+          <YAxis tick={{ fontSize: 11 }} tickFormatter={format} width={70} />
+          <Tooltip formatter={(value) => format(value)} />
+          <Line type="monotone" dataKey={dataKey} stroke={color} strokeWidth={2} dot={false} name={title} />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
@@ -1,13 +1,16 @@
 import { formatBytes, formatDuration, formatNumber, formatPercent } from '@/utils/formatters';
 import { PerformanceBadge } from '@/components/ui/PerformanceIndicator';
+import Badge from '@/components/ui/Badge';
 import {
   getDurationIndicator,
   getMemoryIndicator,
   getCPUWaitIndicator,
   getCacheIndicator,
+  COMPARISON_METRICS,
+  formatDelta,
 } from '@/utils/performanceIndicators';
 
-export default function MetricsGrid({ data, expanded = false }) {
+export default function MetricsGrid({ data, expanded = false, comparison = null }) {
   const durationIndicator = getDurationIndicator(data.p99_duration_ms);
   const memoryIndicator = getMemoryIndicator(data.p99_memory_bytes);
   const cpuWaitIndicator = getCPUWaitIndicator(data.io_wait_ratio || 0);
@@ -15,6 +18,9 @@ export default function MetricsGrid({ data, expanded = false }) {
 
   return (
     <div className="space-y-4">
+      {/* Period over period */}
+      {comparison && <ComparisonSection comparison={comparison} />}
+
       {/* Duration Metrics */}
       <MetricSection title="Query Latency" icon="⏱️">
         <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
@@ -159,12 +165,58 @@ function MetricSection({ title, icon, children }) {
   );
 }
 
-function MetricItem({ label, value, badge }) {
+function ComparisonSection({ comparison }) {
+  const deltas = Object.entries(comparison.deltas || {});
+
+  return (
+    <MetricSection title="Compared with Previous Period" icon="📈">
+      {deltas.length === 0 ? (
+        <p className="text-sm text-muted-foreground">
+          {comparison.status === 'new'
+            ? 'New pattern: it did not run in the previous period.'
+            : 'Not enough executions in one of the periods to compare.'}
+        </p>
+      ) : (
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+          {deltas.map(([metric, delta]) => (
+            <MetricItem
+              key={metric}
+              label={COMPARISON_METRICS[metric].label}
+              value={COMPARISON_METRICS[metric].format(delta.current)}
+              delta={<DeltaBadge metric={metric} delta={delta} />}
+            />
+          ))}
+        </div>
+      )}
+      <p className="mt-2 text-xs text-muted-foreground">
+        {comparison.baseline_executions} executions before, {comparison.current_executions} now
+      </p>
+    </MetricSection>
+  );
+}
+
+function DeltaBadge({ metric, delta }) {
+  let variant = 'outline';
+  if (delta.regressed) variant = 'danger';
+  else if (delta.improved) variant = 'success';
+
+  return (
+    <Badge
+      variant={variant}
+      title={`Previously ${COMPARISON_METRICS[metric].format(delta.baseline)}`}
+    >
+      {formatDelta(metric, delta)}
+    </Badge>
+  );
+}
+
+function MetricItem({ label, value, badge, delta }) {
   return (
     <div className="flex flex-col">
       <span className="text-xs text-muted-foreground">{label}</span>
       <div className="flex items-center gap-2">
         <span className="font-medium">{value}</span>
+        {delta}
         {badge && (
           <span className="text-xs">
             {badge === 'critical' && '🔴'}
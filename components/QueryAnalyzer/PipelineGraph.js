@@ -0,0 +1,136 @@
+'use client';
+
+import { useMemo } from 'react';
+import ReactFlow, {
+  Background,
+  Controls,
+  MiniMap,
+  useNodesState,
+  useEdgesState,
+  MarkerType,
+} from 'reactflow';
+import 'reactflow/dist/style.css';
+import Badge from '@/components/ui/Badge';
+import { CHART_COLORS } from '@/utils/constants';
+
+const LAYER_WIDTH = 260;
+const ROW_HEIGHT = 110;
+const GROUP_COLORS = Object.values(CHART_COLORS);
+
+const nodeTypes = {
+  processor: ProcessorNode,
+};
+
+/**
+ * Layered `EXPLAIN PIPELINE graph = 1` processors, left to right from the reads
+ * Border colour follows the plan step; processors where the pipeline fans out
+ * or serialises are highlighted
+ */
+export default function PipelineGraph({ graph }) {
+  const { initialNodes, initialEdges, groups } = useMemo(() => {
+    const rowsPerLayer = new Map();
+    graph.nodes.forEach((node) => {
+      rowsPerLayer.set(node.layer, (rowsPerLayer.get(node.layer) || 0) + 1);
+    });
+
+    const groupNames = [...new Set(graph.nodes.map((node) => node.group).filter(Boolean))];
+    const groupColor = (group) => GROUP_COLORS[groupNames.indexOf(group) % GROUP_COLORS.length] || '#9ca3af';
+
+    return {
+      groups: groupNames.map((name) => ({ name, color: groupColor(name) })),
+      initialNodes: graph.nodes.map((node) => ({
+        id: node.id,
+        type: 'processor',
+        // Center each layer vertically
+        position: {
+          x: node.layer * LAYER_WIDTH,
+          y: (node.row - (rowsPerLayer.get(node.layer) - 1) / 2) * ROW_HEIGHT,
+        },
+        data: { ...node, color: groupColor(node.group) },
+      })),
+      initialEdges: graph.edges.map((edge) => ({
+        id: `${edge.source}-${edge.target}`,
+        source: edge.source,
+        target: edge.target,
+        type: 'smoothstep',
+        label: edge.count > 1 ? `× ${edge.count}` : undefined,
+        markerEnd: {
+          type: MarkerType.ArrowClosed,
+          width: 16,
+          height: 16,
+          color: '#64748b',
+        },
+        style: {
+          stroke: '#64748b',
+          strokeWidth: Math.min(1 + Math.log2(edge.count), 6),
+        },
+      })),
+    };
+  }, [graph]);
+
+  const [nodes, , onNodesChange] = useNodesState(initialNodes);
+  const [edges, , onEdgesChange] = useEdgesState(initialEdges);
+
+  if (graph.nodes.length === 0) {
+    return <p className="text-sm text-muted-foreground">The pipeline graph is empty</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <Badge variant="outline">{graph.nodes.length} processors</Badge>
+        <Badge variant="outline">max parallelism × {graph.maxParallelism}</Badge>
+        <Badge variant="info">fans out</Badge>
+        <Badge variant="danger">serialises</Badge>
+        {groups.map((group) => (
+          <span key={group.name} className="flex items-center gap-1 text-muted-foreground">
+            <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: group.color }} />
+            {group.name}
+          </span>
+        ))}
+      </div>
+
+      <div className="h-[500px] border rounded-lg bg-gray-50">
+        <ReactFlow
+          nodes={nodes}
+          edges={edges}
+          onNodesChange={onNodesChange}
+          onEdgesChange={onEdgesChange}
+          nodeTypes={nodeTypes}
+          fitView
+          minZoom={0.1}
+          attributionPosition="bottom-left"
+        >
+          <Background color="#94a3b8" gap={16} />
+          <Controls />
+          <MiniMap nodeColor={(node) => node.data.color} maskColor="rgba(0, 0, 0, 0.1)" />
+        </ReactFlow>
+      </div>
+    </div>
+  );
+}
+
+function ProcessorNode({ data }) {
+  const highlight = data.serializes
+    ? 'ring-2 ring-red-400'
+    : data.fansOut
+      ? 'ring-2 ring-blue-400'
+      : '';
+
+  return (
+    <div
+      className={`px-3 py-2 shadow-md rounded-lg bg-white border-l-4 min-w-[180px] ${highlight}`}
+      style={{ borderLeftColor: data.color }}
+    >
+      <div className="flex items-center justify-between gap-2">
+        <div className="font-semibold text-xs truncate" title={data.name}>{data.name}</div>
+        <span className={`text-xs font-bold ${data.count > 1 ? 'text-blue-700' : 'text-muted-foreground'}`}>
+          × {data.count}
+        </span>
+      </div>
+      {data.group && (
+        <div className="text-[10px] text-muted-foreground truncate">{data.group}</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,243 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useAbortController, isAbortError } from '@/hooks/useAbortController';
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/Card';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import Badge from '@/components/ui/Badge';
+import { formatBytes, formatNumber, formatDuration } from '@/utils/formatters';
+import { DEFAULT_TIME_RANGE, timeRangeToParams } from '@/utils/timeRange';
+
+// Diff rows shown before "Show all"
+const DIFF_PREVIEW = 50;
+
+function formatEventValue(value, unit) {
+  if (unit === 'microseconds') return formatDuration(value / 1000);
+  if (unit === 'milliseconds') return formatDuration(value);
+  if (unit === 'bytes') return formatBytes(value);
+  return formatNumber(value);
+}
+
+function formatChange(event) {
+  if (event.ratio === null) return 'new';
+  if (event.compare === 0) return 'gone';
+  return event.ratio >= 1
+    ? `${formatNumber(event.ratio, event.ratio < 10 ? 1 : 0)}×`
+    : `÷${formatNumber(1 / event.ratio, event.ratio > 0.1 ? 1 : 0)}`;
+}
+
+/**
+ * Every ProfileEvents counter of one execution, grouped by category, or with two
+ * `queryIds` ([reference, execution]) the counters that differ most between them
+ */
+export default function ProfileEventsPanel({ queryIds, timeRange = DEFAULT_TIME_RANGE, onClose }) {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [data, setData] = useState(null);
+  const [filter, setFilter] = useState('');
+  const request = useAbortController();
+  const [baseId, compareId] = queryIds.length > 1 ? queryIds : [null, queryIds[0]];
+
+  useEffect(() => {
+    fetchProfileEvents();
+  }, [baseId, compareId, timeRange]);
+
+  const fetchProfileEvents = async () => {
+    const controller = request.start();
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const params = new URLSearchParams({
+        query_id: compareId,
+        ...timeRangeToParams(timeRange),
+      });
+      if (baseId) params.set('compare_to', baseId);
+
+      const response = await fetch(`/api/clickhouse/query-analyzer/profile-events?${params}`, {
+        signal: controller.signal,
+      });
+      const result = await response.json();
+
+      if (response.ok) {
+        setData(result);
+      } else {
+        setError(result.error);
+      }
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.error('Error fetching ProfileEvents:', error);
+        setError(error.message || 'Failed to fetch ProfileEvents');
+      }
+    } finally {
+      if (request.isCurrent(controller)) {
+        setLoading(false);
+      }
+    }
+  };
+
+  const matches = (event) => {
+    const text = filter.toLowerCase();
+    return event.name.toLowerCase().includes(text) || event.description?.toLowerCase().includes(text);
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <CardTitle>{baseId ? 'ProfileEvents Diff' : 'ProfileEvents'}</CardTitle>
+            <p className="text-sm text-muted-foreground mt-1">
+              {baseId ? (
+                <>Execution <code>{compareId.substring(0, 8)}</code> compared with <code>{baseId.substring(0, 8)}</code></>
+              ) : (
+                <>Execution <code>{compareId.substring(0, 8)}</code></>
+              )}
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <Input
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+              placeholder="Filter events"
+              className="w-56 h-9"
+            />
+            <Button onClick={onClose} variant="outline" size="sm">
+              Close
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {loading ? (
+          <div className="flex flex-col items-center justify-center gap-4 h-48">
+            <LoadingSpinner size="lg" />
+            <Button onClick={request.cancel} variant="outline" size="sm">
+              Cancel
+            </Button>
+          </div>
+        ) : error ? (
+          <div className="p-3 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+            {error}
+          </div>
+        ) : data?.diff ? (
+          <EventDiff data={data} matches={matches} />
+        ) : data && (
+          <EventGroups groups={data.groups} matches={matches} />
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+function EventGroups({ groups, matches }) {
+  const [collapsed, setCollapsed] = useState({});
+  const visible = groups
+    .map((group) => ({ ...group, events: group.events.filter(matches) }))
+    .filter((group) => group.events.length > 0);
+
+  if (visible.length === 0) {
+    return <p className="text-sm text-muted-foreground">No matching ProfileEvents</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      {visible.map((group) => (
+        <div key={group.id} className="border rounded-lg">
+          <button
+            onClick={() => setCollapsed({ ...collapsed, [group.id]: !collapsed[group.id] })}
+            className="w-full flex items-center justify-between px-4 py-2 bg-gray-50 text-sm font-medium"
+          >
+            <span>{group.label}</span>
+            <span className="flex items-center gap-2 text-muted-foreground">
+              <Badge variant="outline">{group.events.length}</Badge>
+              {collapsed[group.id] ? '▶' : '▼'}
+            </span>
+          </button>
+          {!collapsed[group.id] && (
+            <table className="w-full text-xs">
+              <tbody>
+                {group.events.map((event) => (
+                  <tr key={event.name} className="border-t">
+                    <td className="py-1 px-4 font-mono whitespace-nowrap">{event.name}</td>
+                    <td className="py-1 pr-4 text-right font-medium whitespace-nowrap">
+                      {formatEventValue(event.value, event.unit)}
+                    </td>
+                    <td className="py-1 pr-4 text-muted-foreground">{event.description}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function EventDiff({ data, matches }) {
+  const [showAll, setShowAll] = useState(false);
+  const { base, execution } = data;
+  const events = data.diff.filter(matches);
+  const shown = showAll ? events : events.slice(0, DIFF_PREVIEW);
+  const durationRatio = base.query_duration_ms > 0 ? execution.query_duration_ms / base.query_duration_ms : null;
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-3 gap-4 text-sm">
+        <div>
+          <div className="text-xs text-muted-foreground">Reference <code>{base.query_id.substring(0, 8)}</code></div>
+          <div className="font-medium">{formatDuration(base.query_duration_ms)}</div>
+        </div>
+        <div>
+          <div className="text-xs text-muted-foreground">Compared <code>{execution.query_id.substring(0, 8)}</code></div>
+          <div className="font-medium">{formatDuration(execution.query_duration_ms)}</div>
+        </div>
+        <div>
+          <div className="text-xs text-muted-foreground">Duration change</div>
+          <div className="font-medium">
+            {durationRatio === null ? 'N/A' : `${formatNumber(durationRatio, 2)}×`}
+          </div>
+        </div>
+      </div>
+
+      {events.length === 0 ? (
+        <p className="text-sm text-muted-foreground">No ProfileEvents differ</p>
+      ) : (
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="border-b text-left text-muted-foreground">
+              <th className="py-1 pr-3 font-medium">Event</th>
+              <th className="py-1 pr-3 font-medium text-right">Reference</th>
+              <th className="py-1 pr-3 font-medium text-right">Compared</th>
+              <th className="py-1 pr-3 font-medium text-right">Change</th>
+              <th className="py-1 font-medium">Description</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map((event) => (
+              <tr key={event.name} className="border-b">
+                <td className="py-1 pr-3 font-mono whitespace-nowrap">{event.name}</td>
+                <td className="py-1 pr-3 text-right whitespace-nowrap">{formatEventValue(event.base, event.unit)}</td>
+                <td className="py-1 pr-3 text-right whitespace-nowrap">{formatEventValue(event.compare, event.unit)}</td>
+                <td className={`py-1 pr-3 text-right font-medium whitespace-nowrap ${event.delta > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                  {formatChange(event)}
+                </td>
+                <td className="py-1 text-muted-foreground">{event.description}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {events.length > DIFF_PREVIEW && (
+        <Button onClick={() => setShowAll(!showAll)} variant="outline" size="sm">
+          {showAll ? 'Show top differences' : `Show all ${events.length} differences`}
+        </Button>
+      )}
+    </div>
+  );
+}
@@ -1,63 +1,85 @@
 'use client';
 
 import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useAbortController, isAbortError } from '@/hooks/useAbortController';
 import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/Card';
 import LoadingSpinner from '@/components/ui/LoadingSpinner';
 import Select from '@/components/ui/Select';
 import Badge from '@/components/ui/Badge';
+import Button from '@/components/ui/Button';
 import { formatDuration, formatBytes, formatNumber, formatDate } from '@/utils/formatters';
 import { getDurationIndicator, getMemoryIndicator } from '@/utils/performanceIndicators';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { DEFAULT_TIME_RANGE, timeRangeToParams, formatTimeRange } from '@/utils/timeRange';
+import LatencyTimeSeries from '@/components/QueryAnalyzer/LatencyTimeSeries';
+import ExplainPanel from '@/components/QueryAnalyzer/ExplainPanel';
+import FlamegraphPanel from '@/components/QueryAnalyzer/FlamegraphPanel';
+import ProfileEventsPanel from '@/components/QueryAnalyzer/ProfileEventsPanel';
 import { Light as SyntaxHighlighter } from 'react-syntax-highlighter';
 import sql from 'react-syntax-highlighter/dist/esm/languages/hljs/sql';
 import { github } from 'react-syntax-highlighter/dist/esm/styles/hljs';
 
 SyntaxHighlighter.registerLanguage('sql', sql);
 
-export default function QueryDrilldownView({ queryHash, queryPattern, onBack }) {
+export default function QueryDrilldownView({
+  queryHash,
+  queryPattern,
+  includeSelf = false,
+  timeRange = DEFAULT_TIME_RANGE,
+  onBack,
+  onExplain,
+}) {
   const [loading, setLoading] = useState(true);
   const [executions, setExecutions] = useState([]);
   const [sortColumn, setSortColumn] = useState('query_duration_ms');
   const [expandedRow, setExpandedRow] = useState(null);
+  // Range brushed on the time series, narrowing the execution list
+  const [selectedRange, setSelectedRange] = useState(null);
+  // Execution whose query text is being explained
+  const [explainTarget, setExplainTarget] = useState(null);
+  // Execution whose trace_log samples are shown as a flamegraph
+  const [flamegraphTarget, setFlamegraphTarget] = useState(null);
+  // Executions whose ProfileEvents are shown: one, or [reference, compared] for a diff
+  const [profileTargets, setProfileTargets] = useState([]);
+  const request = useAbortController();
 
   useEffect(() => {
     fetchExecutions();
-  }, [queryHash, sortColumn]);
+  }, [queryHash, sortColumn, includeSelf, timeRange, selectedRange]);
 
   const fetchExecutions = async () => {
+    const controller = request.start();
+
     try {
       setLoading(true);
       const params = new URLSearchParams({
         hash: queryHash,
-        days: 7,
+        ...timeRangeToParams(selectedRange || timeRange),
         sort_column: sortColumn,
         limit: 100,
         offset: 0,
+        include_self: includeSelf,
       });
 
-      const response = await fetch(`/api/clickhouse/query-analyzer/drilldown?${params}`);
+      const response = await fetch(`/api/clickhouse/query-analyzer/drilldown?${params}`, {
+        signal: controller.signal,
+      });
       const data = await response.json();
 
       if (response.ok) {
         setExecutions(data.executions);
       }
     } catch (error) {
-      console.error('Error fetching query executions:', error);
+      if (!isAbortError(error)) {
+        console.error('Error fetching query executions:', error);
+      }
     } finally {
-      setLoading(false);
+      if (request.isCurrent(controller)) {
+        setLoading(false);
+      }
     }
   };
 
-  // Prepare chart data
-  const chartData = executions
-    .slice(0, 50)
-    .reverse()
-    .map((exec) => ({
-      time: new Date(exec.event_time).toLocaleTimeString(),
-      duration: exec.query_duration_ms,
-      memory: exec.memory_usage / (1024 * 1024), // Convert to MB
-    }));
-
   const sortOptions = [
     { value: 'query_duration_ms', label: 'Duration' },
     { value: 'memory_usage', label: 'Memory Usage' },
@@ -69,63 +91,56 @@ export default function QueryDrilldownView({ queryHash, queryPattern, onBack })
   return (
     <div className="space-y-6">
       {/* Time Series Charts */}
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-        <Card>
-          <CardHeader>
-            <CardTitle>Query Duration Over Time</CardTitle>
-          </CardHeader>
-          <CardContent>
-            <ResponsiveContainer width="100%" height={250}>
-              <LineChart data={chartData}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="time" tick={{ fontSize: 12 }} />
-                <YAxis tick={{ fontSize: 12 }} label={{ value: 'ms', angle: -90, position: 'insideLeft' }} />
-                <Tooltip />
-                <Legend />
-                <Line
-                  type="monotone"
-                  dataKey="duration"
-                  stroke="#3b82f6"
-                  strokeWidth={2}
-                  dot={{ r: 3 }}
-                  name="Duration (ms)"
-                />
-              </LineChart>
-            </ResponsiveContainer>
-          </CardContent>
-        </Card>
+      <LatencyTimeSeries
+        queryHash={queryHash}
+        timeRange={timeRange}
+        includeSelf={includeSelf}
+        onRangeSelect={setSelectedRange}
+      />
 
-        <Card>
-          <CardHeader>
-            <CardTitle>Memory Usage Over Time</CardTitle>
-          </CardHeader>
-          <CardContent>
-            <ResponsiveContainer width="100%" height={250}>
-              <LineChart data={chartData}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="time" tick={{ fontSize: 12 }} />
-                <YAxis tick={{ fontSize: 12 }} label={{ value: 'MB', angle: -90, position: 'insideLeft' }} />
-                <Tooltip />
-                <Legend />
-                <Line
-                  type="monotone"
-                  dataKey="memory"
-                  stroke="#8b5cf6"
-                  strokeWidth={2}
-                  dot={{ r: 3 }}
-                  name="Memory (MB)"
-                />
-              </LineChart>
-            </ResponsiveContainer>
-          </CardContent>
-        </Card>
-      </div>
+      {explainTarget && (
+        <ExplainPanel
+          key={explainTarget.query_id}
+          query={explainTarget.query}
+          queryId={explainTarget.query_id}
+          onResult={onExplain}
+          onClose={() => {
+            setExplainTarget(null);
+            onExplain?.(null);
+          }}
+        />
+      )}
+
+      {flamegraphTarget && (
+        <FlamegraphPanel
+          key={flamegraphTarget.query_id}
+          queryId={flamegraphTarget.query_id}
+          timeRange={timeRange}
+          onClose={() => setFlamegraphTarget(null)}
+        />
+      )}
+
+      {profileTargets.length > 0 && (
+        <ProfileEventsPanel
+          key={profileTargets.map((exec) => exec.query_id).join('-')}
+          queryIds={profileTargets.map((exec) => exec.query_id)}
+          timeRange={timeRange}
+          onClose={() => setProfileTargets([])}
+        />
+      )}
 
       {/* Executions List */}
       <Card>
         <CardHeader>
           <div className="flex items-center justify-between">
-            <CardTitle>Individual Executions ({executions.length})</CardTitle>
+            <div>
+              <CardTitle>Individual Executions ({executions.length})</CardTitle>
+              {selectedRange && (
+                <p className="text-sm text-muted-foreground mt-1">
+                  Selected range: {formatTimeRange(selectedRange)}
+                </p>
+              )}
+            </div>
             <Select
               value={sortColumn}
               onChange={setSortColumn}
@@ -147,6 +162,16 @@ export default function QueryDrilldownView({ queryHash, queryPattern, onBack })
                   execution={exec}
                   expanded={expandedRow === index}
                   onToggle={() => setExpandedRow(expandedRow === index ? null : index)}
+                  onExplain={() => setExplainTarget(exec)}
+                  onFlamegraph={() => setFlamegraphTarget(exec)}
+                  onProfileEvents={() => setProfileTargets([exec])}
+                  selected={profileTargets.length === 1 && profileTargets[0].query_id === exec.query_id}
+                  onDiff={
+                    profileTargets.length === 1 && profileTargets[0].query_id !== exec.query_id
+                      ? () => setProfileTargets([profileTargets[0], exec])
+                      : null
+                  }
+                  timeRange={timeRange}
                 />
               ))}
             </div>
@@ -157,7 +182,17 @@ export default function QueryDrilldownView({ queryHash, queryPattern, onBack })
   );
 }
 
-function ExecutionRow({ execution, expanded, onToggle }) {
+function ExecutionRow({
+  execution,
+  expanded,
+  onToggle,
+  onExplain,
+  onFlamegraph,
+  onProfileEvents,
+  onDiff,
+  selected,
+  timeRange,
+}) {
   const durationIndicator = getDurationIndicator(execution.query_duration_ms);
   const memoryIndicator = getMemoryIndicator(execution.memory_usage);
 
@@ -174,6 +209,9 @@ function ExecutionRow({ execution, expanded, onToggle }) {
             {execution.exception && (
               <Badge variant="danger">Error</Badge>
             )}
+            {selected && (
+              <Badge variant="info">Selected: expand another execution to diff</Badge>
+            )}
           </div>
           <button className="text-sm text-muted-foreground">
             {expanded ? '▼' : '▶'}
@@ -214,7 +252,30 @@ function ExecutionRow({ execution, expanded, onToggle }) {
         <div className="border-t bg-gray-50 p-4 space-y-4">
           {/* SQL Query */}
           <div>
-            <h4 className="font-medium mb-2">Query:</h4>
+            <div className="flex items-center justify-between mb-2">
+              <h4 className="font-medium">Query:</h4>
+              <div className="flex gap-2">
+                <Link href={`/query-lifecycle?${new URLSearchParams({ query_id: execution.query_id, ...timeRangeToParams(timeRange) })}`}>
+                  <Button variant="outline" size="sm">
+                    🧬 Lifecycle
+                  </Button>
+                </Link>
+                <Button onClick={onProfileEvents} variant="outline" size="sm">
+                  📊 ProfileEvents
+                </Button>
+                {onDiff && (
+                  <Button onClick={onDiff} variant="outline" size="sm">
+                    ⚖️ Diff with selected
+                  </Button>
+                )}
+                <Button onClick={onFlamegraph} variant="outline" size="sm">
+                  🔥 Flamegraph
+                </Button>
+                <Button onClick={onExplain} variant="outline" size="sm">
+                  🔬 Explain
+                </Button>
+              </div>
+            </div>
             <SyntaxHighlighter
               language="sql"
               style={github}
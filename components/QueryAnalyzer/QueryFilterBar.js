@@ -0,0 +1,109 @@
+'use client';
+
+import { useState } from 'react';
+import { X } from 'lucide-react';
+import Select from '@/components/ui/Select';
+import Input from '@/components/ui/Input';
+import Button from '@/components/ui/Button';
+import Badge from '@/components/ui/Badge';
+import {
+  QUERY_FILTER_FIELDS,
+  QUERY_KIND_OPTIONS,
+  EXCEPTION_OPTIONS,
+  formatQueryFilter,
+} from '@/utils/queryFilters';
+
+const CHOICE_OPTIONS = {
+  query_kind: QUERY_KIND_OPTIONS,
+  exception: EXCEPTION_OPTIONS,
+};
+
+/**
+ * Add query_log dimension filters and show the active ones as removable chips
+ */
+export default function QueryFilterBar({ filters, onChange }) {
+  const [field, setField] = useState('user');
+  const [value, setValue] = useState('');
+
+  const choices = CHOICE_OPTIONS[field];
+  const placeholder = QUERY_FILTER_FIELDS.find((option) => option.value === field)?.placeholder;
+  const activeFilters = Object.entries(filters);
+
+  const handleFieldChange = (nextField) => {
+    setField(nextField);
+    setValue('');
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const trimmed = value.trim();
+    if (!trimmed) return;
+
+    onChange({ ...filters, [field]: trimmed });
+    setValue('');
+  };
+
+  const handleRemove = (key) => {
+    const next = { ...filters };
+    delete next[key];
+    onChange(next);
+  };
+
+  return (
+    <div className="space-y-3">
+      <form onSubmit={handleAdd} className="flex flex-col md:flex-row gap-2">
+        <Select
+          value={field}
+          onChange={handleFieldChange}
+          options={QUERY_FILTER_FIELDS}
+          placeholder=""
+          className="md:w-48"
+        />
+        {choices ? (
+          <Select
+            value={value}
+            onChange={setValue}
+            options={choices}
+            placeholder="Choose..."
+            className="md:w-64"
+          />
+        ) : (
+          <Input
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            placeholder={placeholder}
+            className="md:w-64"
+          />
+        )}
+        <Button type="submit" variant="outline" size="sm" disabled={!value.trim()}>
+          Add filter
+        </Button>
+      </form>
+
+      {activeFilters.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          {activeFilters.map(([key, filterValue]) => (
+            <Badge key={key} variant="info">
+              {formatQueryFilter(key, filterValue)}
+              <button
+                type="button"
+                onClick={() => handleRemove(key)}
+                className="ml-1 rounded-full hover:bg-blue-100 dark:hover:bg-blue-900"
+                aria-label={`Remove ${formatQueryFilter(key, filterValue)} filter`}
+              >
+                <X className="h-3 w-3" />
+              </button>
+            </Badge>
+          ))}
+          <button
+            type="button"
+            onClick={() => onChange({})}
+            className="text-xs text-muted-foreground hover:text-foreground"
+          >
+            Clear all
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
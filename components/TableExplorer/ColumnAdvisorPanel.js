@@ -0,0 +1,262 @@
+'use client';
+
+import { useState } from 'react';
+import { useAbortController, isAbortError } from '@/hooks/useAbortController';
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/Card';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import Button from '@/components/ui/Button';
+import Select from '@/components/ui/Select';
+import Badge from '@/components/ui/Badge';
+import { PermissionError } from '@/components/ErrorBoundary';
+import { formatBytes, formatNumber, formatPercent } from '@/utils/formatters';
+import { ADVISOR_SAMPLE_SIZES } from '@/utils/constants';
+
+const CHANGE_LABELS = {
+  low_cardinality: 'LowCardinality',
+  narrower_integer: 'Narrower type',
+  nullable: 'Drop Nullable',
+  codec: 'Codec',
+};
+
+/**
+ * Column type and codec advisor
+ * Reads a bounded sample of the table only when asked, since it scans table data
+ */
+export default function ColumnAdvisorPanel({ database, table }) {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+  const [sampleRows, setSampleRows] = useState(100000);
+  const [copied, setCopied] = useState(false);
+  const request = useAbortController();
+
+  const runAdvisor = async () => {
+    const controller = request.start();
+
+    try {
+      setLoading(true);
+      setError(null);
+      setCopied(false);
+
+      const params = new URLSearchParams({ database, table, sample_rows: sampleRows });
+      const response = await fetch(`/api/clickhouse/stats/advisor?${params}`, {
+        signal: controller.signal,
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setResult(data);
+      } else {
+        setResult(null);
+        setError(data);
+      }
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.error('Error running column advisor:', error);
+        setError({ error: error.message || 'Failed to run column advisor' });
+      }
+    } finally {
+      if (request.isCurrent(controller)) {
+        setLoading(false);
+      }
+    }
+  };
+
+  const statements = result?.advice.map((item) => `${item.statement};`).join('\n') || '';
+  const verifications = result?.advice.flatMap((item) => item.verifications) || [];
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(statements);
+      setCopied(true);
+    } catch (error) {
+      console.error('Error copying statements:', error);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between gap-4">
+          <CardTitle className="flex items-center gap-2">
+            <span>🩺</span>
+            <span>Column Type & Codec Advisor</span>
+          </CardTitle>
+          <div className="flex items-center gap-2">
+            <Select
+              value={sampleRows}
+              onChange={(value) => setSampleRows(parseInt(value))}
+              options={ADVISOR_SAMPLE_SIZES}
+            />
+            <Button onClick={runAdvisor} size="sm" disabled={loading}>
+              {result ? '🔄 Analyze again' : '▶️ Analyze sample'}
+            </Button>
+          </div>
+        </div>
+        <p className="text-sm text-muted-foreground">
+          Profiles a sample of the table (cardinality, NULLs, value ranges, string lengths) and suggests
+          type and codec changes. Nothing is changed: the ALTER statements are for review.
+        </p>
+      </CardHeader>
+      <CardContent>
+        {loading ? (
+          <div className="flex flex-col items-center justify-center gap-4 h-48">
+            <LoadingSpinner size="lg" />
+            <Button onClick={request.cancel} variant="outline" size="sm">
+              Cancel
+            </Button>
+          </div>
+        ) : error?.type === 'PERMISSION_DENIED' ? (
+          <PermissionError
+            feature={error.feature}
+            table={error.table}
+            requirements={error.requirements}
+          />
+        ) : error ? (
+          <div className="p-3 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+            {error.error}
+          </div>
+        ) : !result ? null : result.advice.length === 0 ? (
+          <div className="flex items-center gap-2 text-green-600">
+            <span>✓</span>
+            <span>
+              No changes suggested for the {result.profiledColumns} profiled columns
+              ({formatNumber(result.sampledRows)} rows sampled)
+            </span>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <SummaryItem
+                label="Rows Sampled"
+                value={formatNumber(result.sampledRows)}
+                hint={result.sampled ? 'spread with SAMPLE' : 'first rows read (no sampling key)'}
+              />
+              <SummaryItem
+                label="Columns With Suggestions"
+                value={`${result.advice.length} of ${result.profiledColumns}`}
+              />
+              <SummaryItem
+                label="Estimated Savings"
+                value={formatBytes(result.estimatedSavingsBytes)}
+                hint={result.compressedBytes
+                  ? `${formatPercent(result.estimatedSavingsBytes / result.compressedBytes, 1)} of ${formatBytes(result.compressedBytes)} compressed`
+                  : 'column sizes unavailable'}
+              />
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-left">
+                    <th className="py-3 px-4 font-medium">Column</th>
+                    <th className="py-3 px-4 font-medium">Change</th>
+                    <th className="py-3 px-4 font-medium">Sample Profile</th>
+                    <th className="py-3 px-4 font-medium text-right">Est. Savings</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.advice.map((item) => (
+                    <tr key={item.column} className="border-b align-top">
+                      <td className="py-3 px-4">
+                        <div className="font-mono font-medium">{item.column}</div>
+                        <div className="text-xs text-muted-foreground">{formatBytes(item.compressedBytes)}</div>
+                      </td>
+                      <td className="py-3 px-4">
+                        <div className="font-mono text-xs mb-2">
+                          {item.currentType !== item.suggestedType ? (
+                            <>
+                              <span className="line-through text-muted-foreground">{item.currentType}</span>
+                              {' → '}
+                              <span className="font-semibold">{item.suggestedType}</span>
+                            </>
+                          ) : item.currentType}
+                          {item.codec && <span className="font-semibold"> {item.codec}</span>}
+                        </div>
+                        <ul className="space-y-1">
+                          {item.changes.map((change) => (
+                            <li key={change.kind} className="flex items-start gap-2">
+                              <Badge variant="outline" className="text-xs shrink-0">{CHANGE_LABELS[change.kind]}</Badge>
+                              <span className="text-xs">{change.description}</span>
+                            </li>
+                          ))}
+                        </ul>
+                      </td>
+                      <td className="py-3 px-4 text-xs text-muted-foreground whitespace-nowrap">
+                        <ProfileSummary profile={item.profile} />
+                      </td>
+                      <td className="py-3 px-4 text-right font-medium whitespace-nowrap">
+                        {formatBytes(item.estimatedSavingsBytes)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="mt-2 text-xs text-muted-foreground">
+                Savings are rough estimates from the sample and current column sizes; compare on a copy of the table before applying.
+              </p>
+            </div>
+
+            {verifications.length > 0 && (
+              <div>
+                <h4 className="font-medium mb-2">Check first</h4>
+                <p className="text-sm text-muted-foreground mb-2">
+                  Narrower types and dropped Nullable are based on the sample only. Confirm the full range
+                  and that there are no NULLs (these read the whole column):
+                </p>
+                <pre className="bg-gray-900 text-gray-100 p-4 rounded-lg overflow-x-auto text-xs">
+                  {verifications.map((query) => `${query};`).join('\n')}
+                </pre>
+              </div>
+            )}
+
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <h4 className="font-medium">ALTER Statements</h4>
+                <Button onClick={handleCopy} variant="outline" size="sm">
+                  {copied ? '✓ Copied' : '📋 Copy'}
+                </Button>
+              </div>
+              <p className="text-sm text-muted-foreground mb-2">
+                Type changes rewrite the column in every part; codec changes apply to newly written parts
+                until the parts are merged or the table is optimized.
+              </p>
+              <pre className="bg-gray-900 text-gray-100 p-4 rounded-lg overflow-x-auto text-xs">
+                {statements}
+              </pre>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+function SummaryItem({ label, value, hint }) {
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg">
+      <div className="text-sm text-muted-foreground mb-1">{label}</div>
+      <div className="text-2xl font-bold">{value}</div>
+      {hint && <div className="text-xs text-muted-foreground mt-1">{hint}</div>}
+    </div>
+  );
+}
+
+function ProfileSummary({ profile }) {
+  const distinctRatio = profile.sampledRows > 0 ? profile.distinct / profile.sampledRows : 0;
+
+  return (
+    <div className="space-y-0.5">
+      <div>{formatNumber(profile.distinct)} distinct ({formatPercent(distinctRatio, 1)})</div>
+      {profile.nullRatio > 0 && <div>{formatPercent(profile.nullRatio, 1)} NULL</div>}
+      {profile.min !== null && profile.max !== null && (
+        <div>Range {profile.min} … {profile.max}</div>
+      )}
+      {profile.avgLength !== null && (
+        <div>
+          Length avg {profile.avgLength.toFixed(1)}, p90 {profile.p90Length}, max {profile.maxLength}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,10 +1,11 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/Card';
 import LoadingSpinner from '@/components/ui/LoadingSpinner';
 import Badge from '@/components/ui/Badge';
-import { formatBytes, formatNumber, formatDate } from '@/utils/formatters';
+import ColumnAdvisorPanel from './ColumnAdvisorPanel';
+import { formatBytes, formatNumber, formatDate, formatPercent, formatRatio } from '@/utils/formatters';
 import { Light as SyntaxHighlighter } from 'react-syntax-highlighter';
 import sql from 'react-syntax-highlighter/dist/esm/languages/hljs/sql';
 import { github } from 'react-syntax-highlighter/dist/esm/styles/hljs';
@@ -15,11 +16,13 @@ export default function TableDetailsView({ database, table }) {
   const [loading, setLoading] = useState(true);
   const [details, setDetails] = useState(null);
   const [stats, setStats] = useState(null);
+  const [columnStorage, setColumnStorage] = useState(null);
   const [activeTab, setActiveTab] = useState('schema');
 
   useEffect(() => {
     fetchTableDetails();
     fetchTableStats();
+    fetchColumnStorage();
   }, [database, table.name]);
 
   const fetchTableDetails = async () => {
@@ -55,6 +58,20 @@ export default function TableDetailsView({ database, table }) {
     }
   };
 
+  const fetchColumnStorage = async () => {
+    try {
+      setColumnStorage(null);
+      const params = new URLSearchParams({ database, table: table.name });
+      const response = await fetch(`/api/clickhouse/stats/columns?${params}`);
+      const data = await response.json();
+
+      setColumnStorage(response.ok ? data : { error: data.error });
+    } catch (error) {
+      console.error('Error fetching column storage:', error);
+      setColumnStorage({ error: error.message || 'Failed to fetch column storage' });
+    }
+  };
+
   const tabs = [
     { id: 'schema', label: 'Schema', icon: '📋' },
     { id: 'statistics', label: 'Statistics', icon: '📊' },
@@ -156,7 +173,7 @@ export default function TableDetailsView({ database, table }) {
       ) : (
         <div>
           {activeTab === 'schema' && details && (
-            <SchemaTab columns={details.columns} />
+            <SchemaTab columns={details.columns} storage={columnStorage} />
           )}
           {activeTab === 'statistics' && stats && (
             <StatisticsTab stats={stats} />
@@ -168,7 +185,7 @@ export default function TableDetailsView({ database, table }) {
             <DDLTab ddl={table.create_table_query} />
           )}
           {activeTab === 'recommendations' && stats && (
-            <RecommendationsTab stats={stats} table={table} />
+            <RecommendationsTab stats={stats} database={database} table={table} />
           )}
         </div>
       )}
@@ -199,31 +216,119 @@ function KeyDisplay({ label, value }) {
   );
 }
 
-function SchemaTab({ columns }) {
+// Schema grid columns that can be sorted; storage columns sort largest first
+const SCHEMA_SORTS = {
+  position: { label: '#', descending: false },
+  name: { label: 'Name', descending: false },
+  type: { label: 'Type', descending: false },
+  compressed_bytes: { label: 'Compressed', descending: true },
+  uncompressed_bytes: { label: 'Uncompressed', descending: true },
+  compression_ratio: { label: 'Ratio', descending: true },
+  share: { label: 'Share of Table', descending: true },
+  marks_bytes: { label: 'Marks', descending: true },
+};
+
+function SchemaTab({ columns, storage }) {
+  const [sort, setSort] = useState({ key: 'position', descending: false });
+  const hasStorage = Boolean(storage?.columns);
+
+  const rows = useMemo(() => {
+    const sizes = new Map((storage?.columns || []).map((column) => [column.name, column]));
+    const merged = columns.map((col, index) => ({ ...sizes.get(col.name), ...col, position: index + 1 }));
+
+    const direction = sort.descending ? -1 : 1;
+    return merged.sort((a, b) => {
+      const left = a[sort.key] ?? -1;
+      const right = b[sort.key] ?? -1;
+      if (typeof left === 'string' || typeof right === 'string') {
+        return String(left).localeCompare(String(right)) * direction;
+      }
+      return (left - right) * direction;
+    });
+  }, [columns, storage, sort]);
+
+  const handleSort = (key) => {
+    setSort((current) => (current.key === key
+      ? { key, descending: !current.descending }
+      : { key, descending: SCHEMA_SORTS[key].descending }));
+  };
+
   return (
     <Card>
       <CardHeader>
-        <CardTitle>Columns ({columns.length})</CardTitle>
+        <div className="flex items-center justify-between">
+          <CardTitle>Columns ({columns.length})</CardTitle>
+          {hasStorage && (
+            <span className="text-sm text-muted-foreground">
+              {formatBytes(storage.totals.compressed_bytes)} compressed
+              {storage.totals.compression_ratio && ` · ${formatRatio(storage.totals.compression_ratio)}`}
+              {' '}· from {storage.source}
+            </span>
+          )}
+        </div>
+        {storage?.error && (
+          <p className="text-sm text-muted-foreground">Column sizes unavailable: {storage.error}</p>
+        )}
       </CardHeader>
       <CardContent>
         <div className="overflow-x-auto">
           <table className="w-full">
             <thead>
               <tr className="border-b">
-                <th className="text-left py-3 px-4 font-medium">Name</th>
-                <th className="text-left py-3 px-4 font-medium">Type</th>
+                <SortHeader sortKey="position" sort={sort} onSort={handleSort} />
+                <SortHeader sortKey="name" sort={sort} onSort={handleSort} />
+                <SortHeader sortKey="type" sort={sort} onSort={handleSort} />
+                {hasStorage && (
+                  <>
+                    <SortHeader sortKey="compressed_bytes" sort={sort} onSort={handleSort} alignRight />
+                    <SortHeader sortKey="uncompressed_bytes" sort={sort} onSort={handleSort} alignRight />
+                    <SortHeader sortKey="compression_ratio" sort={sort} onSort={handleSort} alignRight />
+                    <SortHeader sortKey="share" sort={sort} onSort={handleSort} />
+                    <SortHeader sortKey="marks_bytes" sort={sort} onSort={handleSort} alignRight />
+                  </>
+                )}
                 <th className="text-left py-3 px-4 font-medium">Default</th>
                 <th className="text-left py-3 px-4 font-medium">Keys</th>
                 <th className="text-left py-3 px-4 font-medium">Comment</th>
               </tr>
             </thead>
             <tbody>
-              {columns.map((col, index) => (
-                <tr key={index} className="border-b hover:bg-gray-50">
+              {rows.map((col) => (
+                <tr key={col.name} className="border-b hover:bg-gray-50">
+                  <td className="py-3 px-4 text-xs text-muted-foreground">{col.position}</td>
                   <td className="py-3 px-4 font-mono font-medium">{col.name}</td>
                   <td className="py-3 px-4">
                     <Badge variant="outline">{col.type}</Badge>
                   </td>
+                  {hasStorage && (
+                    <>
+                      <td className="py-3 px-4 text-right text-sm whitespace-nowrap">
+                        {col.compressed_bytes !== undefined ? formatBytes(col.compressed_bytes) : '-'}
+                      </td>
+                      <td className="py-3 px-4 text-right text-sm whitespace-nowrap">
+                        {col.uncompressed_bytes !== undefined ? formatBytes(col.uncompressed_bytes) : '-'}
+                      </td>
+                      <td className="py-3 px-4 text-right text-sm">
+                        {col.compression_ratio ? formatRatio(col.compression_ratio) : '-'}
+                      </td>
+                      <td className="py-3 px-4 min-w-40">
+                        {col.share !== undefined && (
+                          <div className="flex items-center gap-2">
+                            <div className="flex-1 h-2 bg-gray-100 rounded">
+                              <div
+                                className="h-2 bg-primary rounded"
+                                style={{ width: `${col.share * 100}%` }}
+                              />
+                            </div>
+                            <span className="text-xs w-12 text-right">{formatPercent(col.share, 1)}</span>
+                          </div>
+                        )}
+                      </td>
+                      <td className="py-3 px-4 text-right text-sm whitespace-nowrap">
+                        {col.marks_bytes !== undefined ? formatBytes(col.marks_bytes) : '-'}
+                      </td>
+                    </>
+                  )}
                   <td className="py-3 px-4 text-sm">
                     {col.default_kind && (
                       <div className="flex flex-col">
@@ -262,6 +367,17 @@ function SchemaTab({ columns }) {
   );
 }
 
+function SortHeader({ sortKey, sort, onSort, alignRight = false }) {
+  return (
+    <th className={`py-3 px-4 font-medium ${alignRight ? 'text-right' : 'text-left'}`}>
+      <button onClick={() => onSort(sortKey)} className="hover:text-primary whitespace-nowrap">
+        {SCHEMA_SORTS[sortKey].label}
+        {sort.key === sortKey && (sort.descending ? ' ▼' : ' ▲')}
+      </button>
+    </th>
+  );
+}
+
 function StatisticsTab({ stats }) {
   const compressionRatio = stats.total_uncompressed_bytes > 0
     ? (stats.total_uncompressed_bytes / stats.total_compressed_bytes).toFixed(2)
@@ -384,7 +500,7 @@ function DDLTab({ ddl }) {
   );
 }
 
-function RecommendationsTab({ stats, table }) {
+function RecommendationsTab({ stats, database, table }) {
   // Import dynamically to avoid circular dependencies
   const { generateTableHealthRecommendations } = require('@/utils/recommendations');
   const RecommendationsPanel = require('@/components/Recommendations/RecommendationsPanel').default;
@@ -392,10 +508,13 @@ function RecommendationsTab({ stats, table }) {
   const recommendations = generateTableHealthRecommendations(stats);
 
   return (
-    <RecommendationsPanel
-      recommendations={recommendations}
-      title={`Recommendations for ${table.name}`}
-    />
+    <div className="space-y-6">
+      <RecommendationsPanel
+        recommendations={recommendations}
+        title={`Recommendations for ${table.name}`}
+      />
+      <ColumnAdvisorPanel database={database} table={table.name} />
+    </div>
   );
 }
 
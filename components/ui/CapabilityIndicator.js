@@ -42,6 +42,7 @@ export default function CapabilityIndicator({ capabilities }) {
 
   const availableCount = features.filter((f) => f.available).length;
   const totalCount = features.length;
+  const readOnly = capabilities.readOnly;
 
   return (
     <div className="bg-white border border-gray-200 rounded-lg p-3">
@@ -58,6 +59,11 @@ export default function CapabilityIndicator({ capabilities }) {
           </span>
         </div>
         <div className="flex items-center gap-2">
+          {readOnly && (
+            <Badge variant={readOnly.enabled ? 'info' : 'danger'}>
+              {readOnly.enabled ? 'Read-only' : 'Writes allowed'}
+            </Badge>
+          )}
           <Badge
             variant={availableCount === totalCount ? 'success' : 'warning'}
           >
@@ -92,6 +98,18 @@ export default function CapabilityIndicator({ capabilities }) {
             </div>
           ))}
 
+          {readOnly && (
+            <div className="flex items-center justify-between text-sm py-1 px-2 border-t pt-3">
+              <div className="flex items-center gap-2">
+                <span className="text-lg">{readOnly.enabled ? '🔒' : '⚠️'}</span>
+                <span className="text-gray-900">Read-only Mode</span>
+              </div>
+              <code className="text-xs text-gray-500">
+                {readOnly.enabled ? `readonly=${readOnly.level}` : 'disabled'}
+              </code>
+            </div>
+          )}
+
           <div className="mt-3 pt-2 border-t text-xs text-muted-foreground">
             Last checked: {new Date(capabilities.checkedAt).toLocaleTimeString()}
           </div>
@@ -0,0 +1,112 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import Select from './Select';
+import Input from './Input';
+import Button from './Button';
+import { TIME_RANGES } from '@/utils/constants';
+
+const CUSTOM = 'custom';
+
+const OPTIONS = [
+  ...TIME_RANGES,
+  { value: CUSTOM, label: 'Custom range…' },
+];
+
+// datetime-local inputs work in local time without a timezone suffix
+function toLocalInput(date) {
+  const offsetMs = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+}
+
+function getDraft(value) {
+  if (value.start && value.end) {
+    return { start: toLocalInput(new Date(value.start)), end: toLocalInput(new Date(value.end)) };
+  }
+
+  const end = new Date();
+  const start = new Date(end.getTime() - (value.days || 7) * 86400000);
+  return { start: toLocalInput(start), end: toLocalInput(end) };
+}
+
+/**
+ * Preset or custom absolute time range
+ * `value` and `onChange` use `{ days }` or `{ start, end }` (ISO)
+ */
+export default function TimeRangePicker({ value, onChange }) {
+  const { start, end } = value;
+  const [editing, setEditing] = useState(Boolean(start && end));
+  const [draft, setDraft] = useState(() => getDraft(value));
+  const [error, setError] = useState(null);
+
+  // Follow the URL when a custom range arrives from outside (e.g. navigation)
+  useEffect(() => {
+    if (start && end) {
+      setEditing(true);
+      setDraft(getDraft({ start, end }));
+    }
+  }, [start, end]);
+
+  const handleSelect = (selected) => {
+    setError(null);
+
+    if (selected === CUSTOM) {
+      setDraft(getDraft(value));
+      setEditing(true);
+      return;
+    }
+
+    setEditing(false);
+    onChange({ days: parseInt(selected) });
+  };
+
+  const handleApply = () => {
+    const draftStart = new Date(draft.start);
+    const draftEnd = new Date(draft.end);
+
+    if (isNaN(draftStart.getTime()) || isNaN(draftEnd.getTime())) {
+      setError('Enter both a start and an end time');
+      return;
+    }
+    if (draftStart >= draftEnd) {
+      setError('Start time must be before end time');
+      return;
+    }
+
+    setError(null);
+    onChange({ start: draftStart.toISOString(), end: draftEnd.toISOString() });
+  };
+
+  return (
+    <div className="space-y-2">
+      <Select
+        value={editing ? CUSTOM : value.days}
+        onChange={handleSelect}
+        options={OPTIONS}
+      />
+
+      {editing && (
+        <div className="space-y-2">
+          <Input
+            type="datetime-local"
+            value={draft.start}
+            onChange={(e) => setDraft((prev) => ({ ...prev, start: e.target.value }))}
+            aria-label="Start time"
+            error={Boolean(error)}
+          />
+          <Input
+            type="datetime-local"
+            value={draft.end}
+            onChange={(e) => setDraft((prev) => ({ ...prev, end: e.target.value }))}
+            aria-label="End time"
+            error={Boolean(error)}
+          />
+          {error && <p className="text-xs text-destructive">{error}</p>}
+          <Button onClick={handleApply} variant="outline" size="sm">
+            Apply
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+'use client';
+
+import { useRef, useEffect, useCallback } from 'react';
+
+/**
+ * Track a component's in-flight request so it can be cancelled
+ * Starting a new request aborts the previous one, and unmounting aborts
+ * whatever is still running; the API route then kills the ClickHouse query
+ */
+export function useAbortController() {
+  const controllerRef = useRef(null);
+
+  useEffect(() => {
+    return () => {
+      const controller = controllerRef.current;
+      controllerRef.current = null;
+      controller?.abort();
+    };
+  }, []);
+
+  // Abort the previous request and return a controller for the next one
+  const start = useCallback(() => {
+    const previous = controllerRef.current;
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    previous?.abort();
+    return controller;
+  }, []);
+
+  const cancel = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  // False once a newer request has superseded this one (or the component unmounted)
+  const isCurrent = useCallback((controller) => controllerRef.current === controller, []);
+
+  return { start, cancel, isCurrent };
+}
+
+/**
+ * Check whether a fetch failed because it was aborted
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
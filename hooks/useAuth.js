@@ -49,6 +49,8 @@ export function useConnectionInfo() {
             host: data.host,
             username: data.username,
             database: data.database,
+            profileId: data.profileId,
+            profileName: data.profileName,
           });
         }
       } catch (error) {
@@ -0,0 +1,10 @@
+/**
+ * Runs once when the Next.js server starts
+ * Alert rules are evaluated on the server, independently of any open page
+ */
+export async function register() {
+  if (process.env.NEXT_RUNTIME === 'nodejs') {
+    const { startAlertScheduler } = await import('./lib/alertScheduler');
+    startAlertScheduler();
+  }
+}
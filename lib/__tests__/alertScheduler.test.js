@@ -0,0 +1,50 @@
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { createAlertRule, listAlerts } from '../alertStore';
+import { runAlertEvaluation } from '../alertScheduler';
+
+describe('Alert Scheduler', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'checkmyhouse-scheduler-'));
+    process.env.CHECKMYHOUSE_ALERTS_PATH = path.join(dir, 'alerts.json');
+    process.env.CHECKMYHOUSE_PROFILES_PATH = path.join(dir, 'server.json');
+    process.env.CHECKMYHOUSE_USER_PROFILES_PATH = path.join(dir, 'user.json');
+
+    await fs.writeFile(process.env.CHECKMYHOUSE_PROFILES_PATH, JSON.stringify({
+      profiles: [
+        {
+          id: 'broken',
+          name: 'Broken',
+          host: 'https://broken:8443',
+          tls: { caCertFile: path.join(dir, 'missing-ca.pem') },
+        },
+        { id: 'local', name: 'Local', host: 'http://127.0.0.1:1' },
+      ],
+    }));
+  });
+
+  afterEach(async () => {
+    delete process.env.CHECKMYHOUSE_ALERTS_PATH;
+    delete process.env.CHECKMYHOUSE_PROFILES_PATH;
+    delete process.env.CHECKMYHOUSE_USER_PROFILES_PATH;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should keep evaluating and save results when a profile fails to load', async () => {
+    const rule = { name: 'Failures', type: 'failed_queries', threshold: '5' };
+    await createAlertRule({ ...rule, profileId: 'server-broken' });
+    await createAlertRule({ ...rule, profileId: 'server-local' });
+
+    const run = await runAlertEvaluation();
+    expect(run.evaluated).toBe(2);
+
+    const { rules } = await listAlerts();
+    const byProfile = Object.fromEntries(rules.map((item) => [item.profileId, item.status]));
+    expect(byProfile['server-broken'].error).toEqual(expect.any(String));
+    expect(byProfile['server-broken'].evaluatedAt).not.toBeNull();
+    expect(byProfile['server-local'].evaluatedAt).not.toBeNull();
+  }, 30000);
+});
@@ -0,0 +1,107 @@
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import {
+  listAlerts,
+  createAlertRule,
+  updateAlertRule,
+  deleteAlertRule,
+  getEnabledRules,
+  saveAlertEvaluations,
+} from '../alertStore';
+
+describe('Alert Store', () => {
+  let dir;
+  const rule = { name: 'Failures', type: 'failed_queries', profileId: 'server-prod', threshold: '5' };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'checkmyhouse-alerts-'));
+    process.env.CHECKMYHOUSE_ALERTS_PATH = path.join(dir, 'nested', 'alerts.json');
+  });
+
+  afterEach(async () => {
+    delete process.env.CHECKMYHOUSE_ALERTS_PATH;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should create rules with defaults and list them with an ok status', async () => {
+    const created = await createAlertRule(rule);
+    expect(created.success).toBe(true);
+    expect(created.rule).toMatchObject({ threshold: 5, windowSeconds: 300, webhooks: [], enabled: true });
+
+    const { rules, history } = await listAlerts();
+    expect(rules).toHaveLength(1);
+    expect(rules[0].status.state).toBe('ok');
+    expect(history).toEqual([]);
+  });
+
+  it('should reject invalid rules', async () => {
+    expect((await createAlertRule({ ...rule, type: 'pattern_p99' })).success).toBe(false);
+    expect((await createAlertRule({ ...rule, webhooks: ['file:///etc/passwd'] })).success).toBe(false);
+  });
+
+  it('should save evaluations and drop results for rules edited meanwhile', async () => {
+    const { rule: created } = await createAlertRule(rule);
+    const [{ state }] = await getEnabledRules();
+    const firing = { ...state, state: 'firing', value: 9 };
+    const historyEntry = { ruleId: created.id, status: 'firing', value: 9, notifications: [] };
+
+    await saveAlertEvaluations([{ ruleId: created.id, updatedAt: created.updatedAt, state: firing, historyEntry }]);
+    let { rules, history } = await listAlerts();
+    expect(rules[0].status.state).toBe('firing');
+    expect(history).toHaveLength(1);
+
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    const updated = await updateAlertRule(created.id, { table: 'events' });
+    expect(updated.success).toBe(true);
+    ({ rules } = await listAlerts());
+    expect(rules[0].status.state).toBe('ok');
+
+    await saveAlertEvaluations([{ ruleId: created.id, updatedAt: created.updatedAt, state: firing, historyEntry }]);
+    ({ rules, history } = await listAlerts());
+    expect(rules[0].status.state).toBe('ok');
+    expect(history).toHaveLength(1);
+  });
+
+  it('should delete rules but keep their history', async () => {
+    const { rule: created } = await createAlertRule(rule);
+    await saveAlertEvaluations([{
+      ruleId: created.id,
+      updatedAt: created.updatedAt,
+      state: { state: 'firing' },
+      historyEntry: { ruleId: created.id, status: 'firing', notifications: [] },
+    }]);
+
+    expect(await deleteAlertRule(created.id)).toEqual({ success: true });
+    expect(await deleteAlertRule(created.id)).toMatchObject({ success: false, status: 404 });
+
+    const { rules, history } = await listAlerts();
+    expect(rules).toEqual([]);
+    expect(history).toHaveLength(1);
+    expect(await getEnabledRules()).toEqual([]);
+  });
+
+  it('should only accept webhooks on allowed hosts', async () => {
+    const webhooks = ['https://hooks.example.com/alert'];
+    expect(await createAlertRule({ ...rule, webhooks })).toMatchObject({ success: false, status: 400 });
+
+    process.env.CHECKMYHOUSE_ALERT_WEBHOOK_HOSTS = 'hooks.example.com';
+    try {
+      expect((await createAlertRule({ ...rule, webhooks })).success).toBe(true);
+    } finally {
+      delete process.env.CHECKMYHOUSE_ALERT_WEBHOOK_HOSTS;
+    }
+  });
+
+  it('should scope listing, updates and deletes to a profile', async () => {
+    const { rule: created } = await createAlertRule(rule);
+    await createAlertRule({ ...rule, profileId: 'server-other' });
+
+    expect((await listAlerts({ profileId: 'server-other' })).rules).toHaveLength(1);
+    expect(await updateAlertRule(created.id, { name: 'Taken' }, { profileId: 'server-other' }))
+      .toMatchObject({ success: false, status: 404 });
+    expect(await deleteAlertRule(created.id, { profileId: 'server-other' }))
+      .toMatchObject({ success: false, status: 404 });
+    expect(await deleteAlertRule(created.id, { profileId: 'server-prod' })).toEqual({ success: true });
+  });
+});
@@ -0,0 +1,114 @@
+import {
+  AlertStates,
+  AlertEvents,
+  INITIAL_ALERT_STATE,
+  buildAlertParams,
+  nextAlertState,
+  buildAlertPayload,
+  isWebhookAllowed,
+} from '../alerts';
+
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+const at = (seconds) => T0 + seconds * 1000;
+
+describe('Alerts', () => {
+  const rule = { id: 'alert-1', name: 'Slow dashboard', type: 'pattern_p99', threshold: 1000, forSeconds: 120, debounceSeconds: 60, patternHash: '123', windowSeconds: 300 };
+
+  describe('buildAlertParams', () => {
+    it('should pass the pattern only for p99 rules', () => {
+      expect(buildAlertParams(rule)).toEqual({ window_seconds: 300, database: '', table: '', pattern_hash: '123' });
+      expect(buildAlertParams({ type: 'failed_queries', windowSeconds: 60, database: 'db', patternHash: '123' }))
+        .toEqual({ window_seconds: 60, database: 'db', table: '' });
+    });
+  });
+
+  describe('nextAlertState', () => {
+    it('should stay pending until the breach has lasted forSeconds', () => {
+      let result = nextAlertState(INITIAL_ALERT_STATE, rule, { value: 1500 }, at(0));
+      expect(result.state.state).toBe(AlertStates.PENDING);
+      expect(result.event).toBeNull();
+
+      result = nextAlertState(result.state, rule, { value: 1500 }, at(60));
+      expect(result.state.state).toBe(AlertStates.PENDING);
+      expect(result.state.breachStartedAt).toBe(new Date(at(0)).toISOString());
+
+      result = nextAlertState(result.state, rule, { value: 1200, subject: 'db.t' }, at(120));
+      expect(result.state.state).toBe(AlertStates.FIRING);
+      expect(result.event).toBe(AlertEvents.FIRING);
+      expect(result.state.subject).toBe('db.t');
+    });
+
+    it('should fire immediately without a pending period', () => {
+      const result = nextAlertState(INITIAL_ALERT_STATE, { ...rule, forSeconds: 0 }, { value: 1001 }, at(0));
+      expect(result.event).toBe(AlertEvents.FIRING);
+    });
+
+    it('should return to ok silently when a pending breach clears', () => {
+      const pending = nextAlertState(INITIAL_ALERT_STATE, rule, { value: 1500 }, at(0)).state;
+      const result = nextAlertState(pending, rule, { value: 500 }, at(60));
+      expect(result.state.state).toBe(AlertStates.OK);
+      expect(result.state.breachStartedAt).toBeNull();
+      expect(result.event).toBeNull();
+    });
+
+    it('should resolve only after the value stays below the threshold for debounceSeconds', () => {
+      const firing = nextAlertState(INITIAL_ALERT_STATE, { ...rule, forSeconds: 0 }, { value: 1500 }, at(0)).state;
+
+      let result = nextAlertState(firing, rule, { value: 500 }, at(60));
+      expect(result.state.state).toBe(AlertStates.FIRING);
+      expect(result.event).toBeNull();
+
+      // Flapping back above the threshold restarts the quiet period
+      result = nextAlertState(result.state, rule, { value: 1500 }, at(90));
+      expect(result.state.clearStartedAt).toBeNull();
+
+      result = nextAlertState(result.state, rule, { value: 500 }, at(120));
+      result = nextAlertState(result.state, rule, { value: null }, at(180));
+      expect(result.state.state).toBe(AlertStates.OK);
+      expect(result.event).toBe(AlertEvents.RESOLVED);
+      expect(result.state.breachStartedAt).toBe(new Date(at(0)).toISOString());
+    });
+
+    it('should keep the state and record the error when evaluation fails', () => {
+      const firing = nextAlertState(INITIAL_ALERT_STATE, { ...rule, forSeconds: 0 }, { value: 1500 }, at(0)).state;
+      const result = nextAlertState(firing, rule, { error: 'Connection refused' }, at(60));
+      expect(result.state.state).toBe(AlertStates.FIRING);
+      expect(result.state.value).toBe(1500);
+      expect(result.state.error).toBe('Connection refused');
+      expect(result.event).toBeNull();
+    });
+  });
+
+  describe('buildAlertPayload', () => {
+    it('should describe the rule, the value and the connection', () => {
+      const { state } = nextAlertState(INITIAL_ALERT_STATE, { ...rule, forSeconds: 0 }, { value: 1500 }, at(0));
+      const payload = buildAlertPayload(rule, state, AlertEvents.FIRING, { profileName: 'Production' });
+
+      expect(payload).toMatchObject({
+        app: 'checkmyhouse',
+        status: 'firing',
+        rule: { id: 'alert-1', type: 'pattern_p99', unit: 'ms', patternHash: '123', database: null },
+        connection: 'Production',
+        value: 1500,
+        startedAt: new Date(at(0)).toISOString(),
+      });
+      expect(payload.summary).toBe('Slow dashboard: Pattern p99 latency is 1500 ms (threshold 1000)');
+    });
+  });
+
+  describe('isWebhookAllowed', () => {
+    const allowed = ['hooks.slack.com', '*.example.com'];
+
+    it('should allow listed hosts and subdomains of wildcard entries', () => {
+      expect(isWebhookAllowed('https://hooks.slack.com/services/T/B/x', allowed)).toBe(true);
+      expect(isWebhookAllowed('https://alerts.example.com/hook', allowed)).toBe(true);
+    });
+
+    it('should refuse other hosts, lookalikes and everything when nothing is listed', () => {
+      expect(isWebhookAllowed('http://169.254.169.254/latest', allowed)).toBe(false);
+      expect(isWebhookAllowed('https://evilexample.com/hook', allowed)).toBe(false);
+      expect(isWebhookAllowed('https://hooks.slack.com.evil.io/', allowed)).toBe(false);
+      expect(isWebhookAllowed('https://hooks.slack.com/', [])).toBe(false);
+    });
+  });
+});
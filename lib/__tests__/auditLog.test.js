@@ -0,0 +1,45 @@
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { recordAuditEvent, readAuditLog } from '../auditLog';
+
+describe('Audit Log', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'checkmyhouse-audit-'));
+    filePath = path.join(dir, 'nested', 'audit.log');
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    console.info.mockRestore();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should append timestamped JSON lines', async () => {
+    const entry = await recordAuditEvent({ action: 'kill_query', queryId: 'q1' }, { filePath });
+    await recordAuditEvent({ action: 'kill_query', queryId: 'q2' }, { filePath });
+
+    const lines = (await fs.readFile(filePath, 'utf8')).trim().split('\n');
+    expect(lines).toHaveLength(2);
+    expect(JSON.parse(lines[0])).toEqual(entry);
+    expect(entry.timestamp).toEqual(expect.any(String));
+  });
+
+  it('should read entries newest first and skip broken lines', async () => {
+    await recordAuditEvent({ queryId: 'q1' }, { filePath });
+    await fs.appendFile(filePath, '{"queryId": "q2"');
+    await fs.appendFile(filePath, '\n');
+    await recordAuditEvent({ queryId: 'q3' }, { filePath });
+
+    const entries = await readAuditLog({ filePath });
+    expect(entries.map((entry) => entry.queryId)).toEqual(['q3', 'q1']);
+    expect(await readAuditLog({ filePath, limit: 1 })).toHaveLength(1);
+  });
+
+  it('should return no entries before anything was recorded', async () => {
+    await expect(readAuditLog({ filePath })).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,51 @@
+import { executeQuery, executeQuerySafe } from '../clickhouse';
+import { KILL_QUERY_BY_ID } from '../queries';
+import { isAppQueryId } from '../queryTagging';
+
+describe('executeQuery', () => {
+  it('should kill the tagged query when the request is aborted', async () => {
+    const controller = new AbortController();
+    const client = {
+      query: jest.fn(({ abort_signal }) => new Promise((resolve, reject) => {
+        abort_signal.addEventListener('abort', () => {
+          reject(new DOMException('The user aborted a request.', 'AbortError'));
+        });
+      })),
+      command: jest.fn().mockResolvedValue({}),
+    };
+
+    const pending = executeQuerySafe(client, 'SELECT sleep(3)', { signal: controller.signal });
+    controller.abort();
+    const result = await pending;
+
+    const queryId = client.query.mock.calls[0][0].query_id;
+    expect(result.cancelled).toBe(true);
+    expect(isAppQueryId(queryId)).toBe(true);
+    expect(client.command).toHaveBeenCalledWith({
+      query: KILL_QUERY_BY_ID,
+      query_params: { query_id: queryId },
+    });
+    // Cancelled queries are never retried
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not send queries for an already aborted request', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const client = { query: jest.fn(), command: jest.fn() };
+
+    const result = await executeQuerySafe(client, 'SELECT 1', { signal: controller.signal });
+
+    expect(result.cancelled).toBe(true);
+    expect(client.query).not.toHaveBeenCalled();
+    expect(client.command).not.toHaveBeenCalled();
+  });
+
+  it('should return results when not aborted', async () => {
+    const client = {
+      query: jest.fn().mockResolvedValue({ json: async () => [{ value: 1 }] }),
+    };
+
+    await expect(executeQuery(client, 'SELECT 1 AS value')).resolves.toEqual([{ value: 1 }]);
+  });
+});
@@ -0,0 +1,79 @@
+import clientRegistry, { generateSessionId, getConnectionFingerprint } from '../clientRegistry';
+
+function mockClient() {
+  return { close: jest.fn().mockResolvedValue(undefined) };
+}
+
+describe('Client Registry', () => {
+  afterEach(async () => {
+    for (const sessionId of Array.from(clientRegistry.entries.keys())) {
+      await clientRegistry.dispose(sessionId);
+    }
+    clientRegistry.stopSweeper();
+  });
+
+  it('should keep clients isolated per session', () => {
+    const a = mockClient();
+    const b = mockClient();
+
+    clientRegistry.register('session-a', a, { host: 'http://a:8123' });
+    clientRegistry.register('session-b', b, { host: 'http://b:8123' });
+
+    expect(clientRegistry.get('session-a').client).toBe(a);
+    expect(clientRegistry.get('session-b').client).toBe(b);
+    expect(clientRegistry.getEntryForClient(b).config.host).toBe('http://b:8123');
+  });
+
+  it('should close the previous client when a session reconnects', () => {
+    const first = mockClient();
+    const second = mockClient();
+
+    clientRegistry.register('session-a', first, {});
+    clientRegistry.register('session-a', second, {});
+
+    expect(first.close).toHaveBeenCalled();
+    expect(clientRegistry.get('session-a').client).toBe(second);
+    expect(clientRegistry.getEntryForClient(first)).toBeNull();
+  });
+
+  it('should resolve feature views of a wrapped client', () => {
+    const base = mockClient();
+    const wrapped = { ...mockClient(), baseClient: base };
+    const view = { baseClient: base };
+
+    clientRegistry.register('session-a', wrapped, { host: 'http://a:8123' });
+
+    expect(clientRegistry.getEntryForClient(view).client).toBe(wrapped);
+  });
+
+  it('should dispose a session explicitly', async () => {
+    const client = mockClient();
+    clientRegistry.register('session-a', client, {});
+
+    await expect(clientRegistry.dispose('session-a')).resolves.toBe(true);
+    expect(client.close).toHaveBeenCalled();
+    expect(clientRegistry.get('session-a')).toBeNull();
+  });
+
+  it('should evict idle sessions', () => {
+    const client = mockClient();
+    const entry = clientRegistry.register('session-a', client, {});
+    entry.lastUsed = Date.now() - clientRegistry.idleTtlMs - 1;
+
+    expect(clientRegistry.evictIdle()).toBe(1);
+    expect(client.close).toHaveBeenCalled();
+    expect(clientRegistry.get('session-a')).toBeNull();
+  });
+
+  it('should generate unique session ids', () => {
+    expect(generateSessionId()).not.toBe(generateSessionId());
+  });
+
+  it('should fingerprint connections by server, user and database', () => {
+    const staging = { host: 'http://staging:8123', username: 'default', database: 'default' };
+    const production = { host: 'http://prod:8123', username: 'default', database: 'default' };
+
+    expect(getConnectionFingerprint(staging)).toBe(getConnectionFingerprint({ ...staging, password: 'changed' }));
+    expect(getConnectionFingerprint(staging)).not.toBe(getConnectionFingerprint(production));
+  });
+});
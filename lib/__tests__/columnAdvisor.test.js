@@ -0,0 +1,117 @@
+import {
+  parseColumnType,
+  getProfiledColumns,
+  buildColumnProfileQuery,
+  readColumnProfiles,
+  smallestIntegerType,
+  adviseColumns,
+} from '../columnAdvisor';
+
+describe('Column Advisor', () => {
+  describe('parseColumnType', () => {
+    it('should unwrap LowCardinality and Nullable', () => {
+      expect(parseColumnType('LowCardinality(Nullable(String))'))
+        .toEqual({ lowCardinality: true, nullable: true, inner: 'String', base: 'String' });
+      expect(parseColumnType("DateTime64(3, 'UTC')"))
+        .toEqual({ lowCardinality: false, nullable: false, inner: "DateTime64(3, 'UTC')", base: 'DateTime64' });
+    });
+  });
+
+  describe('smallestIntegerType', () => {
+    it('should keep signedness and pick the narrowest fitting type', () => {
+      expect(smallestIntegerType('UInt64', '0', '200')).toBe('UInt8');
+      expect(smallestIntegerType('UInt64', '0', '70000')).toBe('UInt32');
+      expect(smallestIntegerType('Int64', '-200', '5')).toBe('Int16');
+      expect(smallestIntegerType('UInt64', '0', '18446744073709551615')).toBe('UInt64');
+      expect(smallestIntegerType('UInt16', null, null)).toBe('UInt16');
+    });
+  });
+
+  describe('buildColumnProfileQuery', () => {
+    const columns = getProfiledColumns([
+      { name: 'user`id', type: 'UInt64' },
+      { name: 'country', type: 'Nullable(String)' },
+      { name: 'tags', type: 'Array(String)' },
+      { name: 'upper_country', type: 'String', default_kind: 'ALIAS' },
+    ]);
+
+    it('should profile scalar stored columns with quoted names', () => {
+      const query = buildColumnProfileQuery('db', 'events', columns, { sampleRows: 1000, samplingKey: '' });
+
+      expect(columns.map((column) => column.name)).toEqual(['user`id', 'country']);
+      expect(query).toContain('uniq(`user\\`id`) as c0_uniq');
+      expect(query).toContain('countIf(isNull(`country`)) as c1_nulls');
+      expect(query).toContain('avg(length(`country`)) as c1_avg_length');
+      expect(query).toContain('FROM `db`.`events`\n  LIMIT 1000');
+    });
+
+    it('should sample across the table when it has a sampling key', () => {
+      const query = buildColumnProfileQuery('db', 'events', columns, { sampleRows: 1000, samplingKey: 'intHash32(id)' });
+      expect(query).toContain('FROM `db`.`events` SAMPLE 1000\n  LIMIT 1000');
+    });
+  });
+
+  describe('adviseColumns', () => {
+    const columns = getProfiledColumns([
+      { name: 'event_time', type: 'DateTime', is_in_sorting_key: 1, codec_expression: '' },
+      { name: 'status', type: 'Nullable(String)', is_in_sorting_key: 0, codec_expression: '' },
+      { name: 'retries', type: 'UInt64', is_in_sorting_key: 0, default_kind: 'DEFAULT', default_expression: '0', codec_expression: '' },
+      { name: 'value', type: 'Float64', is_in_sorting_key: 0, codec_expression: 'CODEC(ZSTD(1))' },
+      { name: 'id', type: 'UInt64', is_in_sorting_key: 1, is_in_primary_key: 1, codec_expression: '' },
+    ]);
+    const profiles = readColumnProfiles(columns, {
+      sampled_rows: '100000',
+      c0_uniq: '90000', c0_min: '2024-01-01 00:00:00', c0_max: '2024-01-02 00:00:00',
+      c1_uniq: '4', c1_nulls: '0', c1_avg_length: 7, c1_p90_length: 9, c1_max_length: 9,
+      c2_uniq: '6', c2_min: '0', c2_max: '5',
+      c3_uniq: '50000', c3_min: '0.1', c3_max: '99.5',
+      c4_uniq: '100000', c4_min: '1', c4_max: '100000',
+    });
+    const storage = [
+      { name: 'event_time', compressed_bytes: 1000 },
+      { name: 'status', compressed_bytes: 8000 },
+      { name: 'retries', compressed_bytes: 2000 },
+    ];
+    const advice = adviseColumns({ database: 'db', table: 'events', columns, profiles, storage });
+    const byColumn = Object.fromEntries(advice.map((item) => [item.column, item]));
+
+    it('should drop Nullable and use LowCardinality for repetitive strings', () => {
+      expect(byColumn.status.suggestedType).toBe('LowCardinality(String)');
+      expect(byColumn.status.codec).toBeNull();
+      expect(byColumn.status.changes.map((change) => change.kind)).toEqual(['nullable', 'low_cardinality']);
+      expect(byColumn.status.verifications[0]).toBe('SELECT count() FROM `db`.`events` WHERE isNull(`status`)');
+      expect(byColumn.status.statement).toBe('ALTER TABLE `db`.`events` MODIFY COLUMN `status` LowCardinality(String)');
+    });
+
+    it('should narrow integers and keep their defaults', () => {
+      expect(byColumn.retries.suggestedType).toBe('UInt8');
+      expect(byColumn.retries.statement)
+        .toBe('ALTER TABLE `db`.`events` MODIFY COLUMN `retries` UInt8 DEFAULT 0');
+    });
+
+    it('should suggest DoubleDelta for sorted timestamps without touching key types', () => {
+      expect(byColumn.event_time.statement)
+        .toBe('ALTER TABLE `db`.`events` MODIFY COLUMN `event_time` DateTime CODEC(DoubleDelta, ZSTD(1))');
+      expect(byColumn.id.suggestedType).toBe('UInt64');
+      expect(byColumn.id.codec).toBe('CODEC(Delta, ZSTD(1))');
+    });
+
+    it('should leave columns that already have a codec alone', () => {
+      expect(byColumn.value).toBeUndefined();
+    });
+
+    it('should order by estimated savings', () => {
+      expect(advice[0].column).toBe('status');
+      expect(advice[0].estimatedSavingsBytes).toBeGreaterThan(0);
+      expect(byColumn.id.estimatedSavingsBytes).toBe(0);
+    });
+
+    it('should add ON CLUSTER when clustered', () => {
+      const clustered = adviseColumns({
+        database: 'db', table: 'events', columns, profiles, storage,
+        clusterConfig: { isClustered: true, defaultCluster: 'main' },
+      });
+      expect(clustered[0].statement).toContain("ALTER TABLE `db`.`events` ON CLUSTER 'main' MODIFY COLUMN");
+    });
+  });
+});
@@ -0,0 +1,31 @@
+import { summarizeColumnStorage } from '../columnStorage';
+
+describe('Column Storage', () => {
+  it('should compute ratios and shares from ClickHouse rows', () => {
+    const { columns, totals } = summarizeColumnStorage([
+      { name: 'payload', type: 'String', compressed_bytes: '700', uncompressed_bytes: '2800', marks_bytes: '10' },
+      { name: 'id', type: 'UInt64', compressed_bytes: '300', uncompressed_bytes: '600', marks_bytes: '10' },
+    ]);
+
+    expect(columns[0]).toEqual({
+      name: 'payload',
+      type: 'String',
+      compressed_bytes: 700,
+      uncompressed_bytes: 2800,
+      marks_bytes: 10,
+      compression_ratio: 4,
+      share: 0.7,
+    });
+    expect(columns[1].share).toBe(0.3);
+    expect(totals).toEqual({ compressed_bytes: 1000, uncompressed_bytes: 3400, marks_bytes: 20, compression_ratio: 3.4 });
+  });
+
+  it('should handle columns and tables without data', () => {
+    const { columns, totals } = summarizeColumnStorage([
+      { name: 'empty', type: 'String', compressed_bytes: '0', uncompressed_bytes: '0', marks_bytes: null },
+    ]);
+
+    expect(columns[0]).toMatchObject({ compression_ratio: null, share: 0, marks_bytes: 0 });
+    expect(totals.compression_ratio).toBeNull();
+  });
+});
@@ -0,0 +1,95 @@
+import {
+  parseClickHouseError,
+  ErrorTypes,
+  formatErrorResponse,
+  getErrorRemediation,
+  isIntrospectionError,
+} from '../errors';
+
+describe('Error Classification', () => {
+  describe('TLS errors', () => {
+    it('should classify untrusted certificates', () => {
+      const error = Object.assign(new Error('self-signed certificate in certificate chain'), {
+        code: 'SELF_SIGNED_CERT_IN_CHAIN',
+      });
+
+      const parsed = parseClickHouseError(error);
+      expect(parsed.type).toBe(ErrorTypes.TLS_ERROR);
+      expect(parsed.details.tlsReason).toBe('untrusted_certificate');
+    });
+
+    it('should classify host name mismatches', () => {
+      const error = Object.assign(
+        new Error("Hostname/IP does not match certificate's altnames: Host: db.local"),
+        { code: 'ERR_TLS_CERT_ALTNAME_INVALID' }
+      );
+
+      expect(parseClickHouseError(error).details.tlsReason).toBe('hostname_mismatch');
+    });
+
+    it('should classify rejected client certificates', () => {
+      const error = new Error('write EPROTO 4038:error:0A00045C:SSL routines::tlsv13 alert certificate required');
+      expect(parseClickHouseError(error).details.tlsReason).toBe('client_certificate');
+    });
+
+    it('should take precedence over connection errors', () => {
+      const error = new Error('Client network socket disconnected before secure TLS connection was established');
+
+      const parsed = parseClickHouseError(error);
+      expect(parsed.type).toBe(ErrorTypes.TLS_ERROR);
+      expect(parsed.details.tlsReason).toBe('handshake');
+    });
+
+    it('should include a user-friendly message in API responses', () => {
+      const response = formatErrorResponse(new Error('certificate has expired'));
+      expect(response.type).toBe(ErrorTypes.TLS_ERROR);
+      expect(response.error).toContain('expired');
+    });
+  });
+
+  it('should classify aborted requests and killed queries as cancelled', () => {
+    expect(parseClickHouseError(new DOMException('The user aborted a request.', 'AbortError')).type)
+      .toBe(ErrorTypes.CANCELLED);
+    expect(parseClickHouseError(Object.assign(new Error('Query was cancelled'), { code: '394' })).type)
+      .toBe(ErrorTypes.CANCELLED);
+  });
+
+  it('should still classify plain connection errors', () => {
+    const parsed = parseClickHouseError(new Error('connect ECONNREFUSED 127.0.0.1:8123'));
+    expect(parsed.type).toBe(ErrorTypes.CONNECTION_ERROR);
+  });
+
+  describe('getErrorRemediation', () => {
+    it('should return remediation steps for known codes', () => {
+      const remediation = getErrorRemediation(241);
+      expect(remediation.title).toBe('Memory limit exceeded');
+      expect(remediation.steps.length).toBeGreaterThan(0);
+    });
+
+    it('should accept codes sent as strings', () => {
+      expect(getErrorRemediation('252')).toEqual(getErrorRemediation(252));
+    });
+
+    it('should return null for unknown codes', () => {
+      expect(getErrorRemediation(999999)).toBeNull();
+    });
+  });
+
+  describe('isIntrospectionError', () => {
+    it('should detect disabled introspection functions', () => {
+      const error = new Error("Code: 446. DB::Exception: Introspection functions are disabled, because setting 'allow_introspection_functions' is set to 0. (FUNCTION_NOT_ALLOWED)");
+      expect(isIntrospectionError(error)).toBe(true);
+      // Still detected once classified by executeQuerySafe
+      expect(isIntrospectionError(parseClickHouseError(error))).toBe(true);
+    });
+
+    it('should detect a setting the profile does not allow to change', () => {
+      const error = new Error("Code: 164. DB::Exception: Cannot modify 'allow_introspection_functions' setting in readonly mode. (READONLY)");
+      expect(isIntrospectionError(error)).toBe(true);
+    });
+
+    it('should ignore other errors', () => {
+      expect(isIntrospectionError(new Error('Code: 60. DB::Exception: Table system.trace_log does not exist'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,208 @@
+import {
+  prepareExplainTarget,
+  buildExplainQuery,
+  parseIndexAnalysis,
+  summarizeIndexUsage,
+  parsePipelineDot,
+  collapsePipeline,
+  buildPipelineGraph,
+} from '../explain';
+
+// EXPLAIN indexes = 1 output, one row per line
+const INDEXES_OUTPUT = [
+  'Expression ((Projection + Before ORDER BY))',
+  '  Aggregating',
+  '    Expression (Before GROUP BY)',
+  '      Filter (WHERE)',
+  '        ReadFromMergeTree (default.events)',
+  '        Indexes:',
+  '          MinMax',
+  '            Keys:',
+  '              event_date',
+  '            Condition: (event_date in [19000, +Inf))',
+  '            Parts: 4/5',
+  '            Granules: 11/12',
+  '          Partition',
+  '            Keys:',
+  '              toYYYYMM(event_date)',
+  '            Condition: (toYYYYMM(event_date) in [202401, +Inf))',
+  '            Parts: 4/4',
+  '            Granules: 11/11',
+  '          PrimaryKey',
+  '            Keys:',
+  '              user_id',
+  '            Condition: (user_id in [42, 42])',
+  '            Parts: 2/4',
+  '            Granules: 3/11',
+  '            Search Algorithm: generic exclusion search',
+  '          Skip',
+  '            Name: idx_url',
+  '            Description: bloom_filter GRANULARITY 1',
+  '            Parts: 2/2',
+  '            Granules: 3/3',
+];
+
+// EXPLAIN PIPELINE graph = 1 output (compact), joined into one string
+const PIPELINE_DOT = `digraph
+{
+  rankdir="LR";
+  { node [shape = rect]
+    subgraph cluster_0 {
+      label ="ReadFromMergeTree";
+      style=filled;
+      color=lightgrey;
+      node [style=filled,color=white];
+      { rank = same;
+        n1 [label="MergeTreeThread × 4"];
+      }
+    }
+    subgraph cluster_1 {
+      label ="Aggregating";
+      style=filled;
+      color=lightgrey;
+      node [style=filled,color=white];
+      { rank = same;
+        n2 [label="AggregatingTransform × 4"];
+        n3 [label="Resize"];
+      }
+    }
+    subgraph cluster_2 {
+      label ="Expression";
+      style=filled;
+      color=lightgrey;
+      node [style=filled,color=white];
+      { rank = same;
+        n4 [label="ExpressionTransform"];
+      }
+    }
+  }
+  n1 -> n2 [label="× 4"];
+  n2 -> n3 [label="× 4"];
+  n3 -> n4 [label=""];
+}`;
+
+describe('EXPLAIN helpers', () => {
+  describe('prepareExplainTarget', () => {
+    it('should drop a trailing FORMAT clause and semicolon', () => {
+      expect(prepareExplainTarget('  SELECT 1 FORMAT JSONEachRow;\n')).toBe('SELECT 1');
+    });
+  });
+
+  describe('buildExplainQuery', () => {
+    it('should keep replacement patterns in the query literal', () => {
+      expect(buildExplainQuery('plan', "SELECT '$&'")).toBe("EXPLAIN PLAN SELECT '$&'");
+    });
+  });
+
+  describe('parseIndexAnalysis', () => {
+    it('should parse every index applied to a read', () => {
+      const [read] = parseIndexAnalysis(INDEXES_OUTPUT);
+
+      expect(read.table).toBe('default.events');
+      expect(read.indexes.map((index) => index.type)).toEqual(['MinMax', 'Partition', 'PrimaryKey', 'Skip']);
+      expect(read.indexes[2]).toMatchObject({
+        keys: ['user_id'],
+        condition: '(user_id in [42, 42])',
+        parts: { selected: 2, total: 4 },
+        granules: { selected: 3, total: 11 },
+      });
+      expect(read.indexes[3].name).toBe('idx_url');
+    });
+
+    it('should return nothing for plans without MergeTree reads', () => {
+      expect(parseIndexAnalysis(['Expression', '  ReadFromStorage (SystemOne)'])).toEqual([]);
+    });
+  });
+
+  describe('summarizeIndexUsage', () => {
+    it('should report which indexes pruned granules', () => {
+      const summary = summarizeIndexUsage(parseIndexAnalysis(INDEXES_OUTPUT));
+      const [table] = summary.tables;
+
+      expect(summary.primaryKeyPruned).toBe(true);
+      expect(summary.skipIndexesPruned).toBe(false);
+      expect(table.primaryKey).toEqual({ keys: ['user_id'], used: true, pruned: true });
+      expect(table.partitionPruned).toBe(true);
+      expect(table.granules).toEqual({ selected: 3, total: 12 });
+    });
+
+    it('should flag a primary key that kept every granule', () => {
+      const lines = [
+        'ReadFromMergeTree (default.events)',
+        'Indexes:',
+        '  PrimaryKey',
+        '    Condition: true',
+        '    Parts: 3/3',
+        '    Granules: 40/40',
+      ];
+
+      const { tables, primaryKeyPruned, skipIndexesPruned } = summarizeIndexUsage(parseIndexAnalysis(lines));
+      expect(primaryKeyPruned).toBe(false);
+      expect(skipIndexesPruned).toBeNull();
+      expect(tables[0].primaryKey.used).toBe(false);
+    });
+  });
+
+  describe('parsePipelineDot', () => {
+    it('should parse processors with their plan step and parallelism', () => {
+      const { nodes, edges } = parsePipelineDot(PIPELINE_DOT);
+
+      expect(nodes).toEqual([
+        { id: 'n1', name: 'MergeTreeThread', count: 4, group: 'ReadFromMergeTree' },
+        { id: 'n2', name: 'AggregatingTransform', count: 4, group: 'Aggregating' },
+        { id: 'n3', name: 'Resize', count: 1, group: 'Aggregating' },
+        { id: 'n4', name: 'ExpressionTransform', count: 1, group: 'Expression' },
+      ]);
+      expect(edges).toEqual([
+        { source: 'n1', target: 'n2', count: 4 },
+        { source: 'n2', target: 'n3', count: 4 },
+        { source: 'n3', target: 'n4', count: 1 },
+      ]);
+    });
+
+    it('should return an empty graph for empty output', () => {
+      expect(parsePipelineDot('')).toEqual({ nodes: [], edges: [] });
+    });
+  });
+
+  describe('collapsePipeline', () => {
+    it('should merge identical processors within a plan step', () => {
+      const graph = collapsePipeline({
+        nodes: [
+          { id: 'a', name: 'Source', count: 1, group: 'Read' },
+          { id: 'b', name: 'Source', count: 1, group: 'Read' },
+          { id: 'c', name: 'Transform', count: 1, group: 'Read' },
+          { id: 'd', name: 'Transform', count: 1, group: 'Read' },
+        ],
+        edges: [
+          { source: 'a', target: 'c', count: 1 },
+          { source: 'b', target: 'd', count: 1 },
+        ],
+      });
+
+      expect(graph.nodes).toEqual([
+        { id: 'p0', name: 'Source', group: 'Read', count: 2 },
+        { id: 'p1', name: 'Transform', group: 'Read', count: 2 },
+      ]);
+      expect(graph.edges).toEqual([{ source: 'p0', target: 'p1', count: 2 }]);
+    });
+  });
+
+  describe('buildPipelineGraph', () => {
+    it('should lay processors out in layers and flag where the pipeline serialises', () => {
+      const graph = buildPipelineGraph(PIPELINE_DOT);
+
+      expect(graph.nodes.map((node) => node.layer)).toEqual([0, 1, 2, 3]);
+      expect(graph.layerCount).toBe(4);
+      expect(graph.maxParallelism).toBe(4);
+      expect(graph.nodes.filter((node) => node.serializes).map((node) => node.name)).toEqual(['Resize']);
+      expect(graph.nodes.some((node) => node.fansOut)).toBe(false);
+    });
+
+    it('should flag processors that fan out', () => {
+      const graph = buildPipelineGraph('digraph { n1 [label="Source"]; n2 [label="Transform × 8"]; n1 -> n2; }');
+
+      expect(graph.nodes[1]).toMatchObject({ fansOut: true, inputParallelism: 1 });
+    });
+  });
+});
@@ -0,0 +1,48 @@
+import { foldStacks, topFrames, UNKNOWN_FRAME } from '../flamegraph';
+
+// QUERY_TRACE_STACKS rows, root first
+const ROWS = [
+  { stack: 'main;executeQuery;MergeTreeRead;decompress', samples: 6, bytes: 0 },
+  { stack: 'main;executeQuery;MergeTreeRead', samples: 1, bytes: 4096 },
+  { stack: 'main;executeQuery;Aggregator', samples: 3, bytes: 1048576 },
+];
+
+describe('Flamegraph helpers', () => {
+  describe('foldStacks', () => {
+    it('should merge shared prefixes and sort children heaviest first', () => {
+      const tree = foldStacks(ROWS);
+      const executeQuery = tree.children[0].children[0];
+
+      expect(tree.value).toBe(10);
+      expect(executeQuery.name).toBe('executeQuery');
+      expect(executeQuery.children.map((frame) => [frame.name, frame.value])).toEqual([
+        ['MergeTreeRead', 7],
+        ['Aggregator', 3],
+      ]);
+      expect(executeQuery.children[0].self).toBe(1);
+    });
+
+    it('should weight memory samples by bytes and skip empty stacks', () => {
+      const tree = foldStacks(ROWS, 'bytes');
+
+      expect(tree.value).toBe(1052672);
+      expect(tree.children[0].children[0].children.map((frame) => frame.name)).toEqual(['Aggregator', 'MergeTreeRead']);
+    });
+
+    it('should name unresolved frames', () => {
+      const tree = foldStacks([{ stack: 'main;;f', samples: 1 }]);
+      expect(tree.children[0].children[0].name).toBe(UNKNOWN_FRAME);
+    });
+  });
+
+  describe('topFrames', () => {
+    it('should rank frames by self value', () => {
+      const frames = topFrames(foldStacks(ROWS), 2);
+
+      expect(frames).toEqual([
+        { name: 'decompress', self: 6, share: 0.6 },
+        { name: 'Aggregator', self: 3, share: 0.3 },
+      ]);
+    });
+  });
+});
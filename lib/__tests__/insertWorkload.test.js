@@ -0,0 +1,146 @@
+import {
+  assessInsertRisk,
+  buildInsertWorkload,
+  parseInsertThresholds,
+  resolveInsertTarget,
+  DEFAULT_INSERT_THRESHOLDS,
+  InsertRisk,
+} from '../insertWorkload';
+
+const HOUR = 3600;
+
+function insertRow(overrides = {}) {
+  return {
+    current_database: 'events',
+    insert_target: 'clicks',
+    insert_count: '360',
+    async_insert_count: '0',
+    written_rows: '3600000',
+    written_bytes: '360000000',
+    p99_duration_ms: 120,
+    user_count: '1',
+    last_insert: '2026-10-19 10:00:00',
+    ...overrides,
+  };
+}
+
+describe('Insert Workload', () => {
+  describe('parseInsertThresholds', () => {
+    it('should use the server values when available', () => {
+      expect(parseInsertThresholds([
+        { name: 'parts_to_delay_insert', value: '150' },
+        { name: 'parts_to_throw_insert', value: '300' },
+      ])).toEqual({ parts_to_delay_insert: 150, parts_to_throw_insert: 300 });
+    });
+
+    it('should fall back to the defaults', () => {
+      expect(parseInsertThresholds()).toEqual(DEFAULT_INSERT_THRESHOLDS);
+    });
+  });
+
+  describe('resolveInsertTarget', () => {
+    it('should qualify and unquote the table named in the statement', () => {
+      expect(resolveInsertTarget('clicks', 'events')).toEqual({ database: 'events', table: 'clicks' });
+      expect(resolveInsertTarget('`logs`.`raw`', 'events')).toEqual({ database: 'logs', table: 'raw' });
+    });
+
+    it('should skip table functions', () => {
+      expect(resolveInsertTarget('FUNCTION', 'default')).toBeNull();
+    });
+  });
+
+  describe('buildInsertWorkload', () => {
+    it('should count INSERT ... SELECT only against its destination', () => {
+      // INSERT INTO events.clicks SELECT * FROM staging.raw, run from staging,
+      // plus plain inserts into clicks from its own database
+      const tables = buildInsertWorkload({
+        inserts: [
+          insertRow({ current_database: 'staging', insert_target: 'events.clicks', insert_count: '40', written_rows: '400000' }),
+          insertRow({ insert_count: '360', written_rows: '3600000' }),
+        ],
+        windowSeconds: HOUR,
+        thresholds: DEFAULT_INSERT_THRESHOLDS,
+      });
+
+      expect(tables).toHaveLength(1);
+      expect(tables[0]).toMatchObject({ database: 'events', table: 'clicks', insert_count: 400, written_rows: 4000000 });
+      expect(tables[0].avg_rows_per_insert).toBe(10000);
+    });
+
+    it('should join part_log and system.parts rows per table', () => {
+      const [table] = buildInsertWorkload({
+        inserts: [insertRow()],
+        parts: [{ database: 'events', table: 'clicks', new_parts: '720', inserting_queries: '360', merges: '300' }],
+        partitions: [{ database: 'events', table: 'clicks', max_parts_in_partition: '12', active_parts: '40' }],
+        windowSeconds: HOUR,
+        thresholds: DEFAULT_INSERT_THRESHOLDS,
+      });
+
+      expect(table.inserts_per_second).toBeCloseTo(0.1);
+      expect(table.parts_per_insert).toBe(2);
+      expect(table.max_parts_in_partition).toBe(12);
+      expect(table.risk).toBe(InsertRisk.MEDIUM);
+    });
+
+    it('should leave part metrics empty without part_log or system.parts', () => {
+      const [table] = buildInsertWorkload({
+        inserts: [insertRow()],
+        windowSeconds: HOUR,
+        thresholds: DEFAULT_INSERT_THRESHOLDS,
+      });
+
+      expect(table.new_parts).toBeNull();
+      expect(table.parts_per_insert).toBeNull();
+      expect(table.max_parts_in_partition).toBeNull();
+      expect(table.risk).toBe(InsertRisk.LOW);
+    });
+
+    it('should sort the riskiest tables first', () => {
+      const tables = buildInsertWorkload({
+        inserts: [
+          insertRow({ insert_target: 'healthy', insert_count: '1000' }),
+          insertRow({ insert_target: 'busy' }),
+        ],
+        partitions: [{ database: 'events', table: 'busy', max_parts_in_partition: '1200', active_parts: '1500' }],
+        windowSeconds: HOUR,
+        thresholds: DEFAULT_INSERT_THRESHOLDS,
+      });
+
+      expect(tables.map((table) => table.table)).toEqual(['busy', 'healthy']);
+      expect(tables[0].risk).toBe(InsertRisk.HIGH);
+    });
+  });
+
+  describe('assessInsertRisk', () => {
+    const base = {
+      inserts_per_second: 5,
+      avg_rows_per_insert: 20,
+      async_insert_ratio: 0,
+      new_parts_per_second: null,
+      parts_per_insert: null,
+      max_parts_in_partition: null,
+    };
+
+    it('should flag small, frequent synchronous inserts', () => {
+      const { risk, reasons } = assessInsertRisk(base);
+      expect(risk).toBe(InsertRisk.MEDIUM);
+      expect(reasons[0].message).toContain('async_insert');
+    });
+
+    it('should not flag small inserts that mostly go through async_insert', () => {
+      expect(assessInsertRisk({ ...base, async_insert_ratio: 0.9 }).risk).toBe(InsertRisk.LOW);
+    });
+
+    it('should flag tables creating parts faster than merges can keep up', () => {
+      expect(assessInsertRisk({ ...base, new_parts_per_second: 5 }).risk).toBe(InsertRisk.HIGH);
+    });
+
+    it('should compare partitions against the server thresholds', () => {
+      const thresholds = { parts_to_delay_insert: 150, parts_to_throw_insert: 300 };
+      const table = { ...base, inserts_per_second: 0.1, max_parts_in_partition: 100 };
+
+      expect(assessInsertRisk(table, thresholds).risk).toBe(InsertRisk.MEDIUM);
+      expect(assessInsertRisk({ ...table, max_parts_in_partition: 160 }, thresholds).risk).toBe(InsertRisk.HIGH);
+    });
+  });
+});
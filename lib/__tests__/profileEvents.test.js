@@ -0,0 +1,63 @@
+import {
+  categorizeProfileEvent,
+  profileEventUnit,
+  groupProfileEvents,
+  diffProfileEvents,
+} from '../profileEvents';
+
+describe('ProfileEvents helpers', () => {
+  describe('categorizeProfileEvent', () => {
+    it.each([
+      ['ReadBufferFromS3Bytes', 's3'],
+      ['MarkCacheHits', 'cache'],
+      ['RWLockAcquiredReadLocks', 'locks'],
+      ['NetworkReceiveBytes', 'network'],
+      ['SelectedMarks', 'mergeTreeReads'],
+      ['OSReadBytes', 'io'],
+      ['UserTimeMicroseconds', 'cpu'],
+      ['SomethingNew', 'other'],
+    ])('should put %s in %s', (name, category) => {
+      expect(categorizeProfileEvent(name).id).toBe(category);
+    });
+  });
+
+  describe('profileEventUnit', () => {
+    it('should infer units from the event name', () => {
+      expect(profileEventUnit('OSCPUWaitMicroseconds')).toBe('microseconds');
+      expect(profileEventUnit('NetworkSendBytes')).toBe('bytes');
+      expect(profileEventUnit('SelectedRows')).toBe('count');
+    });
+  });
+
+  describe('groupProfileEvents', () => {
+    it('should group non-zero events with descriptions, largest first', () => {
+      const groups = groupProfileEvents(
+        { SelectedMarks: '10', SelectedRows: '8192', MarkCacheHits: '0', Query: '1' },
+        { SelectedRows: 'Number of rows SELECTed from all tables.' }
+      );
+
+      expect(groups.map((group) => group.id)).toEqual(['mergeTreeReads', 'query']);
+      expect(groups[0].events).toEqual([
+        { name: 'SelectedRows', category: 'mergeTreeReads', unit: 'count', description: 'Number of rows SELECTed from all tables.', value: 8192 },
+        { name: 'SelectedMarks', category: 'mergeTreeReads', unit: 'count', description: null, value: 10 },
+      ]);
+    });
+  });
+
+  describe('diffProfileEvents', () => {
+    it('should rank events by how many times they changed', () => {
+      const diff = diffProfileEvents(
+        { SelectedRows: '1000', OSReadBytes: '4096', Query: '1' },
+        { SelectedRows: '1100', OSReadBytes: '409600', Query: '1', S3ReadRequestsCount: '12' }
+      );
+
+      expect(diff.map((event) => event.name)).toEqual(['OSReadBytes', 'S3ReadRequestsCount', 'SelectedRows']);
+      expect(diff[0]).toMatchObject({ base: 4096, compare: 409600, delta: 405504, ratio: 100 });
+      expect(diff[1].ratio).toBeNull();
+    });
+
+    it('should return nothing for identical executions', () => {
+      expect(diffProfileEvents({ Query: '1' }, { Query: '1' })).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import {
+  listProfiles,
+  resolveProfileConfig,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  setDefaultProfile,
+} from '../profiles';
+
+describe('Connection Profiles', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'checkmyhouse-profiles-'));
+    process.env.CHECKMYHOUSE_PROFILES_PATH = path.join(dir, 'server.json');
+    process.env.CHECKMYHOUSE_USER_PROFILES_PATH = path.join(dir, 'user.json');
+    process.env.TEST_PROD_PASSWORD = 'from-env';
+
+    await fs.writeFile(process.env.CHECKMYHOUSE_PROFILES_PATH, JSON.stringify({
+      profiles: [
+        { name: 'Production', host: 'https://prod:8443', username: 'ro', passwordEnv: 'TEST_PROD_PASSWORD', default: true },
+      ],
+    }));
+  });
+
+  afterEach(async () => {
+    delete process.env.CHECKMYHOUSE_PROFILES_PATH;
+    delete process.env.CHECKMYHOUSE_USER_PROFILES_PATH;
+    delete process.env.TEST_PROD_PASSWORD;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should list server profiles without secrets', async () => {
+    const { profiles, defaultProfileId } = await listProfiles();
+
+    expect(profiles).toHaveLength(1);
+    expect(profiles[0]).toMatchObject({ id: 'server-production', hasPassword: true, editable: false });
+    expect(profiles[0].password).toBeUndefined();
+    expect(defaultProfileId).toBe('server-production');
+  });
+
+  it('should resolve server passwords from the environment', async () => {
+    const config = await resolveProfileConfig('server-production');
+    expect(config).toMatchObject({ host: 'https://prod:8443', username: 'ro', password: 'from-env' });
+  });
+
+  it('should never persist passwords for user profiles', async () => {
+    const result = await createProfile({
+      name: 'Local',
+      host: 'http://localhost:8123',
+      username: 'default',
+      password: 'should-not-be-saved',
+    });
+
+    expect(result.success).toBe(true);
+    const contents = await fs.readFile(process.env.CHECKMYHOUSE_USER_PROFILES_PATH, 'utf8');
+    expect(contents).not.toContain('should-not-be-saved');
+
+    const config = await resolveProfileConfig(result.profile.id, { password: 'typed' });
+    expect(config.password).toBe('typed');
+  });
+
+  it('should update, set default and delete user profiles', async () => {
+    const { profile } = await createProfile({ name: 'Local', host: 'http://localhost:8123', username: 'default' });
+
+    expect((await updateProfile(profile.id, { name: 'Renamed' })).profile.name).toBe('Renamed');
+    expect((await setDefaultProfile(profile.id)).defaultProfileId).toBe(profile.id);
+    expect((await listProfiles()).defaultProfileId).toBe(profile.id);
+
+    expect((await deleteProfile(profile.id)).success).toBe(true);
+    expect((await listProfiles()).defaultProfileId).toBe('server-production');
+  });
+
+  it('should keep every change when profiles are saved concurrently', async () => {
+    const results = await Promise.all([
+      ...Array.from({ length: 10 }, (_, i) =>
+        createProfile({ name: `Local ${i}`, host: 'http://localhost:8123', username: 'default' })),
+      setDefaultProfile('server-production'),
+    ]);
+
+    expect(results.every((result) => result.success)).toBe(true);
+    const { profiles, defaultProfileId } = await listProfiles();
+    expect(profiles.filter((profile) => profile.source === 'user')).toHaveLength(10);
+    expect(defaultProfileId).toBe('server-production');
+  });
+
+  it('should not allow editing server profiles', async () => {
+    const result = await updateProfile('server-production', { name: 'Hacked' });
+    expect(result).toMatchObject({ success: false, status: 404 });
+  });
+});
@@ -0,0 +1,85 @@
+import { comparePatterns, computeDelta, summarizeComparison, ComparisonStatus } from '../queryComparison';
+
+const row = (overrides = {}) => ({
+  normalized_query_hash: '123',
+  normalized_query: 'SELECT ?',
+  current_executions: '100',
+  baseline_executions: '100',
+  current_p50_duration_ms: 100,
+  baseline_p50_duration_ms: 100,
+  current_p99_duration_ms: 500,
+  baseline_p99_duration_ms: 500,
+  current_p99_memory_bytes: 1048576,
+  baseline_p99_memory_bytes: 1048576,
+  current_avg_read_bytes: 1048576,
+  baseline_avg_read_bytes: 1048576,
+  current_error_rate: 0,
+  baseline_error_rate: 0,
+  ...overrides,
+});
+
+describe('Query Comparison', () => {
+  describe('computeDelta', () => {
+    const threshold = { relative: 0.2, absolute: 50 };
+
+    it('should need both the relative and the absolute change to regress', () => {
+      expect(computeDelta(1000, 500, threshold).regressed).toBe(true);
+      expect(computeDelta(30, 10, threshold).regressed).toBe(false);
+      expect(computeDelta(10050, 10000, threshold).regressed).toBe(false);
+    });
+
+    it('should flag improvements', () => {
+      const delta = computeDelta(500, 1000, threshold);
+      expect(delta.improved).toBe(true);
+      expect(delta.relative).toBe(-0.5);
+    });
+  });
+
+  describe('comparePatterns', () => {
+    it('should flag a p99 regression', () => {
+      const [pattern] = comparePatterns([row({ current_p99_duration_ms: 1200 })], { minExecutions: 5 });
+
+      expect(pattern.status).toBe(ComparisonStatus.REGRESSED);
+      expect(pattern.deltas.p99_duration_ms.regressed).toBe(true);
+      expect(pattern.deltas.p50_duration_ms.regressed).toBe(false);
+    });
+
+    it('should flag a rising error rate', () => {
+      const [pattern] = comparePatterns([row({ current_error_rate: 0.05 })]);
+      expect(pattern.status).toBe(ComparisonStatus.REGRESSED);
+    });
+
+    it('should detect new and disappeared patterns', () => {
+      const patterns = comparePatterns([
+        row({ baseline_executions: '0', baseline_p99_duration_ms: null }),
+        row({ normalized_query_hash: '456', current_executions: '0' }),
+      ]);
+
+      expect(patterns.map((pattern) => pattern.status)).toEqual([
+        ComparisonStatus.NEW,
+        ComparisonStatus.DISAPPEARED,
+      ]);
+      expect(patterns[0].deltas).toEqual({});
+    });
+
+    it('should not flag patterns with too few executions', () => {
+      const [pattern] = comparePatterns(
+        [row({ baseline_executions: '2', current_p99_duration_ms: 5000 })],
+        { minExecutions: 5 }
+      );
+
+      expect(pattern.status).toBe(ComparisonStatus.INSUFFICIENT_DATA);
+      expect(pattern.deltas.p99_duration_ms.regressed).toBe(false);
+    });
+  });
+
+  it('should count patterns per status', () => {
+    const summary = summarizeComparison(comparePatterns([
+      row({ current_p99_duration_ms: 1200 }),
+      row(),
+      row({ current_executions: '0' }),
+    ]));
+
+    expect(summary).toMatchObject({ regressed: 1, unchanged: 1, disappeared: 1, new: 0 });
+  });
+});
@@ -0,0 +1,141 @@
+import {
+  assertReadOnlyQuery,
+  createReadOnlyClient,
+  getReadOnlyLevel,
+  isReadOnlyMode,
+  isSelectQuery,
+} from '../queryGuard';
+import { ErrorTypes } from '../errors';
+import { KILL_QUERY_BY_ID } from '../queries';
+
+describe('Read-only Query Guard', () => {
+  describe('assertReadOnlyQuery', () => {
+    it.each([
+      'SELECT 1',
+      '  select * from system.query_log;',
+      'WITH x AS (SELECT 1) SELECT * FROM x',
+      'EXPLAIN PIPELINE SELECT 1',
+      'SHOW CREATE TABLE db.t',
+      'DESCRIBE TABLE db.t',
+      'EXISTS TABLE db.t',
+      '(SELECT 1) UNION ALL (SELECT 2)',
+      '-- comment\nSELECT 1',
+      "SELECT 'DROP TABLE x; DELETE'",
+    ])('should allow %j', (sql) => {
+      expect(() => assertReadOnlyQuery(sql)).not.toThrow();
+    });
+
+    it.each([
+      'INSERT INTO t VALUES (1)',
+      'ALTER TABLE t DELETE WHERE 1',
+      'DROP TABLE t',
+      'TRUNCATE TABLE t',
+      'SYSTEM FLUSH LOGS',
+      'KILL QUERY WHERE 1',
+      'OPTIMIZE TABLE t FINAL',
+      'SET readonly = 0',
+      '/* SELECT */ DELETE FROM t WHERE 1',
+      '',
+    ])('should reject %j', (sql) => {
+      expect(() => assertReadOnlyQuery(sql)).toThrow(/read-only mode/);
+    });
+
+    it('should reject multiple statements', () => {
+      expect(() => assertReadOnlyQuery('SELECT 1; DROP TABLE t')).toThrow(/Multiple statements/);
+    });
+
+    it('should raise a READ_ONLY error', () => {
+      expect.assertions(1);
+      try {
+        assertReadOnlyQuery('DROP TABLE t');
+      } catch (error) {
+        expect(error.type).toBe(ErrorTypes.READ_ONLY);
+      }
+    });
+  });
+
+  describe('isSelectQuery', () => {
+    it.each([
+      'SELECT 1',
+      'WITH x AS (SELECT 1) SELECT * FROM x',
+      '(SELECT 1) UNION ALL (SELECT 2);',
+    ])('should accept %j', (sql) => {
+      expect(isSelectQuery(sql)).toBe(true);
+    });
+
+    it.each([
+      'SHOW TABLES',
+      'EXPLAIN SELECT 1',
+      'SELECT 1; DROP TABLE t',
+      '',
+    ])('should reject %j', (sql) => {
+      expect(isSelectQuery(sql)).toBe(false);
+    });
+  });
+
+  describe('getReadOnlyLevel', () => {
+    it('should use readonly=1 without settings and readonly=2 with settings', () => {
+      expect(getReadOnlyLevel({})).toBe(1);
+      expect(getReadOnlyLevel({ max_execution_time: 300 })).toBe(2);
+    });
+  });
+
+  describe('isReadOnlyMode', () => {
+    afterEach(() => {
+      delete process.env.CHECKMYHOUSE_READ_ONLY;
+    });
+
+    it('should be enabled by default', () => {
+      expect(isReadOnlyMode()).toBe(true);
+    });
+
+    it('should be disabled explicitly', () => {
+      process.env.CHECKMYHOUSE_READ_ONLY = 'false';
+      expect(isReadOnlyMode()).toBe(false);
+    });
+  });
+
+  describe('createReadOnlyClient', () => {
+    const createMockClient = () => ({
+      query: jest.fn().mockResolvedValue('result'),
+      insert: jest.fn(),
+      close: jest.fn().mockResolvedValue(),
+    });
+
+    it('should add the readonly setting to queries', async () => {
+      const raw = createMockClient();
+      const client = createReadOnlyClient(raw, { baseSettings: { max_execution_time: 300 } });
+
+      await client.query({ query: 'SELECT 1', format: 'JSONEachRow' });
+
+      expect(raw.query).toHaveBeenCalledWith({
+        query: 'SELECT 1',
+        format: 'JSONEachRow',
+        clickhouse_settings: { readonly: 2 },
+      });
+    });
+
+    it('should only let KILL QUERY through for the app\'s own queries', async () => {
+      const raw = { ...createMockClient(), command: jest.fn().mockResolvedValue({}) };
+      const client = createReadOnlyClient(raw);
+
+      await client.command({ query: KILL_QUERY_BY_ID, query_params: { query_id: 'checkmyhouse-123' } });
+      expect(raw.command).toHaveBeenCalledTimes(1);
+
+      await expect(
+        client.command({ query: KILL_QUERY_BY_ID, query_params: { query_id: 'someone-else' } })
+      ).rejects.toThrow(/read-only mode/);
+      expect(raw.command).toHaveBeenCalledTimes(1);
+    });
+
+    it('should block writes before they reach ClickHouse', async () => {
+      const raw = createMockClient();
+      const client = createReadOnlyClient(raw);
+
+      await expect(client.query({ query: 'DROP TABLE t' })).rejects.toThrow(/read-only mode/);
+      await expect(client.insert({ table: 't', values: [] })).rejects.toThrow(/read-only mode/);
+      expect(raw.query).not.toHaveBeenCalled();
+      expect(raw.insert).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,129 @@
+import {
+  QueryStatus,
+  pairQueryEvents,
+  listProfileEvents,
+  buildQueryLifecycle,
+  summarizeThreads,
+  buildSpanTimeline,
+} from '../queryLifecycle';
+
+const logRow = (overrides) => ({
+  host: 'ch-1',
+  type: 'QueryStart',
+  query_id: 'q1',
+  initial_query_id: 'q1',
+  is_initial_query: 1,
+  start_us: '1700000000000000',
+  event_us: '1700000000000000',
+  query_duration_ms: '0',
+  read_rows: '0',
+  ProfileEvents: {},
+  ...overrides,
+});
+
+// QUERY_LIFECYCLE_LOG rows: a distributed query and the secondary query it sent to ch-2
+const LOG_ROWS = [
+  logRow({}),
+  logRow({ host: 'ch-2', query_id: 's1', is_initial_query: 0, start_us: '1700000000010000', event_us: '1700000000010000' }),
+  logRow({
+    host: 'ch-2',
+    type: 'ExceptionWhileProcessing',
+    query_id: 's1',
+    is_initial_query: 0,
+    start_us: '1700000000010000',
+    event_us: '1700000000400000',
+    query_duration_ms: '390',
+  }),
+  logRow({
+    type: 'QueryFinish',
+    event_us: '1700000000500000',
+    query_duration_ms: '500',
+    read_rows: '1000',
+    ProfileEvents: { SelectedRows: '1000', ZeroEvent: '0', NetworkSendBytes: '42' },
+  }),
+];
+
+describe('Query lifecycle', () => {
+  describe('pairQueryEvents', () => {
+    it('should pair start and finish rows per query_id', () => {
+      const [query, secondary] = pairQueryEvents(LOG_ROWS);
+
+      expect(query).toMatchObject({
+        query_id: 'q1',
+        status: QueryStatus.FINISHED,
+        is_initial_query: true,
+        duration_ms: 500,
+        finish_us: 1700000000500000,
+      });
+      expect(query.row.read_rows).toBe(1000);
+      expect(secondary).toMatchObject({ query_id: 's1', host: 'ch-2', status: QueryStatus.FAILED });
+    });
+
+    it('should report queries without a finish row as running', () => {
+      const [query] = pairQueryEvents([logRow({})]);
+      expect(query.status).toBe(QueryStatus.RUNNING);
+      expect(query.duration_ms).toBeNull();
+    });
+  });
+
+  describe('listProfileEvents', () => {
+    it('should drop zero counters and sort by name', () => {
+      expect(listProfileEvents({ SelectedRows: '10', ZeroEvent: '0', NetworkSendBytes: '42' })).toEqual([
+        { name: 'NetworkSendBytes', value: 42 },
+        { name: 'SelectedRows', value: 10 },
+      ]);
+    });
+  });
+
+  describe('buildQueryLifecycle', () => {
+    it('should separate the query from its secondary queries', () => {
+      const lifecycle = buildQueryLifecycle(LOG_ROWS, 'q1');
+
+      expect(lifecycle.query.query_id).toBe('q1');
+      expect(lifecycle.secondary.map((query) => query.query_id)).toEqual(['s1']);
+      expect(lifecycle.queryIds).toEqual(['q1', 's1']);
+      expect(lifecycle.profileEvents).toHaveLength(2);
+    });
+
+    it('should return null for a query_id that was not logged', () => {
+      expect(buildQueryLifecycle(LOG_ROWS, 'missing')).toBeNull();
+    });
+  });
+
+  describe('summarizeThreads', () => {
+    it('should total threads by name, heaviest CPU first', () => {
+      const { byName } = summarizeThreads([
+        { thread_name: 'QueryPipelineEx', user_time_us: '100', system_time_us: '10', read_rows: '5' },
+        { thread_name: 'TCPHandler', user_time_us: '300', system_time_us: '0', read_rows: '0' },
+        { thread_name: 'QueryPipelineEx', user_time_us: '250', system_time_us: '20', read_rows: '7' },
+      ]);
+
+      expect(byName.map((group) => [group.thread_name, group.threads, group.user_time_us])).toEqual([
+        ['QueryPipelineEx', 2, 350],
+        ['TCPHandler', 1, 300],
+      ]);
+      expect(byName[0].read_rows).toBe(12);
+    });
+  });
+
+  describe('buildSpanTimeline', () => {
+    it('should nest spans under their parents on a common time axis', () => {
+      const timeline = buildSpanTimeline([
+        { span_id: '2', parent_span_id: '1', operation_name: 'child', start_time_us: '1500', finish_time_us: '3000' },
+        { span_id: '1', parent_span_id: '0', operation_name: 'query', start_time_us: '1000', finish_time_us: '5000' },
+        { span_id: '3', parent_span_id: '2', operation_name: 'grandchild', start_time_us: '2000', finish_time_us: '2500' },
+      ]);
+
+      expect(timeline.duration_ms).toBe(4);
+      expect(timeline.spans.map((span) => [span.operation_name, span.depth, span.offset_ms, span.duration_ms])).toEqual([
+        ['query', 0, 0, 4],
+        ['child', 1, 0.5, 1.5],
+        ['grandchild', 2, 1, 0.5],
+      ]);
+    });
+
+    it('should return an empty timeline without spans', () => {
+      expect(buildSpanTimeline([])).toEqual({ spans: [], duration_ms: 0 });
+    });
+  });
+});
@@ -0,0 +1,51 @@
+import { buildQueryLogFilters, parseQueryLogFilters } from '../queryLogFilters';
+
+describe('Query Log Filters', () => {
+  describe('parseQueryLogFilters', () => {
+    it('should keep only the known, non-empty filters', () => {
+      const result = parseQueryLogFilters(new URLSearchParams({
+        user: 'etl',
+        database: 'events',
+        client_name: '',
+        sort_column: 'p99_duration_ms',
+      }));
+
+      expect(result).toEqual({ success: true, data: { user: 'etl', database: 'events' } });
+    });
+
+    it('should reject invalid exception values', () => {
+      const result = parseQueryLogFilters(new URLSearchParams({ exception: 'maybe' }));
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe('buildQueryLogFilters', () => {
+    it('should only include finished queries by default', () => {
+      expect(buildQueryLogFilters({})).toEqual({ clause: "type = 'QueryFinish'", params: {} });
+    });
+
+    it('should bind values as query parameters instead of interpolating them', () => {
+      const { clause, params } = buildQueryLogFilters({
+        user: "etl' OR 1 = 1 --",
+        table: 'events.clicks',
+      });
+
+      expect(clause).toContain('user = {filter_user:String}');
+      expect(clause).toContain('has(tables, {filter_table:String})');
+      expect(clause).not.toContain('etl');
+      expect(params).toEqual({ filter_user: "etl' OR 1 = 1 --", filter_table: 'events.clicks' });
+    });
+
+    it('should include failed executions when asked to', () => {
+      expect(buildQueryLogFilters({}, { includeFailed: true }).clause).toBe("type != 'QueryStart'");
+      expect(buildQueryLogFilters({ exception: 'false' }, { includeFailed: true }).clause)
+        .toBe("type = 'QueryFinish'");
+    });
+
+    it('should switch to failed executions for the exception filter', () => {
+      const { clause } = buildQueryLogFilters({ exception: 'true' });
+      expect(clause).toContain('ExceptionWhileProcessing');
+      expect(clause).not.toContain('QueryFinish');
+    });
+  });
+});
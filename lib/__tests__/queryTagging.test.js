@@ -0,0 +1,63 @@
+import {
+  buildLogComment,
+  createTaggedClient,
+  generateQueryId,
+  getSelfQueryFilter,
+  isAppQueryId,
+  QUERY_ID_PREFIX,
+} from '../queryTagging';
+
+describe('Query Tagging', () => {
+  it('should generate prefixed query ids', () => {
+    const queryId = generateQueryId();
+    expect(queryId.startsWith(QUERY_ID_PREFIX)).toBe(true);
+    expect(isAppQueryId(queryId)).toBe(true);
+    expect(isAppQueryId('some-other-id')).toBe(false);
+  });
+
+  it('should never log the raw session id', () => {
+    const comment = JSON.parse(buildLogComment({ feature: 'tables', sessionId: 'secret-session-id' }));
+
+    expect(comment).toMatchObject({ app: 'checkmyhouse', feature: 'tables' });
+    expect(comment.session).toHaveLength(12);
+    expect(JSON.stringify(comment)).not.toContain('secret-session-id');
+  });
+
+  it('should build the self filter placeholder', () => {
+    expect(getSelfQueryFilter(false)).toContain(`'${QUERY_ID_PREFIX}'`);
+    expect(getSelfQueryFilter(true)).toBe('1 = 1');
+  });
+
+  describe('createTaggedClient', () => {
+    const createMockClient = () => ({ query: jest.fn().mockResolvedValue('result') });
+
+    it('should add query_id and log_comment to queries', async () => {
+      const raw = createMockClient();
+      const client = createTaggedClient(raw, { feature: 'stats', sessionId: 'abc' });
+
+      await client.query({ query: 'SELECT 1', clickhouse_settings: { max_threads: 2 } });
+
+      const params = raw.query.mock.calls[0][0];
+      expect(isAppQueryId(params.query_id)).toBe(true);
+      expect(params.clickhouse_settings.max_threads).toBe(2);
+      expect(JSON.parse(params.clickhouse_settings.log_comment).feature).toBe('stats');
+    });
+
+    it('should prefix caller-supplied query ids', async () => {
+      const raw = createMockClient();
+      await createTaggedClient(raw).query({ query: 'SELECT 1', query_id: 'custom' });
+
+      expect(raw.query.mock.calls[0][0].query_id).toBe(`${QUERY_ID_PREFIX}custom`);
+    });
+
+    it('should create feature views sharing the base client', async () => {
+      const raw = createMockClient();
+      const view = createTaggedClient(raw, { sessionId: 'abc' }).forFeature('lineage');
+
+      await view.query({ query: 'SELECT 1' });
+
+      expect(view.baseClient).toBe(raw);
+      expect(JSON.parse(raw.query.mock.calls[0][0].clickhouse_settings.log_comment).feature).toBe('lineage');
+    });
+  });
+});
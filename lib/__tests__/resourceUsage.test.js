@@ -0,0 +1,66 @@
+import { rollUpByRole, withShares, NO_ROLE } from '../resourceUsage';
+
+function usageRow(dimension, overrides = {}) {
+  return {
+    dimension,
+    query_count: '10',
+    failed_count: '1',
+    query_seconds: 20,
+    cpu_seconds: 5,
+    read_bytes: '1000',
+    io_read_bytes: '500',
+    written_bytes: '0',
+    memory_bytes: '2000',
+    peak_memory_bytes: '400',
+    ...overrides,
+  };
+}
+
+describe('Resource Usage', () => {
+  describe('rollUpByRole', () => {
+    const grants = [
+      { user_name: 'alice', granted_role_name: 'analyst' },
+      { user_name: 'bob', granted_role_name: 'etl' },
+      { user_name: 'bob', granted_role_name: 'analyst' },
+      { user_name: 'carol', granted_role_name: 'analyst' },
+    ];
+
+    it('should group users by their full role set', () => {
+      const rows = rollUpByRole(
+        [usageRow('alice'), usageRow('bob'), usageRow('carol', { peak_memory_bytes: '900' })],
+        grants
+      );
+
+      const analyst = rows.find((row) => row.dimension === 'analyst');
+      expect(analyst.users).toEqual(['alice', 'carol']);
+      expect(analyst.query_count).toBe(20);
+      expect(analyst.peak_memory_bytes).toBe(900);
+      expect(rows.find((row) => row.dimension === 'analyst, etl').users).toEqual(['bob']);
+    });
+
+    it('should keep users without roles in their own group', () => {
+      const rows = rollUpByRole([usageRow('default')], grants);
+      expect(rows).toHaveLength(1);
+      expect(rows[0].dimension).toBe(NO_ROLE);
+    });
+  });
+
+  describe('withShares', () => {
+    it('should compute shares against the window totals', () => {
+      const { rows, totals } = withShares(
+        [usageRow('alice', { cpu_seconds: 3 })],
+        usageRow(undefined, { cpu_seconds: 12 })
+      );
+
+      expect(rows[0].share.cpu_seconds).toBe(0.25);
+      expect(rows[0].read_bytes).toBe(1000);
+      expect(totals.cpu_seconds).toBe(12);
+      expect(totals).not.toHaveProperty('dimension');
+    });
+
+    it('should return zero shares for empty totals', () => {
+      const { rows } = withShares([usageRow('alice')], null);
+      expect(rows[0].share.cpu_seconds).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import {
+  parseRunningQueryFilters,
+  buildRunningQueryFilters,
+  normalizeRunningQuery,
+  buildKillQuery,
+} from '../runningQueries';
+
+describe('Running Queries', () => {
+  describe('parseRunningQueryFilters', () => {
+    it('should default the sort column and limit', () => {
+      expect(parseRunningQueryFilters(new URLSearchParams({ user: 'etl', database: 'events' }))).toEqual({
+        success: true,
+        data: { user: 'etl', sort_column: 'elapsed', limit: 100 },
+      });
+    });
+
+    it('should coerce numeric values', () => {
+      const result = parseRunningQueryFilters(new URLSearchParams({ min_elapsed: '2.5', limit: '50' }));
+      expect(result.data).toMatchObject({ min_elapsed: 2.5, limit: 50 });
+    });
+
+    it('should reject sort columns outside the allowed list', () => {
+      const result = parseRunningQueryFilters(new URLSearchParams({ sort_column: 'elapsed; DROP TABLE t' }));
+      expect(result.success).toBe(false);
+    });
+
+    it('should reject negative elapsed thresholds', () => {
+      expect(parseRunningQueryFilters(new URLSearchParams({ min_elapsed: '-1' })).success).toBe(false);
+    });
+  });
+
+  describe('buildRunningQueryFilters', () => {
+    it('should match everything without filters', () => {
+      expect(buildRunningQueryFilters({})).toEqual({ clause: '1 = 1', params: {} });
+    });
+
+    it('should bind values as query parameters instead of interpolating them', () => {
+      const { clause, params } = buildRunningQueryFilters({
+        user: "etl' OR 1 = 1 --",
+        search: 'events',
+        min_elapsed: 0,
+      });
+
+      expect(clause).toContain('user = {filter_user:String}');
+      expect(clause).toContain('positionCaseInsensitive(query, {filter_search:String}) > 0');
+      expect(clause).toContain('elapsed >= {filter_min_elapsed:Float64}');
+      expect(clause).not.toContain('etl');
+      expect(params).toEqual({ filter_user: "etl' OR 1 = 1 --", filter_search: 'events', filter_min_elapsed: 0 });
+    });
+  });
+
+  describe('normalizeRunningQuery', () => {
+    const row = {
+      hostname: 'ch-1',
+      query_id: 'q1',
+      initial_query_id: 'q1',
+      is_initial_query: 1,
+      user: 'etl',
+      elapsed: 1.5,
+      read_rows: '250',
+      read_bytes: '4096',
+      total_rows_approx: '1000',
+      written_rows: '0',
+      memory_usage: '1048576',
+      peak_memory_usage: '2097152',
+      query: 'SELECT 1',
+    };
+
+    it('should convert UInt64 strings and elapsed seconds', () => {
+      expect(normalizeRunningQuery(row)).toMatchObject({
+        is_initial_query: true,
+        elapsed_ms: 1500,
+        read_rows: 250,
+        memory_usage: 1048576,
+        progress: 0.25,
+      });
+    });
+
+    it('should leave progress unknown without a row estimate and cap it at 1', () => {
+      expect(normalizeRunningQuery({ ...row, total_rows_approx: '0' }).progress).toBeNull();
+      expect(normalizeRunningQuery({ ...row, read_rows: '1500' }).progress).toBe(1);
+    });
+  });
+
+  describe('buildKillQuery', () => {
+    it('should kill on the connected node when not clustered', () => {
+      expect(buildKillQuery({ isClustered: false })).toBe(
+        'KILL QUERY WHERE query_id = {query_id:String} ASYNC'
+      );
+    });
+
+    it('should kill on every replica of the default cluster', () => {
+      expect(buildKillQuery({ isClustered: true, defaultCluster: "main'; --" })).toBe(
+        "KILL QUERY ON CLUSTER 'main' WHERE query_id = {query_id:String} ASYNC"
+      );
+    });
+  });
+});
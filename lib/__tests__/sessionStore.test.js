@@ -0,0 +1,94 @@
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { createSessionStore, deriveKey, encryptPayload, decryptPayload } from '../sessionStore';
+
+describe('Session Store', () => {
+  const config = {
+    host: 'https://clickhouse.internal:8443',
+    username: 'analyst',
+    password: 's3cret',
+    database: 'default',
+  };
+
+  describe('encryption', () => {
+    it('should round-trip a payload', () => {
+      const key = deriveKey('test-secret');
+      const encrypted = encryptPayload(config, key);
+
+      expect(encrypted).not.toContain('s3cret');
+      expect(decryptPayload(encrypted, key)).toEqual(config);
+    });
+
+    it('should reject payloads encrypted with another key', () => {
+      const encrypted = encryptPayload(config, deriveKey('one'));
+      expect(() => decryptPayload(encrypted, deriveKey('two'))).toThrow();
+    });
+  });
+
+  describe('memory store', () => {
+    it('should create, read and destroy sessions', async () => {
+      const store = createSessionStore({ type: 'memory', secret: 'test-secret' });
+      const id = await store.create(config);
+
+      await expect(store.get(id)).resolves.toEqual(config);
+      await expect(store.destroy(id)).resolves.toBe(true);
+      await expect(store.get(id)).resolves.toBeNull();
+    });
+
+    it('should expire sessions', async () => {
+      const store = createSessionStore({ type: 'memory', secret: 'test-secret', ttlSeconds: -1 });
+      const id = await store.create(config);
+
+      await expect(store.get(id)).resolves.toBeNull();
+    });
+
+    it('should treat undecryptable sessions as revoked', async () => {
+      const store = createSessionStore({ type: 'memory', secret: 'test-secret' });
+      const id = await store.create(config);
+
+      const rotated = createSessionStore({ type: 'memory', secret: 'rotated-secret' });
+      rotated.backend = store.backend;
+
+      await expect(rotated.get(id)).resolves.toBeNull();
+      await expect(store.get(id)).resolves.toBeNull();
+    });
+  });
+
+  describe('file store', () => {
+    it('should persist encrypted sessions across store instances', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'checkmyhouse-sessions-'));
+      const filePath = path.join(dir, 'sessions.json');
+
+      try {
+        const store = createSessionStore({ type: 'file', filePath, secret: 'test-secret' });
+        const id = await store.create(config);
+
+        const contents = await fs.readFile(filePath, 'utf8');
+        expect(contents).not.toContain('s3cret');
+
+        const restarted = createSessionStore({ type: 'file', filePath, secret: 'test-secret' });
+        await expect(restarted.get(id)).resolves.toEqual(config);
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should save concurrently created sessions', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'checkmyhouse-sessions-'));
+      const filePath = path.join(dir, 'sessions.json');
+
+      try {
+        const store = createSessionStore({ type: 'file', filePath, secret: 'test-secret' });
+        const ids = await Promise.all(Array.from({ length: 20 }, () => store.create(config)));
+
+        const restarted = createSessionStore({ type: 'file', filePath, secret: 'test-secret' });
+        for (const id of ids) {
+          await expect(restarted.get(id)).resolves.toEqual(config);
+        }
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -6,6 +6,10 @@ import {
   validateInput,
   escapeIdentifier,
   validateTableIdentifier,
+  parseTimeWindow,
+  parseBaselineWindow,
+  parseSlowQueryBaseline,
+  parseBucketInterval,
 } from '../validation';
 
 describe('Validation Library', () => {
@@ -43,6 +47,42 @@ describe('Validation Library', () => {
       const result = validateInput(connectionConfigSchema, config);
       expect(result.success).toBe(false);
     });
+
+    it('should accept TLS options with PEM values', () => {
+      const config = {
+        host: 'https://localhost:8443',
+        username: 'default',
+        tls: {
+          caCert: '-----BEGIN CERTIFICATE-----\nMIIB\n-----END CERTIFICATE-----',
+          skipVerify: false,
+        },
+      };
+
+      const result = validateInput(connectionConfigSchema, config);
+      expect(result.success).toBe(true);
+    });
+
+    it('should reject non-PEM TLS values', () => {
+      const result = validateInput(connectionConfigSchema, {
+        host: 'https://localhost:8443',
+        username: 'default',
+        tls: { caCert: 'not a certificate' },
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('PEM');
+    });
+
+    it('should require client certificate and key together', () => {
+      const result = validateInput(connectionConfigSchema, {
+        host: 'https://localhost:8443',
+        username: 'default',
+        tls: { clientCert: '-----BEGIN CERTIFICATE-----\nMIIB\n-----END CERTIFICATE-----' },
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('provided together');
+    });
   });
 
   describe('tableIdentifierSchema', () => {
@@ -143,4 +183,112 @@ describe('Validation Library', () => {
       expect(result.success).toBe(false);
     });
   });
+
+  describe('parseTimeWindow', () => {
+    it('should convert an absolute window to unix seconds', () => {
+      const result = parseTimeWindow(new URLSearchParams({
+        start: '2024-03-01T00:00:00.000Z',
+        end: '2024-03-02T12:00:00.000Z',
+      }));
+
+      expect(result.success).toBe(true);
+      expect(result.data.startTime).toBe(1709251200);
+      expect(result.data.endTime).toBe(1709380800);
+      expect(result.data.days).toBeNull();
+    });
+
+    it('should end relative windows at the current minute', () => {
+      const result = parseTimeWindow(new URLSearchParams({ days: '3' }));
+
+      expect(result.success).toBe(true);
+      expect(result.data.endTime % 60).toBe(0);
+      expect(result.data.endTime - result.data.startTime).toBe(3 * 86400);
+    });
+
+    it('should default to the last 7 days', () => {
+      const result = parseTimeWindow(new URLSearchParams());
+      expect(result.data.days).toBe(7);
+    });
+
+    it('should reject reversed or partial windows', () => {
+      expect(parseTimeWindow(new URLSearchParams({
+        start: '2024-03-02T00:00:00.000Z',
+        end: '2024-03-01T00:00:00.000Z',
+      })).success).toBe(false);
+      expect(parseTimeWindow(new URLSearchParams({ start: '2024-03-01T00:00:00.000Z' })).success).toBe(false);
+      expect(parseTimeWindow(new URLSearchParams({ start: 'yesterday', end: 'today' })).success).toBe(false);
+    });
+  });
+
+  describe('parseBaselineWindow', () => {
+    const current = parseTimeWindow(new URLSearchParams({
+      start: '2024-03-08T00:00:00.000Z',
+      end: '2024-03-15T00:00:00.000Z',
+    })).data;
+
+    it('should default to the preceding period of the same length', () => {
+      const result = parseBaselineWindow(new URLSearchParams(), current);
+
+      expect(result.data.start).toBe('2024-03-01T00:00:00.000Z');
+      expect(result.data.end).toBe('2024-03-08T00:00:00.000Z');
+    });
+
+    it('should accept an explicit baseline', () => {
+      const result = parseBaselineWindow(new URLSearchParams({
+        baseline_start: '2024-02-01T00:00:00.000Z',
+        baseline_end: '2024-02-08T00:00:00.000Z',
+      }), current);
+
+      expect(result.data.start).toBe('2024-02-01T00:00:00.000Z');
+    });
+  });
+
+  describe('parseSlowQueryBaseline', () => {
+    const current = parseTimeWindow(new URLSearchParams({
+      start: '2024-03-14T00:00:00.000Z',
+      end: '2024-03-15T00:00:00.000Z',
+    })).data;
+
+    it('should default to p90 over the trailing 7 days', () => {
+      const result = parseSlowQueryBaseline(new URLSearchParams(), current);
+
+      expect(result.data).toMatchObject({ quantile: 'p90', factor: 5, minDurationMs: 100, minExecutions: 10 });
+      expect(result.data.window.start).toBe('2024-03-08T00:00:00.000Z');
+      expect(result.data.window.end).toBe('2024-03-15T00:00:00.000Z');
+    });
+
+    it('should always cover the current window', () => {
+      const wide = parseTimeWindow(new URLSearchParams({
+        start: '2024-03-01T00:00:00.000Z',
+        end: '2024-03-15T00:00:00.000Z',
+      })).data;
+      const result = parseSlowQueryBaseline(new URLSearchParams({ baseline_days: '1' }), wide);
+
+      expect(result.data.window.start).toBe('2024-03-01T00:00:00.000Z');
+    });
+
+    it('should reject unknown baselines and factors below 1', () => {
+      expect(parseSlowQueryBaseline(new URLSearchParams({ baseline: 'p99' }), current).success).toBe(false);
+      expect(parseSlowQueryBaseline(new URLSearchParams({ factor: '0.5' }), current).success).toBe(false);
+    });
+  });
+
+  describe('parseBucketInterval', () => {
+    const day = { startTime: 0, endTime: 86400 };
+    const month = { startTime: 0, endTime: 30 * 86400 };
+
+    it('should pick an interval automatically', () => {
+      expect(parseBucketInterval(new URLSearchParams(), day).data).toBe(900);
+      expect(parseBucketInterval(new URLSearchParams({ interval: 'auto' }), month).data).toBe(21600);
+    });
+
+    it('should widen intervals that produce too many buckets', () => {
+      expect(parseBucketInterval(new URLSearchParams({ interval: '60' }), day).data).toBe(300);
+      expect(parseBucketInterval(new URLSearchParams({ interval: '3600' }), day).data).toBe(3600);
+    });
+
+    it('should reject unknown intervals', () => {
+      expect(parseBucketInterval(new URLSearchParams({ interval: '7' }), day).success).toBe(false);
+    });
+  });
 });
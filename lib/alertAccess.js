@@ -0,0 +1,24 @@
+/**
+ * Alert rule access
+ * Rules run on the server with a profile's stored credentials, so a session may
+ * only see and manage the rules of the profile it connected with
+ */
+
+import { getConfigFromCookies } from './clickhouse';
+
+/**
+ * Resolve which profile's rules the requesting session may use
+ * @returns {Object} - { profileId } or { error, status }
+ */
+export async function getAlertAccess() {
+  const config = await getConfigFromCookies();
+  if (!config) {
+    return { error: 'Session expired or revoked. Please connect again.', status: 401 };
+  }
+
+  if (!config.profileId) {
+    return { error: 'Connect with a saved connection profile to manage its alert rules', status: 403 };
+  }
+
+  return { profileId: config.profileId };
+}
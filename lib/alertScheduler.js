@@ -0,0 +1,270 @@
+/**
+ * Alert scheduler
+ * Evaluates the enabled alert rules on a server-side interval, started from
+ * instrumentation.js, and notifies webhooks and the file sink when a rule
+ * fires or resolves
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import {
+  createServiceClient,
+  detectClusterConfig,
+  buildClusterQuery,
+  executeQuerySafe,
+} from './clickhouse';
+import { resolveProfileConfig } from './profiles';
+import { getSelfQueryFilter } from './queryTagging';
+import { formatErrorResponse } from './errors';
+import {
+  ALERT_RULE_TYPES,
+  buildAlertParams,
+  nextAlertState,
+  buildAlertPayload,
+  isWebhookAllowed,
+} from './alerts';
+import { getEnabledRules, saveAlertEvaluations } from './alertStore';
+
+const DEFAULT_INTERVAL_SECONDS = 60;
+const MIN_INTERVAL_SECONDS = 10;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// instrumentation.js and the route handlers may load separate copies of this
+// module, so the timer and the last run live on globalThis
+const scheduler = globalThis.__checkmyhouseAlertScheduler ||
+  (globalThis.__checkmyhouseAlertScheduler = { timer: null, running: null, lastRun: null });
+
+/**
+ * Whether alert rules are evaluated (CHECKMYHOUSE_ALERTS, on unless set to false/0)
+ */
+export function isAlertingEnabled() {
+  const value = process.env.CHECKMYHOUSE_ALERTS;
+  return !(value && ['false', '0', 'off', 'no'].includes(value.toLowerCase()));
+}
+
+/**
+ * Seconds between evaluations (CHECKMYHOUSE_ALERTS_INTERVAL, default 60, at least 10)
+ */
+export function getAlertIntervalSeconds() {
+  const seconds = parseInt(process.env.CHECKMYHOUSE_ALERTS_INTERVAL) || DEFAULT_INTERVAL_SECONDS;
+  return Math.max(seconds, MIN_INTERVAL_SECONDS);
+}
+
+function getAlertFileSinkPath() {
+  return process.env.CHECKMYHOUSE_ALERTS_LOG_PATH ||
+    path.join(process.cwd(), '.checkmyhouse', 'alerts.log');
+}
+
+/**
+ * Measure a rule's metric
+ * @returns {Object} - { value, subject } (value null without data) or { error }
+ */
+async function evaluateRule(client, clusterConfig, rule) {
+  const type = ALERT_RULE_TYPES[rule.type];
+  if (!type) {
+    return { error: `Unknown rule type ${rule.type}` };
+  }
+
+  const query = buildClusterQuery(type.query, type.table, clusterConfig)
+    .replace('{self_filter}', getSelfQueryFilter(false));
+
+  const result = await executeQuerySafe(client, query, {
+    maxRetries: 1,
+    params: buildAlertParams(rule),
+  });
+
+  if (!result.success) {
+    return { error: formatErrorResponse(result.error, false).error };
+  }
+
+  const row = result.data[0];
+  const value = row && row.value !== null ? Number(row.value) : null;
+  return {
+    value: value === null || !Number.isFinite(value) ? null : Math.round(value * 100) / 100,
+    subject: row?.subject || null,
+  };
+}
+
+async function sendWebhook(url, payload) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Webhook responded with HTTP ${response.status}`);
+  }
+}
+
+async function writeFileSink(payload) {
+  const filePath = getAlertFileSinkPath();
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.appendFile(filePath, `${JSON.stringify(payload)}\n`, { mode: 0o600 });
+}
+
+/**
+ * Deliver a notification to every channel of a rule
+ * Webhooks are named by host only, as their URLs often carry tokens
+ * @returns {Array} - [{ channel, ok, error }]
+ */
+export async function sendAlertNotifications(rule, payload) {
+  const deliveries = (rule.webhooks || []).map((url) => ({
+    channel: `webhook ${new URL(url).host}`,
+    // Saved before the host was removed from the allow-list
+    send: () => (isWebhookAllowed(url)
+      ? sendWebhook(url, payload)
+      : Promise.reject(new Error('Host is not in CHECKMYHOUSE_ALERT_WEBHOOK_HOSTS'))),
+  }));
+  if (rule.fileSink) {
+    deliveries.push({ channel: 'file', send: () => writeFileSink(payload) });
+  }
+
+  return Promise.all(deliveries.map(async ({ channel, send }) => {
+    try {
+      await send();
+      return { channel, ok: true, error: null };
+    } catch (error) {
+      console.error(`Error notifying ${channel} for alert ${rule.name}:`, error.message);
+      return { channel, ok: false, error: error.message };
+    }
+  }));
+}
+
+async function applyEvaluation({ rule, state }, evaluation, profileName) {
+  const next = nextAlertState(state, rule, evaluation, Date.now());
+
+  let historyEntry = null;
+  if (next.event) {
+    const payload = buildAlertPayload(rule, next.state, next.event, { profileName });
+    historyEntry = {
+      ruleId: rule.id,
+      ruleName: rule.name,
+      status: next.event,
+      value: next.state.value,
+      subject: next.state.subject,
+      threshold: rule.threshold,
+      startedAt: next.state.breachStartedAt,
+      at: next.state.evaluatedAt,
+      notifications: await sendAlertNotifications(rule, payload),
+    };
+  }
+
+  return { ruleId: rule.id, updatedAt: rule.updatedAt, state: next.state, historyEntry };
+}
+
+/**
+ * Evaluate one profile's rules over a single connection, appending to `results`
+ */
+async function evaluateProfileRules(profileId, group, results) {
+  const config = await resolveProfileConfig(profileId);
+  if (!config) {
+    for (const entry of group) {
+      results.push(await applyEvaluation(entry, { error: 'Connection profile not found' }, null));
+    }
+    return;
+  }
+
+  const client = createServiceClient(config, 'alerts');
+  try {
+    const clusterConfig = await detectClusterConfig(client);
+    for (const entry of group) {
+      const evaluation = await evaluateRule(client, clusterConfig, entry.rule);
+      results.push(await applyEvaluation(entry, evaluation, config.profileName));
+    }
+  } finally {
+    await client.close().catch(() => {});
+  }
+}
+
+async function evaluateAll() {
+  const entries = await getEnabledRules();
+
+  // One connection per profile, closed once its rules are evaluated
+  const byProfile = new Map();
+  entries.forEach((entry) => {
+    const group = byProfile.get(entry.rule.profileId) || [];
+    group.push(entry);
+    byProfile.set(entry.rule.profileId, group);
+  });
+
+  const results = [];
+  try {
+    for (const [profileId, group] of byProfile) {
+      const start = results.length;
+      try {
+        await evaluateProfileRules(profileId, group, results);
+      } catch (error) {
+        // e.g. unreadable TLS files - record it on the rules not evaluated yet
+        // and carry on with the other profiles
+        console.error(`Error evaluating alert rules for profile ${profileId}:`, error.message);
+        const evaluated = new Set(results.slice(start).map((result) => result.ruleId));
+        for (const entry of group.filter((item) => !evaluated.has(item.rule.id))) {
+          results.push(await applyEvaluation(entry, { error: formatErrorResponse(error).error }, null));
+        }
+      }
+    }
+  } finally {
+    // Notifications already sent must not be sent again on the next run
+    await saveAlertEvaluations(results);
+  }
+
+  scheduler.lastRun = {
+    at: new Date().toISOString(),
+    evaluated: results.length,
+    events: results.filter((result) => result.historyEntry).length,
+  };
+  return scheduler.lastRun;
+}
+
+/**
+ * Evaluate every enabled rule now
+ * Concurrent calls share the evaluation already in progress
+ * @returns {Object} - { at, evaluated, events }
+ */
+export function runAlertEvaluation() {
+  if (!scheduler.running) {
+    scheduler.running = evaluateAll().finally(() => {
+      scheduler.running = null;
+    });
+  }
+  return scheduler.running;
+}
+
+/**
+ * Start evaluating rules every getAlertIntervalSeconds()
+ * Returns false when disabled or already started
+ */
+export function startAlertScheduler() {
+  if (scheduler.timer || !isAlertingEnabled()) {
+    return false;
+  }
+
+  const intervalSeconds = getAlertIntervalSeconds();
+  scheduler.timer = setInterval(() => {
+    runAlertEvaluation().catch((error) => {
+      console.error('Error evaluating alert rules:', error);
+    });
+  }, intervalSeconds * 1000);
+
+  // Never keep the process alive just to evaluate alerts
+  if (typeof scheduler.timer.unref === 'function') {
+    scheduler.timer.unref();
+  }
+
+  console.info(`Alert rules are evaluated every ${intervalSeconds}s`);
+  return true;
+}
+
+/**
+ * Scheduler status for the alerts page
+ */
+export function getAlertSchedulerStatus() {
+  return {
+    enabled: isAlertingEnabled(),
+    running: Boolean(scheduler.timer),
+    intervalSeconds: getAlertIntervalSeconds(),
+    lastRun: scheduler.lastRun,
+  };
+}
@@ -0,0 +1,211 @@
+/**
+ * Alert rule store
+ * Rules, their current state and the firing history are kept in one JSON file
+ * (CHECKMYHOUSE_ALERTS_PATH). The scheduler and the API routes both write it,
+ * so every change goes through a queue and is written atomically
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { alertRuleSchema, validateInput } from './validation';
+import { INITIAL_ALERT_STATE, isWebhookAllowed } from './alerts';
+
+// Oldest history entries are dropped beyond this
+export const MAX_ALERT_HISTORY = 500;
+
+function getAlertsPath() {
+  return process.env.CHECKMYHOUSE_ALERTS_PATH ||
+    path.join(process.cwd(), '.checkmyhouse', 'alerts.json');
+}
+
+async function loadStore() {
+  try {
+    const data = JSON.parse(await fs.readFile(getAlertsPath(), 'utf8'));
+    return {
+      rules: Array.isArray(data.rules) ? data.rules : [],
+      states: data.states || {},
+      history: Array.isArray(data.history) ? data.history : [],
+    };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error reading alert rules, starting empty:', error.message);
+    }
+    return { rules: [], states: {}, history: [] };
+  }
+}
+
+async function saveStore(store) {
+  const filePath = getAlertsPath();
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  // Webhook URLs may embed tokens
+  await fs.writeFile(tmpPath, JSON.stringify(store, null, 2), { mode: 0o600 });
+  await fs.rename(tmpPath, filePath);
+}
+
+// Shared by every copy of this module in the process (see lib/alertScheduler)
+const writer = globalThis.__checkmyhouseAlertStore ||
+  (globalThis.__checkmyhouseAlertStore = { queue: Promise.resolve() });
+
+/**
+ * Run `mutate(store)` with exclusive access and save the store afterwards
+ * Resolves with whatever `mutate` returns
+ */
+function updateStore(mutate) {
+  const run = writer.queue.then(async () => {
+    const store = await loadStore();
+    const result = await mutate(store);
+    await saveStore(store);
+    return result;
+  });
+  // Keep the queue going after a failed update
+  writer.queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Every rule with its current state, and the firing history, newest first
+ * With `profileId`, only that profile's rules and their history
+ */
+export async function listAlerts({ profileId } = {}) {
+  await writer.queue;
+  const store = await loadStore();
+  const rules = profileId ? store.rules.filter((rule) => rule.profileId === profileId) : store.rules;
+  const ruleIds = new Set(rules.map((rule) => rule.id));
+
+  return {
+    rules: rules.map((rule) => ({
+      ...rule,
+      status: { ...INITIAL_ALERT_STATE, ...store.states[rule.id] },
+    })),
+    history: store.history
+      .filter((entry) => !profileId || ruleIds.has(entry.ruleId))
+      .reverse(),
+  };
+}
+
+/**
+ * Error for the first webhook outside CHECKMYHOUSE_ALERT_WEBHOOK_HOSTS, or null
+ */
+function checkWebhooks(webhooks) {
+  const blocked = webhooks.find((url) => !isWebhookAllowed(url));
+  if (!blocked) return null;
+
+  return {
+    success: false,
+    error: `webhooks: ${new URL(blocked).host} is not in CHECKMYHOUSE_ALERT_WEBHOOK_HOSTS`,
+    status: 400,
+  };
+}
+
+/**
+ * Create a rule
+ * @returns {Object} - { success, rule } or { success: false, error }
+ */
+export async function createAlertRule(input) {
+  const validated = validateInput(alertRuleSchema, input);
+  if (!validated.success) {
+    return validated;
+  }
+
+  const webhookError = checkWebhooks(validated.data.webhooks);
+  if (webhookError) {
+    return webhookError;
+  }
+
+  const now = new Date().toISOString();
+  const rule = { id: `alert-${randomUUID()}`, ...validated.data, createdAt: now, updatedAt: now };
+  await updateStore((store) => {
+    store.rules.push(rule);
+  });
+
+  return { success: true, rule };
+}
+
+/**
+ * Whether a rule exists and, with `profileId`, belongs to that profile
+ */
+function matchesRule(rule, ruleId, profileId) {
+  return rule.id === ruleId && (!profileId || rule.profileId === profileId);
+}
+
+/**
+ * Update a rule; changing what it measures starts it again from the ok state
+ * With `profileId`, only that profile's rules can be updated
+ */
+export async function updateAlertRule(ruleId, input, { profileId } = {}) {
+  return updateStore((store) => {
+    const index = store.rules.findIndex((rule) => matchesRule(rule, ruleId, profileId));
+    if (index === -1) {
+      return { success: false, error: 'Alert rule not found', status: 404 };
+    }
+
+    const { id, createdAt, updatedAt, ...existing } = store.rules[index];
+    const validated = validateInput(alertRuleSchema, { ...existing, ...input });
+    if (!validated.success) {
+      return validated;
+    }
+
+    const webhookError = checkWebhooks(validated.data.webhooks);
+    if (webhookError) {
+      return webhookError;
+    }
+
+    const rule = { id, ...validated.data, createdAt, updatedAt: new Date().toISOString() };
+    const measured = ['type', 'profileId', 'patternHash', 'database', 'table'];
+    if (measured.some((key) => rule[key] !== existing[key]) || !rule.enabled) {
+      delete store.states[id];
+    }
+
+    store.rules[index] = rule;
+    return { success: true, rule };
+  });
+}
+
+/**
+ * Delete a rule and its state (its history is kept)
+ * With `profileId`, only that profile's rules can be deleted
+ */
+export async function deleteAlertRule(ruleId, { profileId } = {}) {
+  return updateStore((store) => {
+    const remaining = store.rules.filter((rule) => !matchesRule(rule, ruleId, profileId));
+    if (remaining.length === store.rules.length) {
+      return { success: false, error: 'Alert rule not found', status: 404 };
+    }
+
+    store.rules = remaining;
+    delete store.states[ruleId];
+    return { success: true };
+  });
+}
+
+/**
+ * Enabled rules with their stored state, for the scheduler
+ */
+export async function getEnabledRules() {
+  await writer.queue;
+  const store = await loadStore();
+  return store.rules
+    .filter((rule) => rule.enabled)
+    .map((rule) => ({ rule, state: store.states[rule.id] || INITIAL_ALERT_STATE }));
+}
+
+/**
+ * Save evaluation results: [{ ruleId, updatedAt, state, historyEntry }]
+ * Results for rules deleted or edited while they were being evaluated are dropped
+ */
+export async function saveAlertEvaluations(results) {
+  return updateStore((store) => {
+    const versions = new Map(store.rules.map((rule) => [rule.id, rule.updatedAt]));
+    for (const { ruleId, updatedAt, state, historyEntry } of results) {
+      if (versions.get(ruleId) !== updatedAt) continue;
+
+      store.states[ruleId] = state;
+      if (historyEntry) {
+        store.history.push({ id: randomUUID(), ...historyEntry });
+      }
+    }
+    store.history = store.history.slice(-MAX_ALERT_HISTORY);
+  });
+}
@@ -0,0 +1,207 @@
+/**
+ * Alert rules
+ * Rule types, the ok -> pending -> firing -> resolved state machine and
+ * notification payloads. Evaluation and delivery live in lib/alertScheduler
+ */
+
+import {
+  ALERT_PATTERN_P99,
+  ALERT_FAILED_QUERIES,
+  ALERT_PARTS_PER_PARTITION,
+  ALERT_REPLICATION_DELAY,
+} from './queries';
+
+export const ALERT_RULE_TYPES = {
+  pattern_p99: {
+    label: 'Pattern p99 latency',
+    unit: 'ms',
+    query: ALERT_PATTERN_P99,
+    table: 'system.query_log',
+    windowed: true,
+  },
+  failed_queries: {
+    label: 'Failed queries per minute',
+    unit: '/min',
+    query: ALERT_FAILED_QUERIES,
+    table: 'system.query_log',
+    windowed: true,
+  },
+  parts_per_partition: {
+    label: 'Active parts per partition',
+    unit: 'parts',
+    query: ALERT_PARTS_PER_PARTITION,
+    table: 'system.parts',
+    windowed: false,
+  },
+  replication_delay: {
+    label: 'Replication delay',
+    unit: 's',
+    query: ALERT_REPLICATION_DELAY,
+    table: 'system.replicas',
+    windowed: false,
+  },
+};
+
+export const AlertStates = {
+  OK: 'ok',
+  PENDING: 'pending',
+  FIRING: 'firing',
+};
+
+export const AlertEvents = {
+  FIRING: 'firing',
+  RESOLVED: 'resolved',
+};
+
+export const INITIAL_ALERT_STATE = {
+  state: AlertStates.OK,
+  since: null,
+  breachStartedAt: null,
+  clearStartedAt: null,
+  value: null,
+  subject: null,
+  evaluatedAt: null,
+  error: null,
+};
+
+/**
+ * Query parameters for a rule's metric query
+ */
+export function buildAlertParams(rule) {
+  return {
+    window_seconds: rule.windowSeconds,
+    database: rule.database || '',
+    table: rule.table || '',
+    ...(rule.type === 'pattern_p99' ? { pattern_hash: rule.patternHash } : {}),
+  };
+}
+
+/**
+ * Advance a rule's state with one evaluation
+ * - a breach (value above threshold) is pending until it has lasted `forSeconds`, then fires
+ * - a firing rule resolves once the value has stayed at or below the threshold for `debounceSeconds`,
+ *   so a flapping metric does not fire and resolve on every evaluation
+ * - no data counts as no breach; a failed evaluation keeps the state and records the error
+ * @param {Object} previous - Stored state (INITIAL_ALERT_STATE for a new rule)
+ * @param {Object} rule - { threshold, forSeconds, debounceSeconds }
+ * @param {Object} evaluation - { value, subject, error }
+ * @param {number} now - Evaluation time (ms)
+ * @returns {Object} - { state, event } where event is 'firing', 'resolved' or null
+ */
+export function nextAlertState(previous, rule, evaluation, now) {
+  const current = { ...INITIAL_ALERT_STATE, ...previous };
+  const evaluatedAt = new Date(now).toISOString();
+
+  if (evaluation.error) {
+    return { state: { ...current, evaluatedAt, error: evaluation.error }, event: null };
+  }
+
+  const base = {
+    ...current,
+    value: evaluation.value,
+    subject: evaluation.subject || null,
+    evaluatedAt,
+    error: null,
+  };
+  const elapsed = (timestamp) => (now - new Date(timestamp).getTime()) / 1000;
+  const transition = (state) => ({ ...base, state, since: evaluatedAt });
+  const breached = evaluation.value !== null && evaluation.value !== undefined &&
+    evaluation.value > rule.threshold;
+
+  if (breached) {
+    if (current.state === AlertStates.FIRING) {
+      return { state: { ...base, clearStartedAt: null }, event: null };
+    }
+
+    const breachStartedAt = current.state === AlertStates.PENDING ? current.breachStartedAt : evaluatedAt;
+    if (elapsed(breachStartedAt) >= (rule.forSeconds || 0)) {
+      return {
+        state: { ...transition(AlertStates.FIRING), breachStartedAt, clearStartedAt: null },
+        event: AlertEvents.FIRING,
+      };
+    }
+
+    return {
+      state: current.state === AlertStates.PENDING
+        ? base
+        : { ...transition(AlertStates.PENDING), breachStartedAt },
+      event: null,
+    };
+  }
+
+  if (current.state === AlertStates.FIRING) {
+    const clearStartedAt = current.clearStartedAt || evaluatedAt;
+    if (elapsed(clearStartedAt) >= (rule.debounceSeconds || 0)) {
+      return {
+        // breachStartedAt is kept so the resolved notification says when the incident began
+        state: { ...transition(AlertStates.OK), clearStartedAt: null },
+        event: AlertEvents.RESOLVED,
+      };
+    }
+    return { state: { ...base, clearStartedAt }, event: null };
+  }
+
+  if (current.state === AlertStates.PENDING) {
+    return { state: { ...transition(AlertStates.OK), breachStartedAt: null }, event: null };
+  }
+
+  return { state: base, event: null };
+}
+
+/**
+ * JSON body sent to webhooks and written to the file sink
+ */
+export function buildAlertPayload(rule, state, event, { profileName = null } = {}) {
+  const type = ALERT_RULE_TYPES[rule.type];
+
+  return {
+    app: 'checkmyhouse',
+    status: event,
+    rule: {
+      id: rule.id,
+      name: rule.name,
+      type: rule.type,
+      threshold: rule.threshold,
+      unit: type?.unit || null,
+      database: rule.database || null,
+      table: rule.table || null,
+      patternHash: rule.patternHash || null,
+    },
+    connection: profileName,
+    value: state.value,
+    subject: state.subject,
+    startedAt: state.breachStartedAt,
+    at: state.evaluatedAt,
+    summary: event === AlertEvents.FIRING
+      ? `${rule.name}: ${type?.label || rule.type} is ${state.value} ${type?.unit || ''} (threshold ${rule.threshold})`.trim()
+      : `${rule.name}: resolved, ${type?.label || rule.type} is ${state.value ?? 'no data'} ${type?.unit || ''}`.trim(),
+  };
+}
+
+/**
+ * Hosts webhooks may be sent to, from CHECKMYHOUSE_ALERT_WEBHOOK_HOSTS
+ * (comma-separated; `*.example.com` also allows its subdomains)
+ * Rules post query results with stored credentials, so nothing is allowed by default
+ */
+export function getAllowedWebhookHosts() {
+  return (process.env.CHECKMYHOUSE_ALERT_WEBHOOK_HOSTS || '')
+    .split(',')
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Whether a webhook URL points at an allowed host
+ */
+export function isWebhookAllowed(url, allowedHosts = getAllowedWebhookHosts()) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch {
+    return false;
+  }
+
+  return allowedHosts.some((entry) => (
+    entry.startsWith('*.') ? hostname.endsWith(entry.slice(1)) : hostname === entry
+  ));
+}
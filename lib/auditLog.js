@@ -0,0 +1,65 @@
+/**
+ * Audit log
+ * Actions that change what runs on a cluster (currently KILL QUERY) are
+ * appended as JSON lines to a server-side file and echoed to the console
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Audit log location (CHECKMYHOUSE_AUDIT_LOG_PATH, defaults to .checkmyhouse/audit.log)
+ */
+export function getAuditLogPath() {
+  return process.env.CHECKMYHOUSE_AUDIT_LOG_PATH ||
+    path.join(process.cwd(), '.checkmyhouse', 'audit.log');
+}
+
+/**
+ * Append an event to the audit log
+ * A failed write is reported but does not throw: the action has already happened
+ * and the console line still records it
+ * @returns {Object} - The entry as written, with its timestamp
+ */
+export async function recordAuditEvent(event, { filePath = getAuditLogPath() } = {}) {
+  const entry = { timestamp: new Date().toISOString(), ...event };
+  const line = JSON.stringify(entry);
+  console.info(`[audit] ${line}`);
+
+  try {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, `${line}\n`, { mode: 0o600 });
+  } catch (error) {
+    console.error('Error writing audit log:', error.message);
+  }
+
+  return entry;
+}
+
+/**
+ * Most recent audit entries, newest first
+ * Lines that are not valid JSON (e.g. a write cut short) are skipped
+ */
+export async function readAuditLog({ filePath = getAuditLogPath(), limit = 50 } = {}) {
+  let contents;
+  try {
+    contents = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return contents
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .reverse()
+    .slice(0, limit);
+}
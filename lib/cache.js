@@ -12,13 +12,38 @@ class ResponseCache {
 
   /**
    * Generate cache key from request parameters
+   * Keys are prefixed with the connection namespace when one is given
    */
-  generateKey(prefix, params) {
+  generateKey(prefix, params, namespace = null) {
     const sortedParams = Object.keys(params)
       .sort()
       .map((key) => `${key}=${params[key]}`)
       .join('&');
-    return `${prefix}:${sortedParams}`;
+    return this.namespaceKey(namespace, `${prefix}:${sortedParams}`);
+  }
+
+  /**
+   * Scope a key to a connection namespace
+   */
+  namespaceKey(namespace, key) {
+    return namespace ? `${namespace}|${key}` : key;
+  }
+
+  /**
+   * Remove every entry in a connection namespace
+   */
+  invalidateNamespace(namespace) {
+    if (!namespace) return 0;
+
+    const prefix = `${namespace}|`;
+    let removed = 0;
+    for (const key of this.cache.keys()) {
+      if (key.startsWith(prefix)) {
+        this.cache.delete(key);
+        removed++;
+      }
+    }
+    return removed;
   }
 
   /**
@@ -169,11 +194,18 @@ export const CacheTTL = {
   TABLES: 300, // 5 minutes
   COLUMNS: 300, // 5 minutes
   CLUSTER_CONFIG: 600, // 10 minutes
+  PROFILE_EVENT_DESCRIPTIONS: 3600, // 1 hour
 
   // Dynamic statistics - cache shorter
   TABLE_STATS: 60, // 1 minute
   QUERY_ANALYZER: 60, // 1 minute
   SLOW_QUERIES: 30, // 30 seconds
+  FAILED_QUERIES: 30, // 30 seconds
+  INSERT_WORKLOAD: 60, // 1 minute
+  RESOURCE_USAGE: 60, // 1 minute
+  FLAMEGRAPH: 60, // 1 minute
+  QUERY_LIFECYCLE: 30, // 30 seconds
+  PROFILE_EVENTS: 60, // 1 minute
 
   // Real-time data - minimal cache
   QUERY_DRILLDOWN: 10, // 10 seconds
@@ -196,17 +228,19 @@ export function withCache(handler, options = {}) {
   const {
     ttl = CacheTTL.QUERY_ANALYZER,
     keyGenerator = null,
+    namespaceResolver = null,
     rateLimit = RateLimits.DEFAULT,
   } = options;
 
   return async (request) => {
     try {
-      // Generate cache key
+      // Generate cache key, scoped to the request's connection
       const url = new URL(request.url);
       const params = Object.fromEntries(url.searchParams);
+      const namespace = namespaceResolver ? await namespaceResolver(request) : null;
       const cacheKey = keyGenerator
-        ? keyGenerator(request, params)
-        : globalCache.generateKey(url.pathname, params);
+        ? globalCache.namespaceKey(namespace, keyGenerator(request, params))
+        : globalCache.generateKey(url.pathname, params, namespace);
 
       // Check rate limit
       const rateLimitStatus = globalCache.checkRateLimit(
@@ -333,6 +367,13 @@ export function invalidateCacheByPattern(pattern) {
   }
 }
 
+/**
+ * Helper to drop every cached entry for a connection namespace
+ */
+export function invalidateCacheNamespace(namespace) {
+  return globalCache.invalidateNamespace(namespace);
+}
+
 /**
  * Helper to get cache statistics
  */
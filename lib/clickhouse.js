@@ -1,4 +1,5 @@
 import { createClient } from '@clickhouse/client';
+import https from 'https';
 import { cookies } from 'next/headers';
 import {
   parseClickHouseError,
@@ -7,105 +8,232 @@ import {
   ErrorTypes,
   createPermissionErrorResponse,
 } from './errors';
-import globalCache, { CacheTTL } from './cache';
+import globalCache, { CacheTTL, invalidateCacheNamespace } from './cache';
 import { escapeIdentifier, validateTableIdentifier } from './validation';
-
-let clickhouseClient = null;
-let currentConfig = null;
-let systemCapabilities = null;
+import clientRegistry, { SESSION_COOKIE, getConnectionFingerprint } from './clientRegistry';
+import { getSessionStore } from './sessionStore';
+import { createReadOnlyClient, isReadOnlyMode, getReadOnlyLevel } from './queryGuard';
+import { createTaggedClient, generateQueryId } from './queryTagging';
+import { KILL_QUERY_BY_ID } from './queries';
+
+// Settings sent with every query from session clients
+const DEFAULT_CLICKHOUSE_SETTINGS = {
+  max_execution_time: 300,
+  max_memory_usage: 10000000000,
+  // Stop read-only queries as soon as the HTTP request is aborted
+  cancel_http_readonly_queries_on_client_close: 1,
+};
 
 /**
- * Get connection config from cookies
+ * Get connection config for the request's session
+ * The cookie only carries an opaque session id; the config is read from the
+ * encrypted server-side session store
  */
 export async function getConfigFromCookies() {
   try {
-    const cookieStore = await cookies();
-    const configCookie = cookieStore.get('clickhouse_config');
-
-    if (!configCookie) {
+    const sessionId = await getSessionIdFromCookies();
+    if (!sessionId) {
       return null;
     }
 
-    return JSON.parse(decodeURIComponent(configCookie.value));
+    return await getSessionStore().get(sessionId);
+  } catch (error) {
+    console.error('Error reading config from session:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the session id from request cookies
+ */
+export async function getSessionIdFromCookies() {
+  try {
+    const cookieStore = await cookies();
+    return cookieStore.get(SESSION_COOKIE)?.value || null;
   } catch (error) {
-    console.error('Error reading config from cookies:', error);
+    console.error('Error reading session from cookies:', error);
     return null;
   }
 }
 
 /**
- * Get or initialize ClickHouse client from request cookies
+ * Get or initialize the ClickHouse client for the requesting session
+ * `feature` names the caller in the log_comment of every query it sends
  */
-export async function getClientFromRequest() {
-  // Try to get existing client
-  if (clickhouseClient) {
-    return clickhouseClient;
+export async function getClientFromRequest(feature) {
+  const sessionId = await getSessionIdFromCookies();
+  if (!sessionId) {
+    throw new Error('ClickHouse client not initialized. Please connect first.');
   }
 
-  // Try to initialize from cookies
+  // Expired or revoked sessions lose their client too
   const config = await getConfigFromCookies();
-  if (config) {
-    return initClickHouseClient(config);
+  if (!config) {
+    await disposeSessionClient(sessionId);
+    throw new Error('Session expired or revoked. Please connect again.');
   }
 
-  throw new Error('ClickHouse client not initialized. Please connect first.');
+  // Try to get this session's existing client
+  const entry = clientRegistry.get(sessionId);
+  const client = entry ? entry.client : initClickHouseClient(config, sessionId);
+
+  return feature ? client.forFeature(feature) : client;
 }
 
 /**
- * Initialize ClickHouse client
+ * Build @clickhouse/client TLS options from a connection config's `tls` block
+ * Skip-verify needs a custom agent, as the client has no option for it, and is
+ * refused in production
  */
-export function initClickHouseClient(config) {
-  currentConfig = config;
-  systemCapabilities = null; // Clear capabilities on reconnect
+export function buildTlsOptions(config) {
+  const tls = config.tls;
+  if (!tls) {
+    return {};
+  }
+
+  const ca = tls.caCert ? Buffer.from(tls.caCert) : undefined;
+  const cert = tls.clientCert ? Buffer.from(tls.clientCert) : undefined;
+  const key = tls.clientKey ? Buffer.from(tls.clientKey) : undefined;
 
-  clickhouseClient = createClient({
+  if (tls.skipVerify) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('Skipping TLS certificate verification is not allowed in production');
+    }
+    return {
+      http_agent: new https.Agent({ keepAlive: true, rejectUnauthorized: false, ca, cert, key }),
+    };
+  }
+
+  if (cert && key) {
+    return { tls: { ca_cert: ca, cert, key } };
+  }
+  if (ca) {
+    return { tls: { ca_cert: ca } };
+  }
+  return {};
+}
+
+/**
+ * Create a ClickHouse client from a connection config
+ */
+export function createClickHouseClient(config) {
+  return createClient({
     url: config.url || config.host || 'http://localhost:8123',
     username: config.username || 'default',
     password: config.password || '',
     database: config.database || 'default',
-    clickhouse_settings: {
-      max_execution_time: 300,
-      max_memory_usage: 10000000000,
-    },
+    clickhouse_settings: DEFAULT_CLICKHOUSE_SETTINGS,
     request_timeout: 300000,
+    ...buildTlsOptions(config),
   });
+}
 
-  return clickhouseClient;
+/**
+ * Apply the read-only guard to a client when read-only mode is enabled
+ */
+function guardClient(client, baseSettings = {}) {
+  return isReadOnlyMode() ? createReadOnlyClient(client, { baseSettings }) : client;
+}
+
+/**
+ * Describe the read-only mode session clients run in
+ */
+export function getReadOnlyStatus() {
+  const enabled = isReadOnlyMode();
+  return {
+    enabled,
+    level: enabled ? getReadOnlyLevel(DEFAULT_CLICKHOUSE_SETTINGS) : 0,
+  };
 }
 
 /**
- * Get existing ClickHouse client, or initialize from config if provided
+ * Initialize the ClickHouse client for a session
+ * Replaces (and closes) any client the session already had
  */
-export function getClickHouseClient(config = null) {
-  // If config is provided, reinitialize
-  if (config) {
-    return initClickHouseClient(config);
+export function initClickHouseClient(config, sessionId) {
+  if (!sessionId) {
+    throw new Error('A session id is required to initialize a ClickHouse client');
   }
 
-  // If client exists, return it
-  if (clickhouseClient) {
-    return clickhouseClient;
+  // Drop cached data for the connection being replaced and the one being (re)opened
+  const previous = clientRegistry.get(sessionId);
+  if (previous) {
+    invalidateCacheNamespace(getCacheNamespaceForConfig(previous.config));
   }
+  invalidateCacheNamespace(getCacheNamespaceForConfig(config));
+
+  const client = createTaggedClient(
+    guardClient(createClickHouseClient(config), DEFAULT_CLICKHOUSE_SETTINGS),
+    { sessionId }
+  );
+  clientRegistry.register(sessionId, client, config);
+  return client;
+}
+
+/**
+ * Create a client for server-side work that has no browser session (alert rules)
+ * It is guarded and tagged like session clients but not registered, so nothing
+ * it reads is cached; close it when done
+ */
+export function createServiceClient(config, feature) {
+  return createTaggedClient(
+    guardClient(createClickHouseClient(config), DEFAULT_CLICKHOUSE_SETTINGS),
+    { feature }
+  );
+}
+
+/**
+ * Close and forget the client for a session, dropping its cached data
+ */
+export async function disposeSessionClient(sessionId) {
+  if (!sessionId) return false;
 
-  // If we have a stored config, reinitialize
-  if (currentConfig) {
-    return initClickHouseClient(currentConfig);
+  const entry = clientRegistry.get(sessionId);
+  if (entry) {
+    invalidateCacheNamespace(getCacheNamespaceForConfig(entry.config));
   }
+  return clientRegistry.dispose(sessionId);
+}
+
+/**
+ * Revoke a session: close its client and delete its stored credentials
+ */
+export async function revokeSession(sessionId) {
+  if (!sessionId) return false;
+
+  await disposeSessionClient(sessionId);
+  return getSessionStore().destroy(sessionId);
+}
 
-  throw new Error('ClickHouse client not initialized. Call initClickHouseClient first.');
+/**
+ * Cache namespace for a connection config
+ */
+export function getCacheNamespaceForConfig(config) {
+  return `conn:${getConnectionFingerprint(config)}`;
+}
+
+/**
+ * Cache namespace for a session's client
+ * Returns null for clients outside the registry, which must not be cached
+ */
+export function getCacheNamespace(client) {
+  const entry = clientRegistry.getEntryForClient(client);
+  return entry ? `conn:${entry.fingerprint}` : null;
 }
 
 /**
  * Test connection to ClickHouse
  */
 export async function testConnection(config) {
+  let client = null;
   try {
-    const client = createClient({
+    client = createTaggedClient(guardClient(createClient({
       url: config.url || config.host,
       username: config.username,
       password: config.password,
       database: config.database || 'default',
-    });
+      ...buildTlsOptions(config),
+    })), { feature: 'connection-test' });
 
     const result = await client.query({
       query: 'SELECT 1 as test',
@@ -115,7 +243,17 @@ export async function testConnection(config) {
     await result.json();
     return { success: true, message: 'Connection successful' };
   } catch (error) {
-    return { success: false, message: error.message };
+    const parsed = parseClickHouseError(error);
+    if (parsed.type === ErrorTypes.TLS_ERROR) {
+      return {
+        success: false,
+        type: parsed.type,
+        message: `${parsed.details.userFriendlyMessage} (${error.message})`,
+      };
+    }
+    return { success: false, type: parsed.type, message: error.message };
+  } finally {
+    await client?.close();
   }
 }
 
@@ -123,10 +261,18 @@ export async function testConnection(config) {
  * Detect cluster configuration with permission handling
  */
 export async function detectClusterConfig(client) {
-  // Check cache first
-  const cacheKey = 'cluster_config';
-  const cached = globalCache.get(cacheKey);
+  // Reuse the config already detected for this session
+  const entry = clientRegistry.getEntryForClient(client);
+  if (entry?.clusterConfig) {
+    return entry.clusterConfig;
+  }
+
+  // Check cache first (scoped to this connection)
+  const namespace = getCacheNamespace(client);
+  const cacheKey = globalCache.namespaceKey(namespace, 'cluster_config');
+  const cached = namespace ? globalCache.get(cacheKey) : null;
   if (cached) {
+    if (entry) entry.clusterConfig = cached;
     return cached;
   }
 
@@ -179,7 +325,8 @@ export async function detectClusterConfig(client) {
     }
 
     // Cache the result
-    globalCache.set(cacheKey, config, CacheTTL.CLUSTER_CONFIG);
+    if (namespace) globalCache.set(cacheKey, config, CacheTTL.CLUSTER_CONFIG);
+    if (entry) entry.clusterConfig = config;
     return config;
   } catch (error) {
     const parsedError = parseClickHouseError(error);
@@ -198,7 +345,8 @@ export async function detectClusterConfig(client) {
         hasSystemClustersAccess: false,
         permissionError: true,
       };
-      globalCache.set(cacheKey, config, CacheTTL.CLUSTER_CONFIG);
+      if (namespace) globalCache.set(cacheKey, config, CacheTTL.CLUSTER_CONFIG);
+      if (entry) entry.clusterConfig = config;
       return config;
     }
 
@@ -234,26 +382,74 @@ export function buildClusterQuery(baseQuery, table, clusterConfig) {
   return baseQuery.replace('{table}', clusterFunc);
 }
 
+function createAbortError() {
+  return new DOMException('The user aborted a request.', 'AbortError');
+}
+
+/**
+ * Cancel a query the app started
+ * Returns false if the kill could not be issued (the query may already be done)
+ */
+export async function killQuery(client, queryId) {
+  try {
+    await client.command({
+      query: KILL_QUERY_BY_ID,
+      query_params: { query_id: queryId },
+    });
+    return true;
+  } catch (error) {
+    console.error(`Failed to kill query ${queryId}:`, error.message);
+    return false;
+  }
+}
+
 /**
  * Execute query with automatic retries and error handling
+ * Pass `signal` (e.g. request.signal) to cancel the query, server side included,
+ * when the caller goes away
+ * Values for `{name:Type}` placeholders go in `params`
  */
 export async function executeQuery(client, query, options = {}) {
   const maxRetries = options.maxRetries || 3;
   const retryDelay = options.retryDelay || 1000;
   const skipRetryOnPermission = options.skipRetryOnPermission !== false;
+  const signal = options.signal;
 
   for (let attempt = 0; attempt < maxRetries; attempt++) {
+    if (signal?.aborted) {
+      throw parseClickHouseError(createAbortError());
+    }
+
+    // A known query id lets us KILL the query if the request is aborted
+    const queryId = options.queryId || (signal ? generateQueryId() : undefined);
+
     try {
       const result = await client.query({
         query,
         format: options.format || 'JSONEachRow',
         clickhouse_settings: options.settings || {},
+        query_params: options.params,
+        query_id: queryId,
+        abort_signal: signal,
       });
 
       return await result.json();
     } catch (error) {
       const parsedError = parseClickHouseError(error);
 
+      // Aborted - make sure the server stops working on it too
+      if (signal?.aborted) {
+        if (queryId) {
+          await killQuery(client, queryId);
+        }
+        throw parseClickHouseError(createAbortError());
+      }
+
+      // Killed elsewhere - retrying would undo the cancellation
+      if (parsedError.type === ErrorTypes.CANCELLED) {
+        throw parsedError;
+      }
+
       // Don't retry permission errors
       if (skipRetryOnPermission && parsedError.type === ErrorTypes.PERMISSION_DENIED) {
         throw parsedError;
@@ -264,6 +460,11 @@ export async function executeQuery(client, query, options = {}) {
         throw parsedError;
       }
 
+      // Statements blocked by read-only mode never succeed on retry
+      if (parsedError.type === ErrorTypes.READ_ONLY) {
+        throw parsedError;
+      }
+
       // Last attempt - throw error
       if (attempt === maxRetries - 1) {
         throw parsedError;
@@ -296,17 +497,27 @@ export async function executeQuerySafe(client, query, options = {}) {
       error: parsedError,
       permissionDenied: parsedError.type === ErrorTypes.PERMISSION_DENIED,
       quotaExceeded: parsedError.type === ErrorTypes.QUOTA_EXCEEDED,
+      cancelled: parsedError.type === ErrorTypes.CANCELLED,
     };
   }
 }
 
+// Log tables that only exist when enabled in the server config, by capability flag
+const OPTIONAL_LOG_TABLES = {
+  hasQueryThreadLog: 'system.query_thread_log',
+  hasQueryViewsLog: 'system.query_views_log',
+  hasPartLog: 'system.part_log',
+  hasSpanLog: 'system.opentelemetry_span_log',
+};
+
 /**
  * Detect system capabilities (what features are available)
  */
 export async function detectSystemCapabilities(client) {
-  // Return cached capabilities if available
-  if (systemCapabilities) {
-    return systemCapabilities;
+  // Return this session's cached capabilities if available
+  const entry = clientRegistry.getEntryForClient(client);
+  if (entry?.capabilities) {
+    return entry.capabilities;
   }
 
   const capabilities = {
@@ -314,6 +525,11 @@ export async function detectSystemCapabilities(client) {
     hasClusters: false,
     hasParts: false,
     hasProcesses: false,
+    hasQueryThreadLog: false,
+    hasQueryViewsLog: false,
+    hasPartLog: false,
+    hasSpanLog: false,
+    readOnly: getReadOnlyStatus(),
     checkedAt: new Date().toISOString(),
   };
 
@@ -349,8 +565,16 @@ export async function detectSystemCapabilities(client) {
   );
   capabilities.hasProcesses = processesResult.success;
 
-  // Cache capabilities
-  systemCapabilities = capabilities;
+  // Test the optional log tables
+  const logResults = await Promise.all(Object.values(OPTIONAL_LOG_TABLES).map((table) =>
+    executeQuerySafe(client, `SELECT 1 FROM ${table} LIMIT 1`, { maxRetries: 1 })
+  ));
+  Object.keys(OPTIONAL_LOG_TABLES).forEach((flag, i) => {
+    capabilities[flag] = logResults[i].success;
+  });
+
+  // Cache capabilities on the session
+  if (entry) entry.capabilities = capabilities;
   return capabilities;
 }
 
@@ -358,29 +582,28 @@ export async function detectSystemCapabilities(client) {
  * Get cached capabilities or detect them
  */
 export async function getSystemCapabilities(client) {
-  if (!systemCapabilities) {
-    await detectSystemCapabilities(client);
-  }
-  return systemCapabilities;
+  return detectSystemCapabilities(client);
 }
 
 /**
- * Clear capabilities cache (call when connection changes)
+ * Clear a session's capabilities cache (call when its connection changes)
  */
-export function clearCapabilitiesCache() {
-  systemCapabilities = null;
+export function clearCapabilitiesCache(client) {
+  const entry = clientRegistry.getEntryForClient(client);
+  if (entry) entry.capabilities = null;
 }
 
 /**
  * Get ClickHouse version
  */
-let cachedVersion = null;
-
 export async function getClickHouseVersion(client) {
-  if (cachedVersion) {
-    return cachedVersion;
+  const entry = clientRegistry.getEntryForClient(client);
+  if (entry?.version) {
+    return entry.version;
   }
 
+  let version;
+
   try {
     const result = await client.query({
       query: 'SELECT version() as version',
@@ -392,14 +615,14 @@ export async function getClickHouseVersion(client) {
 
     const versionMatch = versionString.match(/^(\d+)\.(\d+)\.(\d+)/);
     if (versionMatch) {
-      cachedVersion = {
+      version = {
         full: versionString,
         major: parseInt(versionMatch[1], 10),
         minor: parseInt(versionMatch[2], 10),
         patch: parseInt(versionMatch[3], 10),
       };
     } else {
-      cachedVersion = {
+      version = {
         full: versionString,
         major: 24,
         minor: 0,
@@ -407,16 +630,18 @@ export async function getClickHouseVersion(client) {
       };
     }
 
-    return cachedVersion;
+    if (entry) entry.version = version;
+    return version;
   } catch (error) {
     console.error('Error detecting ClickHouse version:', error);
-    cachedVersion = {
+    version = {
       full: 'unknown',
       major: 19,
       minor: 0,
       patch: 0,
     };
-    return cachedVersion;
+    if (entry) entry.version = version;
+    return version;
   }
 }
 
@@ -0,0 +1,179 @@
+/**
+ * Session-scoped ClickHouse client registry
+ * Keeps one client per browser session so concurrent users of a shared
+ * deployment never see each other's connections
+ */
+
+import { createHash, randomUUID } from 'crypto';
+
+export const SESSION_COOKIE = 'clickhouse_session';
+
+// Clients unused for this long are closed and dropped
+const DEFAULT_IDLE_TTL_MS = 30 * 60 * 1000; // 30 minutes
+const SWEEP_INTERVAL_MS = 60 * 1000; // 1 minute
+
+class ClientRegistry {
+  constructor(idleTtlMs = DEFAULT_IDLE_TTL_MS) {
+    this.entries = new Map();
+    this.clientIndex = new WeakMap();
+    this.idleTtlMs = idleTtlMs;
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Register a client for a session, disposing any client it replaces
+   */
+  register(sessionId, client, config) {
+    const previous = this.entries.get(sessionId);
+    if (previous && previous.client !== client) {
+      this.closeClient(previous);
+    }
+
+    const entry = {
+      sessionId,
+      client,
+      config,
+      fingerprint: getConnectionFingerprint(config),
+      capabilities: null,
+      clusterConfig: null,
+      version: null,
+      createdAt: Date.now(),
+      lastUsed: Date.now(),
+    };
+
+    this.entries.set(sessionId, entry);
+    this.clientIndex.set(client, entry);
+    // Per-feature views of a wrapped client share its base client
+    if (client && client.baseClient) {
+      this.clientIndex.set(client.baseClient, entry);
+    }
+    this.ensureSweeper();
+    return entry;
+  }
+
+  /**
+   * Get the entry for a session and mark it as recently used
+   */
+  get(sessionId) {
+    if (!sessionId) return null;
+
+    const entry = this.entries.get(sessionId);
+    if (!entry) return null;
+
+    if (this.isIdle(entry)) {
+      this.dispose(sessionId);
+      return null;
+    }
+
+    entry.lastUsed = Date.now();
+    return entry;
+  }
+
+  /**
+   * Look up the entry that owns a client instance
+   */
+  getEntryForClient(client) {
+    if (!client || typeof client !== 'object') return null;
+    return this.clientIndex.get(client) ||
+      (client.baseClient ? this.clientIndex.get(client.baseClient) : null) ||
+      null;
+  }
+
+  /**
+   * Close and remove the client for a session
+   */
+  async dispose(sessionId) {
+    const entry = this.entries.get(sessionId);
+    if (!entry) return false;
+
+    this.entries.delete(sessionId);
+    await this.closeClient(entry);
+    return true;
+  }
+
+  /**
+   * Close every client that has been idle longer than the TTL
+   */
+  evictIdle() {
+    let evicted = 0;
+    for (const [sessionId, entry] of this.entries.entries()) {
+      if (this.isIdle(entry)) {
+        this.dispose(sessionId);
+        evicted++;
+      }
+    }
+
+    if (this.entries.size === 0) {
+      this.stopSweeper();
+    }
+    return evicted;
+  }
+
+  isIdle(entry) {
+    return Date.now() - entry.lastUsed > this.idleTtlMs;
+  }
+
+  async closeClient(entry) {
+    this.clientIndex.delete(entry.client);
+    if (entry.client.baseClient) {
+      this.clientIndex.delete(entry.client.baseClient);
+    }
+    try {
+      await entry.client.close();
+    } catch (error) {
+      console.error(`Error closing ClickHouse client for session ${entry.sessionId}:`, error);
+    }
+  }
+
+  ensureSweeper() {
+    if (this.sweepTimer) return;
+    this.sweepTimer = setInterval(() => this.evictIdle(), SWEEP_INTERVAL_MS);
+    // Never keep the process alive just to sweep
+    if (typeof this.sweepTimer.unref === 'function') {
+      this.sweepTimer.unref();
+    }
+  }
+
+  stopSweeper() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  /**
+   * Get registry statistics
+   */
+  getStats() {
+    return {
+      sessions: this.entries.size,
+      idleTtlMs: this.idleTtlMs,
+    };
+  }
+}
+
+/**
+ * Generate a new opaque session identifier
+ */
+export function generateSessionId() {
+  return randomUUID();
+}
+
+/**
+ * Stable identity of a connection target (server, user and database)
+ * Used to scope cached responses so switching servers never serves stale data
+ */
+export function getConnectionFingerprint(config = {}) {
+  const identity = [
+    config.url || config.host || 'http://localhost:8123',
+    config.username || 'default',
+    config.database || 'default',
+  ].join('|');
+
+  return createHash('sha256').update(identity).digest('hex').substring(0, 16);
+}
+
+// Singleton instance
+const clientRegistry = new ClientRegistry();
+
+export default clientRegistry;
@@ -0,0 +1,335 @@
+/**
+ * Column type and codec advisor
+ * Profiles a bounded sample of a table (cardinality, NULLs, value ranges and
+ * string lengths per column) and turns it into concrete MODIFY COLUMN changes:
+ * LowCardinality, narrower integers, dropping Nullable and specialised codecs
+ */
+
+import { escapeIdentifier } from './validation';
+
+export const DEFAULT_SAMPLE_ROWS = 100000;
+export const MAX_SAMPLE_ROWS = 1000000;
+
+// LowCardinality pays off up to roughly this many distinct values
+const LOW_CARDINALITY_MAX_DISTINCT = 10000;
+const LOW_CARDINALITY_MAX_DISTINCT_RATIO = 0.05;
+
+// Rough share of a column's compressed size each change saves. Compression
+// already squeezes part of what a narrower type removes, so these stay modest
+// and the results are estimates to weigh, not promises
+const CODEC_SAVINGS = {
+  DoubleDelta: 0.5,
+  Delta: 0.4,
+  Gorilla: 0.3,
+  ZSTD: 0.2,
+};
+const INTEGER_NARROWING_DAMPING = 0.5;
+
+const INTEGER_TYPES = {
+  UInt8: { bytes: 1, signed: false },
+  UInt16: { bytes: 2, signed: false },
+  UInt32: { bytes: 4, signed: false },
+  UInt64: { bytes: 8, signed: false },
+  Int8: { bytes: 1, signed: true },
+  Int16: { bytes: 2, signed: true },
+  Int32: { bytes: 4, signed: true },
+  Int64: { bytes: 8, signed: true },
+};
+
+const FIXED_WIDTHS = {
+  Float32: 4,
+  Float64: 8,
+  Date: 2,
+  Date32: 4,
+  DateTime: 4,
+  DateTime64: 8,
+};
+
+/**
+ * Quote a column name for ClickHouse, which allows almost any character in it
+ */
+function quoteIdentifier(name) {
+  return `\`${name.replace(/\\/g, '\\\\').replace(/`/g, '\\`')}\``;
+}
+
+/**
+ * Split a ClickHouse type into its wrappers and base type
+ * e.g. LowCardinality(Nullable(String)) -> { lowCardinality: true, nullable: true, inner: 'String', base: 'String' }
+ */
+export function parseColumnType(type) {
+  let inner = type.trim();
+  let lowCardinality = false;
+  let nullable = false;
+
+  const unwrap = (wrapper) => {
+    if (inner.startsWith(`${wrapper}(`) && inner.endsWith(')')) {
+      inner = inner.slice(wrapper.length + 1, -1).trim();
+      return true;
+    }
+    return false;
+  };
+
+  lowCardinality = unwrap('LowCardinality');
+  nullable = unwrap('Nullable');
+
+  return { lowCardinality, nullable, inner, base: inner.split('(')[0] };
+}
+
+function getColumnKind(base) {
+  if (INTEGER_TYPES[base]) return 'integer';
+  if (base === 'String') return 'string';
+  if (base === 'Float32' || base === 'Float64') return 'float';
+  if (['Date', 'Date32', 'DateTime', 'DateTime64'].includes(base)) return 'time';
+  return null;
+}
+
+/**
+ * Columns the advisor can profile: stored scalar types it knows how to improve
+ */
+export function getProfiledColumns(columns) {
+  return columns
+    .filter((column) => column.default_kind !== 'ALIAS' && column.default_kind !== 'EPHEMERAL')
+    .map((column) => ({ ...column, parsed: parseColumnType(column.type) }))
+    .filter((column) => getColumnKind(column.parsed.base));
+}
+
+/**
+ * One aggregation query over a bounded sample of the table
+ * Aggregates are aliased by column position (c0_uniq, ...) since column names
+ * can contain anything
+ * @param {string} database - Validated database name
+ * @param {string} table - Validated table name
+ * @param {Array} columns - From getProfiledColumns
+ * @param {Object} options - { sampleRows, samplingKey }
+ */
+export function buildColumnProfileQuery(database, table, columns, { sampleRows, samplingKey }) {
+  const aggregates = columns.flatMap((column, index) => {
+    const name = quoteIdentifier(column.name);
+    const alias = `c${index}`;
+    const kind = getColumnKind(column.parsed.base);
+    const parts = [`uniq(${name}) as ${alias}_uniq`];
+
+    if (column.parsed.nullable) {
+      parts.push(`countIf(isNull(${name})) as ${alias}_nulls`);
+    }
+    if (kind === 'integer' || kind === 'float' || kind === 'time') {
+      parts.push(`toString(min(${name})) as ${alias}_min`, `toString(max(${name})) as ${alias}_max`);
+    }
+    if (kind === 'string') {
+      parts.push(
+        `avg(length(${name})) as ${alias}_avg_length`,
+        `quantile(0.9)(length(${name})) as ${alias}_p90_length`,
+        `max(length(${name})) as ${alias}_max_length`
+      );
+    }
+    return parts;
+  });
+
+  // With a sampling key, SAMPLE n spreads the rows over the whole table
+  // rather than reading only the first parts
+  const sample = samplingKey ? ` SAMPLE ${sampleRows}` : '';
+
+  return `
+SELECT
+  count() as sampled_rows,
+  ${aggregates.join(',\n  ')}
+FROM (
+  SELECT ${columns.map((column) => quoteIdentifier(column.name)).join(', ')}
+  FROM \`${escapeIdentifier(database)}\`.\`${escapeIdentifier(table)}\`${sample}
+  LIMIT ${sampleRows}
+)`;
+}
+
+/**
+ * Map the profile query's single row back to one profile per column
+ */
+export function readColumnProfiles(columns, row) {
+  const sampledRows = Number(row.sampled_rows) || 0;
+  const number = (value) => (value === undefined || value === null ? null : Number(value));
+
+  return columns.map((column, index) => {
+    const alias = `c${index}`;
+    return {
+      name: column.name,
+      sampledRows,
+      distinct: number(row[`${alias}_uniq`]),
+      nullRatio: column.parsed.nullable && sampledRows > 0 ? number(row[`${alias}_nulls`]) / sampledRows : 0,
+      min: row[`${alias}_min`] ?? null,
+      max: row[`${alias}_max`] ?? null,
+      avgLength: number(row[`${alias}_avg_length`]),
+      p90Length: number(row[`${alias}_p90_length`]),
+      maxLength: number(row[`${alias}_max_length`]),
+    };
+  });
+}
+
+/**
+ * Smallest integer type of the same signedness holding [min, max]
+ */
+export function smallestIntegerType(base, min, max) {
+  const current = INTEGER_TYPES[base];
+  if (!current || min === null || max === null) return base;
+
+  let low;
+  let high;
+  try {
+    low = BigInt(min);
+    high = BigInt(max);
+  } catch {
+    return base;
+  }
+
+  const candidates = Object.entries(INTEGER_TYPES)
+    .filter(([, type]) => type.signed === current.signed && type.bytes <= current.bytes)
+    .sort(([, a], [, b]) => a.bytes - b.bytes);
+
+  for (const [name, type] of candidates) {
+    const bits = BigInt(type.bytes * 8);
+    const lower = type.signed ? -(1n << (bits - 1n)) : 0n;
+    const upper = type.signed ? (1n << (bits - 1n)) - 1n : (1n << bits) - 1n;
+    if (low >= lower && high <= upper) {
+      return name;
+    }
+  }
+  return base;
+}
+
+function valueWidth(parsed, profile) {
+  if (INTEGER_TYPES[parsed.base]) return INTEGER_TYPES[parsed.base].bytes;
+  if (parsed.base === 'String') return (profile.avgLength || 0) + 1;
+  return FIXED_WIDTHS[parsed.base] || 8;
+}
+
+function suggestCodec(column, kind, timeSeriesTable) {
+  if (column.codec_expression) return null;
+  if (kind === 'time' && column.is_in_sorting_key) {
+    return { codec: 'CODEC(DoubleDelta, ZSTD(1))', family: 'DoubleDelta', reason: 'sorted timestamps compress best as differences of differences' };
+  }
+  if (kind === 'integer' && column.is_in_sorting_key) {
+    return { codec: 'CODEC(Delta, ZSTD(1))', family: 'Delta', reason: 'sorted integers compress best as differences' };
+  }
+  if (kind === 'float' && timeSeriesTable) {
+    return { codec: 'CODEC(Gorilla)', family: 'Gorilla', reason: 'metric values in a time-ordered table usually change gradually' };
+  }
+  if (kind === 'string') {
+    return { codec: 'CODEC(ZSTD(3))', family: 'ZSTD', reason: 'ZSTD compresses text noticeably better than the default LZ4' };
+  }
+  return null;
+}
+
+function buildDefinition(column, type, codec) {
+  const parts = [quoteIdentifier(column.name), type];
+  if (column.default_kind && column.default_expression) {
+    parts.push(column.default_kind, column.default_expression);
+  }
+  if (codec) parts.push(codec);
+  if (column.ttl_expression) parts.push(`TTL ${column.ttl_expression}`);
+  return parts.join(' ');
+}
+
+/**
+ * Recommend type and codec changes from the column profiles
+ * Key columns keep their types (ClickHouse rejects most type changes to them)
+ * @param {Object} options
+ * @param {string} options.database - Validated database name
+ * @param {string} options.table - Validated table name
+ * @param {Array} options.columns - From getProfiledColumns, with codec_expression and key flags
+ * @param {Array} options.profiles - From readColumnProfiles
+ * @param {Array} options.storage - Per-column sizes from summarizeColumnStorage (may be empty)
+ * @param {Object} options.clusterConfig - Adds ON CLUSTER when clustered
+ * @returns {Array} - Advice per column, largest estimated saving first
+ */
+export function adviseColumns({ database, table, columns, profiles, storage = [], clusterConfig = {} }) {
+  const sizes = new Map(storage.map((column) => [column.name, column]));
+  const timeSeriesTable = columns.some((column) =>
+    column.is_in_sorting_key && getColumnKind(column.parsed.base) === 'time'
+  );
+  const onCluster = clusterConfig.isClustered && clusterConfig.defaultCluster
+    ? ` ON CLUSTER '${escapeIdentifier(clusterConfig.defaultCluster)}'`
+    : '';
+  const tableName = `\`${escapeIdentifier(database)}\`.\`${escapeIdentifier(table)}\``;
+
+  const advice = [];
+  columns.forEach((column, index) => {
+    const profile = profiles[index];
+    if (!profile || profile.sampledRows === 0) return;
+
+    const { parsed } = column;
+    const kind = getColumnKind(parsed.base);
+    const isKey = column.is_in_partition_key || column.is_in_sorting_key || column.is_in_primary_key;
+    const compressedBytes = sizes.get(column.name)?.compressed_bytes || 0;
+    const changes = [];
+    const verifications = [];
+    let typeSaving = 0;
+
+    let inner = parsed.inner;
+    let nullable = parsed.nullable;
+    let lowCardinality = parsed.lowCardinality;
+
+    if (!isKey) {
+      if (nullable && profile.nullRatio === 0) {
+        nullable = false;
+        typeSaving += 1 / (valueWidth(parsed, profile) + 1);
+        changes.push({ kind: 'nullable', description: 'No NULLs in the sample: drop Nullable and its null map' });
+        verifications.push(`SELECT count() FROM ${tableName} WHERE isNull(${quoteIdentifier(column.name)})`);
+      }
+
+      const distinctRatio = profile.distinct / profile.sampledRows;
+      if (kind === 'string' && !lowCardinality &&
+        profile.distinct <= LOW_CARDINALITY_MAX_DISTINCT &&
+        distinctRatio <= LOW_CARDINALITY_MAX_DISTINCT_RATIO) {
+        lowCardinality = true;
+        const indexWidth = profile.distinct < 256 ? 1 : profile.distinct < 65536 ? 2 : 4;
+        typeSaving += Math.max(0, 1 - indexWidth / ((profile.avgLength || 0) + 1));
+        changes.push({
+          kind: 'low_cardinality',
+          description: `${profile.distinct} distinct values in ${profile.sampledRows} sampled rows: store as LowCardinality`,
+        });
+      }
+
+      if (kind === 'integer') {
+        const narrower = smallestIntegerType(parsed.base, profile.min, profile.max);
+        if (narrower !== parsed.base) {
+          inner = narrower;
+          typeSaving += (1 - INTEGER_TYPES[narrower].bytes / INTEGER_TYPES[parsed.base].bytes) * INTEGER_NARROWING_DAMPING;
+          changes.push({
+            kind: 'narrower_integer',
+            description: `Sampled values range from ${profile.min} to ${profile.max}: ${narrower} is enough`,
+          });
+          verifications.push(`SELECT min(${quoteIdentifier(column.name)}), max(${quoteIdentifier(column.name)}) FROM ${tableName}`);
+        }
+      }
+    }
+
+    // LowCardinality brings its own dictionary encoding; codecs add little on top
+    const codec = lowCardinality ? null : suggestCodec(column, kind, timeSeriesTable);
+    if (codec) {
+      changes.push({ kind: 'codec', description: `${codec.codec}: ${codec.reason}` });
+    }
+
+    if (changes.length === 0) return;
+
+    let type = inner;
+    if (nullable) type = `Nullable(${type})`;
+    if (lowCardinality) type = `LowCardinality(${type})`;
+
+    const afterType = compressedBytes * (1 - Math.min(typeSaving, 0.95));
+    const codecSaving = codec ? afterType * CODEC_SAVINGS[codec.family] : 0;
+    const keptCodec = codec ? codec.codec : column.codec_expression || null;
+
+    advice.push({
+      column: column.name,
+      currentType: column.type,
+      suggestedType: type,
+      codec: codec?.codec || null,
+      changes,
+      profile,
+      compressedBytes,
+      estimatedSavingsBytes: Math.round(compressedBytes - afterType + codecSaving),
+      verifications,
+      statement: `ALTER TABLE ${tableName}${onCluster} MODIFY COLUMN ${buildDefinition(column, type, keptCodec)}`,
+    });
+  });
+
+  return advice.sort((a, b) => b.estimatedSavingsBytes - a.estimatedSavingsBytes);
+}
@@ -0,0 +1,69 @@
+/**
+ * Column storage breakdown
+ * What each column of a table costs on disk, from system.columns data_* columns
+ * or, on versions without them, summed from system.parts_columns
+ */
+
+import { checkColumnExists, executeQuerySafe } from './clickhouse';
+import { COLUMN_STORAGE, COLUMN_STORAGE_FROM_PARTS } from './queries';
+
+export const ColumnStorageSources = {
+  COLUMNS: 'system.columns',
+  PARTS_COLUMNS: 'system.parts_columns',
+};
+
+/**
+ * Add the compression ratio and each column's share of the table's compressed size
+ * @param {Array} rows - { name, type, compressed_bytes, uncompressed_bytes, marks_bytes }
+ * @returns {Object} - { columns, totals }
+ */
+export function summarizeColumnStorage(rows) {
+  const columns = rows.map((row) => ({
+    name: row.name,
+    type: row.type,
+    compressed_bytes: Number(row.compressed_bytes) || 0,
+    uncompressed_bytes: Number(row.uncompressed_bytes) || 0,
+    marks_bytes: Number(row.marks_bytes) || 0,
+  }));
+
+  const totals = columns.reduce((sum, column) => ({
+    compressed_bytes: sum.compressed_bytes + column.compressed_bytes,
+    uncompressed_bytes: sum.uncompressed_bytes + column.uncompressed_bytes,
+    marks_bytes: sum.marks_bytes + column.marks_bytes,
+  }), { compressed_bytes: 0, uncompressed_bytes: 0, marks_bytes: 0 });
+
+  const ratio = (uncompressed, compressed) => (compressed > 0 ? uncompressed / compressed : null);
+
+  return {
+    columns: columns.map((column) => ({
+      ...column,
+      compression_ratio: ratio(column.uncompressed_bytes, column.compressed_bytes),
+      share: totals.compressed_bytes > 0 ? column.compressed_bytes / totals.compressed_bytes : 0,
+    })),
+    totals: {
+      ...totals,
+      compression_ratio: ratio(totals.uncompressed_bytes, totals.compressed_bytes),
+    },
+  };
+}
+
+/**
+ * Per-column sizes of one table
+ * system.columns carries them on recent versions and is much cheaper than
+ * summing system.parts_columns over every part
+ * @returns {Object} - executeQuerySafe result plus `source`, with `data` summarized on success
+ */
+export async function getColumnStorage(client, database, table) {
+  const hasColumnSizes = await checkColumnExists(client, 'system', 'columns', 'data_compressed_bytes');
+  const source = hasColumnSizes ? ColumnStorageSources.COLUMNS : ColumnStorageSources.PARTS_COLUMNS;
+
+  const result = await executeQuerySafe(
+    client,
+    hasColumnSizes ? COLUMN_STORAGE : COLUMN_STORAGE_FROM_PARTS,
+    { params: { database, table } }
+  );
+
+  return result.success
+    ? { ...result, source, data: summarizeColumnStorage(result.data) }
+    : { ...result, source };
+}
@@ -18,6 +18,9 @@ export const ErrorTypes = {
   PERMISSION_DENIED: 'PERMISSION_DENIED',
   QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
   CONNECTION_ERROR: 'CONNECTION_ERROR',
+  TLS_ERROR: 'TLS_ERROR',
+  READ_ONLY: 'READ_ONLY',
+  CANCELLED: 'CANCELLED',
   QUERY_ERROR: 'QUERY_ERROR',
   TIMEOUT: 'TIMEOUT',
   UNKNOWN: 'UNKNOWN',
@@ -31,15 +34,206 @@ export const ErrorCodes = {
   UNKNOWN_TABLE: 60,
   UNKNOWN_DATABASE: 81,
   SYNTAX_ERROR: 62,
+  READONLY: 164,
+  QUERY_WAS_CANCELLED: 394,
+  MEMORY_LIMIT_EXCEEDED: 241,
+  TOO_MANY_PARTS: 252,
+  AUTHENTICATION_FAILED: 516,
+  SOCKET_TIMEOUT: 209,
+  TOO_MANY_ROWS_OR_BYTES: 396,
+  FUNCTION_NOT_ALLOWED: 446,
+};
+
+// What to do about failures seen in system.query_log, keyed by exception_code
+const ERROR_REMEDIATIONS = {
+  [ErrorCodes.MEMORY_LIMIT_EXCEEDED]: {
+    title: 'Memory limit exceeded',
+    steps: [
+      'Reduce GROUP BY / JOIN cardinality or pre-aggregate with a materialized view',
+      'Allow spilling with max_bytes_before_external_group_by / max_bytes_before_external_sort',
+      'Put the smaller table on the right side of JOINs, or use a dictionary',
+      'Raise max_memory_usage for this user only if the server has headroom',
+    ],
+  },
+  [ErrorCodes.TIMEOUT_EXCEEDED]: {
+    title: 'Query timeout',
+    steps: [
+      'Narrow the scanned range so the primary key and partitions can prune',
+      'Check the pattern in the Query Analyzer for regressions',
+      'Raise max_execution_time only for workloads that are expected to be long',
+    ],
+  },
+  [ErrorCodes.SOCKET_TIMEOUT]: {
+    title: 'Socket timeout',
+    steps: [
+      'Check network latency between client, server and replicas',
+      'Increase send_timeout / receive_timeout for large result sets',
+    ],
+  },
+  [ErrorCodes.TOO_MANY_PARTS]: {
+    title: 'Too many parts',
+    steps: [
+      'Batch inserts: fewer, larger INSERTs (ideally 10k-1M rows each)',
+      'Enable async_insert for many small writers',
+      'Check that the partition key is not too granular',
+      'Look for merges falling behind in system.merges',
+    ],
+  },
+  [ErrorCodes.AUTHENTICATION_FAILED]: {
+    title: 'Authentication failed',
+    steps: [
+      'Check the client credentials and whether the password was rotated',
+      'Verify the user exists and its host restrictions allow the client address',
+    ],
+  },
+  [ErrorCodes.ACCESS_DENIED]: {
+    title: 'Access denied',
+    steps: [
+      'Grant the missing privilege to the user or one of its roles',
+      'Check row policies and readonly settings applied to the user profile',
+    ],
+  },
+  [ErrorCodes.QUOTA_EXCEEDED]: {
+    title: 'Quota exceeded',
+    steps: [
+      'Review the quota assigned to the user in system.quotas',
+      'Spread the workload over time or raise the quota limits',
+    ],
+  },
+  [ErrorCodes.TOO_MANY_SIMULTANEOUS_QUERIES]: {
+    title: 'Too many simultaneous queries',
+    steps: [
+      'Add client-side concurrency limits or a connection pool',
+      'Review max_concurrent_queries and per-user limits',
+    ],
+  },
+  [ErrorCodes.TOO_MANY_ROWS_OR_BYTES]: {
+    title: 'Result or read limit exceeded',
+    steps: [
+      'Add filters or LIMIT so the query stays within max_rows_to_read / max_result_rows',
+      'Adjust the limits in the user profile if the query is legitimate',
+    ],
+  },
+  [ErrorCodes.UNKNOWN_TABLE]: {
+    title: 'Unknown table',
+    steps: ['Check for dropped or renamed tables and clients still referencing them'],
+  },
+  [ErrorCodes.UNKNOWN_DATABASE]: {
+    title: 'Unknown database',
+    steps: ['Check the default database configured in the client'],
+  },
+  [ErrorCodes.SYNTAX_ERROR]: {
+    title: 'Syntax error',
+    steps: ['Fix the query in the client that sends it; compare with the sample message'],
+  },
+  [ErrorCodes.READONLY]: {
+    title: 'Read-only user',
+    steps: ['Writes or setting changes were attempted by a readonly user or profile'],
+  },
+  [ErrorCodes.QUERY_WAS_CANCELLED]: {
+    title: 'Query cancelled',
+    steps: ['The query was killed or the client disconnected; usually not a server-side problem'],
+  },
+};
+
+const TLS_ERROR_MESSAGES = {
+  untrusted_certificate: 'The server certificate is not trusted. Provide the CA certificate that signed it.',
+  expired_certificate: 'The server certificate has expired or is not yet valid',
+  hostname_mismatch: 'The server certificate does not match the host name',
+  client_certificate: 'The server rejected the client certificate (mutual TLS)',
+  invalid_credentials: 'The provided certificate or key could not be loaded',
+  handshake: 'TLS handshake with the ClickHouse server failed',
 };
 
+/**
+ * Classify a TLS failure from Node's error code or message, or return null
+ */
+function getTlsErrorReason(error, lowerMessage) {
+  const code = String(error.code || '');
+
+  if (
+    ['DEPTH_ZERO_SELF_SIGNED_CERT', 'SELF_SIGNED_CERT_IN_CHAIN', 'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+      'UNABLE_TO_GET_ISSUER_CERT_LOCALLY', 'UNABLE_TO_GET_ISSUER_CERT'].includes(code) ||
+    lowerMessage.includes('self signed certificate') ||
+    lowerMessage.includes('self-signed certificate') ||
+    lowerMessage.includes('unable to verify the first certificate') ||
+    lowerMessage.includes('unable to get local issuer certificate')
+  ) {
+    return 'untrusted_certificate';
+  }
+
+  if (
+    ['CERT_HAS_EXPIRED', 'CERT_NOT_YET_VALID'].includes(code) ||
+    lowerMessage.includes('certificate has expired') ||
+    lowerMessage.includes('certificate is not yet valid')
+  ) {
+    return 'expired_certificate';
+  }
+
+  if (code === 'ERR_TLS_CERT_ALTNAME_INVALID' || lowerMessage.includes("does not match certificate's altnames")) {
+    return 'hostname_mismatch';
+  }
+
+  if (
+    lowerMessage.includes('alert certificate required') ||
+    lowerMessage.includes('alert bad certificate') ||
+    lowerMessage.includes('alert unknown ca')
+  ) {
+    return 'client_certificate';
+  }
+
+  if (
+    code.startsWith('ERR_OSSL') ||
+    lowerMessage.includes('pem routines') ||
+    lowerMessage.includes('key values mismatch')
+  ) {
+    return 'invalid_credentials';
+  }
+
+  if (
+    code === 'EPROTO' ||
+    code.startsWith('ERR_SSL') ||
+    code.startsWith('ERR_TLS') ||
+    lowerMessage.includes('ssl routines') ||
+    lowerMessage.includes('before secure tls connection was established') ||
+    lowerMessage.includes('tls handshake')
+  ) {
+    return 'handshake';
+  }
+
+  return null;
+}
+
 /**
  * Parse ClickHouse error and classify it
  */
 export function parseClickHouseError(error) {
+  // Already classified (e.g. rethrown by executeQuery or raised by the query guard)
+  if (error instanceof ClickHouseError) {
+    return error;
+  }
+
   const message = error.message || error.toString();
   const lowerMessage = message.toLowerCase();
 
+  // Cancelled by the user (aborted request or KILL QUERY)
+  if (
+    error.name === 'AbortError' ||
+    lowerMessage.includes('user aborted') ||
+    lowerMessage.includes('query was cancelled') ||
+    Number(error.code) === ErrorCodes.QUERY_WAS_CANCELLED
+  ) {
+    return new ClickHouseError(
+      message,
+      ErrorCodes.QUERY_WAS_CANCELLED,
+      ErrorTypes.CANCELLED,
+      {
+        userFriendlyMessage: 'Query cancelled',
+        canRetry: true,
+      }
+    );
+  }
+
   // Access/Permission errors
   if (
     lowerMessage.includes('access denied') ||
@@ -86,6 +280,22 @@ export function parseClickHouseError(error) {
     );
   }
 
+  // Statements rejected by ClickHouse's readonly setting
+  if (
+    lowerMessage.includes('in readonly mode') ||
+    Number(error.code) === ErrorCodes.READONLY
+  ) {
+    return new ClickHouseError(
+      message,
+      ErrorCodes.READONLY,
+      ErrorTypes.READ_ONLY,
+      {
+        userFriendlyMessage: 'This statement is blocked because CheckMyHouse runs in read-only mode',
+        canRetry: false,
+      }
+    );
+  }
+
   // Timeout errors
   if (
     lowerMessage.includes('timeout') ||
@@ -102,6 +312,22 @@ export function parseClickHouseError(error) {
     );
   }
 
+  // TLS handshake errors (checked before connection errors, whose keywords they share)
+  const tlsReason = getTlsErrorReason(error, lowerMessage);
+  if (tlsReason) {
+    return new ClickHouseError(
+      message,
+      'TLS_ERROR',
+      ErrorTypes.TLS_ERROR,
+      {
+        userFriendlyMessage: TLS_ERROR_MESSAGES[tlsReason],
+        tlsReason,
+        canRetry: false,
+        requiresAction: true,
+      }
+    );
+  }
+
   // Connection errors
   if (
     lowerMessage.includes('connection') ||
@@ -147,6 +373,14 @@ export function parseClickHouseError(error) {
   );
 }
 
+/**
+ * Remediation for a ClickHouse exception code, or null if the code is not known
+ * @returns {Object|null} - { title, steps }
+ */
+export function getErrorRemediation(code) {
+  return ERROR_REMEDIATIONS[Number(code)] || null;
+}
+
 /**
  * Check if error is a permission error
  */
@@ -171,6 +405,16 @@ export function canRetryError(error) {
   return parsed.details.canRetry === true;
 }
 
+/**
+ * Check if error means introspection functions (addressToSymbol, demangle) are unavailable:
+ * allow_introspection_functions is off and cannot be changed, or INTROSPECTION is not granted
+ */
+export function isIntrospectionError(error) {
+  const message = String(error?.message || error).toLowerCase();
+  return Number(error?.code) === ErrorCodes.FUNCTION_NOT_ALLOWED
+    || ['introspection', 'addresstosymbol', 'demangle'].some((keyword) => message.includes(keyword));
+}
+
 /**
  * Get user-friendly error message
  */
@@ -185,7 +429,7 @@ export function getUserFriendlyMessage(error) {
 export function getPermissionRequirements(systemTable) {
   const requirements = {
     'system.query_log': {
-      grant: 'SELECT(event_date, event_time, query, normalized_query_hash, query_duration_ms, memory_usage, read_rows, read_bytes, written_rows, written_bytes, result_rows, result_bytes, exception, user, query_kind, tables, ProfileEvents, thread_ids, type, is_initial_query, peak_memory_usage)',
+      grant: 'SELECT(event_date, event_time, query, normalized_query_hash, query_duration_ms, memory_usage, read_rows, read_bytes, written_rows, written_bytes, result_rows, result_bytes, exception, user, client_name, http_user_agent, query_kind, tables, ProfileEvents, thread_ids, type, is_initial_query, peak_memory_usage)',
       feature: 'Query Analyzer',
       description: 'Analyze query performance and patterns',
       documentation: 'https://clickhouse.com/docs/en/operations/system-tables/query_log',
@@ -208,6 +452,30 @@ export function getPermissionRequirements(systemTable) {
       description: 'Browse tables and metadata',
       documentation: 'https://clickhouse.com/docs/en/operations/system-tables/tables',
     },
+    'system.processes': {
+      grant: 'SELECT(query_id, initial_query_id, is_initial_query, user, elapsed, read_rows, read_bytes, total_rows_approx, written_rows, memory_usage, peak_memory_usage, query), KILL QUERY',
+      feature: 'Running Queries',
+      description: 'Watch queries in flight; KILL QUERY is only needed to cancel them',
+      documentation: 'https://clickhouse.com/docs/en/operations/system-tables/processes',
+    },
+    'system.trace_log': {
+      grant: 'SELECT(event_date, query_id, trace_type, trace, size), INTROSPECTION',
+      feature: 'Flamegraph',
+      description: 'Symbolize sampled stacks; the user profile must also allow allow_introspection_functions = 1',
+      documentation: 'https://clickhouse.com/docs/en/operations/system-tables/trace_log',
+    },
+    'system.parts_columns': {
+      grant: 'SELECT(database, table, active, column, type, column_position, column_data_compressed_bytes, column_data_uncompressed_bytes, column_marks_bytes)',
+      feature: 'Column Storage',
+      description: 'Per-column storage size on servers whose system.columns has no data_* columns',
+      documentation: 'https://clickhouse.com/docs/en/operations/system-tables/parts_columns',
+    },
+    'system.role_grants': {
+      grant: 'SELECT(user_name, granted_role_name)',
+      feature: 'Resource Usage by Role',
+      description: 'Roll up resource usage from users to their granted roles',
+      documentation: 'https://clickhouse.com/docs/en/operations/system-tables/role-grants',
+    },
   };
 
   return requirements[systemTable] || null;
@@ -270,6 +538,7 @@ export function createPermissionErrorResponse(table, feature) {
     error: `Insufficient permissions to access ${table}`,
     type: ErrorTypes.PERMISSION_DENIED,
     feature,
+    table,
     disabled: true,
     requirements: requirements || {
       table,
@@ -0,0 +1,337 @@
+/**
+ * EXPLAIN helpers
+ * Builds the EXPLAIN statements for a logged query, parses the
+ * `EXPLAIN indexes = 1` output into per-table index pruning and the
+ * `EXPLAIN PIPELINE graph = 1` DOT output into a layered processor graph
+ */
+
+import { EXPLAIN_QUERIES } from './queries';
+
+export const EXPLAIN_KINDS = Object.keys(EXPLAIN_QUERIES);
+
+const INDEX_TYPES = ['MinMax', 'Partition', 'PrimaryKey', 'Skip'];
+
+/**
+ * Strip what query_log keeps but EXPLAIN cannot wrap: a trailing semicolon and FORMAT clause
+ */
+export function prepareExplainTarget(sql) {
+  return String(sql || '')
+    .trim()
+    .replace(/;\s*$/, '')
+    .replace(/\s+FORMAT\s+[A-Za-z0-9_]+\s*$/i, '')
+    .trim();
+}
+
+/**
+ * EXPLAIN statement of the given kind for a prepared SELECT
+ */
+export function buildExplainQuery(kind, sql) {
+  // A replacer function keeps `$&`-style sequences in the query literal
+  return EXPLAIN_QUERIES[kind].replace('{query}', () => sql);
+}
+
+function parseRatio(value) {
+  const [selected, total] = value.split('/').map(Number);
+  return { selected, total };
+}
+
+/**
+ * Parse `EXPLAIN indexes = 1` lines into the indexes applied to each MergeTree read
+ * @param {string[]} lines - One plan line per row
+ * @returns {Array} - [{ table, indexes: [{ type, name, keys, condition, parts, granules }] }]
+ */
+export function parseIndexAnalysis(lines) {
+  const reads = [];
+  let read = null;
+  let index = null;
+  let inKeys = false;
+
+  lines.forEach((line) => {
+    const text = line.trim();
+
+    const readMatch = text.match(/^ReadFromMergeTree(?:\s+\((.*)\))?$/);
+    if (readMatch) {
+      read = { table: readMatch[1] || null, indexes: [] };
+      reads.push(read);
+      index = null;
+      return;
+    }
+
+    if (!read) return;
+
+    if (INDEX_TYPES.includes(text)) {
+      index = { type: text, name: null, keys: [], condition: null, parts: null, granules: null };
+      read.indexes.push(index);
+      inKeys = false;
+      return;
+    }
+
+    if (!index) return;
+
+    const field = text.match(/^([A-Z][A-Za-z ]*):\s*(.*)$/);
+    if (field) {
+      const [, name, value] = field;
+      inKeys = name === 'Keys';
+      if (name === 'Name') index.name = value;
+      if (name === 'Condition') index.condition = value;
+      if (name === 'Parts') index.parts = parseRatio(value);
+      if (name === 'Granules') index.granules = parseRatio(value);
+      return;
+    }
+
+    if (inKeys) {
+      index.keys.push(text);
+    } else {
+      // Any other plan step ends the index section
+      index = null;
+    }
+  });
+
+  return reads;
+}
+
+function prunedBy(index) {
+  if (!index?.granules) return false;
+  return index.granules.selected < index.granules.total
+    || (index.parts !== null && index.parts.selected < index.parts.total);
+}
+
+/**
+ * Summarize whether the primary key and skip indexes pruned anything per table
+ * @param {Array} reads - Output of parseIndexAnalysis
+ */
+export function summarizeIndexUsage(reads) {
+  const tables = reads.map((read) => {
+    const primaryKey = read.indexes.find((index) => index.type === 'PrimaryKey');
+    const skipIndexes = read.indexes.filter((index) => index.type === 'Skip');
+    const withGranules = read.indexes.filter((index) => index.granules);
+    const first = withGranules[0];
+    const last = withGranules[withGranules.length - 1];
+
+    return {
+      table: read.table,
+      indexes: read.indexes,
+      primaryKey: primaryKey
+        ? {
+          keys: primaryKey.keys,
+          used: Boolean(primaryKey.condition) && primaryKey.condition !== 'true',
+          pruned: prunedBy(primaryKey),
+        }
+        : null,
+      skipIndexes: skipIndexes.map((index) => ({ name: index.name, pruned: prunedBy(index) })),
+      partitionPruned: read.indexes.some((index) => ['MinMax', 'Partition'].includes(index.type) && prunedBy(index)),
+      parts: first && last ? { selected: last.parts?.selected ?? null, total: first.parts?.total ?? null } : null,
+      granules: first && last ? { selected: last.granules.selected, total: first.granules.total } : null,
+    };
+  });
+
+  const skipIndexes = tables.flatMap((table) => table.skipIndexes);
+  return {
+    tables,
+    primaryKeyPruned: tables.some((table) => table.primaryKey?.pruned),
+    skipIndexesPruned: skipIndexes.length > 0 ? skipIndexes.some((index) => index.pruned) : null,
+  };
+}
+
+// Split DOT text into statements and braces, ignoring separators inside quoted strings
+function tokenizeDot(dot) {
+  const tokens = [];
+  let current = '';
+  let inQuote = false;
+
+  const flush = () => {
+    if (current.trim()) tokens.push(current.trim());
+    current = '';
+  };
+
+  for (let i = 0; i < dot.length; i++) {
+    const char = dot[i];
+
+    if (inQuote) {
+      current += char;
+      if (char === '\\') {
+        current += dot[++i] ?? '';
+      } else if (char === '"') {
+        inQuote = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuote = true;
+      current += char;
+    } else if (char === '{' || char === '}') {
+      flush();
+      tokens.push(char);
+    } else if (char === ';' || char === '\n') {
+      flush();
+    } else {
+      current += char;
+    }
+  }
+  flush();
+
+  return tokens;
+}
+
+function unquote(value) {
+  return value.replace(/\\"/g, '"').replace(/\\n/g, ' ');
+}
+
+// "ExpressionTransform × 16" -> { name: 'ExpressionTransform', count: 16 }
+function parseProcessorLabel(label) {
+  const match = label.match(/^(.*?)\s*×\s*(\d+)$/);
+  return match
+    ? { name: match[1].trim(), count: Number(match[2]) }
+    : { name: label.trim(), count: 1 };
+}
+
+/**
+ * Parse `EXPLAIN PIPELINE graph = 1` DOT output
+ * Processors are grouped by the plan step (DOT cluster) they belong to
+ * @param {string} dot - DOT text
+ * @returns {Object} - { nodes: [{ id, name, count, group }], edges: [{ source, target, count }] }
+ */
+export function parsePipelineDot(dot) {
+  const nodes = [];
+  const edges = [];
+  const frames = [];
+  let pendingCluster = false;
+
+  const currentGroup = () => [...frames].reverse().find((frame) => frame.cluster)?.label || null;
+
+  tokenizeDot(String(dot || '')).forEach((token) => {
+    if (token === '{') {
+      frames.push({ cluster: pendingCluster, label: null });
+      pendingCluster = false;
+      return;
+    }
+
+    if (token === '}') {
+      frames.pop();
+      return;
+    }
+
+    if (/^subgraph\s+cluster/.test(token)) {
+      pendingCluster = true;
+      return;
+    }
+
+    const edge = token.match(/^(\w+)\s*->\s*(\w+)(?:\s*\[\s*label\s*=\s*"((?:[^"\\]|\\.)*)"\s*\])?$/);
+    if (edge) {
+      const count = edge[3] ? parseProcessorLabel(unquote(edge[3])).count : 1;
+      edges.push({ source: edge[1], target: edge[2], count });
+      return;
+    }
+
+    const node = token.match(/^(\w+)\s*\[\s*label\s*=\s*"((?:[^"\\]|\\.)*)"\s*\]$/);
+    if (node && !['node', 'edge', 'graph'].includes(node[1])) {
+      nodes.push({ id: node[1], ...parseProcessorLabel(unquote(node[2])), group: currentGroup() });
+      return;
+    }
+
+    const clusterLabel = token.match(/^label\s*=\s*"((?:[^"\\]|\\.)*)"$/);
+    const frame = frames[frames.length - 1];
+    if (clusterLabel && frame?.cluster) {
+      frame.label = unquote(clusterLabel[1]);
+    }
+  });
+
+  return { nodes, edges };
+}
+
+/**
+ * Merge identical processors within one plan step into a single node with a
+ * parallelism count (non-compact pipelines list every processor separately)
+ */
+export function collapsePipeline({ nodes, edges }) {
+  const collapsed = new Map();
+  const idMap = new Map();
+
+  nodes.forEach((node) => {
+    const key = `${node.group}\u0000${node.name}`;
+    if (!collapsed.has(key)) {
+      collapsed.set(key, { id: `p${collapsed.size}`, name: node.name, group: node.group, count: 0 });
+    }
+    const merged = collapsed.get(key);
+    merged.count += node.count;
+    idMap.set(node.id, merged.id);
+  });
+
+  const mergedEdges = new Map();
+  edges.forEach((edge) => {
+    const source = idMap.get(edge.source);
+    const target = idMap.get(edge.target);
+    if (!source || !target || source === target) return;
+
+    const key = `${source}->${target}`;
+    const merged = mergedEdges.get(key) || { source, target, count: 0 };
+    merged.count += edge.count;
+    mergedEdges.set(key, merged);
+  });
+
+  return { nodes: [...collapsed.values()], edges: [...mergedEdges.values()] };
+}
+
+/**
+ * Assign each processor a layer (longest path from a source) and a row within it,
+ * and flag where the pipeline fans out or serialises
+ */
+export function layoutPipeline({ nodes, edges }) {
+  const incoming = new Map(nodes.map((node) => [node.id, []]));
+  const outgoing = new Map(nodes.map((node) => [node.id, []]));
+  edges.forEach((edge) => {
+    incoming.get(edge.target)?.push(edge.source);
+    outgoing.get(edge.source)?.push(edge.target);
+  });
+
+  // Kahn's algorithm; anything left over (a cycle) goes after the last layer
+  const layers = new Map();
+  const remaining = new Map(nodes.map((node) => [node.id, incoming.get(node.id).length]));
+  const queue = nodes.filter((node) => remaining.get(node.id) === 0).map((node) => node.id);
+  queue.forEach((id) => layers.set(id, 0));
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    outgoing.get(id).forEach((target) => {
+      layers.set(target, Math.max(layers.get(target) ?? 0, layers.get(id) + 1));
+      remaining.set(target, remaining.get(target) - 1);
+      if (remaining.get(target) === 0) queue.push(target);
+    });
+  }
+
+  const lastLayer = Math.max(0, ...layers.values());
+  const rows = new Map();
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+
+  const laidOut = nodes.map((node) => {
+    const layer = remaining.get(node.id) > 0 ? lastLayer + 1 : layers.get(node.id);
+    const row = rows.get(layer) || 0;
+    rows.set(layer, row + 1);
+
+    const inputParallelism = Math.max(0, ...incoming.get(node.id).map((id) => byId.get(id).count));
+    return {
+      ...node,
+      layer,
+      row,
+      inputParallelism,
+      fansOut: inputParallelism > 0 && node.count > inputParallelism,
+      serializes: node.count === 1 && inputParallelism > 1,
+    };
+  });
+
+  return {
+    nodes: laidOut,
+    edges,
+    layerCount: Math.max(0, ...laidOut.map((node) => node.layer + 1)),
+    maxRows: Math.max(0, ...rows.values()),
+    maxParallelism: Math.max(0, ...laidOut.map((node) => node.count)),
+  };
+}
+
+/**
+ * Parsed, collapsed and laid out pipeline graph from `EXPLAIN PIPELINE graph = 1` output
+ */
+export function buildPipelineGraph(dot) {
+  return layoutPipeline(collapsePipeline(parsePipelineDot(dot)));
+}
@@ -0,0 +1,85 @@
+/**
+ * Flamegraph helpers
+ * Folds the symbolized system.trace_log stacks from QUERY_TRACE_STACKS into a
+ * call tree; CPU and Real samples are weighted by count, Memory by bytes allocated
+ */
+
+export const TRACE_TYPES = {
+  CPU: { label: 'CPU', weight: 'samples', unit: 'samples' },
+  Real: { label: 'Real', weight: 'samples', unit: 'samples' },
+  Memory: { label: 'Memory', weight: 'bytes', unit: 'bytes' },
+};
+
+// Frames addressToSymbol could not resolve (stripped binaries, JIT code)
+export const UNKNOWN_FRAME = '[unknown]';
+
+// Keep the response and the rendered tree manageable for very deep or wide profiles
+export const MAX_STACKS = 10000;
+
+function createFrame(name) {
+  return { name, value: 0, self: 0, children: [] };
+}
+
+/**
+ * Fold root-first stacks into a call tree
+ * @param {Array} rows - [{ stack: 'main;f;g', samples, bytes }]
+ * @param {string} weight - Row field to sum ('samples' or 'bytes')
+ * @returns {Object} - { name: 'all', value, self, children: [...] }, children sorted heaviest first
+ */
+export function foldStacks(rows, weight = 'samples') {
+  const root = createFrame('all');
+  const index = new Map([[root, new Map()]]);
+
+  rows.forEach((row) => {
+    const value = Number(row[weight]) || 0;
+    if (value <= 0) return;
+
+    const frames = String(row.stack || '').split(';');
+    let node = root;
+    node.value += value;
+
+    frames.forEach((frame) => {
+      const name = frame.trim() || UNKNOWN_FRAME;
+      const children = index.get(node);
+      let child = children.get(name);
+      if (!child) {
+        child = createFrame(name);
+        children.set(name, child);
+        index.set(child, new Map());
+        node.children.push(child);
+      }
+      child.value += value;
+      node = child;
+    });
+
+    node.self += value;
+  });
+
+  const sort = (node) => {
+    node.children.sort((a, b) => b.value - a.value);
+    node.children.forEach(sort);
+  };
+  sort(root);
+
+  return root;
+}
+
+/**
+ * Heaviest frames by self value (time or bytes spent in the frame itself)
+ */
+export function topFrames(tree, limit = 10) {
+  const totals = new Map();
+
+  const walk = (node) => {
+    if (node.self > 0) {
+      totals.set(node.name, (totals.get(node.name) || 0) + node.self);
+    }
+    node.children.forEach(walk);
+  };
+  tree.children.forEach(walk);
+
+  return [...totals.entries()]
+    .map(([name, self]) => ({ name, self, share: tree.value > 0 ? self / tree.value : 0 }))
+    .sort((a, b) => b.self - a.self)
+    .slice(0, limit);
+}
@@ -0,0 +1,215 @@
+/**
+ * Insert workload per target table
+ * Joins INSERT_WORKLOAD (query_log), INSERT_WORKLOAD_PARTS (part_log) and
+ * INSERT_WORKLOAD_PARTITIONS (system.parts) rows and flags tables whose insert
+ * pattern is likely to run into parts_to_delay_insert / parts_to_throw_insert
+ */
+
+// ClickHouse defaults since 23.x (older releases use 150 / 300)
+export const DEFAULT_INSERT_THRESHOLDS = {
+  parts_to_delay_insert: 1000,
+  parts_to_throw_insert: 3000,
+};
+
+// Guidance from the ClickHouse docs: at least 1000 rows per insert, about one insert per second
+export const SMALL_INSERT_ROWS = 1000;
+export const FREQUENT_INSERTS_PER_SECOND = 1;
+
+// Background merges rarely keep up with more new parts than this per table
+export const MAX_NEW_PARTS_PER_SECOND = 1;
+
+export const InsertRisk = {
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low',
+};
+
+const RISK_ORDER = [InsertRisk.LOW, InsertRisk.MEDIUM, InsertRisk.HIGH];
+
+// ClickHouse returns 64-bit integers as strings and empty aggregates as null
+function toNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+function tableKey(database, table) {
+  return `${database}.${table}`;
+}
+
+/**
+ * Table an INSERT wrote to, from the target named in the statement and the
+ * query's current database
+ * @returns {Object|null} - { database, table }, null for INSERT INTO FUNCTION
+ */
+export function resolveInsertTarget(insertTarget, currentDatabase) {
+  const name = (insertTarget || '').replace(/[`"]/g, '');
+  if (!name || name.toUpperCase() === 'FUNCTION') {
+    return null;
+  }
+
+  const dot = name.indexOf('.');
+  return dot > 0
+    ? { database: name.slice(0, dot), table: name.slice(dot + 1) }
+    : { database: currentDatabase, table: name };
+}
+
+/**
+ * Sum INSERT_WORKLOAD rows per destination table
+ * One table can be named several ways (`db`.`t`, db.t, or t from its own database);
+ * p99 and user counts of such rows are approximated by their maximum
+ */
+function groupInsertsByTable(rows) {
+  const byTable = new Map();
+
+  rows.forEach((row) => {
+    const target = resolveInsertTarget(row.insert_target, row.current_database);
+    if (!target) return;
+
+    const key = tableKey(target.database, target.table);
+    const current = byTable.get(key);
+    const next = {
+      ...target,
+      insert_count: toNumber(row.insert_count),
+      async_insert_count: toNumber(row.async_insert_count),
+      written_rows: toNumber(row.written_rows),
+      written_bytes: toNumber(row.written_bytes),
+      p99_duration_ms: toNumber(row.p99_duration_ms),
+      user_count: toNumber(row.user_count),
+      last_insert: row.last_insert,
+    };
+
+    byTable.set(key, current ? {
+      ...current,
+      insert_count: current.insert_count + next.insert_count,
+      async_insert_count: current.async_insert_count + next.async_insert_count,
+      written_rows: current.written_rows + next.written_rows,
+      written_bytes: current.written_bytes + next.written_bytes,
+      p99_duration_ms: Math.max(current.p99_duration_ms, next.p99_duration_ms),
+      user_count: Math.max(current.user_count, next.user_count),
+      last_insert: next.last_insert > current.last_insert ? next.last_insert : current.last_insert,
+    } : next);
+  });
+
+  return Array.from(byTable.values());
+}
+
+/**
+ * Server insert limits from MERGE_TREE_INSERT_THRESHOLDS rows, falling back to the defaults
+ */
+export function parseInsertThresholds(rows = []) {
+  const thresholds = { ...DEFAULT_INSERT_THRESHOLDS };
+  rows.forEach(({ name, value }) => {
+    if (name in thresholds && toNumber(value) > 0) {
+      thresholds[name] = toNumber(value);
+    }
+  });
+  return thresholds;
+}
+
+/**
+ * Flag the reasons a table's insert pattern may hit the parts limits
+ * @returns {Object} - { risk, reasons: [{ level, message }] }
+ */
+export function assessInsertRisk(table, thresholds = DEFAULT_INSERT_THRESHOLDS) {
+  const reasons = [];
+  const delayAt = thresholds.parts_to_delay_insert;
+  const throwAt = thresholds.parts_to_throw_insert;
+
+  if (table.max_parts_in_partition !== null) {
+    if (table.max_parts_in_partition >= delayAt) {
+      reasons.push({
+        level: InsertRisk.HIGH,
+        message: `${table.max_parts_in_partition} active parts in one partition: inserts are being delayed and fail at ${throwAt}`,
+      });
+    } else if (table.max_parts_in_partition >= delayAt / 2) {
+      reasons.push({
+        level: InsertRisk.MEDIUM,
+        message: `${table.max_parts_in_partition} active parts in one partition, approaching parts_to_delay_insert (${delayAt})`,
+      });
+    }
+  }
+
+  if (table.new_parts_per_second !== null && table.new_parts_per_second >= MAX_NEW_PARTS_PER_SECOND) {
+    reasons.push({
+      level: InsertRisk.HIGH,
+      message: `${table.new_parts_per_second.toFixed(1)} new parts per second; merges are unlikely to keep up`,
+    });
+  }
+
+  const mostlyAsync = table.async_insert_ratio >= 0.5;
+  if (
+    table.inserts_per_second >= FREQUENT_INSERTS_PER_SECOND
+    && table.avg_rows_per_insert < SMALL_INSERT_ROWS
+    && !mostlyAsync
+  ) {
+    reasons.push({
+      level: InsertRisk.MEDIUM,
+      message: `Small, frequent inserts (${Math.round(table.avg_rows_per_insert)} rows each); batch them or enable async_insert`,
+    });
+  }
+
+  if (table.parts_per_insert !== null && table.parts_per_insert > 1.5) {
+    reasons.push({
+      level: InsertRisk.MEDIUM,
+      message: `Each insert creates ${table.parts_per_insert.toFixed(1)} parts on average; check that the partition key is not too granular`,
+    });
+  }
+
+  const risk = reasons.reduce(
+    (highest, reason) => (RISK_ORDER.indexOf(reason.level) > RISK_ORDER.indexOf(highest) ? reason.level : highest),
+    InsertRisk.LOW
+  );
+
+  return { risk, reasons };
+}
+
+/**
+ * Per-table insert metrics, riskiest tables first
+ * `parts` and `partitions` are null when system.part_log / system.parts are unavailable
+ * @param {Object} options - { inserts, parts, partitions, windowSeconds, thresholds }
+ */
+export function buildInsertWorkload({ inserts, parts = null, partitions = null, windowSeconds, thresholds }) {
+  const partsByTable = new Map((parts || []).map((row) => [tableKey(row.database, row.table), row]));
+  const partitionsByTable = new Map((partitions || []).map((row) => [tableKey(row.database, row.table), row]));
+
+  const tables = groupInsertsByTable(inserts).map((row) => {
+    const key = tableKey(row.database, row.table);
+    const partRow = partsByTable.get(key);
+    const partitionRow = partitionsByTable.get(key);
+    const insertCount = row.insert_count;
+
+    const table = {
+      ...row,
+      inserts_per_second: insertCount / windowSeconds,
+      async_insert_ratio: insertCount > 0 ? row.async_insert_count / insertCount : 0,
+      avg_rows_per_insert: insertCount > 0 ? row.written_rows / insertCount : 0,
+      avg_bytes_per_insert: insertCount > 0 ? row.written_bytes / insertCount : 0,
+      new_parts: null,
+      new_parts_per_second: null,
+      parts_per_insert: null,
+      merges: null,
+      max_parts_in_partition: null,
+      active_parts: null,
+    };
+
+    if (parts) {
+      const newParts = toNumber(partRow?.new_parts);
+      const insertingQueries = toNumber(partRow?.inserting_queries);
+      table.new_parts = newParts;
+      table.new_parts_per_second = newParts / windowSeconds;
+      table.parts_per_insert = insertingQueries > 0 ? newParts / insertingQueries : null;
+      table.merges = toNumber(partRow?.merges);
+    }
+
+    if (partitions) {
+      table.max_parts_in_partition = toNumber(partitionRow?.max_parts_in_partition);
+      table.active_parts = toNumber(partitionRow?.active_parts);
+    }
+
+    return { ...table, ...assessInsertRisk(table, thresholds) };
+  });
+
+  return tables.sort((a, b) =>
+    RISK_ORDER.indexOf(b.risk) - RISK_ORDER.indexOf(a.risk) || b.insert_count - a.insert_count
+  );
+}
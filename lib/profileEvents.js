@@ -0,0 +1,107 @@
+/**
+ * ProfileEvents helpers
+ * Groups an execution's ProfileEvents map into categories, with descriptions
+ * from system.events, and ranks the events that differ most between two executions
+ */
+
+// First match wins, so the more specific categories come first
+export const PROFILE_EVENT_CATEGORIES = [
+  { id: 's3', label: 'S3 / Object Storage', match: /S3|Azure|ObjectStorage|DiskWeb|ReadBufferFromWeb/ },
+  { id: 'cache', label: 'Caches', match: /Cache|Cached/ },
+  { id: 'locks', label: 'Locks', match: /Lock|Mutex|Contention|RWLock/ },
+  { id: 'network', label: 'Network', match: /^Network|Connection|Distributed|Replica|Keeper|ZooKeeper|HTTP|TCP/ },
+  { id: 'mergeTreeReads', label: 'MergeTree Reads', match: /^(Selected|MergeTree|Marks?|IndexAnalysis|FilteringMarks|AnalyzePatchRanges|ReadTask|ParallelReplicas)/ },
+  { id: 'inserts', label: 'Inserts and Merges', match: /Insert|Merge|Mutation|Delay|Rejected/ },
+  { id: 'io', label: 'Disk I/O', match: /^(OS|Disk|File|ReadBuffer|WriteBuffer|ReadCompressed|CompressedRead|Seek|LocalRead|LocalWrite|AsynchronousRead|SynchronousRead|IO)/ },
+  { id: 'cpu', label: 'CPU and Threads', match: /CPU|Time(Microseconds)?$|Thread|Context|Sleep/ },
+  { id: 'memory', label: 'Memory', match: /Memory|Alloc|Arena|Page|Overcommit/ },
+  { id: 'query', label: 'Query Processing', match: /^(Query|Select|Function|Aggregat|Join|Sort|External|Compile|Regexp|Rows|Overflow)/ },
+];
+
+export const OTHER_CATEGORY = { id: 'other', label: 'Other' };
+
+/**
+ * Category of a ProfileEvents key
+ * @returns {Object} - { id, label }
+ */
+export function categorizeProfileEvent(name) {
+  const category = PROFILE_EVENT_CATEGORIES.find((candidate) => candidate.match.test(name));
+  return category ? { id: category.id, label: category.label } : OTHER_CATEGORY;
+}
+
+/**
+ * How a ProfileEvents value should be formatted: 'microseconds', 'milliseconds', 'bytes' or 'count'
+ */
+export function profileEventUnit(name) {
+  if (/Microseconds$/.test(name)) return 'microseconds';
+  if (/Milliseconds$/.test(name)) return 'milliseconds';
+  if (/Bytes/.test(name)) return 'bytes';
+  return 'count';
+}
+
+// ClickHouse returns 64-bit integers as strings
+function toNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+function describe(name, descriptions) {
+  return {
+    name,
+    category: categorizeProfileEvent(name).id,
+    unit: profileEventUnit(name),
+    description: descriptions[name] || null,
+  };
+}
+
+/**
+ * Group a ProfileEvents map by category
+ * @param {Object} profileEvents - { EventName: value }
+ * @param {Object} descriptions - { EventName: description } from system.events
+ * @returns {Array} - [{ id, label, events: [{ name, value, unit, description }] }] in category order, largest first
+ */
+export function groupProfileEvents(profileEvents = {}, descriptions = {}) {
+  const groups = new Map(
+    [...PROFILE_EVENT_CATEGORIES, OTHER_CATEGORY].map(({ id, label }) => [id, { id, label, events: [] }])
+  );
+
+  Object.entries(profileEvents || {}).forEach(([name, value]) => {
+    const event = { ...describe(name, descriptions), value: toNumber(value) };
+    if (event.value === 0) return;
+    groups.get(event.category).events.push(event);
+  });
+
+  return [...groups.values()]
+    .filter((group) => group.events.length > 0)
+    .map((group) => ({ ...group, events: group.events.sort((a, b) => b.value - a.value) }));
+}
+
+/**
+ * Events that differ between two executions, ranked by how many times larger one side is
+ * (log scale, so 0 -> 10 and 1M -> 10M rank alike) and then by absolute difference
+ * @param {Object} base - ProfileEvents map of the reference execution
+ * @param {Object} compare - ProfileEvents map of the execution being explained
+ * @param {Object} descriptions - { EventName: description } from system.events
+ * @returns {Array} - [{ name, category, unit, description, base, compare, delta, ratio, score }]
+ */
+export function diffProfileEvents(base = {}, compare = {}, descriptions = {}) {
+  const names = new Set([...Object.keys(base || {}), ...Object.keys(compare || {})]);
+
+  return [...names]
+    .map((name) => {
+      const baseValue = toNumber(base?.[name]);
+      const compareValue = toNumber(compare?.[name]);
+      const ratio = (compareValue + 1) / (baseValue + 1);
+
+      return {
+        ...describe(name, descriptions),
+        base: baseValue,
+        compare: compareValue,
+        delta: compareValue - baseValue,
+        ratio: baseValue > 0 ? compareValue / baseValue : null,
+        score: Math.abs(Math.log2(ratio)),
+      };
+    })
+    .filter((event) => event.delta !== 0)
+    .sort((a, b) => b.score - a.score || Math.abs(b.delta) - Math.abs(a.delta));
+}
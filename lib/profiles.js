@@ -0,0 +1,282 @@
+/**
+ * Saved connection profiles
+ *
+ * Two sources are merged:
+ * - server profiles from an admin-managed JSON file, which may carry passwords
+ *   (inline or via `passwordEnv`) and are read-only in the UI
+ * - user profiles saved from the UI, which never store passwords
+ *
+ * User profile changes read, modify and rewrite one file, so they go through a queue
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { connectionProfileSchema, validateInput } from './validation';
+
+export const ProfileSources = {
+  SERVER: 'server',
+  USER: 'user',
+};
+
+function getServerProfilesPath() {
+  return process.env.CHECKMYHOUSE_PROFILES_PATH ||
+    path.join(process.cwd(), 'checkmyhouse.profiles.json');
+}
+
+function getUserProfilesPath() {
+  return process.env.CHECKMYHOUSE_USER_PROFILES_PATH ||
+    path.join(process.cwd(), '.checkmyhouse', 'profiles.json');
+}
+
+async function readJsonFile(filePath, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Error reading ${filePath}:`, error.message);
+    }
+    return fallback;
+  }
+}
+
+async function writeJsonFile(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+  await fs.rename(tmpPath, filePath);
+}
+
+/**
+ * Load profiles from the server-side config file
+ */
+async function loadServerProfiles() {
+  const data = await readJsonFile(getServerProfilesPath(), { profiles: [] });
+  const profiles = Array.isArray(data) ? data : data.profiles || [];
+
+  return profiles
+    .filter((profile) => profile && profile.name && profile.host)
+    .map((profile) => ({
+      id: `server-${profile.id || profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+      name: profile.name,
+      host: profile.host,
+      username: profile.username || 'default',
+      database: profile.database || 'default',
+      password: profile.passwordEnv
+        ? process.env[profile.passwordEnv] || ''
+        : profile.password || '',
+      tls: profile.tls || null,
+      isDefault: profile.default === true,
+      source: ProfileSources.SERVER,
+    }));
+}
+
+/**
+ * Load a server profile's TLS block, reading `*File` entries from disk
+ */
+async function loadServerTls(tls) {
+  if (!tls) return undefined;
+
+  const readPem = async (inline, filePath) =>
+    inline || (filePath ? fs.readFile(filePath, 'utf8') : undefined);
+
+  return {
+    caCert: await readPem(tls.caCert, tls.caCertFile),
+    clientCert: await readPem(tls.clientCert, tls.clientCertFile),
+    clientKey: await readPem(tls.clientKey, tls.clientKeyFile),
+    skipVerify: tls.skipVerify === true,
+  };
+}
+
+async function loadUserStore() {
+  const data = await readJsonFile(getUserProfilesPath(), {});
+  return {
+    profiles: Array.isArray(data.profiles) ? data.profiles : [],
+    defaultProfileId: data.defaultProfileId || null,
+  };
+}
+
+// Shared by every copy of this module in the process
+const writer = globalThis.__checkmyhouseProfileStore ||
+  (globalThis.__checkmyhouseProfileStore = { queue: Promise.resolve() });
+
+/**
+ * Run `mutate(userStore)` with exclusive access and save the store afterwards
+ * Resolves with whatever `mutate` returns
+ */
+function updateUserStore(mutate) {
+  const run = writer.queue.then(async () => {
+    const userStore = await loadUserStore();
+    const result = await mutate(userStore);
+    await writeJsonFile(getUserProfilesPath(), userStore);
+    return result;
+  });
+  // Keep the queue going after a failed update
+  writer.queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Strip secrets before a profile leaves the server
+ */
+function toPublicProfile(profile, defaultProfileId) {
+  return {
+    id: profile.id,
+    name: profile.name,
+    host: profile.host,
+    username: profile.username,
+    database: profile.database,
+    source: profile.source,
+    hasPassword: Boolean(profile.password),
+    editable: profile.source === ProfileSources.USER,
+    isDefault: profile.id === defaultProfileId,
+  };
+}
+
+async function loadAllProfiles() {
+  const [serverProfiles, userStore] = await Promise.all([
+    loadServerProfiles(),
+    loadUserStore(),
+  ]);
+
+  const profiles = [
+    ...serverProfiles,
+    ...userStore.profiles.map((profile) => ({ ...profile, source: ProfileSources.USER })),
+  ];
+
+  // A default chosen in the UI wins over the one in the server file
+  const defaultProfileId =
+    (userStore.defaultProfileId && profiles.some((p) => p.id === userStore.defaultProfileId)
+      ? userStore.defaultProfileId
+      : serverProfiles.find((p) => p.isDefault)?.id) || null;
+
+  return { profiles, userStore, defaultProfileId };
+}
+
+/**
+ * List all profiles without secrets
+ */
+export async function listProfiles() {
+  const { profiles, defaultProfileId } = await loadAllProfiles();
+  return {
+    profiles: profiles.map((profile) => toPublicProfile(profile, defaultProfileId)),
+    defaultProfileId,
+  };
+}
+
+/**
+ * Resolve a profile into a connection config
+ * User profiles need the password (and any TLS material) supplied at connect time
+ */
+export async function resolveProfileConfig(profileId, { password, tls } = {}) {
+  const { profiles } = await loadAllProfiles();
+  const profile = profiles.find((p) => p.id === profileId);
+  if (!profile) {
+    return null;
+  }
+
+  const config = {
+    host: profile.host,
+    username: profile.username,
+    password: password !== undefined && password !== '' ? password : profile.password || '',
+    database: profile.database,
+    profileId: profile.id,
+    profileName: profile.name,
+  };
+
+  const profileTls = tls || await loadServerTls(profile.tls);
+  if (profileTls) {
+    config.tls = profileTls;
+  }
+
+  return config;
+}
+
+/**
+ * Create a user profile (any password in the input is discarded)
+ */
+export async function createProfile(input) {
+  const validated = validateInput(connectionProfileSchema, input);
+  if (!validated.success) {
+    return validated;
+  }
+
+  const profile = {
+    id: `user-${randomUUID()}`,
+    name: validated.data.name,
+    host: validated.data.host,
+    username: validated.data.username,
+    database: validated.data.database || 'default',
+  };
+
+  return updateUserStore((userStore) => {
+    userStore.profiles.push(profile);
+    if (input.isDefault) {
+      userStore.defaultProfileId = profile.id;
+    }
+    return { success: true, profile: toPublicProfile({ ...profile, source: ProfileSources.USER }, userStore.defaultProfileId) };
+  });
+}
+
+/**
+ * Update a user profile
+ */
+export async function updateProfile(profileId, input) {
+  return updateUserStore((userStore) => {
+    const index = userStore.profiles.findIndex((p) => p.id === profileId);
+    if (index === -1) {
+      return { success: false, error: 'Profile not found or not editable', status: 404 };
+    }
+
+    const validated = validateInput(connectionProfileSchema, { ...userStore.profiles[index], ...input });
+    if (!validated.success) {
+      return validated;
+    }
+
+    const profile = {
+      id: profileId,
+      name: validated.data.name,
+      host: validated.data.host,
+      username: validated.data.username,
+      database: validated.data.database || 'default',
+    };
+    userStore.profiles[index] = profile;
+
+    return { success: true, profile: toPublicProfile({ ...profile, source: ProfileSources.USER }, userStore.defaultProfileId) };
+  });
+}
+
+/**
+ * Delete a user profile
+ */
+export async function deleteProfile(profileId) {
+  return updateUserStore((userStore) => {
+    const remaining = userStore.profiles.filter((p) => p.id !== profileId);
+    if (remaining.length === userStore.profiles.length) {
+      return { success: false, error: 'Profile not found or not editable', status: 404 };
+    }
+
+    userStore.profiles = remaining;
+    if (userStore.defaultProfileId === profileId) {
+      userStore.defaultProfileId = null;
+    }
+    return { success: true };
+  });
+}
+
+/**
+ * Mark any profile (server or user) as the default
+ */
+export async function setDefaultProfile(profileId) {
+  const serverProfiles = await loadServerProfiles();
+
+  return updateUserStore((userStore) => {
+    const exists = [...serverProfiles, ...userStore.profiles].some((p) => p.id === profileId);
+    if (profileId && !exists) {
+      return { success: false, error: 'Profile not found', status: 404 };
+    }
+
+    userStore.defaultProfileId = profileId || null;
+    return { success: true, defaultProfileId: userStore.defaultProfileId };
+  });
+}
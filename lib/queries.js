@@ -1,6 +1,11 @@
 /**
  * ClickHouse Query Templates
  * All queries support cluster-aware execution via {table} placeholder
+ * query_log templates hide the app's own queries via the {self_filter} placeholder
+ * and take their window as unix seconds via {start_time}/{end_time}; both the
+ * event_date and event_time bounds are needed so whole partitions are pruned
+ * The analyzer templates take user-selected dimensions via {query_filters}
+ * (see lib/queryLogFilters.js), bound as query parameters
  */
 
 // ============================================
@@ -103,6 +108,47 @@ export const GET_TABLE_PARTS = `
   LIMIT 1000
 `;
 
+// Per-column storage from system.columns (data_* columns are not on every version)
+export const COLUMN_STORAGE = `
+  SELECT
+    name,
+    type,
+    data_compressed_bytes as compressed_bytes,
+    data_uncompressed_bytes as uncompressed_bytes,
+    marks_bytes
+  FROM system.columns
+  WHERE database = {database:String}
+    AND table = {table:String}
+  ORDER BY position
+`;
+
+// Same figures summed over the table's active parts, for older versions
+export const COLUMN_STORAGE_FROM_PARTS = `
+  SELECT
+    column as name,
+    any(type) as type,
+    sum(column_data_compressed_bytes) as compressed_bytes,
+    sum(column_data_uncompressed_bytes) as uncompressed_bytes,
+    sum(column_marks_bytes) as marks_bytes
+  FROM system.parts_columns
+  WHERE database = {database:String}
+    AND table = {table:String}
+    AND active = 1
+  GROUP BY column
+  ORDER BY min(column_position)
+`;
+
+// What the column advisor needs to know to sample a table
+export const COLUMN_ADVISOR_TABLE = `
+  SELECT
+    engine,
+    sampling_key,
+    total_rows
+  FROM system.tables
+  WHERE database = {database:String}
+    AND name = {table:String}
+`;
+
 // ============================================
 // COMPREHENSIVE QUERY ANALYZER
 // ============================================
@@ -299,9 +345,12 @@ SELECT
   groupArray(3)(exception) as sample_exceptions
 
 FROM {table}
-WHERE event_date >= today() - INTERVAL {days} DAY
-  AND type = 'QueryFinish'
-  AND query NOT LIKE '%system.query_log%'
+WHERE event_date >= toDate(toDateTime({start_time}))
+  AND event_date <= toDate(toDateTime({end_time}))
+  AND event_time >= toDateTime({start_time})
+  AND event_time < toDateTime({end_time})
+  AND {query_filters}
+  AND {self_filter}
   AND is_initial_query = 1
   AND normalized_query_hash != 0
 GROUP BY normalized_query_hash
@@ -310,6 +359,50 @@ ORDER BY {sort_column} DESC
 LIMIT {limit} OFFSET {offset}
 `;
 
+// Two windows per pattern in one scan; failed executions only count towards error_rate
+export const QUERY_ANALYZER_COMPARE = `
+WITH
+  event_time >= toDateTime({start_time}) AND event_time < toDateTime({end_time}) AS is_current,
+  event_time >= toDateTime({baseline_start_time}) AND event_time < toDateTime({baseline_end_time}) AS is_baseline,
+  type != 'QueryFinish' AS is_error
+SELECT
+  normalized_query_hash,
+  normalizeQuery(any(query)) as normalized_query,
+
+  countIf(is_current) as current_executions,
+  countIf(is_baseline) as baseline_executions,
+
+  countIf(is_current AND is_error) / greatest(countIf(is_current), 1) as current_error_rate,
+  countIf(is_baseline AND is_error) / greatest(countIf(is_baseline), 1) as baseline_error_rate,
+
+  quantileIf(0.50)(query_duration_ms, is_current AND NOT is_error) as current_p50_duration_ms,
+  quantileIf(0.50)(query_duration_ms, is_baseline AND NOT is_error) as baseline_p50_duration_ms,
+  quantileIf(0.99)(query_duration_ms, is_current AND NOT is_error) as current_p99_duration_ms,
+  quantileIf(0.99)(query_duration_ms, is_baseline AND NOT is_error) as baseline_p99_duration_ms,
+
+  quantileIf(0.99)(memory_usage, is_current AND NOT is_error) as current_p99_memory_bytes,
+  quantileIf(0.99)(memory_usage, is_baseline AND NOT is_error) as baseline_p99_memory_bytes,
+
+  avgIf(read_bytes, is_current AND NOT is_error) as current_avg_read_bytes,
+  avgIf(read_bytes, is_baseline AND NOT is_error) as baseline_avg_read_bytes,
+
+  sumIf(query_duration_ms, is_current) as current_total_duration_ms,
+  sumIf(query_duration_ms, is_baseline) as baseline_total_duration_ms
+
+FROM {table}
+WHERE event_date >= toDate(toDateTime(least({start_time}, {baseline_start_time})))
+  AND event_date <= toDate(toDateTime(greatest({end_time}, {baseline_end_time})))
+  AND (is_current OR is_baseline)
+  AND {query_filters}
+  AND {self_filter}
+  AND is_initial_query = 1
+  AND normalized_query_hash != 0
+GROUP BY normalized_query_hash
+HAVING current_executions >= {min_executions} OR baseline_executions >= {min_executions}
+ORDER BY current_total_duration_ms DESC, baseline_total_duration_ms DESC
+LIMIT {limit}
+`;
+
 export const QUERY_DRILLDOWN = `
 SELECT
   query_id,
@@ -341,12 +434,43 @@ SELECT
 
 FROM {table}
 WHERE normalized_query_hash = '{hash}'
-  AND event_date >= today() - INTERVAL {days} DAY
+  AND event_date >= toDate(toDateTime({start_time}))
+  AND event_date <= toDate(toDateTime({end_time}))
+  AND event_time >= toDateTime({start_time})
+  AND event_time < toDateTime({end_time})
   AND type = 'QueryFinish'
+  AND {self_filter}
 ORDER BY {sort_column} DESC
 LIMIT {limit} OFFSET {offset}
 `;
 
+// Buckets are unix seconds aligned to the interval; empty buckets are filled with zeros
+export const QUERY_DRILLDOWN_TIMESERIES = `
+SELECT
+  intDiv(toUnixTimestamp(event_time), {interval}) * {interval} as bucket,
+  count() as executions,
+  quantile(0.50)(query_duration_ms) as p50_duration_ms,
+  quantile(0.90)(query_duration_ms) as p90_duration_ms,
+  quantile(0.99)(query_duration_ms) as p99_duration_ms,
+  avg(memory_usage) as avg_memory_bytes,
+  quantile(0.99)(memory_usage) as p99_memory_bytes,
+  avg(read_bytes) as avg_read_bytes,
+  sum(read_bytes) as total_read_bytes
+FROM {table}
+WHERE normalized_query_hash = {hash:UInt64}
+  AND event_date >= toDate(toDateTime({start_time}))
+  AND event_date <= toDate(toDateTime({end_time}))
+  AND event_time >= toDateTime({start_time})
+  AND event_time < toDateTime({end_time})
+  AND type = 'QueryFinish'
+  AND {self_filter}
+GROUP BY bucket
+ORDER BY bucket WITH FILL
+  FROM intDiv({start_time}, {interval}) * {interval}
+  TO {end_time}
+  STEP {interval}
+`;
+
 export const SLOW_QUERIES = `
 SELECT
   query_id,
@@ -361,14 +485,564 @@ SELECT
   exception,
   tables
 FROM {table}
-WHERE event_date >= today() - INTERVAL {days} DAY
-  AND type = 'QueryFinish'
+WHERE event_date >= toDate(toDateTime({start_time}))
+  AND event_date <= toDate(toDateTime({end_time}))
+  AND event_time >= toDateTime({start_time})
+  AND event_time < toDateTime({end_time})
+  AND {query_filters}
   AND query_duration_ms > {threshold_ms}
-  AND query NOT LIKE '%system.query_log%'
+  AND {self_filter}
 ORDER BY query_duration_ms DESC
 LIMIT {limit}
 `;
 
+// Executions at least {factor} times slower than their own pattern's usual duration
+// The baseline covers {baseline_start_time} to {end_time} and only patterns with
+// a candidate in the current window; {baseline_column} is baseline_p50_ms or baseline_p90_ms
+export const SLOW_QUERIES_BY_BASELINE = `
+WITH
+  candidates AS (
+    SELECT
+      query_id,
+      normalized_query_hash,
+      query,
+      user,
+      query_duration_ms,
+      memory_usage,
+      read_rows,
+      read_bytes,
+      event_time,
+      exception,
+      tables
+    FROM {table}
+    WHERE event_date >= toDate(toDateTime({start_time}))
+      AND event_date <= toDate(toDateTime({end_time}))
+      AND event_time >= toDateTime({start_time})
+      AND event_time < toDateTime({end_time})
+      AND {query_filters}
+      AND query_duration_ms >= {min_duration_ms}
+      AND normalized_query_hash != 0
+      AND {self_filter}
+  ),
+  baselines AS (
+    SELECT
+      normalized_query_hash,
+      quantile(0.5)(query_duration_ms) as baseline_p50_ms,
+      quantile(0.9)(query_duration_ms) as baseline_p90_ms,
+      count() as baseline_executions
+    FROM {table}
+    WHERE event_date >= toDate(toDateTime({baseline_start_time}))
+      AND event_date <= toDate(toDateTime({end_time}))
+      AND event_time >= toDateTime({baseline_start_time})
+      AND event_time < toDateTime({end_time})
+      AND type = 'QueryFinish'
+      AND {self_filter}
+      AND normalized_query_hash IN (SELECT normalized_query_hash FROM candidates)
+    GROUP BY normalized_query_hash
+    HAVING baseline_executions >= {min_executions}
+  )
+SELECT
+  c.query_id as query_id,
+  c.normalized_query_hash as query_pattern,
+  c.query as query,
+  c.user as user,
+  c.query_duration_ms as query_duration_ms,
+  c.memory_usage as memory_usage,
+  c.read_rows as read_rows,
+  c.read_bytes as read_bytes,
+  c.event_time as event_time,
+  c.exception as exception,
+  c.tables as tables,
+  round(b.baseline_p50_ms, 2) as baseline_p50_ms,
+  round(b.baseline_p90_ms, 2) as baseline_p90_ms,
+  b.baseline_executions as baseline_executions,
+  round(c.query_duration_ms / greatest(b.{baseline_column}, 1), 2) as outlier_factor
+FROM candidates c
+INNER JOIN baselines b ON c.normalized_query_hash = b.normalized_query_hash
+WHERE outlier_factor >= {factor}
+ORDER BY outlier_factor DESC, query_duration_ms DESC
+LIMIT {limit}
+`;
+
+// Cancel a query the app started (the only non-read statement it sends)
+export const KILL_QUERY_BY_ID = `KILL QUERY WHERE query_id = {query_id:String} ASYNC`;
+
+// ============================================
+// RUNNING QUERIES
+// ============================================
+
+// Queries in flight on every replica; {running_filters} comes from lib/runningQueries
+export const RUNNING_QUERIES = `
+SELECT
+  hostName() as hostname,
+  query_id,
+  initial_query_id,
+  is_initial_query,
+  user,
+  elapsed,
+  read_rows,
+  read_bytes,
+  total_rows_approx,
+  written_rows,
+  memory_usage,
+  peak_memory_usage,
+  query
+FROM {table}
+WHERE {self_filter}
+  AND {running_filters}
+ORDER BY {sort_column} DESC
+LIMIT {limit}
+`;
+
+// One running query, looked up before it is killed so the audit log records what it was
+export const RUNNING_QUERY_BY_ID = `
+SELECT
+  hostName() as hostname,
+  query_id,
+  user,
+  elapsed,
+  query
+FROM {table}
+WHERE query_id = {query_id:String}
+LIMIT 1
+`;
+
+// Kill a query started by anyone; only sent when read-only mode is off
+// {on_cluster} reaches queries running on other replicas
+export const KILL_RUNNING_QUERY = `KILL QUERY{on_cluster} WHERE query_id = {query_id:String} ASYNC`;
+
+// ============================================
+// FAILED QUERIES
+// ============================================
+
+export const FAILED_QUERIES = `
+SELECT
+  exception_code,
+  errorCodeToName(exception_code) as exception_name,
+  normalized_query_hash,
+  normalizeQuery(any(query)) as normalized_query,
+  count() as failure_count,
+  countIf(type = 'ExceptionBeforeStart') as before_start_count,
+  uniqExact(user) as affected_user_count,
+  groupUniqArray(10)(user) as affected_users,
+  groupUniqArray(3)(exception) as sample_messages,
+  min(event_time) as first_seen,
+  max(event_time) as last_seen
+FROM {table}
+WHERE event_date >= toDate(toDateTime({start_time}))
+  AND event_date <= toDate(toDateTime({end_time}))
+  AND event_time >= toDateTime({start_time})
+  AND event_time < toDateTime({end_time})
+  AND type IN ('ExceptionBeforeStart', 'ExceptionWhileProcessing')
+  AND {self_filter}
+  AND is_initial_query = 1
+GROUP BY exception_code, normalized_query_hash
+ORDER BY failure_count DESC
+LIMIT {limit}
+`;
+
+// Failures per bucket and code (not limited, so totals per code are exact)
+export const FAILED_QUERIES_TIMELINE = `
+SELECT
+  intDiv(toUnixTimestamp(event_time), {interval}) * {interval} as bucket,
+  exception_code,
+  errorCodeToName(exception_code) as exception_name,
+  count() as failures
+FROM {table}
+WHERE event_date >= toDate(toDateTime({start_time}))
+  AND event_date <= toDate(toDateTime({end_time}))
+  AND event_time >= toDateTime({start_time})
+  AND event_time < toDateTime({end_time})
+  AND type IN ('ExceptionBeforeStart', 'ExceptionWhileProcessing')
+  AND {self_filter}
+  AND is_initial_query = 1
+GROUP BY bucket, exception_code, exception_name
+ORDER BY bucket
+`;
+
+// ============================================
+// INSERT WORKLOAD
+// ============================================
+
+// Inserts per destination, as named in the statement: `tables` also lists the
+// sources of INSERT ... SELECT and the tables reached through materialized views.
+// Names are resolved to database.table in lib/insertWorkload
+export const INSERT_WORKLOAD = `
+SELECT
+  current_database,
+  extract(query, '(?i)INSERT[[:space:]]+INTO[[:space:]]+(?:TABLE[[:space:]]+)?([^[:space:](]+)') as insert_target,
+  count() as insert_count,
+  countIf(Settings['async_insert'] = '1') as async_insert_count,
+  sum(written_rows) as written_rows,
+  sum(written_bytes) as written_bytes,
+  quantile(0.99)(query_duration_ms) as p99_duration_ms,
+  uniqExact(user) as user_count,
+  max(event_time) as last_insert
+FROM {table}
+WHERE event_date >= toDate(toDateTime({start_time}))
+  AND event_date <= toDate(toDateTime({end_time}))
+  AND event_time >= toDateTime({start_time})
+  AND event_time < toDateTime({end_time})
+  AND type = 'QueryFinish'
+  AND query_kind = 'Insert'
+  AND {self_filter}
+  AND is_initial_query = 1
+GROUP BY current_database, insert_target
+HAVING insert_target != ''
+ORDER BY insert_count DESC
+LIMIT {limit}
+`;
+
+// Parts written by inserts and merges (system.part_log is optional server config)
+export const INSERT_WORKLOAD_PARTS = `
+SELECT
+  database,
+  table,
+  countIf(event_type = 'NewPart') as new_parts,
+  uniqExactIf(query_id, event_type = 'NewPart') as inserting_queries,
+  uniqExactIf(partition_id, event_type = 'NewPart') as partitions_written,
+  avgIf(rows, event_type = 'NewPart') as avg_rows_per_part,
+  countIf(event_type = 'MergeParts') as merges
+FROM {table}
+WHERE event_date >= toDate(toDateTime({start_time}))
+  AND event_date <= toDate(toDateTime({end_time}))
+  AND event_time >= toDateTime({start_time})
+  AND event_time < toDateTime({end_time})
+  AND event_type IN ('NewPart', 'MergeParts')
+GROUP BY database, table
+`;
+
+// Busiest partition per table right now (per host, so replicas are not summed)
+export const INSERT_WORKLOAD_PARTITIONS = `
+SELECT
+  database,
+  table,
+  max(part_count) as max_parts_in_partition,
+  sum(part_count) as active_parts
+FROM (
+  SELECT hostName() as host, database, table, partition_id, count() as part_count
+  FROM {table}
+  WHERE active = 1
+    AND database NOT IN ('system', 'INFORMATION_SCHEMA', 'information_schema')
+  GROUP BY host, database, table, partition_id
+)
+GROUP BY database, table
+`;
+
+// Server-wide limits; per-table SETTINGS overrides are not taken into account
+export const MERGE_TREE_INSERT_THRESHOLDS = `
+SELECT name, value
+FROM system.merge_tree_settings
+WHERE name IN ('parts_to_delay_insert', 'parts_to_throw_insert')
+`;
+
+// ============================================
+// RESOURCE USAGE
+// ============================================
+
+// Resource totals per {dimension} (an expression from RESOURCE_DIMENSIONS in lib/resourceUsage.js)
+// CPU and I/O come from the same ProfileEvents as the drilldown
+export const RESOURCE_USAGE = `
+SELECT
+  {dimension} as dimension,
+  count() as query_count,
+  countIf(type != 'QueryFinish') as failed_count,
+  sum(query_duration_ms) / 1000 as query_seconds,
+  sum(ProfileEvents['UserTimeMicroseconds'] + ProfileEvents['SystemTimeMicroseconds']) / 1000000 as cpu_seconds,
+  sum(read_bytes) as read_bytes,
+  sum(ProfileEvents['OSReadBytes']) as io_read_bytes,
+  sum(written_bytes) as written_bytes,
+  sum(memory_usage) as memory_bytes,
+  max(memory_usage) as peak_memory_bytes
+FROM {table}
+WHERE event_date >= toDate(toDateTime({start_time}))
+  AND event_date <= toDate(toDateTime({end_time}))
+  AND event_time >= toDateTime({start_time})
+  AND event_time < toDateTime({end_time})
+  AND type != 'QueryStart'
+  AND {self_filter}
+  AND is_initial_query = 1
+GROUP BY dimension
+ORDER BY cpu_seconds DESC
+LIMIT {limit}
+`;
+
+// Window totals, so shares stay correct when the ranking is limited
+export const RESOURCE_USAGE_TOTALS = `
+SELECT
+  count() as query_count,
+  countIf(type != 'QueryFinish') as failed_count,
+  sum(query_duration_ms) / 1000 as query_seconds,
+  sum(ProfileEvents['UserTimeMicroseconds'] + ProfileEvents['SystemTimeMicroseconds']) / 1000000 as cpu_seconds,
+  sum(read_bytes) as read_bytes,
+  sum(ProfileEvents['OSReadBytes']) as io_read_bytes,
+  sum(written_bytes) as written_bytes,
+  sum(memory_usage) as memory_bytes,
+  max(memory_usage) as peak_memory_bytes
+FROM {table}
+WHERE event_date >= toDate(toDateTime({start_time}))
+  AND event_date <= toDate(toDateTime({end_time}))
+  AND event_time >= toDateTime({start_time})
+  AND event_time < toDateTime({end_time})
+  AND type != 'QueryStart'
+  AND {self_filter}
+  AND is_initial_query = 1
+`;
+
+// query_log has no role column; usage by role is rolled up from users' granted roles
+export const USER_ROLE_GRANTS = `
+SELECT user_name, granted_role_name
+FROM system.role_grants
+WHERE user_name IS NOT NULL
+`;
+
+// ============================================
+// EXPLAIN
+// ============================================
+
+// {query} is a single SELECT checked with isSelectQuery (lib/queryGuard.js)
+export const EXPLAIN_QUERIES = {
+  plan: 'EXPLAIN PLAN {query}',
+  pipeline: 'EXPLAIN PIPELINE {query}',
+  pipelineGraph: 'EXPLAIN PIPELINE graph = 1 {query}',
+  indexes: 'EXPLAIN indexes = 1 {query}',
+  estimate: 'EXPLAIN ESTIMATE {query}',
+};
+
+// ============================================
+// PROFILE EVENTS
+// ============================================
+
+// Full ProfileEvents of up to two executions (finish rows only)
+export const QUERY_PROFILE_EVENTS = `
+SELECT
+  query_id,
+  event_time,
+  query_duration_ms,
+  ProfileEvents
+FROM {table}
+WHERE event_date >= toDate(toDateTime({start_time}))
+  AND event_date <= toDate(toDateTime({end_time}))
+  AND query_id IN {query_ids:Array(String)}
+  AND type != 'QueryStart'
+LIMIT 2
+`;
+
+// Run with system_events_show_zero_values = 1 so every event is listed
+export const PROFILE_EVENT_DESCRIPTIONS = `
+SELECT name, description
+FROM system.events
+`;
+
+// ============================================
+// QUERY LIFECYCLE
+// ============================================
+
+// Start and finish rows of a query and of the secondary queries it sent to other shards
+export const QUERY_LIFECYCLE_LOG = `
+SELECT
+  hostName() as host,
+  type,
+  query_id,
+  initial_query_id,
+  is_initial_query,
+  query_kind,
+  query,
+  user,
+  current_database,
+  toUnixTimestamp64Micro(query_start_time_microseconds) as start_us,
+  toUnixTimestamp64Micro(event_time_microseconds) as event_us,
+  query_duration_ms,
+  read_rows,
+  read_bytes,
+  written_rows,
+  written_bytes,
+  result_rows,
+  memory_usage,
+  exception_code,
+  exception,
+  tables,
+  views,
+  ProfileEvents,
+  Settings
+FROM {table}
+WHERE event_date >= toDate(toDateTime({start_time}))
+  AND event_date <= toDate(toDateTime({end_time}))
+  AND (query_id = {query_id:String} OR initial_query_id = {query_id:String})
+ORDER BY event_us
+LIMIT 1000
+`;
+
+export const QUERY_LIFECYCLE_THREADS = `
+SELECT
+  hostName() as host,
+  query_id,
+  thread_name,
+  thread_id,
+  master_thread_id,
+  query_duration_ms,
+  read_rows,
+  read_bytes,
+  written_rows,
+  peak_memory_usage,
+  ProfileEvents['UserTimeMicroseconds'] as user_time_us,
+  ProfileEvents['SystemTimeMicroseconds'] as system_time_us,
+  ProfileEvents['OSCPUWaitMicroseconds'] as cpu_wait_us
+FROM {table}
+WHERE event_date >= toDate(toDateTime({start_time}))
+  AND event_date <= toDate(toDateTime({end_time}))
+  AND query_id IN {query_ids:Array(String)}
+ORDER BY query_duration_ms DESC
+LIMIT 1000
+`;
+
+export const QUERY_LIFECYCLE_VIEWS = `
+SELECT
+  hostName() as host,
+  view_name,
+  view_type,
+  view_target,
+  status,
+  view_duration_ms,
+  read_rows,
+  read_bytes,
+  written_rows,
+  written_bytes,
+  peak_memory_usage,
+  exception
+FROM {table}
+WHERE event_date >= toDate(toDateTime({start_time}))
+  AND event_date <= toDate(toDateTime({end_time}))
+  AND initial_query_id IN {query_ids:Array(String)}
+ORDER BY view_duration_ms DESC
+LIMIT 1000
+`;
+
+export const QUERY_LIFECYCLE_PARTS = `
+SELECT
+  hostName() as host,
+  event_type,
+  database,
+  table,
+  partition_id,
+  part_name,
+  rows,
+  size_in_bytes,
+  duration_ms,
+  error
+FROM {table}
+WHERE event_date >= toDate(toDateTime({start_time}))
+  AND event_date <= toDate(toDateTime({end_time}))
+  AND query_id IN {query_ids:Array(String)}
+ORDER BY event_time_microseconds
+LIMIT 1000
+`;
+
+// Spans are only recorded for traced queries (traceparent header or opentelemetry_start_trace_probability)
+export const QUERY_LIFECYCLE_TRACES = `
+SELECT DISTINCT toString(trace_id) as trace_id
+FROM {table}
+WHERE finish_date >= toDate(toDateTime({start_time}))
+  AND finish_date <= toDate(toDateTime({end_time}))
+  AND attribute['clickhouse.query_id'] IN {query_ids:Array(String)}
+LIMIT 10
+`;
+
+// Every span of those traces, including the ones that carry no query_id attribute
+export const QUERY_LIFECYCLE_SPANS = `
+SELECT
+  hostName() as host,
+  toString(trace_id) as trace_id,
+  toString(span_id) as span_id,
+  toString(parent_span_id) as parent_span_id,
+  operation_name,
+  start_time_us,
+  finish_time_us,
+  attribute
+FROM {table}
+WHERE finish_date >= toDate(toDateTime({start_time}))
+  AND finish_date <= toDate(toDateTime({end_time}))
+  AND toString(trace_id) IN {trace_ids:Array(String)}
+ORDER BY start_time_us
+LIMIT 2000
+`;
+
+// ============================================
+// TRACE LOG
+// ============================================
+
+// Root-first stacks, one row per distinct stack; needs allow_introspection_functions
+// and the INTROSPECTION privilege. Memory samples are weighted by bytes allocated
+export const QUERY_TRACE_STACKS = `
+SELECT
+  arrayStringConcat(arrayReverse(arrayMap(x -> demangle(addressToSymbol(x)), trace)), ';') as stack,
+  count() as samples,
+  sumIf(size, size > 0) as bytes
+FROM {table}
+WHERE event_date >= toDate(toDateTime({start_time}))
+  AND event_date <= toDate(toDateTime({end_time}))
+  AND query_id = {query_id:String}
+  AND trace_type = {trace_type:String}
+GROUP BY stack
+ORDER BY samples DESC
+LIMIT {limit}
+`;
+
+// ============================================
+// ALERTS
+// ============================================
+
+// Each alert metric returns one row: `value` (NULL without data) and the
+// `subject` it was measured on. An empty {database}/{table} matches everything
+
+export const ALERT_PATTERN_P99 = `
+SELECT
+  if(count() = 0, NULL, quantile(0.99)(query_duration_ms)) as value,
+  toString({pattern_hash:UInt64}) as subject
+FROM {table}
+WHERE event_date >= toDate(now() - toIntervalSecond({window_seconds:UInt32}))
+  AND event_time >= now() - toIntervalSecond({window_seconds:UInt32})
+  AND type = 'QueryFinish'
+  AND normalized_query_hash = {pattern_hash:UInt64}
+`;
+
+export const ALERT_FAILED_QUERIES = `
+SELECT
+  count() / ({window_seconds:UInt32} / 60) as value,
+  if(count() = 0, '', topK(1)(errorCodeToName(exception_code))[1]) as subject
+FROM {table}
+WHERE event_date >= toDate(now() - toIntervalSecond({window_seconds:UInt32}))
+  AND event_time >= now() - toIntervalSecond({window_seconds:UInt32})
+  AND type IN ('ExceptionBeforeStart', 'ExceptionWhileProcessing')
+  AND ({database:String} = '' OR has(databases, {database:String}))
+  AND ({table:String} = '' OR has(tables, concat({database:String}, '.', {table:String})))
+  AND {self_filter}
+`;
+
+export const ALERT_PARTS_PER_PARTITION = `
+SELECT
+  concat(database, '.', table, ' partition ', partition_id, ' on ', hostName()) as subject,
+  count() as value
+FROM {table}
+WHERE active
+  AND ({database:String} = '' OR database = {database:String})
+  AND ({table:String} = '' OR table = {table:String})
+GROUP BY subject
+ORDER BY value DESC
+LIMIT 1
+`;
+
+export const ALERT_REPLICATION_DELAY = `
+SELECT
+  concat(database, '.', table, ' on ', hostName()) as subject,
+  absolute_delay as value
+FROM {table}
+WHERE ({database:String} = '' OR database = {database:String})
+  AND ({table:String} = '' OR table = {table:String})
+ORDER BY value DESC
+LIMIT 1
+`;
+
 // ============================================
 // MATERIALIZED VIEWS
 // ============================================
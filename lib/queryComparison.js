@@ -0,0 +1,121 @@
+/**
+ * Period-over-period comparison of query patterns
+ * Turns QUERY_ANALYZER_COMPARE rows into per-metric deltas and flags
+ * regressions, improvements, and new or disappeared patterns
+ */
+
+// A metric regresses when it grows by both the relative and the absolute amount
+export const REGRESSION_THRESHOLDS = {
+  p50_duration_ms: { relative: 0.2, absolute: 10 },
+  p99_duration_ms: { relative: 0.2, absolute: 50 },
+  p99_memory_bytes: { relative: 0.2, absolute: 10 * 1024 * 1024 },
+  avg_read_bytes: { relative: 0.2, absolute: 10 * 1024 * 1024 },
+  error_rate: { relative: 0, absolute: 0.01 },
+};
+
+export const COMPARED_METRICS = Object.keys(REGRESSION_THRESHOLDS);
+
+export const ComparisonStatus = {
+  REGRESSED: 'regressed',
+  IMPROVED: 'improved',
+  UNCHANGED: 'unchanged',
+  NEW: 'new',
+  DISAPPEARED: 'disappeared',
+  INSUFFICIENT_DATA: 'insufficient_data',
+};
+
+/**
+ * Delta between two values of one metric
+ */
+export function computeDelta(current, baseline, threshold) {
+  const absolute = current - baseline;
+  const relative = baseline > 0 ? absolute / baseline : null;
+
+  const exceeds = (change, relativeChange) =>
+    change >= threshold.absolute
+    && (relativeChange === null || relativeChange >= threshold.relative);
+
+  return {
+    current,
+    baseline,
+    absolute,
+    relative,
+    regressed: exceeds(absolute, relative),
+    improved: exceeds(-absolute, relative === null ? null : -relative),
+  };
+}
+
+// ClickHouse returns 64-bit integers as strings and empty aggregates as null
+function toNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+function getStatus(currentExecutions, baselineExecutions, deltas, minExecutions) {
+  if (baselineExecutions === 0) return ComparisonStatus.NEW;
+  if (currentExecutions === 0) return ComparisonStatus.DISAPPEARED;
+  if (currentExecutions < minExecutions || baselineExecutions < minExecutions) {
+    return ComparisonStatus.INSUFFICIENT_DATA;
+  }
+
+  const values = Object.values(deltas);
+  if (values.some((delta) => delta.regressed)) return ComparisonStatus.REGRESSED;
+  if (values.some((delta) => delta.improved)) return ComparisonStatus.IMPROVED;
+  return ComparisonStatus.UNCHANGED;
+}
+
+/**
+ * Compare each pattern's current window with its baseline window
+ * @param {Array} rows - QUERY_ANALYZER_COMPARE rows
+ * @param {Object} options - { minExecutions }
+ * @returns {Array} - Patterns with executions, deltas and status
+ */
+export function comparePatterns(rows, { minExecutions = 1 } = {}) {
+  return rows.map((row) => {
+    const currentExecutions = toNumber(row.current_executions);
+    const baselineExecutions = toNumber(row.baseline_executions);
+
+    const deltas = {};
+    if (currentExecutions > 0 && baselineExecutions > 0) {
+      COMPARED_METRICS.forEach((metric) => {
+        deltas[metric] = computeDelta(
+          toNumber(row[`current_${metric}`]),
+          toNumber(row[`baseline_${metric}`]),
+          REGRESSION_THRESHOLDS[metric]
+        );
+      });
+    }
+
+    const status = getStatus(currentExecutions, baselineExecutions, deltas, minExecutions);
+
+    // Deltas from a handful of executions are noise, so they are never flagged
+    if (status === ComparisonStatus.INSUFFICIENT_DATA) {
+      Object.values(deltas).forEach((delta) => {
+        delta.regressed = false;
+        delta.improved = false;
+      });
+    }
+
+    return {
+      normalized_query_hash: String(row.normalized_query_hash),
+      normalized_query: row.normalized_query,
+      current_executions: currentExecutions,
+      baseline_executions: baselineExecutions,
+      deltas,
+      status,
+    };
+  });
+}
+
+/**
+ * Count patterns per status
+ */
+export function summarizeComparison(patterns) {
+  const summary = Object.fromEntries(
+    Object.values(ComparisonStatus).map((status) => [status, 0])
+  );
+  patterns.forEach((pattern) => {
+    summary[pattern.status] += 1;
+  });
+  return summary;
+}
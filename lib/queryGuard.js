@@ -0,0 +1,171 @@
+/**
+ * Read-only query guard
+ * CheckMyHouse only observes a cluster. In read-only mode (the default) every
+ * statement is checked before it is sent and runs with the `readonly` setting,
+ * so ClickHouse itself rejects anything that would mutate data
+ */
+
+import { ClickHouseError, ErrorTypes, ErrorCodes } from './errors';
+import { KILL_QUERY_BY_ID } from './queries';
+import { isAppQueryId } from './queryTagging';
+
+// Statement types that can never write
+export const ALLOWED_STATEMENTS = ['SELECT', 'WITH', 'EXPLAIN', 'SHOW', 'DESCRIBE', 'DESC', 'EXISTS'];
+
+/**
+ * Whether read-only mode is enabled (CHECKMYHOUSE_READ_ONLY, on unless set to false/0)
+ */
+export function isReadOnlyMode() {
+  const value = process.env.CHECKMYHOUSE_READ_ONLY;
+  return !(value && ['false', '0', 'off', 'no'].includes(value.toLowerCase()));
+}
+
+/**
+ * Pick the readonly level for a query
+ * readonly=1 forbids changing any setting, so queries that carry settings
+ * (including the client defaults) need readonly=2
+ */
+export function getReadOnlyLevel(settings = {}) {
+  return Object.keys(settings).length > 0 ? 2 : 1;
+}
+
+/**
+ * Remove comments and the contents of quoted strings and identifiers, so
+ * keywords and semicolons inside them are ignored
+ */
+function stripLiteralsAndComments(sql) {
+  let result = '';
+  let i = 0;
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const next = sql[i + 1];
+
+    // -- and # line comments
+    if ((char === '-' && next === '-') || char === '#') {
+      while (i < sql.length && sql[i] !== '\n') i++;
+      result += ' ';
+      continue;
+    }
+
+    // /* block comments */
+    if (char === '/' && next === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 2;
+      result += ' ';
+      continue;
+    }
+
+    // 'strings', "identifiers" and `identifiers`, with backslash or doubled-quote escapes
+    if (char === '\'' || char === '"' || char === '`') {
+      i++;
+      while (i < sql.length) {
+        if (sql[i] === '\\') {
+          i += 2;
+        } else if (sql[i] === char && sql[i + 1] === char) {
+          i += 2;
+        } else if (sql[i] === char) {
+          i++;
+          break;
+        } else {
+          i++;
+        }
+      }
+      result += ' \'\' ';
+      continue;
+    }
+
+    result += char;
+    i++;
+  }
+
+  return result;
+}
+
+// Statement without comments or a trailing semicolon, and its leading keyword
+function parseStatement(sql) {
+  const stripped = stripLiteralsAndComments(String(sql || '')).trim().replace(/;\s*$/, '');
+  const keyword = (stripped.replace(/^\(+\s*/, '').match(/^[A-Za-z]+/)?.[0] || '').toUpperCase();
+  return { stripped, keyword };
+}
+
+/**
+ * Throw a READ_ONLY error unless the SQL is a single read-only statement
+ */
+export function assertReadOnlyQuery(sql) {
+  const { stripped, keyword } = parseStatement(sql);
+
+  if (stripped.includes(';')) {
+    throw createReadOnlyError('Multiple statements are not allowed in read-only mode');
+  }
+
+  if (!ALLOWED_STATEMENTS.includes(keyword)) {
+    throw createReadOnlyError(
+      `${keyword || 'Empty'} statements are not allowed in read-only mode`
+    );
+  }
+}
+
+/**
+ * Whether the SQL is a single SELECT (optionally with a WITH clause)
+ * Used where a statement from the UI is wrapped, e.g. in EXPLAIN, so SHOW or
+ * DESCRIBE - harmless on their own - are rejected too
+ */
+export function isSelectQuery(sql) {
+  const { stripped, keyword } = parseStatement(sql);
+  return !stripped.includes(';') && (keyword === 'SELECT' || keyword === 'WITH');
+}
+
+function createReadOnlyError(message) {
+  return new ClickHouseError(message, ErrorCodes.READONLY, ErrorTypes.READ_ONLY, {
+    userFriendlyMessage: 'This statement is blocked because CheckMyHouse runs in read-only mode',
+    canRetry: false,
+  });
+}
+
+/**
+ * Wrap a ClickHouse client so every query is guarded and runs with `readonly`
+ * `baseSettings` are the settings the client already sends with every request
+ */
+export function createReadOnlyClient(client, { baseSettings = {} } = {}) {
+  const withReadOnly = (settings = {}) => ({
+    ...settings,
+    readonly: getReadOnlyLevel({ ...baseSettings, ...settings }),
+  });
+
+  return {
+    readOnly: true,
+
+    async query(params) {
+      assertReadOnlyQuery(params.query);
+      return client.query({ ...params, clickhouse_settings: withReadOnly(params.clickhouse_settings) });
+    },
+
+    async exec(params) {
+      assertReadOnlyQuery(params.query);
+      return client.exec({ ...params, clickhouse_settings: withReadOnly(params.clickhouse_settings) });
+    },
+
+    async command(params) {
+      // Cancelling one of our own queries is the only write-like statement let through
+      if (params.query === KILL_QUERY_BY_ID && isAppQueryId(params.query_params?.query_id)) {
+        return client.command(params);
+      }
+
+      assertReadOnlyQuery(params.query);
+      return client.command({ ...params, clickhouse_settings: withReadOnly(params.clickhouse_settings) });
+    },
+
+    async insert() {
+      throw createReadOnlyError('INSERT statements are not allowed in read-only mode');
+    },
+
+    async ping() {
+      return client.ping();
+    },
+
+    async close() {
+      return client.close();
+    },
+  };
+}
@@ -0,0 +1,199 @@
+/**
+ * Query lifecycle
+ * Assembles what the system log tables recorded about one query_id: its
+ * QUERY_LIFECYCLE_LOG start and finish rows, the secondary queries it sent to
+ * other shards, its ProfileEvents, threads and OpenTelemetry spans
+ */
+
+export const QueryStatus = {
+  FINISHED: 'finished',
+  FAILED: 'failed',
+  // Only the QueryStart row was logged: still running, killed or not flushed yet
+  RUNNING: 'running',
+};
+
+const FAILURE_TYPES = ['ExceptionBeforeStart', 'ExceptionWhileProcessing'];
+
+// ClickHouse returns 64-bit integers as strings and empty aggregates as null
+function toNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+function withNumbers(row, columns) {
+  return { ...row, ...Object.fromEntries(columns.map((column) => [column, toNumber(row[column])])) };
+}
+
+const QUERY_METRICS = [
+  'query_duration_ms', 'read_rows', 'read_bytes', 'written_rows', 'written_bytes', 'result_rows', 'memory_usage',
+];
+const VIEW_METRICS = [
+  'view_duration_ms', 'read_rows', 'read_bytes', 'written_rows', 'written_bytes', 'peak_memory_usage',
+];
+const PART_METRICS = ['rows', 'size_in_bytes', 'duration_ms'];
+
+/**
+ * Pair the start and finish rows of every query_id
+ * @param {Array} rows - QUERY_LIFECYCLE_LOG rows, oldest first
+ * @returns {Array} - [{ query_id, host, is_initial_query, status, start_us, finish_us, duration_ms, row }]
+ */
+export function pairQueryEvents(rows) {
+  const queries = new Map();
+
+  rows.forEach((row) => {
+    const query = queries.get(row.query_id) || { query_id: row.query_id, start: null, finish: null };
+    if (row.type === 'QueryStart') {
+      query.start = row;
+    } else {
+      query.finish = row;
+    }
+    queries.set(row.query_id, query);
+  });
+
+  return [...queries.values()].map(({ query_id, start, finish }) => {
+    // The finish row repeats everything the start row has, plus the results
+    const row = finish || start;
+    const status = !finish
+      ? QueryStatus.RUNNING
+      : FAILURE_TYPES.includes(finish.type) ? QueryStatus.FAILED : QueryStatus.FINISHED;
+
+    return {
+      query_id,
+      host: row.host,
+      is_initial_query: Boolean(Number(row.is_initial_query)),
+      status,
+      start_us: toNumber(row.start_us),
+      finish_us: finish ? toNumber(finish.event_us) : null,
+      duration_ms: finish ? toNumber(finish.query_duration_ms) : null,
+      row: withNumbers(row, QUERY_METRICS),
+    };
+  });
+}
+
+/**
+ * ProfileEvents map as non-zero [{ name, value }], sorted by name
+ */
+export function listProfileEvents(profileEvents = {}) {
+  return Object.entries(profileEvents || {})
+    .map(([name, value]) => ({ name, value: toNumber(value) }))
+    .filter((event) => event.value !== 0)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * The query itself, the secondary queries it started and every query_id involved
+ * @param {Array} rows - QUERY_LIFECYCLE_LOG rows
+ * @param {string} queryId - The query_id that was looked up
+ * @returns {Object|null} - { query, secondary, queryIds, profileEvents }, null if the query was not logged
+ */
+export function buildQueryLifecycle(rows, queryId) {
+  const queries = pairQueryEvents(rows);
+  const query = queries.find((candidate) => candidate.query_id === queryId);
+  if (!query) return null;
+
+  return {
+    query,
+    secondary: queries
+      .filter((candidate) => candidate.query_id !== queryId)
+      .sort((a, b) => a.start_us - b.start_us),
+    queryIds: queries.map((candidate) => candidate.query_id),
+    profileEvents: listProfileEvents(query.row.ProfileEvents),
+  };
+}
+
+/**
+ * QUERY_LIFECYCLE_VIEWS rows with numeric metrics
+ */
+export function normalizeViews(rows) {
+  return rows.map((row) => withNumbers(row, VIEW_METRICS));
+}
+
+/**
+ * QUERY_LIFECYCLE_PARTS rows with numeric metrics
+ */
+export function normalizeParts(rows) {
+  return rows.map((row) => withNumbers(row, PART_METRICS));
+}
+
+const THREAD_METRICS = ['read_rows', 'read_bytes', 'written_rows', 'user_time_us', 'system_time_us', 'cpu_wait_us'];
+
+/**
+ * Normalize QUERY_LIFECYCLE_THREADS rows and total them per thread name
+ * @returns {Object} - { threads: [...], byName: [{ thread_name, threads, ...metrics }] } heaviest CPU first
+ */
+export function summarizeThreads(rows) {
+  const threads = rows.map((row) => withNumbers(row, ['query_duration_ms', 'peak_memory_usage', ...THREAD_METRICS]));
+
+  const byName = new Map();
+  threads.forEach((thread) => {
+    const group = byName.get(thread.thread_name) || {
+      thread_name: thread.thread_name,
+      threads: 0,
+      ...Object.fromEntries(THREAD_METRICS.map((metric) => [metric, 0])),
+    };
+    group.threads += 1;
+    THREAD_METRICS.forEach((metric) => {
+      group[metric] += thread[metric];
+    });
+    byName.set(thread.thread_name, group);
+  });
+
+  const cpu = (entry) => entry.user_time_us + entry.system_time_us;
+  return {
+    threads: threads.sort((a, b) => cpu(b) - cpu(a)),
+    byName: [...byName.values()].sort((a, b) => cpu(b) - cpu(a)),
+  };
+}
+
+/**
+ * Nest spans under their parents and place them on a common time axis
+ * @param {Array} spans - QUERY_LIFECYCLE_SPANS rows
+ * @returns {Object} - { spans: [{ ...span, depth, offset_ms, duration_ms }] in depth-first order, duration_ms }
+ */
+export function buildSpanTimeline(spans) {
+  if (spans.length === 0) {
+    return { spans: [], duration_ms: 0 };
+  }
+
+  const normalized = spans.map((span) => ({
+    ...span,
+    start_time_us: toNumber(span.start_time_us),
+    finish_time_us: toNumber(span.finish_time_us),
+  }));
+  const ids = new Set(normalized.map((span) => span.span_id));
+  const children = new Map();
+  const roots = [];
+
+  normalized.forEach((span) => {
+    // Parents outside the selection (e.g. the client's span) make this a root
+    if (ids.has(span.parent_span_id) && span.parent_span_id !== span.span_id) {
+      if (!children.has(span.parent_span_id)) children.set(span.parent_span_id, []);
+      children.get(span.parent_span_id).push(span);
+    } else {
+      roots.push(span);
+    }
+  });
+
+  const start = Math.min(...normalized.map((span) => span.start_time_us));
+  const finish = Math.max(...normalized.map((span) => span.finish_time_us));
+  const ordered = [];
+  const visited = new Set();
+
+  const walk = (span, depth) => {
+    if (visited.has(span.span_id)) return;
+    visited.add(span.span_id);
+
+    ordered.push({
+      ...span,
+      depth,
+      offset_ms: (span.start_time_us - start) / 1000,
+      duration_ms: (span.finish_time_us - span.start_time_us) / 1000,
+    });
+    (children.get(span.span_id) || [])
+      .sort((a, b) => a.start_time_us - b.start_time_us)
+      .forEach((child) => walk(child, depth + 1));
+  };
+  roots.sort((a, b) => a.start_time_us - b.start_time_us).forEach((root) => walk(root, 0));
+
+  return { spans: ordered, duration_ms: (finish - start) / 1000 };
+}
@@ -0,0 +1,73 @@
+/**
+ * query_log dimension filters
+ * Filter values are never interpolated: each one becomes a typed query
+ * parameter, and only the fixed conditions below end up in the SQL text
+ */
+
+import { queryLogFiltersSchema, validateInput } from './validation';
+
+const FINISHED_QUERY = `type = 'QueryFinish'`;
+const FAILED_QUERY = `type IN ('ExceptionBeforeStart', 'ExceptionWhileProcessing')`;
+const COMPLETED_QUERY = `type != 'QueryStart'`;
+
+export const QUERY_LOG_FILTER_CONDITIONS = {
+  user: 'user = {filter_user:String}',
+  initial_user: 'initial_user = {filter_initial_user:String}',
+  database: 'has(databases, {filter_database:String})',
+  table: 'has(tables, {filter_table:String})',
+  query_kind: 'query_kind = {filter_query_kind:String}',
+  client_name: 'client_name = {filter_client_name:String}',
+};
+
+/**
+ * Read and validate the filters from request search params
+ * @returns {Object} - { success: boolean, data?: Object, error?: string }
+ */
+export function parseQueryLogFilters(searchParams) {
+  const raw = {};
+  for (const key of [...Object.keys(QUERY_LOG_FILTER_CONDITIONS), 'exception']) {
+    const value = searchParams.get(key);
+    if (value) {
+      raw[key] = value;
+    }
+  }
+
+  const result = validateInput(queryLogFiltersSchema, raw);
+  if (!result.success) {
+    return result;
+  }
+
+  // Drop keys zod left undefined so cache keys only contain active filters
+  const data = Object.fromEntries(
+    Object.entries(result.data).filter(([, value]) => value !== undefined)
+  );
+  return { success: true, data };
+}
+
+function getTypeCondition(exception, includeFailed) {
+  if (exception === 'true') return FAILED_QUERY;
+  if (exception === 'false' || !includeFailed) return FINISHED_QUERY;
+  return COMPLETED_QUERY;
+}
+
+/**
+ * Build the `{query_filters}` clause and its query parameters
+ * Without an exception filter only finished queries are included, as before,
+ * unless `includeFailed` is set; `exception` picks failed or finished executions
+ */
+export function buildQueryLogFilters(filters = {}, { includeFailed = false } = {}) {
+  const conditions = [getTypeCondition(filters.exception, includeFailed)];
+  const params = {};
+
+  for (const [key, condition] of Object.entries(QUERY_LOG_FILTER_CONDITIONS)) {
+    if (filters[key]) {
+      conditions.push(condition);
+      params[`filter_${key}`] = filters[key];
+    }
+  }
+
+  return {
+    clause: conditions.join('\n  AND '),
+    params,
+  };
+}
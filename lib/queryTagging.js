@@ -0,0 +1,113 @@
+/**
+ * Query tagging
+ * Every query the app sends carries a `checkmyhouse-` query_id prefix and a
+ * structured `log_comment`, so our own load can be told apart in system.query_log
+ */
+
+import { createHash, randomUUID } from 'crypto';
+
+export const APP_NAME = 'checkmyhouse';
+export const QUERY_ID_PREFIX = `${APP_NAME}-`;
+
+// Matches queries we sent, including the remote parts of clusterAllReplicas() queries
+export const SELF_QUERY_FILTER = `NOT startsWith(initial_query_id, '${QUERY_ID_PREFIX}')`;
+
+/**
+ * Filter clause for the `{self_filter}` template placeholder
+ */
+export function getSelfQueryFilter(includeSelf = false) {
+  return includeSelf ? '1 = 1' : SELF_QUERY_FILTER;
+}
+
+/**
+ * Generate a tagged query id
+ */
+export function generateQueryId() {
+  return `${QUERY_ID_PREFIX}${randomUUID()}`;
+}
+
+/**
+ * Whether a query id was issued by the app
+ */
+export function isAppQueryId(queryId) {
+  return typeof queryId === 'string' && queryId.startsWith(QUERY_ID_PREFIX);
+}
+
+/**
+ * Prefix a caller-supplied query id, or generate one
+ */
+function tagQueryId(queryId) {
+  if (!queryId) return generateQueryId();
+  return isAppQueryId(queryId) ? queryId : `${QUERY_ID_PREFIX}${queryId}`;
+}
+
+/**
+ * Short hash identifying a session in logs
+ * The session id is a credential, so it is never logged as is
+ */
+export function hashSessionId(sessionId) {
+  return sessionId
+    ? createHash('sha256').update(sessionId).digest('hex').substring(0, 12)
+    : null;
+}
+
+/**
+ * Build the log_comment JSON
+ */
+export function buildLogComment({ feature = 'app', sessionId = null } = {}) {
+  return JSON.stringify({
+    app: APP_NAME,
+    feature,
+    session: hashSessionId(sessionId),
+  });
+}
+
+/**
+ * Wrap a client so every query gets a tagged query_id and log_comment
+ * `forFeature` returns a view of the same client tagged with another feature
+ */
+export function createTaggedClient(client, { feature = 'app', sessionId = null } = {}) {
+  const logComment = buildLogComment({ feature, sessionId });
+
+  const tag = (params) => ({
+    ...params,
+    query_id: tagQueryId(params.query_id),
+    clickhouse_settings: {
+      log_comment: logComment,
+      ...params.clickhouse_settings,
+    },
+  });
+
+  return {
+    baseClient: client,
+    feature,
+
+    forFeature(name) {
+      return createTaggedClient(client, { feature: name, sessionId });
+    },
+
+    async query(params) {
+      return client.query(tag(params));
+    },
+
+    async exec(params) {
+      return client.exec(tag(params));
+    },
+
+    async command(params) {
+      return client.command(tag(params));
+    },
+
+    async insert(params) {
+      return client.insert(tag(params));
+    },
+
+    async ping() {
+      return client.ping();
+    },
+
+    async close() {
+      return client.close();
+    },
+  };
+}
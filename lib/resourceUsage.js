@@ -0,0 +1,94 @@
+/**
+ * Resource consumption per user, role or client
+ * Turns RESOURCE_USAGE rows into rankings with each row's share of the window totals
+ */
+
+// Selectable dimensions and the query_log expression each groups by
+// Empty client_name / http_user_agent values are labelled so they show up in the ranking
+export const RESOURCE_DIMENSIONS = {
+  user: 'user',
+  role: 'user',
+  client_name: "if(client_name = '', '(none)', client_name)",
+  http_user_agent: "if(http_user_agent = '', '(none)', http_user_agent)",
+};
+
+// Summed metrics (peak memory is the only maximum)
+export const RESOURCE_METRICS = [
+  'query_count',
+  'failed_count',
+  'query_seconds',
+  'cpu_seconds',
+  'read_bytes',
+  'io_read_bytes',
+  'written_bytes',
+  'memory_bytes',
+];
+
+export const NO_ROLE = '(no role)';
+
+// ClickHouse returns 64-bit integers as strings and empty aggregates as null
+function toNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+function normalizeRow(row) {
+  const normalized = { dimension: row.dimension, peak_memory_bytes: toNumber(row.peak_memory_bytes) };
+  RESOURCE_METRICS.forEach((metric) => {
+    normalized[metric] = toNumber(row[metric]);
+  });
+  return normalized;
+}
+
+/**
+ * Roll per-user rows up to the set of roles granted to each user
+ * Users are grouped by their full role set (e.g. "analyst, etl") so shares still add up to 100%
+ * @param {Array} rows - RESOURCE_USAGE rows grouped by user
+ * @param {Array} grants - USER_ROLE_GRANTS rows
+ */
+export function rollUpByRole(rows, grants) {
+  const rolesByUser = new Map();
+  grants.forEach(({ user_name, granted_role_name }) => {
+    const roles = rolesByUser.get(user_name) || [];
+    roles.push(granted_role_name);
+    rolesByUser.set(user_name, roles);
+  });
+
+  const byRole = new Map();
+  rows.map(normalizeRow).forEach((row) => {
+    const roles = rolesByUser.get(row.dimension);
+    const key = roles ? [...roles].sort().join(', ') : NO_ROLE;
+    const rolled = byRole.get(key) || { ...normalizeRow({ dimension: key }), users: [] };
+
+    RESOURCE_METRICS.forEach((metric) => {
+      rolled[metric] += row[metric];
+    });
+    rolled.peak_memory_bytes = Math.max(rolled.peak_memory_bytes, row.peak_memory_bytes);
+    rolled.users.push(row.dimension);
+    byRole.set(key, rolled);
+  });
+
+  return [...byRole.values()].sort((a, b) => b.cpu_seconds - a.cpu_seconds);
+}
+
+/**
+ * Attach each row's share (0-1) of the window totals for every summed metric
+ * @param {Array} rows - Ranked rows
+ * @param {Object} totals - RESOURCE_USAGE_TOTALS row
+ * @returns {Object} - { rows, totals }
+ */
+export function withShares(rows, totals) {
+  const normalizedTotals = normalizeRow(totals || {});
+  delete normalizedTotals.dimension;
+
+  const ranked = rows.map((row) => {
+    const normalized = { ...row, ...normalizeRow(row) };
+    normalized.share = {};
+    RESOURCE_METRICS.forEach((metric) => {
+      normalized.share[metric] = normalizedTotals[metric] > 0 ? normalized[metric] / normalizedTotals[metric] : 0;
+    });
+    return normalized;
+  });
+
+  return { rows: ranked, totals: normalizedTotals };
+}
@@ -0,0 +1,101 @@
+/**
+ * Running queries
+ * Filters and row shaping for the live system.processes view. As with the
+ * query_log filters, values are bound as typed query parameters
+ */
+
+import { runningQueryFiltersSchema, validateInput, escapeIdentifier } from './validation';
+import { KILL_RUNNING_QUERY } from './queries';
+
+export const RUNNING_QUERY_FILTER_CONDITIONS = {
+  user: 'user = {filter_user:String}',
+  search: 'positionCaseInsensitive(query, {filter_search:String}) > 0',
+  min_elapsed: 'elapsed >= {filter_min_elapsed:Float64}',
+};
+
+/**
+ * Read and validate the filters, sort column and limit from request search params
+ * @returns {Object} - { success: boolean, data?: Object, error?: string }
+ */
+export function parseRunningQueryFilters(searchParams) {
+  const raw = {};
+  for (const key of [...Object.keys(RUNNING_QUERY_FILTER_CONDITIONS), 'sort_column', 'limit']) {
+    const value = searchParams.get(key);
+    if (value) {
+      raw[key] = value;
+    }
+  }
+
+  const result = validateInput(runningQueryFiltersSchema, raw);
+  if (!result.success) {
+    return result;
+  }
+
+  const data = Object.fromEntries(
+    Object.entries(result.data).filter(([, value]) => value !== undefined)
+  );
+  return { success: true, data };
+}
+
+/**
+ * Build the `{running_filters}` clause and its query parameters
+ */
+export function buildRunningQueryFilters(filters = {}) {
+  const conditions = [];
+  const params = {};
+
+  for (const [key, condition] of Object.entries(RUNNING_QUERY_FILTER_CONDITIONS)) {
+    if (filters[key] !== undefined && filters[key] !== '') {
+      conditions.push(condition);
+      params[`filter_${key}`] = filters[key];
+    }
+  }
+
+  return {
+    clause: conditions.length > 0 ? conditions.join('\n  AND ') : '1 = 1',
+    params,
+  };
+}
+
+// ClickHouse returns 64-bit integers as strings
+function toNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+/**
+ * Convert a system.processes row for the UI
+ * `progress` is read_rows over the server's estimate, or null when there is none
+ */
+export function normalizeRunningQuery(row) {
+  const readRows = toNumber(row.read_rows);
+  const totalRows = toNumber(row.total_rows_approx);
+
+  return {
+    hostname: row.hostname,
+    query_id: row.query_id,
+    initial_query_id: row.initial_query_id,
+    is_initial_query: Boolean(toNumber(row.is_initial_query)),
+    user: row.user,
+    elapsed_ms: toNumber(row.elapsed) * 1000,
+    read_rows: readRows,
+    read_bytes: toNumber(row.read_bytes),
+    total_rows_approx: totalRows,
+    written_rows: toNumber(row.written_rows),
+    memory_usage: toNumber(row.memory_usage),
+    peak_memory_usage: toNumber(row.peak_memory_usage),
+    progress: totalRows > 0 ? Math.min(readRows / totalRows, 1) : null,
+    query: row.query,
+  };
+}
+
+/**
+ * KILL QUERY for one query_id, sent ON CLUSTER when the query list spans
+ * replicas so a query shown for another node can be stopped too
+ */
+export function buildKillQuery(clusterConfig = {}) {
+  const onCluster = clusterConfig.isClustered && clusterConfig.defaultCluster
+    ? ` ON CLUSTER '${escapeIdentifier(clusterConfig.defaultCluster)}'`
+    : '';
+  return KILL_RUNNING_QUERY.replace('{on_cluster}', onCluster);
+}
@@ -0,0 +1,273 @@
+/**
+ * Server-side session store
+ * The browser only holds an opaque session id; connection credentials stay on
+ * the server, encrypted at rest with AES-256-GCM
+ */
+
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { generateSessionId } from './clientRegistry';
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const KEY_SALT = 'checkmyhouse-session-store';
+
+export const SESSION_TTL_SECONDS = 60 * 60 * 24; // 24 hours
+
+/**
+ * Derive the encryption key from a secret
+ */
+export function deriveKey(secret) {
+  return scryptSync(secret, KEY_SALT, 32);
+}
+
+/**
+ * Encrypt a JSON-serializable payload
+ * Output is base64(iv | auth tag | ciphertext)
+ */
+export function encryptPayload(payload, key) {
+  const iv = randomBytes(IV_LENGTH);
+  const cipher = createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(payload), 'utf8'),
+    cipher.final(),
+  ]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+/**
+ * Decrypt a payload produced by encryptPayload
+ * Throws if the data was tampered with or encrypted with another key
+ */
+export function decryptPayload(encoded, key) {
+  const buffer = Buffer.from(encoded, 'base64');
+  const iv = buffer.subarray(0, IV_LENGTH);
+  const tag = buffer.subarray(IV_LENGTH, IV_LENGTH + 16);
+  const ciphertext = buffer.subarray(IV_LENGTH + 16);
+
+  const decipher = createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  const plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  return JSON.parse(plaintext.toString('utf8'));
+}
+
+/**
+ * In-memory backend (sessions are lost on restart)
+ */
+class MemorySessionBackend {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(id) {
+    return this.records.get(id) || null;
+  }
+
+  async set(id, record) {
+    this.records.set(id, record);
+  }
+
+  async delete(id) {
+    return this.records.delete(id);
+  }
+
+  async entries() {
+    return Array.from(this.records.entries());
+  }
+}
+
+/**
+ * File backend (sessions survive a restart)
+ * Records are kept in memory and flushed to a JSON file on every change;
+ * flushes share one tmp file, so they go through a queue
+ */
+class FileSessionBackend extends MemorySessionBackend {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.loaded = null;
+    this.queue = Promise.resolve();
+  }
+
+  async load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        try {
+          const contents = await fs.readFile(this.filePath, 'utf8');
+          this.records = new Map(Object.entries(JSON.parse(contents)));
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            console.error('Error loading session store, starting empty:', error.message);
+          }
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  flush() {
+    const run = this.queue.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(Object.fromEntries(this.records)), { mode: 0o600 });
+      await fs.rename(tmpPath, this.filePath);
+    });
+    // Keep the queue going after a failed flush
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async get(id) {
+    await this.load();
+    return super.get(id);
+  }
+
+  async set(id, record) {
+    await this.load();
+    await super.set(id, record);
+    await this.flush();
+  }
+
+  async delete(id) {
+    await this.load();
+    const deleted = await super.delete(id);
+    if (deleted) await this.flush();
+    return deleted;
+  }
+
+  async entries() {
+    await this.load();
+    return super.entries();
+  }
+}
+
+export class SessionStore {
+  constructor({ backend, secret, ttlSeconds = SESSION_TTL_SECONDS }) {
+    this.backend = backend;
+    this.key = deriveKey(secret);
+    this.ttlMs = ttlSeconds * 1000;
+  }
+
+  /**
+   * Create a session holding the given data and return its id
+   */
+  async create(data) {
+    const id = generateSessionId();
+    const now = Date.now();
+    await this.backend.set(id, {
+      data: encryptPayload(data, this.key),
+      createdAt: now,
+      expiresAt: now + this.ttlMs,
+    });
+    return id;
+  }
+
+  /**
+   * Get decrypted session data, or null if missing, expired or unreadable
+   */
+  async get(id) {
+    if (!id) return null;
+
+    const record = await this.backend.get(id);
+    if (!record) return null;
+
+    if (Date.now() > record.expiresAt) {
+      await this.backend.delete(id);
+      return null;
+    }
+
+    try {
+      return decryptPayload(record.data, this.key);
+    } catch (error) {
+      // Wrong key (e.g. rotated secret) or tampered record - treat as revoked
+      console.error(`Unable to decrypt session ${id}, revoking it`);
+      await this.backend.delete(id);
+      return null;
+    }
+  }
+
+  /**
+   * Replace a session's data without changing its expiry
+   */
+  async update(id, data) {
+    const record = await this.backend.get(id);
+    if (!record) return false;
+
+    await this.backend.set(id, {
+      ...record,
+      data: encryptPayload(data, this.key),
+    });
+    return true;
+  }
+
+  /**
+   * Revoke a session
+   */
+  async destroy(id) {
+    if (!id) return false;
+    return this.backend.delete(id);
+  }
+
+  /**
+   * Remove expired sessions
+   */
+  async purgeExpired() {
+    const now = Date.now();
+    let purged = 0;
+    for (const [id, record] of await this.backend.entries()) {
+      if (now > record.expiresAt) {
+        await this.backend.delete(id);
+        purged++;
+      }
+    }
+    return purged;
+  }
+}
+
+/**
+ * Resolve the encryption secret from the environment
+ * Outside production a random per-process secret is used so development works
+ * out of the box (sessions then do not survive a restart)
+ */
+function resolveSecret() {
+  const secret = process.env.CHECKMYHOUSE_SESSION_SECRET;
+  if (secret) return secret;
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('CHECKMYHOUSE_SESSION_SECRET must be set in production');
+  }
+
+  console.warn('CHECKMYHOUSE_SESSION_SECRET is not set - using an ephemeral session key');
+  return randomBytes(32).toString('hex');
+}
+
+/**
+ * Create a session store from environment configuration
+ */
+export function createSessionStore(options = {}) {
+  const type = options.type || process.env.CHECKMYHOUSE_SESSION_STORE || 'memory';
+  const backend = type === 'file'
+    ? new FileSessionBackend(
+      options.filePath ||
+        process.env.CHECKMYHOUSE_SESSION_STORE_PATH ||
+        path.join(process.cwd(), '.checkmyhouse', 'sessions.json')
+    )
+    : new MemorySessionBackend();
+
+  return new SessionStore({
+    backend,
+    secret: options.secret || resolveSecret(),
+    ttlSeconds: options.ttlSeconds,
+  });
+}
+
+// Singleton instance, created on first use so builds don't require the secret
+let sessionStore = null;
+
+export function getSessionStore() {
+  if (!sessionStore) {
+    sessionStore = createSessionStore();
+  }
+  return sessionStore;
+}
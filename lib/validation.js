@@ -4,12 +4,35 @@ import { z } from 'zod';
  * Validation schemas for API requests and user inputs
  */
 
+// PEM-encoded certificate or key
+const pemSchema = z.string().trim().regex(/-----BEGIN [A-Z0-9 ]+-----/, 'Expected a PEM-encoded value');
+
+// TLS options: custom CA bundle, client certificate for mutual TLS, skip-verify (development only)
+export const tlsConfigSchema = z.object({
+  caCert: pemSchema.optional(),
+  clientCert: pemSchema.optional(),
+  clientKey: pemSchema.optional(),
+  skipVerify: z.boolean().optional(),
+}).refine((tls) => Boolean(tls.clientCert) === Boolean(tls.clientKey), {
+  message: 'Client certificate and key must be provided together',
+  path: ['clientCert'],
+});
+
 // Connection configuration schema
 export const connectionConfigSchema = z.object({
   host: z.string().url('Invalid host URL'),
   username: z.string().min(1, 'Username is required'),
   password: z.string().optional(),
   database: z.string().optional(),
+  tls: tlsConfigSchema.optional(),
+});
+
+// Saved connection profile schema (passwords are never stored for user profiles)
+export const connectionProfileSchema = z.object({
+  name: z.string().trim().min(1, 'Profile name is required').max(100, 'Profile name too long'),
+  host: z.string().url('Invalid host URL'),
+  username: z.string().min(1, 'Username is required'),
+  database: z.string().optional(),
 });
 
 // Query filter schema
@@ -54,6 +77,203 @@ export const timeRangeSchema = z.object({
   message: 'Start time must be before end time',
 });
 
+// query_log dimension filters (values are bound as query parameters)
+const filterValueSchema = z.string().trim().min(1).max(256).optional();
+
+export const queryLogFiltersSchema = z.object({
+  user: filterValueSchema,
+  initial_user: filterValueSchema,
+  database: filterValueSchema,
+  table: filterValueSchema,
+  query_kind: filterValueSchema,
+  client_name: filterValueSchema,
+  exception: z.enum(['true', 'false']).optional(),
+});
+
+// system.processes filters; sort_column is interpolated, so it must stay an enum
+export const runningQueryFiltersSchema = z.object({
+  user: filterValueSchema,
+  search: filterValueSchema,
+  min_elapsed: z.coerce.number().min(0).optional(),
+  sort_column: z.enum(['elapsed', 'memory_usage', 'read_rows', 'read_bytes']).default('elapsed'),
+  limit: z.coerce.number().int().min(1).max(500).default(100),
+});
+
+// Alert rule; the metric each type measures is defined in lib/alerts
+const alertScopeSchema = z.string().trim().max(256)
+  .regex(/^[a-zA-Z0-9_]*$/, 'Only letters, numbers and underscores are allowed')
+  .optional();
+
+export const alertRuleSchema = z.object({
+  name: z.string().trim().min(1, 'Rule name is required').max(100, 'Rule name too long'),
+  type: z.enum(['pattern_p99', 'failed_queries', 'parts_per_partition', 'replication_delay']),
+  profileId: z.string().min(1, 'Connection profile is required').max(256),
+  threshold: z.coerce.number().min(0),
+  windowSeconds: z.coerce.number().int().min(60).max(86400).default(300),
+  forSeconds: z.coerce.number().int().min(0).max(86400).default(0),
+  debounceSeconds: z.coerce.number().int().min(0).max(86400).default(0),
+  patternHash: z.string().trim().regex(/^\d{1,20}$/, 'Expected a normalized_query_hash').optional(),
+  database: alertScopeSchema,
+  table: alertScopeSchema,
+  webhooks: z.array(z.string().url('Invalid webhook URL').regex(/^https?:\/\//, 'Webhooks must use http or https'))
+    .max(5, 'At most 5 webhooks per rule')
+    .default([]),
+  fileSink: z.boolean().default(false),
+  enabled: z.boolean().default(true),
+}).refine((rule) => rule.type !== 'pattern_p99' || Boolean(rule.patternHash), {
+  message: 'A query pattern is required for p99 rules',
+  path: ['patternHash'],
+});
+
+const DEFAULT_WINDOW_DAYS = 7;
+
+function toTimeWindow(startTime, endTime, days = null) {
+  return {
+    start: new Date(startTime * 1000).toISOString(),
+    end: new Date(endTime * 1000).toISOString(),
+    startTime,
+    endTime,
+    days,
+  };
+}
+
+function parseAbsoluteWindow(start, end) {
+  const result = validateInput(timeRangeSchema, { start, end });
+  if (!result.success) {
+    return result;
+  }
+
+  return {
+    success: true,
+    data: toTimeWindow(
+      Math.floor(new Date(result.data.start).getTime() / 1000),
+      Math.floor(new Date(result.data.end).getTime() / 1000)
+    ),
+  };
+}
+
+/**
+ * Resolve the query_log window from `start`/`end` (ISO) or `days` search params
+ * Relative windows end at the current minute so cache keys stay stable
+ * @param {URLSearchParams} searchParams - Request search params
+ * @returns {Object} - { success: boolean, data?: { start, end, startTime, endTime, days }, error?: string }
+ */
+export function parseTimeWindow(searchParams) {
+  const start = searchParams.get('start');
+  const end = searchParams.get('end');
+
+  if (start || end) {
+    return parseAbsoluteWindow(start, end);
+  }
+
+  const days = parseInt(searchParams.get('days')) || DEFAULT_WINDOW_DAYS;
+  if (days < 1 || days > 365) {
+    return { success: false, error: 'days: Must be between 1 and 365' };
+  }
+
+  const endTime = Math.floor(Date.now() / 60000) * 60;
+  return { success: true, data: toTimeWindow(endTime - days * 86400, endTime, days) };
+}
+
+/**
+ * Resolve the baseline window to compare against from `baseline_start`/`baseline_end`,
+ * defaulting to the period of the same length right before the current window
+ * @param {URLSearchParams} searchParams - Request search params
+ * @param {Object} timeWindow - Current window from parseTimeWindow
+ * @returns {Object} - { success: boolean, data?: { start, end, startTime, endTime, days }, error?: string }
+ */
+export function parseBaselineWindow(searchParams, timeWindow) {
+  const start = searchParams.get('baseline_start');
+  const end = searchParams.get('baseline_end');
+
+  if (start || end) {
+    return parseAbsoluteWindow(start, end);
+  }
+
+  const length = timeWindow.endTime - timeWindow.startTime;
+  return {
+    success: true,
+    data: toTimeWindow(timeWindow.startTime - length, timeWindow.startTime, timeWindow.days),
+  };
+}
+
+// Adaptive slow-query detection: executions `factor` times slower than their pattern's baseline
+export const slowQueryBaselineSchema = z.object({
+  baseline: z.enum(['p50', 'p90']).default('p90'),
+  factor: z.coerce.number().min(1).max(1000).default(5),
+  baseline_days: z.coerce.number().int().min(1).max(30).default(7),
+  min_duration_ms: z.coerce.number().int().min(0).default(100),
+  min_executions: z.coerce.number().int().min(2).max(1000000).default(10),
+});
+
+/**
+ * Resolve the adaptive slow-query options and the trailing baseline window
+ * The baseline covers `baseline_days` up to the end of the current window, and
+ * always the current window itself
+ * @param {URLSearchParams} searchParams - Request search params
+ * @param {Object} timeWindow - Current window from parseTimeWindow
+ * @returns {Object} - { success: boolean, data?: { quantile, factor, minDurationMs, minExecutions, window }, error?: string }
+ */
+export function parseSlowQueryBaseline(searchParams, timeWindow) {
+  const raw = {};
+  for (const key of Object.keys(slowQueryBaselineSchema.shape)) {
+    const value = searchParams.get(key);
+    if (value) {
+      raw[key] = value;
+    }
+  }
+
+  const result = validateInput(slowQueryBaselineSchema, raw);
+  if (!result.success) {
+    return result;
+  }
+
+  const { baseline, factor, baseline_days: days, min_duration_ms, min_executions } = result.data;
+  const startTime = Math.min(timeWindow.startTime, timeWindow.endTime - days * 86400);
+  return {
+    success: true,
+    data: {
+      quantile: baseline,
+      factor,
+      minDurationMs: min_duration_ms,
+      minExecutions: min_executions,
+      window: toTimeWindow(startTime, timeWindow.endTime, days),
+    },
+  };
+}
+
+// Time series bucket sizes in seconds (1 minute to 1 day)
+export const BUCKET_INTERVALS = [60, 300, 900, 3600, 21600, 86400];
+const MAX_BUCKETS = 500;
+const TARGET_BUCKETS = 120;
+
+/**
+ * Resolve the time series bucket size from the `interval` search param
+ * `auto` (the default) aims for about TARGET_BUCKETS points; an explicit interval
+ * is widened when it would produce more than MAX_BUCKETS points
+ * @param {URLSearchParams} searchParams - Request search params
+ * @param {Object} timeWindow - Window from parseTimeWindow
+ * @returns {Object} - { success: boolean, data?: number, error?: string }
+ */
+export function parseBucketInterval(searchParams, timeWindow) {
+  const requested = searchParams.get('interval') || 'auto';
+  const length = timeWindow.endTime - timeWindow.startTime;
+  const fits = (interval, buckets) => length / interval <= buckets;
+
+  if (requested === 'auto') {
+    const interval = BUCKET_INTERVALS.find((value) => fits(value, TARGET_BUCKETS));
+    return { success: true, data: interval || BUCKET_INTERVALS[BUCKET_INTERVALS.length - 1] };
+  }
+
+  const interval = parseInt(requested);
+  if (!BUCKET_INTERVALS.includes(interval)) {
+    return { success: false, error: `interval: Must be one of auto, ${BUCKET_INTERVALS.join(', ')}` };
+  }
+
+  const widened = BUCKET_INTERVALS.find((value) => value >= interval && fits(value, MAX_BUCKETS));
+  return { success: true, data: widened || BUCKET_INTERVALS[BUCKET_INTERVALS.length - 1] };
+}
+
 /**
  * Validates and sanitizes user input
  * @param {z.ZodSchema} schema - Zod schema to validate against
@@ -66,7 +286,9 @@ export function validateInput(schema, data) {
     return { success: true, data: validated };
   } catch (error) {
     if (error instanceof z.ZodError) {
-      const messages = error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ');
+      // zod v4 exposes `issues`; `errors` is the v3 alias
+      const issues = error.issues || error.errors || [];
+      const messages = issues.map(e => `${e.path.join('.')}: ${e.message}`).join(', ');
       return { success: false, error: messages };
     }
     return { success: false, error: 'Validation failed' };
@@ -76,6 +76,74 @@ export const SORT_OPTIONS = [
   { value: 'error_count', label: 'Error Count' },
 ];
 
+// Slow query detection modes
+export const SLOW_QUERY_MODES = [
+  { value: 'threshold', label: 'Fixed threshold' },
+  { value: 'baseline', label: 'Relative to pattern baseline' },
+];
+
+// Pattern baselines slow executions are compared against
+export const SLOW_QUERY_BASELINES = [
+  { value: 'p50', label: 'Pattern p50' },
+  { value: 'p90', label: 'Pattern p90' },
+];
+
+// Sort options for running queries (system.processes columns)
+export const RUNNING_QUERY_SORT_OPTIONS = [
+  { value: 'elapsed', label: 'Elapsed' },
+  { value: 'memory_usage', label: 'Memory' },
+  { value: 'read_rows', label: 'Rows Read' },
+  { value: 'read_bytes', label: 'Bytes Read' },
+];
+
+// Alert rule types (evaluated server-side, see lib/alerts)
+export const ALERT_RULE_TYPE_OPTIONS = [
+  {
+    value: 'pattern_p99',
+    label: 'Pattern p99 latency',
+    unit: 'ms',
+    description: 'p99 duration of one query pattern over the window',
+    windowed: true,
+  },
+  {
+    value: 'failed_queries',
+    label: 'Failed queries per minute',
+    unit: '/min',
+    description: 'Failed queries per minute over the window, optionally for one database or table',
+    windowed: true,
+  },
+  {
+    value: 'parts_per_partition',
+    label: 'Active parts per partition',
+    unit: 'parts',
+    description: 'Largest number of active parts in any partition on any replica',
+    windowed: false,
+  },
+  {
+    value: 'replication_delay',
+    label: 'Replication delay',
+    unit: 's',
+    description: 'Largest absolute_delay of any replicated table on any replica',
+    windowed: false,
+  },
+];
+
+// Running queries auto-refresh intervals (seconds, 0 = paused)
+export const REFRESH_INTERVALS = [
+  { value: 2, label: 'Every 2 seconds' },
+  { value: 5, label: 'Every 5 seconds' },
+  { value: 10, label: 'Every 10 seconds' },
+  { value: 30, label: 'Every 30 seconds' },
+  { value: 0, label: 'Paused' },
+];
+
+// Rows the column advisor samples from a table
+export const ADVISOR_SAMPLE_SIZES = [
+  { value: 10000, label: '10,000 rows' },
+  { value: 100000, label: '100,000 rows' },
+  { value: 1000000, label: '1,000,000 rows' },
+];
+
 // Time ranges
 export const TIME_RANGES = [
   { value: 1, label: 'Last 24 hours' },
@@ -85,6 +153,25 @@ export const TIME_RANGES = [
   { value: 30, label: 'Last 30 days' },
 ];
 
+// Time series bucket sizes (seconds)
+export const BUCKET_INTERVALS = [
+  { value: 'auto', label: 'Auto interval' },
+  { value: 60, label: '1 minute' },
+  { value: 300, label: '5 minutes' },
+  { value: 900, label: '15 minutes' },
+  { value: 3600, label: '1 hour' },
+  { value: 21600, label: '6 hours' },
+  { value: 86400, label: '1 day' },
+];
+
+// Resource usage report dimensions
+export const RESOURCE_DIMENSIONS = [
+  { value: 'user', label: 'User' },
+  { value: 'role', label: 'Role' },
+  { value: 'client_name', label: 'Client Name' },
+  { value: 'http_user_agent', label: 'HTTP User Agent' },
+];
+
 // Table engines
 export const TABLE_ENGINES = {
   MergeTree: {
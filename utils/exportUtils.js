@@ -165,3 +165,25 @@ export function formatMaterializedViewsForExport(views) {
     target_tables: view.targets?.map(t => `${t.database}.${t.table}`).join('; ') || '',
   }));
 }
+
+/**
+ * Format resource usage rows for export
+ */
+export function formatResourceUsageForExport(rows) {
+  return rows.map((row) => ({
+    dimension: row.dimension,
+    users: row.users?.join('; ') || '',
+    query_count: row.query_count,
+    failed_count: row.failed_count,
+    query_seconds: row.query_seconds,
+    cpu_seconds: row.cpu_seconds,
+    cpu_share: row.share.cpu_seconds,
+    read_bytes: row.read_bytes,
+    read_share: row.share.read_bytes,
+    io_read_bytes: row.io_read_bytes,
+    written_bytes: row.written_bytes,
+    memory_bytes: row.memory_bytes,
+    memory_share: row.share.memory_bytes,
+    peak_memory_bytes: row.peak_memory_bytes,
+  }));
+}
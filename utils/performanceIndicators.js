@@ -2,6 +2,8 @@
  * Performance indicator thresholds and color coding
  */
 
+import { formatBytes, formatDuration, formatPercent } from './formatters';
+
 export const THRESHOLDS = {
   // Duration (milliseconds)
   duration: {
@@ -194,8 +196,8 @@ export function getEfficiencyIndicator(efficiency) {
 /**
  * Generate insights for query performance
  */
-export function generateQueryInsights(queryData) {
-  const insights = [];
+export function generateQueryInsights(queryData, comparison = null) {
+  const insights = comparison ? generateRegressionInsights(comparison) : [];
 
   // High I/O wait
   if (queryData.io_wait_ratio > 0.5) {
@@ -289,3 +291,67 @@ export function generateQueryInsights(queryData) {
 
   return insights;
 }
+
+// Metrics compared between two periods (see /api/clickhouse/query-analyzer/compare)
+export const COMPARISON_METRICS = {
+  p50_duration_ms: { label: 'P50 latency', format: formatDuration },
+  p99_duration_ms: { label: 'P99 latency', format: formatDuration },
+  p99_memory_bytes: { label: 'P99 memory', format: formatBytes },
+  avg_read_bytes: { label: 'Avg read bytes', format: formatBytes },
+  error_rate: { label: 'Error rate', format: (value) => formatPercent(value, 1) },
+};
+
+/**
+ * Short delta label: relative change, or percentage points for the error rate
+ */
+export function formatDelta(metric, delta) {
+  if (metric === 'error_rate') {
+    const points = delta.absolute * 100;
+    return `${points >= 0 ? '+' : ''}${points.toFixed(1)} pp`;
+  }
+  if (delta.relative === null) {
+    return 'new';
+  }
+  const percent = delta.relative * 100;
+  return `${percent >= 0 ? '+' : ''}${percent.toFixed(0)}%`;
+}
+
+/**
+ * Insights for a pattern's period-over-period comparison
+ */
+export function generateRegressionInsights(comparison) {
+  const insights = [];
+
+  if (comparison.status === 'new') {
+    insights.push({
+      severity: 'info',
+      category: 'New Query Pattern',
+      message: 'This pattern did not run in the previous period',
+      recommendations: [
+        'Check whether it comes from a recent deploy or a new client',
+        'Review its plan before traffic grows',
+      ],
+    });
+  }
+
+  Object.entries(comparison.deltas || {}).forEach(([metric, delta]) => {
+    if (!delta.regressed) return;
+
+    const { label, format } = COMPARISON_METRICS[metric];
+    insights.push({
+      // Doubling (or +5 pp of errors) is treated as critical
+      severity: (metric === 'error_rate' ? delta.absolute >= 0.05 : delta.relative >= 1)
+        ? 'critical'
+        : 'warning',
+      category: `Regression: ${label}`,
+      message: `${label} went from ${format(delta.baseline)} to ${format(delta.current)} (${formatDelta(metric, delta)}) compared with the previous period`,
+      recommendations: [
+        'Correlate the change with deploys, schema changes or new settings',
+        'Check whether the tables it reads have grown or lost their ordering',
+        'Compare EXPLAIN output for a recent and an older execution',
+      ],
+    });
+  });
+
+  return insights;
+}
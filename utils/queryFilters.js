@@ -0,0 +1,63 @@
+/**
+ * Query Analyzer dimension filters
+ * Kept in the URL next to the time range; the API binds them as query parameters
+ */
+
+export const QUERY_FILTER_FIELDS = [
+  { value: 'user', label: 'User', placeholder: 'default' },
+  { value: 'initial_user', label: 'Initial user', placeholder: 'etl' },
+  { value: 'database', label: 'Database', placeholder: 'events' },
+  { value: 'table', label: 'Table', placeholder: 'events.clicks' },
+  { value: 'query_kind', label: 'Query kind', placeholder: 'Select' },
+  { value: 'client_name', label: 'Client name', placeholder: 'ClickHouse client' },
+  { value: 'exception', label: 'Exception' },
+];
+
+export const QUERY_KIND_OPTIONS = [
+  'Select', 'Insert', 'Create', 'Alter', 'Drop', 'Rename', 'Delete', 'Optimize', 'System', 'Show',
+].map((kind) => ({ value: kind, label: kind }));
+
+export const EXCEPTION_OPTIONS = [
+  { value: 'true', label: 'With exception' },
+  { value: 'false', label: 'Without exception' },
+];
+
+/**
+ * Read the active filters from URL search params
+ */
+export function parseQueryFilters(searchParams) {
+  const filters = {};
+  QUERY_FILTER_FIELDS.forEach(({ value: key }) => {
+    const value = searchParams.get(key);
+    if (value) {
+      filters[key] = value;
+    }
+  });
+  return filters;
+}
+
+/**
+ * Copy filters into existing search params, replacing any previous ones
+ */
+export function applyQueryFiltersToSearchParams(searchParams, filters) {
+  const params = new URLSearchParams(searchParams);
+  QUERY_FILTER_FIELDS.forEach(({ value: key }) => {
+    if (filters[key]) {
+      params.set(key, filters[key]);
+    } else {
+      params.delete(key);
+    }
+  });
+  return params;
+}
+
+/**
+ * Chip label for an active filter
+ */
+export function formatQueryFilter(key, value) {
+  const field = QUERY_FILTER_FIELDS.find((option) => option.value === key);
+  if (key === 'exception') {
+    return EXCEPTION_OPTIONS.find((option) => option.value === value)?.label || value;
+  }
+  return `${field?.label || key}: ${value}`;
+}
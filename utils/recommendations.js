@@ -71,8 +71,9 @@ export function generateIndexRecommendations(table, queries = []) {
 
 /**
  * Generate query optimization recommendations
+ * Pass an EXPLAIN result (from /api/clickhouse/explain) to include index pruning findings
  */
-export function generateQueryOptimizations(queryData) {
+export function generateQueryOptimizations(queryData, explain = null) {
   const optimizations = [];
 
   // High I/O wait
@@ -192,6 +193,44 @@ export function generateQueryOptimizations(queryData) {
     });
   }
 
+  // Index pruning reported by EXPLAIN indexes = 1
+  explain?.indexes?.analysis?.tables.forEach((table) => {
+    const { primaryKey, skipIndexes, granules } = table;
+    const tableName = table.table || 'table';
+
+    if (primaryKey && !primaryKey.pruned && granules?.total > 1) {
+      optimizations.push({
+        type: 'critical',
+        category: 'Index Usage',
+        title: `Primary Key Not Used on ${tableName}`,
+        description: primaryKey.used
+          ? `The primary key condition kept all ${formatNumber(granules.total)} granules`
+          : `The WHERE clause does not filter on the primary key (${primaryKey.keys.join(', ')})`,
+        recommendations: [
+          'Filter on the leading columns of the sorting key',
+          'Avoid wrapping key columns in functions the index cannot use',
+          'Add a projection ordered by the filtered columns',
+          'Consider a skip index for filters on non-key columns',
+        ],
+      });
+    }
+
+    const unusedSkipIndexes = skipIndexes.filter((index) => !index.pruned);
+    if (unusedSkipIndexes.length > 0 && unusedSkipIndexes.length === skipIndexes.length) {
+      optimizations.push({
+        type: 'warning',
+        category: 'Index Usage',
+        title: `Skip Indexes Did Not Prune ${tableName}`,
+        description: `${unusedSkipIndexes.map((index) => index.name).join(', ')} dropped no granules`,
+        recommendations: [
+          'Check that the index type suits the filter (minmax for ranges, set or bloom_filter for equality)',
+          'Lower the index GRANULARITY if values are spread across many granules',
+          'Drop indexes that never prune; they still cost time on inserts and merges',
+        ],
+      });
+    }
+  });
+
   return optimizations;
 }
 
@@ -234,9 +273,8 @@ export function generateTableHealthRecommendations(stats) {
         title: 'Low Compression Ratio',
         description: `Compression ratio is only ${compressionRatio.toFixed(2)}x`,
         recommendations: [
-          'Review compression codec settings',
-          'Consider LZ4HC or ZSTD for better compression',
-          'Check data types (use appropriate sizes)',
+          'Run the column advisor below for per-column type and codec changes',
+          'Check the Schema tab for the columns taking most of the disk',
           'Evaluate if data is already compressed',
         ],
       });
@@ -0,0 +1,65 @@
+/**
+ * Time range helpers
+ * A range is either a preset `{ days }` or an absolute `{ start, end }` in ISO format
+ */
+
+import { TIME_RANGES } from './constants';
+
+export const DEFAULT_TIME_RANGE = { days: 7 };
+
+/**
+ * Read a time range from URL search params
+ */
+export function parseTimeRange(searchParams) {
+  const start = searchParams.get('start');
+  const end = searchParams.get('end');
+
+  if (start && end && !isNaN(Date.parse(start)) && !isNaN(Date.parse(end))) {
+    return { start, end };
+  }
+
+  const days = parseInt(searchParams.get('days'));
+  if (TIME_RANGES.some((range) => range.value === days)) {
+    return { days };
+  }
+
+  return DEFAULT_TIME_RANGE;
+}
+
+/**
+ * Search params for a time range, as understood by the query_log endpoints
+ */
+export function timeRangeToParams(range) {
+  if (range.start && range.end) {
+    return { start: range.start, end: range.end };
+  }
+  return { days: range.days };
+}
+
+/**
+ * Copy a time range into existing search params, replacing any previous one
+ */
+export function applyTimeRangeToSearchParams(searchParams, range) {
+  const params = new URLSearchParams(searchParams);
+  params.delete('days');
+  params.delete('start');
+  params.delete('end');
+
+  Object.entries(timeRangeToParams(range)).forEach(([key, value]) => {
+    params.set(key, value);
+  });
+
+  return params;
+}
+
+/**
+ * Human readable label for a time range
+ */
+export function formatTimeRange(range) {
+  if (range.start && range.end) {
+    return `${new Date(range.start).toLocaleString()} – ${new Date(range.end).toLocaleString()}`;
+  }
+
+  const preset = TIME_RANGES.find((option) => option.value === range.days);
+  return preset ? preset.label : `Last ${range.days} days`;
+}